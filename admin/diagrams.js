@@ -0,0 +1,439 @@
+// Workflow diagram editor: the current state and proposed flowcharts of a
+// workflow document side by side, drawn by Flowchart
+// (/m/assets/flowchart.js). Steps and links are edited by clicking them
+// or through the Mermaid source; Save writes a panel's diagram back into
+// the document. ?path=<document> opens a document directly.
+
+const ROLES = ['current', 'proposed'];
+
+const SHAPE_LABELS = {
+    rect: 'Box',
+    round: 'Rounded',
+    stadium: 'Stadium',
+    subroutine: 'Subroutine',
+    circle: 'Circle',
+    diamond: 'Decision'
+};
+
+const EDGE_TYPE_LABELS = {
+    arrow: 'Arrow',
+    open: 'Line',
+    dotted: 'Dotted arrow',
+    thick: 'Thick arrow'
+};
+
+const HIGHLIGHT_LABELS = {
+    current: 'Red (problem step)',
+    proposed: 'Green (automated step)'
+};
+
+let doc = null;
+
+// Per panel: which diagram it shows, the graph being edited, what's
+// selected and whether there are unsaved changes
+const panels = {};
+ROLES.forEach(role => {
+    const element = document.querySelector(`.diagram-panel[data-role="${role}"]`);
+    panels[role] = {
+        role,
+        element,
+        field: name => element.querySelector(`[data-field="${name}"]`),
+        index: null,
+        graph: null,
+        selected: null,
+        dirty: false
+    };
+});
+
+// API helper: same-origin requests carry the session cookie. Errors keep
+// the response's diagram problems, if any, and its status.
+async function api(url, options = {}) {
+    const response = await fetch(url, {
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+        throw new Error('Sign in on the leads page first');
+    }
+    if (!response.ok) {
+        const message = data.error || (data.errors && data.errors[0] && data.errors[0].msg);
+        const error = new Error(message || `Request failed (${response.status})`);
+        error.problems = data.problems || [];
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function options(labels, selected) {
+    return Object.entries(labels).map(([value, label]) =>
+        `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('');
+}
+
+function showError(message, problems = []) {
+    const element = document.getElementById('diagram-error');
+    element.innerHTML = escapeHtml(message) +
+        (problems.length ? `<ul>${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>` : '');
+    element.classList.toggle('hidden', !message);
+}
+
+function showMessage(text) {
+    const message = document.getElementById('diagram-message');
+    message.textContent = text;
+    message.classList.toggle('hidden', !text);
+}
+
+function isDirty() {
+    return ROLES.some(role => panels[role].dirty);
+}
+
+// Redraw a panel from its graph. The source box is left alone while it's
+// being typed in.
+function render(panel, { source = true } = {}) {
+    const canvas = panel.field('canvas');
+    if (!panel.graph) {
+        canvas.innerHTML = `<p class="empty">${panel.index === null ? 'No diagram chosen' : 'Fix the source to see the diagram'}</p>`;
+    } else {
+        canvas.innerHTML = Flowchart.renderSvg(panel.graph, { selected: panel.selected, idPrefix: `diagram-${panel.role}` });
+    }
+    if (source && panel.graph) {
+        panel.field('source').value = Flowchart.serializeFlowchart(panel.graph);
+        panel.field('problems').classList.add('hidden');
+    }
+
+    const readOnly = !doc || doc.read_only || panel.index === null;
+    panel.element.querySelectorAll('[data-action]').forEach(button => {
+        button.disabled = readOnly || (button.dataset.action !== 'add' && !panel.dirty) || (button.dataset.action === 'add' && !panel.graph);
+    });
+    panel.field('source').readOnly = readOnly;
+    panel.field('status').textContent = doc && doc.read_only ? 'Templates are read only' : panel.dirty ? 'Unsaved changes' : '';
+    renderInspector(panel);
+}
+
+function changed(panel) {
+    panel.dirty = true;
+    render(panel);
+}
+
+function renderInspector(panel) {
+    const inspector = panel.field('inspector');
+    const graph = panel.graph;
+    const selected = panel.selected;
+    const readOnly = doc.read_only ? ' disabled' : '';
+
+    if (!graph || !selected) {
+        inspector.innerHTML = '';
+        return;
+    }
+
+    if (selected.node !== undefined) {
+        const node = graph.nodes.find(candidate => candidate.id === selected.node);
+        const highlight = Flowchart.highlightOf(graph, node.id);
+        // A style of the document's own that isn't one of the highlights
+        // is kept unless another is picked
+        const custom = !highlight && graph.styles[node.id];
+        const others = graph.nodes.filter(candidate => candidate.id !== node.id);
+        inspector.innerHTML = `
+            <div class="diagram-fields">
+                <label>Step ${escapeHtml(node.id)}
+                    <input type="text" class="form-input" data-edit="label" value="${escapeHtml(node.label)}"${readOnly}>
+                </label>
+                <label>Shape
+                    <select class="form-input" data-edit="shape"${readOnly}>${options(SHAPE_LABELS, node.shape)}</select>
+                </label>
+                <label>Highlight
+                    <select class="form-input" data-edit="highlight"${readOnly}>
+                        <option value="">None</option>
+                        ${custom ? `<option value="custom" selected>Custom (${escapeHtml(custom)})</option>` : ''}
+                        ${options(HIGHLIGHT_LABELS, highlight)}
+                    </select>
+                </label>
+            </div>
+            ${others.length ? `
+            <div class="diagram-fields">
+                <label>Link to
+                    <select class="form-input" data-edit="target"${readOnly}>
+                        ${others.map(other => `<option value="${escapeHtml(other.id)}">${escapeHtml(other.id)}: ${escapeHtml(other.label)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Link label
+                    <input type="text" class="form-input" data-edit="link-label" placeholder="Optional"${readOnly}>
+                </label>
+                <button type="button" class="btn btn-small btn-secondary" data-action="connect"${readOnly}>Add link</button>
+            </div>` : ''}
+            <button type="button" class="btn btn-small btn-secondary" data-action="delete"${readOnly}>Delete step</button>
+        `;
+        return;
+    }
+
+    const edge = graph.edges[selected.edge];
+    const label = id => `${id}: ${graph.nodes.find(node => node.id === id).label}`;
+    inspector.innerHTML = `
+        <p class="diagram-edge-title">${escapeHtml(label(edge.from))} &rarr; ${escapeHtml(label(edge.to))}</p>
+        <div class="diagram-fields">
+            <label>Link label
+                <input type="text" class="form-input" data-edit="label" value="${escapeHtml(edge.label)}" placeholder="None"${readOnly}>
+            </label>
+            <label>Line
+                <select class="form-input" data-edit="type"${readOnly}>${options(EDGE_TYPE_LABELS, edge.type)}</select>
+            </label>
+        </div>
+        <button type="button" class="btn btn-small btn-secondary" data-action="reverse"${readOnly}>Reverse</button>
+        <button type="button" class="btn btn-small btn-secondary" data-action="delete"${readOnly}>Delete link</button>
+    `;
+}
+
+// Show one of the document's diagrams in a panel
+function showDiagram(panel, index) {
+    panel.index = index;
+    panel.selected = null;
+    panel.dirty = false;
+    const diagram = index === null ? null : doc.diagrams[index];
+    panel.graph = diagram ? Flowchart.parseFlowchart(diagram.source).graph : null;
+    panel.field('source').value = diagram ? diagram.source : '';
+    render(panel, { source: false });
+}
+
+// Each panel lists the document's flowcharts and starts on the one whose
+// heading matches its side, if any
+function showDocument(data) {
+    doc = data;
+    const flowcharts = doc.diagrams.filter(diagram => diagram.editable);
+    const taken = new Set();
+    ROLES.forEach(role => {
+        const panel = panels[role];
+        const choice = flowcharts.find(diagram => diagram.role === role) ||
+            flowcharts.find(diagram => !diagram.role && !taken.has(diagram.index)) ||
+            null;
+        const index = choice ? choice.index : null;
+        if (choice) taken.add(index);
+        panel.field('diagram').innerHTML = `<option value=""${index === null ? ' selected' : ''}>None</option>` +
+            flowcharts.map(diagram =>
+                `<option value="${diagram.index}"${diagram.index === index ? ' selected' : ''}>${escapeHtml(diagram.heading || `Diagram ${diagram.index + 1}`)}</option>`
+            ).join('');
+        showDiagram(panel, index);
+    });
+
+    showMessage(flowcharts.length ? '' : 'This document has no flowcharts to edit.');
+    document.getElementById('diagram-compare').classList.toggle('hidden', !flowcharts.length);
+}
+
+async function openDocument(path) {
+    showError('');
+    try {
+        const data = await api(`/api/workflow-docs/document?path=${encodeURIComponent(path)}`);
+        showDocument(data.document);
+        const url = new URL(window.location.href);
+        url.searchParams.set('path', path);
+        history.replaceState(null, '', url);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function loadDocuments() {
+    let documents;
+    try {
+        documents = (await api('/api/workflow-docs')).documents;
+    } catch (error) {
+        showMessage(error.message);
+        return;
+    }
+    if (!documents.length) {
+        showMessage('No workflow documents yet. Write one with npm run workflow-doc.');
+        return;
+    }
+
+    const wanted = new URLSearchParams(window.location.search).get('path');
+    const current = documents.some(item => item.path === wanted) ? wanted : documents[0].path;
+    document.getElementById('diagram-document').innerHTML = documents.map(item => `
+        <option value="${escapeHtml(item.path)}"${item.path === current ? ' selected' : ''}>
+            ${escapeHtml(item.title)} (${escapeHtml(item.path)}${item.read_only ? ', read only' : ''})
+        </option>
+    `).join('');
+    await openDocument(current);
+}
+
+async function save(panel) {
+    const button = panel.element.querySelector('[data-action="save"]');
+    button.disabled = true;
+    try {
+        const data = await api(`/api/workflow-docs/document/diagrams/${panel.index}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                path: doc.path,
+                version: doc.version,
+                source: Flowchart.serializeFlowchart(panel.graph)
+            })
+        });
+        // The other panel keeps its unsaved changes; only the version moves on
+        doc = data.document;
+        panel.dirty = false;
+        showError('');
+        render(panel, { source: false });
+        panel.field('source').value = doc.diagrams[panel.index].source;
+    } catch (error) {
+        showError(error.status === 409 ? `${error.message}. Unsaved changes will be lost on reload.` : error.message, error.problems);
+        button.disabled = false;
+    }
+}
+
+document.getElementById('diagram-document').addEventListener('change', function() {
+    if (isDirty() && !confirm('Discard unsaved diagram changes?')) {
+        this.value = doc.path;
+        return;
+    }
+    openDocument(this.value);
+});
+
+ROLES.forEach(role => {
+    const panel = panels[role];
+
+    panel.field('diagram').addEventListener('change', function() {
+        if (panel.dirty && !confirm('Discard unsaved changes to this diagram?')) {
+            this.value = panel.index === null ? '' : panel.index;
+            return;
+        }
+        showDiagram(panel, this.value === '' ? null : parseInt(this.value, 10));
+    });
+
+    panel.field('canvas').addEventListener('click', (e) => {
+        if (!panel.graph) return;
+        const node = e.target.closest('[data-node]');
+        const edge = e.target.closest('[data-edge]');
+        if (node) {
+            panel.selected = { node: node.getAttribute('data-node') };
+        } else if (edge) {
+            panel.selected = { edge: parseInt(edge.getAttribute('data-edge'), 10) };
+        } else {
+            panel.selected = null;
+        }
+        render(panel, { source: false });
+    });
+
+    panel.element.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button || button.disabled) return;
+        const graph = panel.graph;
+        const selected = panel.selected;
+
+        switch (button.dataset.action) {
+            case 'add': {
+                // New steps follow the selected one
+                const node = Flowchart.addNode(graph, 'New step');
+                if (selected && selected.node !== undefined) {
+                    graph.edges.push({ from: selected.node, to: node.id, label: '', type: 'arrow' });
+                }
+                panel.selected = { node: node.id };
+                changed(panel);
+                panel.field('inspector').querySelector('[data-edit="label"]').select();
+                break;
+            }
+            case 'connect': {
+                const inspector = panel.field('inspector');
+                const to = inspector.querySelector('[data-edit="target"]').value;
+                const label = inspector.querySelector('[data-edit="link-label"]').value.trim();
+                graph.edges.push({ from: selected.node, to, label, type: 'arrow' });
+                panel.selected = { edge: graph.edges.length - 1 };
+                changed(panel);
+                break;
+            }
+            case 'reverse': {
+                const edge = graph.edges[selected.edge];
+                [edge.from, edge.to] = [edge.to, edge.from];
+                changed(panel);
+                break;
+            }
+            case 'delete':
+                if (selected.node !== undefined) {
+                    Flowchart.removeNode(graph, selected.node);
+                } else {
+                    graph.edges.splice(selected.edge, 1);
+                }
+                panel.selected = null;
+                changed(panel);
+                break;
+            case 'revert':
+                if (confirm('Discard unsaved changes to this diagram?')) {
+                    showDiagram(panel, panel.index);
+                }
+                break;
+            case 'save':
+                save(panel);
+                break;
+        }
+    });
+
+    // Typing in a label redraws the diagram but keeps the input focused
+    panel.field('inspector').addEventListener('input', (e) => {
+        const input = e.target.closest('[data-edit]');
+        if (!input || input.tagName !== 'INPUT' || input.dataset.edit !== 'label') return;
+        const selected = panel.selected;
+        if (selected.node !== undefined) {
+            const label = input.value.trim();
+            input.classList.toggle('invalid', !label);
+            if (!label) return;
+            panel.graph.nodes.find(node => node.id === selected.node).label = label;
+        } else {
+            panel.graph.edges[selected.edge].label = input.value.trim();
+        }
+        panel.dirty = true;
+        panel.field('canvas').innerHTML = Flowchart.renderSvg(panel.graph, { selected, idPrefix: `diagram-${panel.role}` });
+        panel.field('source').value = Flowchart.serializeFlowchart(panel.graph);
+        panel.field('status').textContent = 'Unsaved changes';
+        panel.element.querySelectorAll('[data-action="save"], [data-action="revert"]').forEach(button => {
+            button.disabled = false;
+        });
+    });
+
+    panel.field('inspector').addEventListener('change', (e) => {
+        const select = e.target.closest('select[data-edit]');
+        if (!select || select.dataset.edit === 'target') return;
+        const selected = panel.selected;
+        if (select.dataset.edit === 'shape') {
+            panel.graph.nodes.find(node => node.id === selected.node).shape = select.value;
+        } else if (select.dataset.edit === 'highlight') {
+            if (select.value === 'custom') return;
+            Flowchart.setHighlight(panel.graph, selected.node, select.value || null);
+        } else if (select.dataset.edit === 'type') {
+            panel.graph.edges[selected.edge].type = select.value;
+        }
+        changed(panel);
+    });
+
+    // The source is parsed as it's typed; the diagram follows whenever it
+    // parses
+    panel.field('source').addEventListener('input', function() {
+        const { graph, problems } = Flowchart.parseFlowchart(this.value);
+        const list = panel.field('problems');
+        list.innerHTML = problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('');
+        list.classList.toggle('hidden', !problems.length);
+        panel.dirty = true;
+        panel.graph = graph;
+        panel.selected = null;
+        render(panel, { source: false });
+        panel.element.querySelector('[data-action="save"]').disabled = !graph;
+    });
+});
+
+window.addEventListener('beforeunload', (e) => {
+    if (isDirty()) {
+        e.preventDefault();
+        e.returnValue = '';
+    }
+});
+
+loadDocuments();
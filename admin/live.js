@@ -0,0 +1,240 @@
+// Live mockup session: starts (or picks up) the session for the mockup in
+// ?mockup=<id>. The spec's wording and numbers are listed for editing, and
+// each change is sent shortly after typing stops; the preview shows what
+// clients who joined with the code see.
+
+// Headings for the top-level parts of a spec
+const SECTION_LABELS = {
+    client: 'Page',
+    title: 'Page',
+    company: 'Page',
+    footer: 'Page',
+    hero: 'Overview',
+    cards: 'Overview',
+    workflow: 'Workflow demo',
+    form: 'Demo form',
+    processing: 'Processing log',
+    metrics: 'Demo metrics',
+    dashboard: 'Dashboard',
+    comparison: 'Comparison',
+    cta: 'Call to action'
+};
+
+const SEND_DELAY_MS = 500;
+const STATUS_POLL_MS = 10000;
+
+const mockupId = new URLSearchParams(window.location.search).get('mockup');
+const pending = new Map();
+let sendTimer = null;
+let session = null;
+
+// API helper: same-origin requests carry the session cookie. Errors keep
+// the response's spec problems, if any.
+async function api(url, options = {}) {
+    const response = await fetch(url, {
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+        throw new Error('Sign in on the leads page first');
+    }
+    if (!response.ok) {
+        const message = data.error || (data.errors && data.errors[0] && data.errors[0].msg);
+        const error = new Error(message || `Request failed (${response.status})`);
+        error.problems = data.problems || [];
+        throw error;
+    }
+    return data;
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function showError(message, problems = []) {
+    const element = document.getElementById('live-error');
+    element.innerHTML = escapeHtml(message) +
+        (problems.length ? `<ul>${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>` : '');
+    element.classList.toggle('hidden', !message);
+}
+
+function renderStatus() {
+    const viewers = session.viewers;
+    document.getElementById('live-status').textContent = [
+        `Version ${session.version}`,
+        `${viewers} watching (this preview included)`,
+        pending.size ? 'Changes not sent yet' : session.saved ? 'Saved' : 'Not saved yet'
+    ].join(' · ');
+}
+
+function renderFields(spec) {
+    const groups = [];
+    MockupSpec.listContent(spec).forEach(({ path, value }) => {
+        const top = path.match(/^[^.[]+/)[0];
+        const heading = SECTION_LABELS[top] || top;
+        let group = groups.find(candidate => candidate.heading === heading);
+        if (!group) {
+            group = { heading, fields: [] };
+            groups.push(group);
+        }
+        group.fields.push({ path, value, label: path === top ? top : path.slice(top.length).replace(/^\./, '') });
+    });
+
+    document.getElementById('live-fields').innerHTML = groups.map(group => `
+        <fieldset class="live-group">
+            <legend>${escapeHtml(group.heading)}</legend>
+            ${group.fields.map(field => `
+                <div class="form-group live-field">
+                    <label>${escapeHtml(field.label)}
+                        ${typeof field.value === 'number'
+                            ? `<input type="number" step="any" class="form-input" data-path="${escapeHtml(field.path)}" value="${escapeHtml(field.value)}">`
+                            : String(field.value).length > 60
+                                ? `<textarea class="form-input" rows="2" data-path="${escapeHtml(field.path)}">${escapeHtml(field.value)}</textarea>`
+                                : `<input type="text" class="form-input" data-path="${escapeHtml(field.path)}" value="${escapeHtml(field.value)}">`}
+                    </label>
+                </div>
+            `).join('')}
+        </fieldset>
+    `).join('');
+}
+
+// Send what's been typed since the last send. Refused changes are marked
+// on their inputs and the rest of the batch goes again; after any other
+// failure the whole batch waits for the next edit or save.
+async function sendChanges() {
+    clearTimeout(sendTimer);
+    sendTimer = null;
+    if (!pending.size) return;
+
+    const changes = Array.from(pending, ([path, value]) => ({ path, value }));
+    pending.clear();
+    try {
+        const data = await api(`/api/mockups/${mockupId}/live`, {
+            method: 'PATCH',
+            body: JSON.stringify({ changes })
+        });
+        session = { ...session, ...data.session };
+        showError('');
+    } catch (error) {
+        const refused = changes.filter(change => error.problems.some(problem => problem.startsWith(`${change.path} `)));
+        refused.forEach(change => {
+            document.querySelector(`[data-path="${CSS.escape(change.path)}"]`).classList.add('invalid');
+        });
+        showError(error.message, error.problems);
+        changes.filter(change => !refused.includes(change) && !pending.has(change.path))
+            .forEach(change => pending.set(change.path, change.value));
+        if (refused.length && pending.size) {
+            sendTimer = setTimeout(sendChanges, SEND_DELAY_MS);
+        }
+    }
+    renderStatus();
+}
+
+document.getElementById('live-fields').addEventListener('input', (e) => {
+    const input = e.target.closest('[data-path]');
+    if (!input) return;
+
+    const value = input.type === 'number' ? parseFloat(input.value) : input.value;
+    input.classList.remove('invalid');
+    if (input.type === 'number' && !Number.isFinite(value)) {
+        input.classList.add('invalid');
+        return;
+    }
+    pending.set(input.getAttribute('data-path'), value);
+    clearTimeout(sendTimer);
+    sendTimer = setTimeout(sendChanges, SEND_DELAY_MS);
+    renderStatus();
+});
+
+document.getElementById('live-filter').addEventListener('input', function() {
+    const term = this.value.trim().toLowerCase();
+    document.querySelectorAll('.live-field').forEach(field => {
+        const input = field.querySelector('[data-path]');
+        const text = `${input.getAttribute('data-path')} ${input.value}`.toLowerCase();
+        field.classList.toggle('hidden', Boolean(term) && !text.includes(term));
+    });
+    document.querySelectorAll('.live-group').forEach(group => {
+        group.classList.toggle('hidden', !group.querySelector('.live-field:not(.hidden)'));
+    });
+});
+
+document.getElementById('btn-live-save').addEventListener('click', async function() {
+    this.disabled = true;
+    try {
+        await sendChanges();
+        const data = await api(`/api/mockups/${mockupId}/live/save`, { method: 'POST' });
+        session = { ...session, ...data.session };
+        renderStatus();
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        this.disabled = false;
+    }
+});
+
+document.getElementById('btn-live-end').addEventListener('click', async function() {
+    if (!confirm('End the session for everyone and save the mockup as it is now?')) return;
+    this.disabled = true;
+    try {
+        await sendChanges();
+        await api(`/api/mockups/${mockupId}/live`, { method: 'DELETE' });
+        clearInterval(statusPoll);
+        document.getElementById('live-view').classList.add('hidden');
+        showMessage('Session ended. The mockup has been saved with these changes.');
+    } catch (error) {
+        showError(error.message);
+        this.disabled = false;
+    }
+});
+
+function showMessage(text) {
+    const message = document.getElementById('live-message');
+    message.textContent = text;
+    message.classList.remove('hidden');
+}
+
+// Viewers come and go, so the count is refreshed now and then
+const statusPoll = setInterval(async () => {
+    if (!session) return;
+    try {
+        const data = await api(`/api/mockups/${mockupId}/live`);
+        session = { ...session, ...data.session };
+        renderStatus();
+    } catch (error) {
+        showError(error.message);
+    }
+}, STATUS_POLL_MS);
+
+async function startSession() {
+    if (!mockupId) {
+        showMessage('Open a live session from a mockup on the lead page.');
+        return;
+    }
+    try {
+        const data = await api(`/api/mockups/${mockupId}/live`, { method: 'POST' });
+        session = data.session;
+    } catch (error) {
+        showMessage(error.message);
+        return;
+    }
+
+    document.getElementById('live-message').classList.add('hidden');
+    document.getElementById('live-view').classList.remove('hidden');
+    document.getElementById('live-code').textContent = session.code;
+    const joinUrl = document.getElementById('live-join-url');
+    joinUrl.href = session.join_url;
+    joinUrl.textContent = session.join_url;
+    document.getElementById('live-preview').src = `/m/live?code=${encodeURIComponent(session.code)}`;
+    renderFields(session.spec);
+    renderStatus();
+}
+
+startSession();
@@ -0,0 +1,840 @@
+// Pipeline stages, in order, with display labels
+const STATUS_LABELS = {
+    new: 'New',
+    call_booked: 'Call Booked',
+    mockup_delivered: 'Mockup Delivered',
+    proposal_sent: 'Proposal Sent',
+    won: 'Won',
+    lost: 'Lost'
+};
+
+const ATTRIBUTION_LABELS = [
+    ['utm_source', 'Source'],
+    ['utm_medium', 'Medium'],
+    ['utm_campaign', 'Campaign'],
+    ['utm_term', 'Term'],
+    ['utm_content', 'Content'],
+    ['referrer', 'Referrer'],
+    ['landing_path', 'Landing page']
+];
+
+const PAGE_SIZE = 25;
+
+let listState = {
+    offset: 0,
+    sort: 'created_at',
+    order: 'desc',
+    filters: {}
+};
+let currentLeadId = null;
+
+// Starting point for a new proposal's inputs: a discovery record's ROI
+// figures (see workflow-templates/README.md). The lead's company and
+// contact are filled in by the server.
+const PROPOSAL_TEMPLATE = {
+    workflow: 'Workflow name',
+    summary: '',
+    hours: {
+        rate: 45,
+        tasks: [{ task: 'Manual consolidation', per_week: 5 }]
+    },
+    errors: { records_per_week: 200, current_rate: 10, target_rate: 1, cost_per_error: 15 },
+    annual_costs: [],
+    costs: { development: 20000, hosting_monthly: 100, maintenance_monthly: 200 },
+    phases: [{ name: 'Database & core system', timeline: 'Week 1-2', tasks: [] }]
+};
+
+// API helper: same-origin requests carry the session cookie. Errors keep
+// the response's problems, if any.
+async function api(url, options = {}) {
+    const response = await fetch(url, {
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+        showLogin();
+        throw new Error(data.error || 'Authentication required');
+    }
+    if (!response.ok) {
+        const message = data.error || (data.errors && data.errors[0] && data.errors[0].msg);
+        const error = new Error(message || `Request failed (${response.status})`);
+        error.problems = data.problems || [];
+        throw error;
+    }
+    return data;
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// SQLite timestamps are UTC without a zone marker
+function formatDate(value) {
+    if (!value) return '';
+    return new Date(value.replace(' ', 'T') + 'Z').toLocaleString();
+}
+
+function statusBadge(status) {
+    return `<span class="badge badge-${escapeHtml(status)}">${escapeHtml(STATUS_LABELS[status] || status)}</span>`;
+}
+
+// Login / logout
+function showLogin() {
+    document.getElementById('login-view').classList.remove('hidden');
+    document.getElementById('dashboard-view').classList.add('hidden');
+    document.getElementById('header-user').classList.add('hidden');
+    closeDrawer();
+}
+
+function showDashboard(user) {
+    document.getElementById('login-view').classList.add('hidden');
+    document.getElementById('dashboard-view').classList.remove('hidden');
+    document.getElementById('header-user').classList.remove('hidden');
+    document.getElementById('current-user').textContent = user.username;
+    loadLeads();
+}
+
+document.getElementById('login-form').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const errorEl = document.getElementById('login-error');
+    errorEl.classList.add('hidden');
+
+    try {
+        const data = await api('/api/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({
+                username: document.getElementById('login-username').value,
+                password: document.getElementById('login-password').value
+            })
+        });
+        document.getElementById('login-password').value = '';
+        showDashboard(data.user);
+    } catch (error) {
+        errorEl.textContent = error.message;
+        errorEl.classList.remove('hidden');
+    }
+});
+
+document.getElementById('btn-logout').addEventListener('click', async () => {
+    await api('/api/auth/logout', { method: 'POST' }).catch(() => {});
+    showLogin();
+});
+
+// Dashboard tabs
+document.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.addEventListener('click', function() {
+        const tabName = this.getAttribute('data-tab');
+
+        // Update button states
+        document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+        this.classList.add('active');
+
+        // Update content
+        document.querySelectorAll('.dashboard-content').forEach(content => {
+            content.classList.remove('active');
+        });
+        document.getElementById(`tab-${tabName}`).classList.add('active');
+
+        if (tabName === 'analytics') {
+            loadStats();
+        }
+    });
+});
+
+// Lead list
+function buildQuery(extra = {}) {
+    const params = new URLSearchParams();
+    const values = { ...listState.filters, ...extra };
+    Object.keys(values).forEach(key => {
+        // Empty values are left out; the API treats a present but empty filter as invalid
+        if (values[key] !== '' && values[key] !== undefined && values[key] !== null) {
+            params.set(key, values[key]);
+        }
+    });
+    return params.toString();
+}
+
+async function loadLeads() {
+    const tbody = document.getElementById('leads-body');
+
+    try {
+        const data = await api(`/api/leads?${buildQuery({
+            limit: PAGE_SIZE,
+            offset: listState.offset,
+            sort: listState.sort,
+            order: listState.order
+        })}`);
+
+        tbody.innerHTML = data.leads.length === 0
+            ? '<tr><td colspan="6" class="empty">No leads match these filters</td></tr>'
+            : data.leads.map(lead => `
+                <tr data-id="${lead.id}">
+                    <td>${escapeHtml(formatDate(lead.created_at))}</td>
+                    <td>${escapeHtml(lead.name)}${lead.quarantined ? ' <span class="badge badge-lost">Spam</span>' : ''}</td>
+                    <td>${escapeHtml(lead.email)}</td>
+                    <td>${escapeHtml(lead.company)}</td>
+                    <td>${escapeHtml(lead.form_type)}</td>
+                    <td>${statusBadge(lead.status)}</td>
+                </tr>
+            `).join('');
+
+        const { total, offset, count, has_more: hasMore } = data.pagination;
+        document.getElementById('pager-info').textContent = total === 0
+            ? '0 leads'
+            : `${offset + 1}-${offset + count} of ${total}`;
+        document.getElementById('btn-prev').disabled = offset === 0;
+        document.getElementById('btn-next').disabled = !hasMore;
+        document.getElementById('btn-export').href = `/api/leads/export?${buildQuery({
+            format: 'xlsx',
+            sort: listState.sort,
+            order: listState.order
+        })}`;
+    } catch (error) {
+        tbody.innerHTML = `<tr><td colspan="6" class="empty">${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+document.getElementById('filters').addEventListener('submit', function(e) {
+    e.preventDefault();
+    listState.filters = Object.fromEntries(new FormData(this).entries());
+    listState.offset = 0;
+    loadLeads();
+});
+
+document.getElementById('btn-prev').addEventListener('click', () => {
+    listState.offset = Math.max(0, listState.offset - PAGE_SIZE);
+    loadLeads();
+});
+
+document.getElementById('btn-next').addEventListener('click', () => {
+    listState.offset += PAGE_SIZE;
+    loadLeads();
+});
+
+// Click a column header to sort; click again to flip the direction
+document.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', function() {
+        const field = this.getAttribute('data-sort');
+        listState.order = listState.sort === field && listState.order === 'desc' ? 'asc' : 'desc';
+        listState.sort = field;
+        listState.offset = 0;
+
+        document.querySelectorAll('th[data-sort]').forEach(h => h.classList.remove('sorted-asc', 'sorted-desc'));
+        this.classList.add(`sorted-${listState.order}`);
+        loadLeads();
+    });
+});
+
+document.getElementById('leads-body').addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-id]');
+    if (row) {
+        openLead(parseInt(row.getAttribute('data-id')));
+    }
+});
+
+// Lead detail
+async function openLead(id) {
+    currentLeadId = id;
+    document.getElementById('lead-drawer').classList.remove('hidden');
+    document.getElementById('lead-detail').innerHTML = '<p class="empty">Loading...</p>';
+
+    try {
+        const [detail, history] = await Promise.all([
+            api(`/api/leads/${id}`),
+            api(`/api/leads/${id}/history`)
+        ]);
+        renderLead(detail, history.history);
+    } catch (error) {
+        document.getElementById('lead-detail').innerHTML = `<p class="empty">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// One line per mockup on what its visitors did
+function mockupEngagement(engagement) {
+    if (!engagement || !engagement.sessions) {
+        return '<div class="timeline-note">Not opened yet</div>';
+    }
+    const parts = [
+        `${engagement.sessions} session${engagement.sessions === 1 ? '' : 's'}, last ${escapeHtml(formatDate(engagement.last_seen_at))}`
+    ];
+    if (engagement.furthest_step) {
+        parts.push(`Reached step ${engagement.furthest_step.step} of ${engagement.steps.length}: ${escapeHtml(engagement.furthest_step.title)}`);
+    }
+    const tabs = engagement.tabs.filter(tab => tab.views);
+    if (tabs.length) {
+        parts.push(`Tabs: ${tabs.map(tab => `${escapeHtml(tab.label)} (${tab.views})`).join(', ')}`);
+    }
+    if (engagement.cta_clicks.length) {
+        parts.push(`Clicked: ${engagement.cta_clicks.map(click => `${escapeHtml(click.label)} (${click.clicks})`).join(', ')}`);
+    }
+    return `<div class="timeline-note">${parts.join(' &middot; ')}</div>`;
+}
+
+function formatMoney(amount) {
+    return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+// Headline figures of a proposal
+function proposalFigures(roi) {
+    return [
+        `Saves ${formatMoney(roi.annual_savings)}/year`,
+        `costs ${formatMoney(roi.development)}`,
+        roi.payback_months === null ? 'no payback' : `pays back in ${roi.payback_months.toFixed(1)} months`,
+        roi.roi_year_one === null ? null : `Year 1 ROI ${Math.round(roi.roi_year_one * 100)}%`
+    ].filter(Boolean).join(' &middot; ');
+}
+
+function renderLead({ lead, submissions, attribution, bookings, files, mockups, proposals }, history) {
+    document.getElementById('lead-detail').innerHTML = `
+        <h2>${escapeHtml(lead.name)}</h2>
+        <p class="lead-meta">${statusBadge(lead.status)} ${lead.quarantined ? `<span class="badge badge-lost">Spam: ${escapeHtml(lead.spam_reason)}</span>` : ''}</p>
+        <dl class="lead-fields">
+            <dt>Email</dt><dd><a href="mailto:${escapeHtml(lead.email)}">${escapeHtml(lead.email)}</a></dd>
+            <dt>Company</dt><dd>${escapeHtml(lead.company) || '-'}</dd>
+            <dt>Form</dt><dd>${escapeHtml(lead.form_type)}</dd>
+            <dt>Created</dt><dd>${escapeHtml(formatDate(lead.created_at))}</dd>
+            ${lead.call_status ? `<dt>Call</dt><dd>${lead.call_status === 'canceled' ? 'Canceled' : 'Scheduled'} for ${escapeHtml(formatDate(lead.call_scheduled_at))}</dd>` : ''}
+        </dl>
+        <h3>Description</h3>
+        <p class="lead-description">${escapeHtml(lead.description) || '<em>No description</em>'}</p>
+    `;
+
+    document.getElementById('status-select').value = lead.status;
+
+    document.getElementById('lead-history').innerHTML = history.map(entry => `
+        <li>
+            <div class="timeline-title">
+                ${entry.from_status && entry.from_status !== entry.to_status ? `${statusBadge(entry.from_status)} &rarr; ` : ''}${statusBadge(entry.to_status)}
+            </div>
+            <div class="timeline-meta">${escapeHtml(formatDate(entry.created_at))} by ${escapeHtml(entry.changed_by)}</div>
+            ${entry.note ? `<div class="timeline-note">${escapeHtml(entry.note)}</div>` : ''}
+        </li>
+    `).join('') || '<li class="empty">No history</li>';
+
+    document.getElementById('lead-mockups').innerHTML = mockups.map(mockup => `
+        <li>
+            <div class="timeline-title">
+                <a href="${escapeHtml(mockup.url)}" target="_blank" rel="noopener">${escapeHtml(mockup.title)}</a>
+                ${mockup.status === 'unpublished' ? '&middot; Unpublished' : mockup.expired ? '&middot; Expired' : ''}
+            </div>
+            <div class="timeline-meta">
+                ${escapeHtml(formatDate(mockup.published_at))} &middot; ${mockup.view_count} view${mockup.view_count === 1 ? '' : 's'}
+                ${mockup.has_password ? '&middot; Password protected' : ''}
+                ${mockup.expires_at ? `&middot; Expires ${escapeHtml(formatDate(mockup.expires_at))}` : ''}
+            </div>
+            ${mockupEngagement(mockup.engagement)}
+            <button type="button" class="btn btn-small btn-secondary" data-comments-for="${mockup.id}">
+                Comments (${mockup.comments.open} open${mockup.comments.resolved ? `, ${mockup.comments.resolved} resolved` : ''})
+            </button>
+            <button type="button" class="btn btn-small btn-secondary" data-mockup-id="${mockup.id}"
+                data-mockup-status="${mockup.status === 'published' ? 'unpublished' : 'published'}">
+                ${mockup.status === 'published' ? 'Unpublish' : 'Publish again'}
+            </button>
+            <a class="btn btn-small btn-secondary" href="live.html?mockup=${mockup.id}" target="_blank">Edit live</a>
+            <div class="mockup-comments" id="mockup-comments-${mockup.id}"></div>
+        </li>
+    `).join('') || '<li class="empty">No mockups published</li>';
+
+    document.getElementById('lead-proposals').innerHTML = proposals.map(proposal => `
+        <li>
+            <div class="timeline-title">
+                <a href="/api/proposals/${proposal.id}/pdf">${escapeHtml(proposal.title)}</a>
+            </div>
+            <div class="timeline-meta">${escapeHtml(formatDate(proposal.created_at))} by ${escapeHtml(proposal.created_by || '-')}</div>
+            <div class="timeline-note">${proposalFigures(proposal.roi)}</div>
+            <button type="button" class="btn btn-small btn-secondary" data-delete-proposal="${proposal.id}">Delete</button>
+        </li>
+    `).join('') || '<li class="empty">No proposals yet</li>';
+    document.getElementById('proposal-form').classList.add('hidden');
+
+    document.getElementById('lead-schema').classList.add('hidden');
+    document.getElementById('lead-files').innerHTML = files.map(file => `
+        <li>
+            <div class="timeline-title">
+                <a href="/api/leads/${lead.id}/files/${file.id}">${escapeHtml(file.original_name)}</a>
+            </div>
+            <div class="timeline-meta">${escapeHtml(formatDate(file.created_at))} &middot; ${formatBytes(file.size_bytes)}</div>
+            ${renderFileReport(file)}
+        </li>
+    `).join('') || '<li class="empty">No files uploaded</li>';
+
+    document.getElementById('lead-bookings').innerHTML = bookings.map(booking => `
+        <li>
+            <div class="timeline-title">${escapeHtml(booking.event_name || 'Call')} &middot; ${booking.status === 'canceled' ? 'Canceled' : 'Scheduled'}</div>
+            <div class="timeline-meta">${escapeHtml(formatDate(booking.scheduled_at))} with ${escapeHtml(booking.invitee_email)}</div>
+            ${booking.cancel_reason ? `<div class="timeline-note">${escapeHtml(booking.cancel_reason)}</div>` : ''}
+        </li>
+    `).join('') || '<li class="empty">No calls booked</li>';
+
+    document.getElementById('lead-attribution').innerHTML = attribution.map(touch => `
+        <li>
+            <div class="timeline-title">${touch.touch === 'first' ? 'First touch' : 'Last touch'}</div>
+            <div class="timeline-meta">${escapeHtml(formatDate(touch.touched_at || touch.created_at))}</div>
+            <dl class="lead-fields">
+                ${ATTRIBUTION_LABELS.filter(([field]) => touch[field]).map(([field, label]) => `
+                    <dt>${label}</dt><dd>${escapeHtml(touch[field])}</dd>
+                `).join('')}
+            </dl>
+        </li>
+    `).join('') || '<li class="empty">No attribution recorded</li>';
+
+    document.getElementById('lead-submissions').innerHTML = submissions.map(submission => `
+        <li>
+            <div class="timeline-title">${escapeHtml(submission.form_type)} form</div>
+            <div class="timeline-meta">${escapeHtml(formatDate(submission.created_at))}</div>
+            ${submission.description ? `<div class="timeline-note">${escapeHtml(submission.description)}</div>` : ''}
+        </li>
+    `).join('') || '<li class="empty">No submissions</li>';
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Per-sheet summary of a spreadsheet's analysis report
+function renderFileReport(file) {
+    if (file.status === 'pending') {
+        return '<div class="timeline-note">Analyzing...</div>';
+    }
+    if (file.status === 'failed') {
+        return `<div class="timeline-note">Could not be analyzed: ${escapeHtml(file.error)}</div>`;
+    }
+
+    const { totals, sheets } = file.report;
+    const errorTypes = Object.entries(totals.errors_by_type)
+        .map(([error, count]) => `${escapeHtml(error)} &times; ${count}`).join(', ');
+    return `
+        <div class="timeline-note">${sheets.length} sheet(s), ${totals.rows} rows, ${totals.formulas} formulas, ${totals.errors} error cells${errorTypes ? ` (${errorTypes})` : ''}</div>
+        <dl class="lead-fields">
+            ${sheets.map(sheet => `
+                <dt>${escapeHtml(sheet.name)}${sheet.state !== 'visible' ? ` (${escapeHtml(sheet.state)})` : ''}</dt>
+                <dd>
+                    ${sheet.row_count} rows &times; ${sheet.column_count} columns, ${sheet.formula_count} formulas, ${sheet.error_count} errors
+                    ${sheet.headers.length ? `<div class="timeline-meta">${sheet.headers.map(header => escapeHtml(header || '(blank)')).join(', ')}</div>` : ''}
+                    ${sheet.error_cells.length ? `<div class="timeline-meta">Errors at ${sheet.error_cells.map(cell => `${escapeHtml(cell.cell)} ${escapeHtml(cell.error)}`).join(', ')}</div>` : ''}
+                </dd>
+            `).join('')}
+        </dl>
+    `;
+}
+
+const SCHEMA_TABLE_KINDS = { entity: 'Table', lookup: 'Lookup', child: 'Repeated columns' };
+
+// The database schema proposed for the lead's spreadsheets: its tables,
+// where each spreadsheet column goes, and the DDL
+function renderSchema(schema) {
+    return `
+        <dl class="lead-fields">
+            ${schema.tables.map(table => `
+                <dt>${escapeHtml(table.name)}</dt>
+                <dd>
+                    ${SCHEMA_TABLE_KINDS[table.kind]}${table.row_count ? ` &middot; ${table.row_count} rows` : ''}
+                    ${table.natural_key ? ` &middot; Key: ${table.natural_key.map(escapeHtml).join(' + ')}` : ''}
+                    ${table.columns.filter(column => column.issues.length).map(column => `
+                        <div class="timeline-meta">${escapeHtml(column.name)}: ${escapeHtml(column.issues.join('; '))}</div>
+                    `).join('')}
+                </dd>
+            `).join('')}
+        </dl>
+        <div class="timeline-title">Column mapping</div>
+        <dl class="lead-fields">
+            ${schema.mapping.map(entry => `
+                <dt>${escapeHtml(entry.column || '(sheet name)')}</dt>
+                <dd>
+                    ${escapeHtml(entry.table)}.${escapeHtml(entry.field)}
+                    ${entry.note ? `<div class="timeline-meta">${escapeHtml(entry.note)}</div>` : ''}
+                </dd>
+            `).join('')}
+        </dl>
+        <pre class="schema-ddl">${escapeHtml(schema.ddl)}</pre>
+    `;
+}
+
+document.getElementById('btn-lead-schema').addEventListener('click', async () => {
+    const element = document.getElementById('lead-schema');
+    if (!element.classList.contains('hidden')) {
+        element.classList.add('hidden');
+        return;
+    }
+    element.innerHTML = '<p class="empty">Reading spreadsheets...</p>';
+    element.classList.remove('hidden');
+    try {
+        const { schema } = await api(`/api/leads/${currentLeadId}/schema`);
+        element.innerHTML = renderSchema(schema);
+    } catch (error) {
+        element.innerHTML = `<p class="empty">${escapeHtml(error.message)}</p>`;
+    }
+});
+
+function closeDrawer() {
+    document.getElementById('lead-drawer').classList.add('hidden');
+    currentLeadId = null;
+}
+
+document.getElementById('btn-close-drawer').addEventListener('click', closeDrawer);
+
+document.getElementById('lead-drawer').addEventListener('click', (e) => {
+    if (e.target.id === 'lead-drawer') {
+        closeDrawer();
+    }
+});
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        closeDrawer();
+    }
+});
+
+document.getElementById('status-form').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    if (!currentLeadId) return;
+
+    const formData = new FormData(this);
+    const submitBtn = this.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        await api(`/api/leads/${currentLeadId}/status`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                status: formData.get('status'),
+                note: formData.get('note') || undefined
+            })
+        });
+        this.reset();
+        await openLead(currentLeadId);
+        loadLeads();
+    } catch (error) {
+        alert(error.message);
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+// Publish a mockup from the framework's example spec, to be edited from there
+document.getElementById('btn-new-mockup').addEventListener('click', async function() {
+    if (!currentLeadId) return;
+    this.disabled = true;
+    try {
+        await api('/api/mockups', { method: 'POST', body: JSON.stringify({ lead_id: currentLeadId }) });
+        await openLead(currentLeadId);
+    } catch (error) {
+        alert(error.message);
+    } finally {
+        this.disabled = false;
+    }
+});
+
+// Proposals: inputs are edited as JSON, checked with the ROI calculator
+// and saved as a new proposal; the newest one is what mockups offer
+function proposalInputs() {
+    try {
+        return JSON.parse(document.getElementById('proposal-form').inputs.value);
+    } catch (error) {
+        throw new Error(`Inputs are not valid JSON: ${error.message}`);
+    }
+}
+
+function showProposalError(error) {
+    const element = document.getElementById('proposal-error');
+    const problems = (error && error.problems) || [];
+    element.innerHTML = error
+        ? escapeHtml(error.message) + (problems.length ? `<ul>${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>` : '')
+        : '';
+    element.classList.toggle('hidden', !error);
+}
+
+document.getElementById('btn-new-proposal').addEventListener('click', () => {
+    const form = document.getElementById('proposal-form');
+    if (!form.inputs.value) {
+        form.inputs.value = JSON.stringify(PROPOSAL_TEMPLATE, null, 2);
+    }
+    form.classList.toggle('hidden');
+});
+
+document.getElementById('btn-check-proposal').addEventListener('click', async () => {
+    const figures = document.getElementById('proposal-figures');
+    figures.classList.add('hidden');
+    try {
+        const { roi } = await api('/api/proposals/roi', {
+            method: 'POST',
+            body: JSON.stringify({ inputs: proposalInputs() })
+        });
+        figures.innerHTML = proposalFigures(roi);
+        figures.classList.remove('hidden');
+        showProposalError(null);
+    } catch (error) {
+        showProposalError(error);
+    }
+});
+
+document.getElementById('proposal-form').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const submitBtn = this.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    try {
+        await api('/api/proposals', {
+            method: 'POST',
+            body: JSON.stringify({
+                lead_id: currentLeadId,
+                title: this.elements.title.value.trim() || undefined,
+                inputs: proposalInputs()
+            })
+        });
+        this.reset();
+        document.getElementById('proposal-figures').classList.add('hidden');
+        showProposalError(null);
+        await openLead(currentLeadId);
+    } catch (error) {
+        showProposalError(error);
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+document.getElementById('lead-proposals').addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-delete-proposal]');
+    if (!button || !confirm('Delete this proposal? Mockups will offer the previous one, if any.')) return;
+    button.disabled = true;
+    try {
+        await api(`/api/proposals/${button.getAttribute('data-delete-proposal')}`, { method: 'DELETE' });
+        await openLead(currentLeadId);
+    } catch (error) {
+        alert(error.message);
+        button.disabled = false;
+    }
+});
+
+// Client feedback threads of a mockup, with replies and resolve/reopen
+async function loadMockupComments(mockupId) {
+    const container = document.getElementById(`mockup-comments-${mockupId}`);
+    const { threads } = await api(`/api/mockups/${mockupId}/comments`);
+    container.innerHTML = threads.map(thread => `
+        <div class="comment-thread${thread.resolved ? ' resolved' : ''}">
+            <div class="timeline-meta">
+                On <strong>${escapeHtml(thread.element_label || thread.element_key)}</strong>
+                ${thread.resolved ? `&middot; Resolved by ${escapeHtml(thread.resolved_by || '-')}` : ''}
+            </div>
+            ${[thread, ...thread.replies].map(comment => `
+                <div class="timeline-note">
+                    <strong>${escapeHtml(comment.author_name || (comment.author_type === 'admin' ? 'Team' : 'Client'))}</strong>
+                    <span class="timeline-meta">${escapeHtml(formatDate(comment.created_at))}</span><br>
+                    ${escapeHtml(comment.body)}
+                </div>
+            `).join('')}
+            <form class="comment-reply" data-mockup="${mockupId}" data-parent="${thread.id}">
+                <input type="text" name="body" class="form-input" placeholder="Reply" maxlength="2000" required>
+                <button type="submit" class="btn btn-small btn-primary">Reply</button>
+            </form>
+            <button type="button" class="btn btn-small btn-secondary" data-thread-id="${thread.id}" data-mockup="${mockupId}"
+                data-resolved="${thread.resolved ? 'false' : 'true'}">
+                ${thread.resolved ? 'Reopen' : 'Resolve'}
+            </button>
+        </div>
+    `).join('') || '<p class="empty">No comments yet</p>';
+}
+
+document.getElementById('lead-mockups').addEventListener('submit', async (e) => {
+    const form = e.target.closest('.comment-reply');
+    if (!form) return;
+    e.preventDefault();
+    const mockupId = form.getAttribute('data-mockup');
+    try {
+        await api(`/api/mockups/${mockupId}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ parent_id: parseInt(form.getAttribute('data-parent'), 10), body: form.body.value })
+        });
+        await loadMockupComments(mockupId);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+document.getElementById('lead-mockups').addEventListener('click', async (e) => {
+    const commentsButton = e.target.closest('[data-comments-for]');
+    const threadButton = e.target.closest('[data-thread-id]');
+    try {
+        if (commentsButton) {
+            await loadMockupComments(commentsButton.getAttribute('data-comments-for'));
+        } else if (threadButton) {
+            const mockupId = threadButton.getAttribute('data-mockup');
+            await api(`/api/mockups/${mockupId}/comments/${threadButton.getAttribute('data-thread-id')}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ resolved: threadButton.getAttribute('data-resolved') === 'true' })
+            });
+            await loadMockupComments(mockupId);
+        }
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+document.getElementById('lead-mockups').addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-mockup-id]');
+    if (!button) return;
+    button.disabled = true;
+    try {
+        await api(`/api/mockups/${button.getAttribute('data-mockup-id')}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status: button.getAttribute('data-mockup-status') })
+        });
+        await openLead(currentLeadId);
+    } catch (error) {
+        alert(error.message);
+        button.disabled = false;
+    }
+});
+
+// Analytics
+const INTERVAL_LABELS = { day: 'Daily', week: 'Weekly', month: 'Monthly' };
+const CHART_COLORS = ['#2563eb', '#10b981', '#f59e0b', '#6366f1', '#ef4444'];
+
+let statsFilters = {};
+
+async function loadStats() {
+    const params = new URLSearchParams();
+    Object.keys(statsFilters).forEach(key => {
+        if (statsFilters[key]) {
+            params.set(key, statsFilters[key]);
+        }
+    });
+
+    try {
+        const { stats } = await api(`/api/stats?${params.toString()}`);
+        renderMetrics(stats);
+        renderSeriesChart(stats);
+        renderBarList('chart-funnel', stats.funnel.map(row => ({
+            label: STATUS_LABELS[row.stage],
+            count: row.count,
+            detail: row.conversion_rate === null ? '' : `${row.conversion_rate}%`
+        })), stats.summary.leads);
+        renderBarList('chart-forms', stats.by_form_type.map(row => ({ label: row.form_type || 'unknown', count: row.count })));
+        renderBarList('chart-sources', stats.by_utm_source.map(row => ({ label: row.utm_source, count: row.count })));
+        renderBarList('chart-campaigns', stats.by_utm_campaign.map(row => ({ label: row.utm_campaign, count: row.count })));
+        renderBarList('chart-referrers', stats.by_referrer.map(row => ({ label: row.referrer_domain, count: row.count })));
+        renderBarList('chart-domains', stats.by_company_domain.map(row => ({ label: row.domain, count: row.count })));
+    } catch (error) {
+        document.getElementById('metrics').innerHTML = `<p class="empty">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+document.getElementById('stats-filters').addEventListener('submit', function(e) {
+    e.preventDefault();
+    statsFilters = Object.fromEntries(new FormData(this).entries());
+    loadStats();
+});
+
+function trend(change) {
+    if (!change || change.change_pct === null) {
+        return '<span class="trend">-</span>';
+    }
+    const direction = change.change_pct >= 0 ? 'positive' : 'negative';
+    const sign = change.change_pct > 0 ? '+' : '';
+    return `<span class="trend ${direction}">${sign}${change.change_pct}%</span>`;
+}
+
+function metricBox(title, period, value, change) {
+    return `
+        <div class="metric-box">
+            <div class="metric-header">
+                <span class="metric-title">${escapeHtml(title)}</span>
+                <span class="metric-period">${escapeHtml(period)}</span>
+            </div>
+            <div class="metric-main">${escapeHtml(value)}</div>
+            ${change === undefined ? '' : `
+                <div class="metric-footer">
+                    ${trend(change)}
+                    <span>vs previous period (${escapeHtml(change ? change.previous ?? '-' : '-')})</span>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+function renderMetrics(stats) {
+    const { summary, comparison, range } = stats;
+    const period = `${range.days} Days`;
+    const changeFor = key => (comparison ? comparison[key] : null);
+
+    document.getElementById('metrics').innerHTML = [
+        metricBox('Total Leads', 'All Time', stats.total_leads.toLocaleString()),
+        metricBox('New Leads', period, summary.leads.toLocaleString(), changeFor('leads')),
+        metricBox('Calls Booked', period, summary.calls_booked.toLocaleString(), changeFor('calls_booked')),
+        metricBox('Win Rate', period, summary.win_rate === null ? '-' : `${summary.win_rate}%`, changeFor('win_rate')),
+        metricBox('Time to Call', 'Median',
+            summary.median_hours_to_call === null ? '-' : `${summary.median_hours_to_call}h`,
+            changeFor('median_hours_to_call'))
+    ].join('');
+}
+
+function renderSeriesChart(stats) {
+    const { series, range } = stats;
+    const max = Math.max(1, ...series.map(d => d.count));
+    const width = 400;
+    const height = 200;
+    const barWidth = width / series.length;
+
+    document.getElementById('chart-series-title').textContent =
+        `${INTERVAL_LABELS[range.interval]} Leads (${range.from} to ${range.to})`;
+
+    const bars = series.map((d, i) => {
+        const barHeight = (d.count / max) * (height - 30);
+        return `<rect x="${i * barWidth + 1}" y="${height - 20 - barHeight}" width="${Math.max(1, barWidth - 2)}" height="${barHeight}" fill="#2563eb">
+            <title>${d.period}: ${d.count}</title>
+        </rect>`;
+    }).join('');
+
+    document.getElementById('chart-series').innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" class="line-chart">
+            ${bars}
+            <line x1="0" y1="${height - 20}" x2="${width}" y2="${height - 20}" stroke="#e5e7eb" stroke-width="1"/>
+            <text x="0" y="${height - 5}" class="chart-label">${series[0].period}</text>
+            <text x="${width}" y="${height - 5}" class="chart-label" text-anchor="end">${series[series.length - 1].period}</text>
+        </svg>
+    `;
+}
+
+// Horizontal bars sized against the total (or the given base)
+function renderBarList(elementId, rows, base) {
+    const total = base || rows.reduce((sum, row) => sum + row.count, 0);
+
+    document.getElementById(elementId).innerHTML = total === 0
+        ? '<p class="empty">No leads in this range</p>'
+        : `<div class="bar-list">${rows.map((row, i) => {
+            const percent = Math.round(row.count / total * 100);
+            return `
+                <div class="bar-item">
+                    <span class="bar-label" title="${escapeHtml(row.label)}">${escapeHtml(row.label)}</span>
+                    <div class="bar-track">
+                        <div class="bar-fill" style="width: ${percent}%; background: ${CHART_COLORS[i % CHART_COLORS.length]};"></div>
+                    </div>
+                    <span class="bar-value">${row.count} (${row.detail === undefined ? `${percent}%` : escapeHtml(row.detail) || '-'})</span>
+                </div>
+            `;
+        }).join('')}</div>`;
+}
+
+// Populate status pickers and check for an existing session
+function init() {
+    const options = Object.keys(STATUS_LABELS)
+        .map(status => `<option value="${status}">${STATUS_LABELS[status]}</option>`)
+        .join('');
+    document.getElementById('filter-status').insertAdjacentHTML('beforeend', options);
+    document.getElementById('status-select').innerHTML = options;
+
+    api('/api/auth/me')
+        .then(data => showDashboard(data.user))
+        .catch(() => showLogin());
+}
+
+init();
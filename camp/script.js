@@ -64,12 +64,34 @@ document.addEventListener('DOMContentLoaded', () => {
         revealObserver.observe(element);
     });
     
-    // File upload visual feedback removed - no longer needed
+    // Show the chosen spreadsheet's name in place of the prompt
+    const UPLOAD_TYPES = ['xlsx', 'csv'];
+    const UPLOAD_MAX_BYTES = 10 * 1024 * 1024;
+    
+    document.querySelectorAll('.file-upload input[type="file"]').forEach(input => {
+        const fileText = input.parentElement.querySelector('.file-text');
+        const prompt = fileText.textContent;
+        
+        input.addEventListener('change', () => {
+            fileText.textContent = input.files.length ? input.files[0].name : prompt;
+        });
+        input.form.addEventListener('reset', () => {
+            fileText.textContent = prompt;
+        });
+    });
+    
+    applyExperiments();
     
     // Form validation and submission handling
     const scanForm = document.getElementById('scanForm');
     const challengeForm = document.getElementById('challengeForm');
     
+    // When the forms became available, so the server can spot instant bot submissions
+    const formsShownAt = Date.now();
+    
+    // Campaign, referrer and landing page of this visit and the first one
+    const attribution = trackAttribution();
+    
     if (scanForm) {
         scanForm.addEventListener('submit', handleFormSubmit);
     }
@@ -116,6 +138,21 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
+        // Spreadsheets are checked here too, so a wrong file doesn't cost a round trip
+        const fileInput = form.querySelector('input[type="file"]');
+        const file = fileInput && fileInput.files.length ? fileInput.files[0] : null;
+        if (file) {
+            const extension = file.name.split('.').pop().toLowerCase();
+            if (!UPLOAD_TYPES.includes(extension)) {
+                showNotification('Please choose an .xlsx or .csv file', 'error');
+                return;
+            }
+            if (file.size > UPLOAD_MAX_BYTES) {
+                showNotification('Please choose a file of 10 MB or less', 'error');
+                return;
+            }
+        }
+        
         // Show loading state
         const submitButton = form.querySelector('button[type="submit"]');
         const originalText = submitButton.textContent;
@@ -128,7 +165,11 @@ document.addEventListener('DOMContentLoaded', () => {
             email: formData.get('email'),
             company: formData.get('company') || '',
             description: formData.get('description') || '',
-            form_type: formType
+            form_type: formType,
+            website: formData.get('website') || '',
+            form_started_at: formsShownAt,
+            attribution: attribution,
+            has_upload: Boolean(file)
         };
         
         // Send to backend API
@@ -138,24 +179,66 @@ document.addEventListener('DOMContentLoaded', () => {
             body: JSON.stringify(leadData)
         })
         .then(response => {
-            if (!response.ok) {
-                throw new Error('Network response was not ok');
+            return response.json().then(data => {
+                if (!response.ok) {
+                    // Surface the server's reason (rate limit, blocked email, ...)
+                    const error = new Error('Network response was not ok');
+                    error.userMessage = data.error || (data.errors && data.errors[0] && data.errors[0].msg);
+                    throw error;
+                }
+                return data;
+            });
+        })
+        .then(data => {
+            // The lead is saved by now, so a failed upload doesn't stop booking
+            if (!file || !data.upload_token) {
+                return data;
             }
-            return response.json();
+            submitButton.textContent = 'Uploading...';
+            return uploadSpreadsheet(data, file)
+                .catch(error => {
+                    console.error('Upload error:', error);
+                    showNotification(`We saved your details but couldn't upload the file: ${error.message}. Please bring it to the call.`, 'error');
+                    return new Promise(resolve => setTimeout(resolve, 3000));
+                })
+                .then(() => data);
         })
         .then(data => {
-            // Redirect to Calendly
-            const calendlyUrl = 'https://calendly.com/vsol/meeting-with-bandeira';
-            window.location.href = calendlyUrl;
+            // Accepted submissions go on to booking, wherever the server says
+            if (data.accepted === false || !data.booking_url) {
+                showNotification('Thanks! We will be in touch.', 'success');
+                form.reset();
+                submitButton.textContent = originalText;
+                submitButton.disabled = false;
+                return;
+            }
+            
+            window.location.href = data.booking_url;
         })
         .catch(error => {
             console.error('Error:', error);
-            showNotification('Something went wrong. Please try again.', 'error');
+            showNotification(error.userMessage || 'Something went wrong. Please try again.', 'error');
             submitButton.textContent = originalText;
             submitButton.disabled = false;
         });
     }
     
+    function uploadSpreadsheet(lead, file) {
+        const body = new FormData();
+        body.append('file', file);
+        
+        return fetch(lead.upload_url, {
+            method: 'POST',
+            headers: { 'X-Upload-Token': lead.upload_token },
+            body: body
+        }).then(response => response.json().then(data => {
+            if (!response.ok) {
+                throw new Error(data.error || 'Upload failed');
+            }
+            return data;
+        }));
+    }
+    
     function isValidEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
@@ -428,6 +511,100 @@ function debounce(func, wait) {
     };
 }
 
+// A/B experiments: swap in this visitor's variant copy for every running
+// experiment, then report them as seen. The server picks the variant from
+// the visitor cookie, so a later lead submission counts as a conversion.
+function applyExperiments() {
+    fetch('/api/experiments/assignments', { credentials: 'same-origin' })
+        .then(response => (response.ok ? response.json() : { assignments: [] }))
+        .then(data => {
+            const assignments = data.assignments || [];
+            
+            assignments.forEach(assignment => {
+                Object.keys(assignment.content).forEach(slot => {
+                    document.querySelectorAll(`[data-experiment-slot="${slot}"]`).forEach(element => {
+                        element.textContent = assignment.content[slot];
+                    });
+                });
+            });
+            
+            if (assignments.length === 0) {
+                return;
+            }
+            
+            return fetch('/api/experiments/exposures', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ experiments: assignments.map(assignment => assignment.experiment) })
+            });
+        })
+        .catch(error => {
+            // The original copy stays in place
+            console.error('Experiments unavailable:', error);
+        });
+}
+
+// Marketing attribution, kept in localStorage across visits. The first touch
+// is stored once; the last touch is replaced by any visit that came from a
+// campaign link or another site.
+const ATTRIBUTION_KEY = 'lead_attribution';
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+function currentTouch() {
+    const params = new URLSearchParams(window.location.search);
+    const touch = {
+        landing_path: window.location.pathname,
+        touched_at: new Date().toISOString()
+    };
+    
+    UTM_PARAMS.forEach(name => {
+        if (params.get(name)) {
+            touch[name] = params.get(name);
+        }
+    });
+    
+    // Moving between pages of this site is not a new referral
+    if (document.referrer) {
+        try {
+            if (new URL(document.referrer).host !== window.location.host) {
+                touch.referrer = document.referrer;
+            }
+        } catch (e) {
+            // Ignore malformed referrers
+        }
+    }
+    
+    return touch;
+}
+
+function trackAttribution() {
+    const touch = currentTouch();
+    const isReferral = touch.referrer || UTM_PARAMS.some(name => touch[name]);
+    let stored = {};
+    
+    try {
+        stored = JSON.parse(localStorage.getItem(ATTRIBUTION_KEY)) || {};
+    } catch (e) {
+        stored = {};
+    }
+    
+    if (!stored.first_touch) {
+        stored.first_touch = touch;
+    }
+    if (!stored.last_touch || isReferral) {
+        stored.last_touch = touch;
+    }
+    
+    try {
+        localStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(stored));
+    } catch (e) {
+        // Storage can be disabled; this visit is still attributed
+    }
+    
+    return stored;
+}
+
 // Log page load performance
 window.addEventListener('load', () => {
     if (window.performance && window.performance.timing) {
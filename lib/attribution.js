@@ -0,0 +1,113 @@
+const { run, all, toSqlDate } = require('./db');
+
+// first: the visit that first brought the person to the site
+// last: the most recent visit that came from a campaign or another site
+const ATTRIBUTION_TOUCHES = ['first', 'last'];
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const ATTRIBUTION_FIELDS = [...UTM_FIELDS, 'referrer', 'referrer_domain', 'landing_path'];
+
+const FIELD_MAX_LENGTH = {
+  referrer: 2000,
+  landing_path: 500
+};
+const DEFAULT_MAX_LENGTH = 200;
+
+function referrerDomain(referrer) {
+  try {
+    return new URL(referrer).hostname.replace(/^www\./, '').toLowerCase() || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Clean up one touch as sent by the landing page. Returns null when there
+// is nothing worth keeping.
+function normalizeTouch(touch) {
+  if (!touch || typeof touch !== 'object') {
+    return null;
+  }
+
+  const clean = {};
+  [...UTM_FIELDS, 'referrer', 'landing_path'].forEach((field) => {
+    const value = typeof touch[field] === 'string' ? touch[field].trim() : '';
+    clean[field] = value ? value.slice(0, FIELD_MAX_LENGTH[field] || DEFAULT_MAX_LENGTH) : null;
+  });
+  // Campaign values are compared across leads, so case shouldn't split them
+  UTM_FIELDS.forEach((field) => {
+    if (clean[field]) {
+      clean[field] = clean[field].toLowerCase();
+    }
+  });
+  clean.referrer_domain = clean.referrer ? referrerDomain(clean.referrer) : null;
+
+  // Client clocks can be off; a touch can't be later than now
+  const touchedAt = Date.parse(touch.touched_at);
+  clean.touched_at = Number.isNaN(touchedAt) ? null : toSqlDate(new Date(Math.min(touchedAt, Date.now())));
+
+  return ATTRIBUTION_FIELDS.some(field => clean[field]) ? clean : null;
+}
+
+// Campaign source to file the lead under: first touch, else last touch
+function attributedSource(attribution) {
+  if (!attribution) {
+    return null;
+  }
+  const first = normalizeTouch(attribution.first_touch);
+  const last = normalizeTouch(attribution.last_touch);
+  return (first && first.utm_source) || (last && last.utm_source) || null;
+}
+
+// Store the touches sent with one submission
+async function recordAttribution(leadId, submissionId, attribution) {
+  if (!attribution) {
+    return [];
+  }
+
+  const ids = [];
+  for (const touch of ATTRIBUTION_TOUCHES) {
+    const clean = normalizeTouch(attribution[`${touch}_touch`]);
+    if (!clean) {
+      continue;
+    }
+    const { lastID } = await run(
+      `INSERT INTO lead_attribution (lead_id, submission_id, touch, ${ATTRIBUTION_FIELDS.join(', ')}, touched_at)
+       VALUES (?, ?, ?, ${ATTRIBUTION_FIELDS.map(() => '?').join(', ')}, ?)`,
+      [leadId, submissionId || null, touch, ...ATTRIBUTION_FIELDS.map(field => clean[field]), clean.touched_at]
+    );
+    ids.push(lastID);
+  }
+  return ids;
+}
+
+async function getAttribution(leadId) {
+  return all(
+    'SELECT * FROM lead_attribution WHERE lead_id = ? ORDER BY created_at ASC, id ASC',
+    [leadId]
+  );
+}
+
+// SQL for one attribution field of the lead in the current row of `leads`,
+// taken from its earliest first touch or its latest last touch. Field and
+// touch are whitelisted, so they are safe to interpolate.
+function attributionColumnSql(field, touch = 'first') {
+  if (!ATTRIBUTION_FIELDS.includes(field) || !ATTRIBUTION_TOUCHES.includes(touch)) {
+    throw new Error(`Unknown attribution field: ${touch}.${field}`);
+  }
+  const direction = touch === 'first' ? 'ASC' : 'DESC';
+  return `(SELECT ${field} FROM lead_attribution
+    WHERE lead_attribution.lead_id = leads.id AND lead_attribution.touch = '${touch}'
+    ORDER BY COALESCE(lead_attribution.touched_at, lead_attribution.created_at) ${direction}, lead_attribution.id ${direction}
+    LIMIT 1)`;
+}
+
+module.exports = {
+  ATTRIBUTION_TOUCHES,
+  UTM_FIELDS,
+  ATTRIBUTION_FIELDS,
+  FIELD_MAX_LENGTH,
+  normalizeTouch,
+  attributedSource,
+  recordAttribution,
+  getAttribution,
+  attributionColumnSql
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { run, get, toSqlDate } = require('./db');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'admin_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+const KEY_LENGTH = 64;
+
+// Passwords are stored as "scrypt$<salt>$<hash>" so the format can change later
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, derived);
+}
+
+// Only a hash of the session token is stored, so a leaked database can't be replayed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createAdminUser(username, password) {
+  const passwordHash = await hashPassword(password);
+  const result = await run(
+    'INSERT INTO admin_users (username, password_hash) VALUES (?, ?)',
+    [username, passwordHash]
+  );
+  return result.lastID;
+}
+
+// Returns the user row when the credentials match, otherwise null
+async function authenticate(username, password) {
+  const user = await get('SELECT * FROM admin_users WHERE username = ?', [username]);
+  if (!user || !(await verifyPassword(password, user.password_hash))) {
+    return null;
+  }
+  return user;
+}
+
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+  // Clear out expired sessions while we're here
+  await run("DELETE FROM admin_sessions WHERE expires_at <= datetime('now')");
+  await run(
+    'INSERT INTO admin_sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [userId, hashToken(token), toSqlDate(expiresAt)]
+  );
+  await run('UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [userId]);
+
+  return { token, expiresAt };
+}
+
+async function findSession(token) {
+  return get(`
+    SELECT admin_sessions.id AS session_id, admin_users.id, admin_users.username
+    FROM admin_sessions
+    JOIN admin_users ON admin_users.id = admin_sessions.user_id
+    WHERE admin_sessions.token_hash = ? AND admin_sessions.expires_at > datetime('now')
+  `, [hashToken(token)]);
+}
+
+async function destroySession(token) {
+  await run('DELETE FROM admin_sessions WHERE token_hash = ?', [hashToken(token)]);
+}
+
+// Session token from "Authorization: Bearer <token>" or the session cookie
+function getRequestToken(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return (req.cookies && req.cookies[SESSION_COOKIE]) || null;
+}
+
+// Middleware guarding admin-only routes
+async function requireAdmin(req, res, next) {
+  const token = getRequestToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    const session = await findSession(token);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Session expired or invalid' });
+    }
+    req.admin = { id: session.id, username: session.username };
+    req.sessionToken = token;
+    next();
+  } catch (err) {
+    console.error('Error checking session:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to verify session' });
+  }
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  hashPassword,
+  verifyPassword,
+  createAdminUser,
+  authenticate,
+  createSession,
+  destroySession,
+  getRequestToken,
+  requireAdmin
+};
@@ -0,0 +1,105 @@
+// Where accepted leads go to book a call. CALENDLY_URL is the default link;
+// BOOKING_RULES routes some leads to other links. It is a JSON array checked
+// in order, first match wins:
+//   [{ "match": { "form_type": "challenge" }, "url": "https://calendly.com/you/60min" }]
+// A match value can be a string or a list of strings, compared case-insensitively.
+const MATCH_FIELDS = ['form_type', 'utm_source', 'email_domain'];
+
+let config = null;
+
+function parseUrl(value, label) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    throw new Error(`${label} is not a valid URL: ${value}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`${label} must be an http(s) URL: ${value}`);
+  }
+  return url.toString();
+}
+
+function parseRule(rule, index) {
+  const label = `BOOKING_RULES[${index}]`;
+  if (!rule || typeof rule.match !== 'object' || rule.match === null || Array.isArray(rule.match)) {
+    throw new Error(`${label} needs a "match" object`);
+  }
+
+  const unknown = Object.keys(rule.match).filter(field => !MATCH_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`${label} matches on unknown field(s): ${unknown.join(', ')}. Use: ${MATCH_FIELDS.join(', ')}`);
+  }
+
+  const match = {};
+  Object.entries(rule.match).forEach(([field, value]) => {
+    match[field] = (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+  });
+  return { match, url: parseUrl(rule.url, `${label}.url`) };
+}
+
+// Read and check the booking settings. Throws with a clear message when
+// they are malformed, so a bad deploy fails at startup instead of per lead.
+function loadBookingConfig(env = process.env) {
+  const defaultUrl = env.CALENDLY_URL ? parseUrl(env.CALENDLY_URL, 'CALENDLY_URL') : null;
+
+  let rules = [];
+  if (env.BOOKING_RULES) {
+    let parsed;
+    try {
+      parsed = JSON.parse(env.BOOKING_RULES);
+    } catch (err) {
+      throw new Error(`BOOKING_RULES is not valid JSON: ${err.message}`);
+    }
+    if (!Array.isArray(parsed)) {
+      throw new Error('BOOKING_RULES must be a JSON array');
+    }
+    rules = parsed.map(parseRule);
+  }
+
+  config = { defaultUrl, rules };
+  return config;
+}
+
+function getBookingConfig() {
+  return config || loadBookingConfig();
+}
+
+function ruleMatches(rule, facts) {
+  return Object.entries(rule.match).every(([field, values]) =>
+    values.includes(String(facts[field] || '').toLowerCase())
+  );
+}
+
+// Booking link for a lead with name and email prefilled, or null when no
+// booking link is configured
+function bookingUrlFor({ name, email, form_type: formType, utm_source: utmSource }) {
+  const { defaultUrl, rules } = getBookingConfig();
+  const facts = {
+    form_type: formType || 'general',
+    utm_source: utmSource,
+    email_domain: String(email || '').split('@').pop()
+  };
+
+  const rule = rules.find(candidate => ruleMatches(candidate, facts));
+  const base = rule ? rule.url : defaultUrl;
+  if (!base) {
+    return null;
+  }
+
+  const url = new URL(base);
+  if (name) {
+    url.searchParams.set('name', name);
+  }
+  if (email) {
+    url.searchParams.set('email', email);
+  }
+  return url.toString();
+}
+
+module.exports = {
+  MATCH_FIELDS,
+  loadBookingConfig,
+  getBookingConfig,
+  bookingUrlFor
+};
@@ -0,0 +1,128 @@
+const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const DB_PATH = process.env.DB_PATH || './data/leads.db';
+const DB_DIR = path.dirname(DB_PATH);
+
+// Ensure data directory exists
+if (DB_PATH !== ':memory:' && !fs.existsSync(DB_DIR)) {
+  fs.mkdirSync(DB_DIR, { recursive: true });
+}
+
+const db = new sqlite3.Database(DB_PATH, (err) => {
+  if (err) {
+    console.error('Error opening database:', err.message);
+  } else {
+    console.log('Connected to SQLite database');
+  }
+});
+
+// SQLite leaves foreign key enforcement off unless asked
+db.run('PRAGMA foreign_keys = ON');
+
+// Transactions share the one connection, so they run one at a time, and
+// while one is open, statements from outside it wait for it to end: another
+// request's writes can't become part of it or be rolled back with it.
+// transactionScope marks the code running inside the open transaction.
+const transactionScope = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let openTransaction = null;
+
+async function waitForTransaction() {
+  while (openTransaction && !transactionScope.getStore()) {
+    await openTransaction;
+  }
+}
+
+// Promise wrappers around the sqlite3 callback API
+async function run(sql, params = []) {
+  await waitForTransaction();
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+async function get(sql, params = []) {
+  await waitForTransaction();
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row);
+    });
+  });
+}
+
+async function all(sql, params = []) {
+  await waitForTransaction();
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+}
+
+// Run fn inside BEGIN/COMMIT, rolling back if it throws. Calls queue up
+// behind any transaction already open; one made from inside fn joins it.
+// fn must await every statement it issues: one left running could outlast
+// the transaction.
+function transaction(fn) {
+  if (transactionScope.getStore()) {
+    return fn();
+  }
+
+  const result = transactionQueue.then(() => {
+    let finish;
+    openTransaction = new Promise((resolve) => {
+      finish = resolve;
+    });
+    return transactionScope.run(true, async () => {
+      try {
+        await run('BEGIN TRANSACTION');
+        try {
+          const value = await fn();
+          await run('COMMIT');
+          return value;
+        } catch (err) {
+          await run('ROLLBACK');
+          throw err;
+        }
+      } finally {
+        openTransaction = null;
+        finish();
+      }
+    });
+  });
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+function close() {
+  return new Promise((resolve, reject) => {
+    db.close((err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+// SQLite's CURRENT_TIMESTAMP format (UTC), so string comparisons work
+function toSqlDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = { db, DB_PATH, run, get, all, transaction, close, toSqlDate };
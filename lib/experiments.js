@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const { run, get, all, transaction } = require('./db');
+
+// draft -> running -> paused/running -> completed. Only running experiments
+// are shown to visitors and collect exposures and conversions.
+const EXPERIMENT_STATUSES = ['draft', 'running', 'paused', 'completed'];
+
+// Variant content is a map of slot name to text. The landing page marks
+// replaceable elements with data-experiment-slot="<slot>".
+const SLOT_PATTERN = /^[a-z0-9_]+$/;
+const KEY_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const VISITOR_COOKIE = 'visitor_id';
+const VISITOR_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const VISITOR_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Two-sided p-value below which a difference is reported as significant
+const SIGNIFICANCE_LEVEL = 0.05;
+
+function visitorIdFrom(req) {
+  const id = req.cookies && req.cookies[VISITOR_COOKIE];
+  return VISITOR_ID_PATTERN.test(id || '') ? id : null;
+}
+
+// Give every visitor a stable random ID so they keep seeing the same variant
+function ensureVisitor(req, res, next) {
+  let visitorId = visitorIdFrom(req);
+  if (!visitorId) {
+    visitorId = crypto.randomUUID();
+    res.cookie(VISITOR_COOKIE, visitorId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: VISITOR_COOKIE_MAX_AGE_MS
+    });
+  }
+  req.visitorId = visitorId;
+  next();
+}
+
+function parseVariant(row) {
+  return { ...row, is_control: Boolean(row.is_control), content: JSON.parse(row.content) };
+}
+
+// Deterministic weighted pick: the same visitor always gets the same
+// variant of an experiment, and different experiments split independently
+function pickVariant(experimentKey, visitorId, variants) {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  if (total <= 0) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256').update(`${experimentKey}:${visitorId}`).digest();
+  let point = (hash.readUInt32BE(0) / 0x100000000) * total;
+  for (const variant of variants) {
+    if (point < variant.weight) {
+      return variant;
+    }
+    point -= variant.weight;
+  }
+  return variants[variants.length - 1];
+}
+
+async function getVariants(experimentId) {
+  const rows = await all(
+    'SELECT * FROM experiment_variants WHERE experiment_id = ? ORDER BY id ASC',
+    [experimentId]
+  );
+  return rows.map(parseVariant);
+}
+
+async function getExperiment(id) {
+  const experiment = await get('SELECT * FROM experiments WHERE id = ?', [id]);
+  if (!experiment) {
+    return null;
+  }
+  return { ...experiment, variants: await getVariants(experiment.id) };
+}
+
+async function listExperiments({ status } = {}) {
+  const rows = status
+    ? await all('SELECT * FROM experiments WHERE status = ? ORDER BY id DESC', [status])
+    : await all('SELECT * FROM experiments ORDER BY id DESC');
+  return Promise.all(rows.map(async experiment => ({
+    ...experiment,
+    variants: await getVariants(experiment.id)
+  })));
+}
+
+async function findExperimentByKey(key) {
+  return get('SELECT * FROM experiments WHERE key = ?', [key]);
+}
+
+// The first variant is the control unless another one is marked as such
+async function createExperiment({ key, name, description, variants }) {
+  const controlIndex = Math.max(0, variants.findIndex(variant => variant.control));
+
+  const id = await transaction(async () => {
+    const { lastID } = await run(
+      'INSERT INTO experiments (key, name, description) VALUES (?, ?, ?)',
+      [key, name, description || null]
+    );
+    for (const [i, variant] of variants.entries()) {
+      await run(
+        `INSERT INTO experiment_variants (experiment_id, key, name, weight, is_control, content)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          lastID,
+          variant.key,
+          variant.name || variant.key,
+          variant.weight === undefined ? 1 : variant.weight,
+          i === controlIndex ? 1 : 0,
+          JSON.stringify(variant.content || {})
+        ]
+      );
+    }
+    return lastID;
+  });
+
+  return getExperiment(id);
+}
+
+// Update name, description or status. Starting an experiment stamps
+// started_at the first time; completing it stamps ended_at.
+async function updateExperiment(id, { name, description, status }) {
+  const result = await run(
+    `UPDATE experiments SET
+       name = COALESCE(?, name),
+       description = COALESCE(?, description),
+       status = COALESCE(?, status),
+       started_at = CASE WHEN ? = 'running' AND started_at IS NULL THEN CURRENT_TIMESTAMP ELSE started_at END,
+       ended_at = CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP ELSE ended_at END,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [name || null, description === undefined ? null : description, status || null, status || null, status || null, id]
+  );
+  if (result.changes === 0) {
+    return null;
+  }
+  return getExperiment(id);
+}
+
+// The variant of every running experiment for one visitor
+async function getAssignments(visitorId) {
+  const experiments = await listExperiments({ status: 'running' });
+  const assignments = [];
+
+  experiments.forEach((experiment) => {
+    const variant = pickVariant(experiment.key, visitorId, experiment.variants);
+    if (variant) {
+      assignments.push({
+        experiment: experiment.key,
+        variant: variant.key,
+        content: variant.content
+      });
+    }
+  });
+  return assignments;
+}
+
+// Record that a visitor was shown their variant. The variant is worked out
+// again here rather than trusted from the client. Repeat exposures are ignored.
+async function recordExposures(visitorId, experimentKeys) {
+  const experiments = await listExperiments({ status: 'running' });
+  let recorded = 0;
+
+  for (const experiment of experiments) {
+    if (!experimentKeys.includes(experiment.key)) {
+      continue;
+    }
+    const variant = pickVariant(experiment.key, visitorId, experiment.variants);
+    if (!variant) {
+      continue;
+    }
+    const { changes } = await run(
+      `INSERT OR IGNORE INTO experiment_exposures (experiment_id, variant_id, visitor_id)
+       VALUES (?, ?, ?)`,
+      [experiment.id, variant.id, visitorId]
+    );
+    recorded += changes;
+  }
+  return recorded;
+}
+
+// A lead submission converts every running experiment the visitor was
+// exposed to, once per experiment
+async function recordConversions(visitorId, leadId) {
+  const { changes } = await run(
+    `INSERT OR IGNORE INTO experiment_conversions (experiment_id, variant_id, visitor_id, lead_id)
+     SELECT exposure.experiment_id, exposure.variant_id, exposure.visitor_id, ?
+     FROM experiment_exposures exposure
+     JOIN experiments ON experiments.id = exposure.experiment_id
+     WHERE exposure.visitor_id = ? AND experiments.status = 'running'`,
+    [leadId, visitorId]
+  );
+  return changes;
+}
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592)
+    * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Two-proportion z-test of a variant against the control, with a 95%
+// confidence interval for the difference in conversion rate
+function compareToControl(control, variant) {
+  if (control.exposures === 0 || variant.exposures === 0) {
+    return null;
+  }
+
+  const p1 = control.conversions / control.exposures;
+  const p2 = variant.conversions / variant.exposures;
+  const pooled = (control.conversions + variant.conversions) / (control.exposures + variant.exposures);
+  const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / control.exposures + 1 / variant.exposures));
+  const se = Math.sqrt(p1 * (1 - p1) / control.exposures + p2 * (1 - p2) / variant.exposures);
+
+  const z = pooledSe === 0 ? 0 : (p2 - p1) / pooledSe;
+  const pValue = pooledSe === 0 ? 1 : 2 * (1 - normalCdf(Math.abs(z)));
+
+  return {
+    lift: p1 === 0 ? null : round((p2 - p1) / p1),
+    difference: round(p2 - p1),
+    confidence_interval: [round(p2 - p1 - 1.96 * se), round(p2 - p1 + 1.96 * se)],
+    z_score: round(z),
+    p_value: round(pValue),
+    significant: pValue < SIGNIFICANCE_LEVEL
+  };
+}
+
+async function getResults(id) {
+  const experiment = await getExperiment(id);
+  if (!experiment) {
+    return null;
+  }
+
+  const [exposures, conversions] = await Promise.all([
+    all('SELECT variant_id, COUNT(*) AS count FROM experiment_exposures WHERE experiment_id = ? GROUP BY variant_id', [id]),
+    all('SELECT variant_id, COUNT(*) AS count FROM experiment_conversions WHERE experiment_id = ? GROUP BY variant_id', [id])
+  ]);
+  const exposureCounts = new Map(exposures.map(row => [row.variant_id, row.count]));
+  const conversionCounts = new Map(conversions.map(row => [row.variant_id, row.count]));
+
+  const variants = experiment.variants.map((variant) => {
+    const seen = exposureCounts.get(variant.id) || 0;
+    const converted = conversionCounts.get(variant.id) || 0;
+    return {
+      key: variant.key,
+      name: variant.name,
+      is_control: variant.is_control,
+      weight: variant.weight,
+      exposures: seen,
+      conversions: converted,
+      conversion_rate: seen ? round(converted / seen) : null
+    };
+  });
+
+  const control = variants.find(variant => variant.is_control);
+  variants.forEach((variant) => {
+    variant.vs_control = variant === control || !control ? null : compareToControl(control, variant);
+  });
+
+  return {
+    experiment: {
+      id: experiment.id,
+      key: experiment.key,
+      name: experiment.name,
+      status: experiment.status,
+      started_at: experiment.started_at,
+      ended_at: experiment.ended_at
+    },
+    significance_level: SIGNIFICANCE_LEVEL,
+    variants
+  };
+}
+
+module.exports = {
+  EXPERIMENT_STATUSES,
+  SLOT_PATTERN,
+  KEY_PATTERN,
+  VISITOR_COOKIE,
+  SIGNIFICANCE_LEVEL,
+  visitorIdFrom,
+  ensureVisitor,
+  pickVariant,
+  getExperiment,
+  listExperiments,
+  findExperimentByKey,
+  createExperiment,
+  updateExperiment,
+  getAssignments,
+  recordExposures,
+  recordConversions,
+  normalCdf,
+  getResults
+};
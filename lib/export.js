@@ -0,0 +1,153 @@
+const ExcelJS = require('exceljs');
+const { all } = require('./db');
+const { buildLeadFilters, buildOrderBy } = require('./leads');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+const EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'email',
+  'company',
+  'description',
+  'form_type',
+  'utm_source',
+  'status',
+  'status_updated_at',
+  'created_at'
+];
+
+// Column widths for the XLSX sheet, in characters
+const XLSX_WIDTHS = { id: 8, name: 24, email: 32, company: 24, description: 60 };
+
+// Columns are whitelisted, so they are safe to interpolate into SQL
+function resolveColumns(columns) {
+  if (!columns || columns.length === 0) {
+    return EXPORT_COLUMNS;
+  }
+  const unknown = columns.filter(column => !EXPORT_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown export column(s): ${unknown.join(', ')}`);
+  }
+  return columns;
+}
+
+async function fetchLeadsForExport(filters, columns) {
+  const { where, params } = buildLeadFilters(filters);
+  return all(
+    `SELECT ${columns.join(', ')} FROM leads ${where} ${buildOrderBy(filters.sort, filters.order)}`,
+    params
+  );
+}
+
+// Quote when needed, and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function toJson(rows) {
+  return JSON.stringify({ exported_at: new Date().toISOString(), count: rows.length, leads: rows }, null, 2);
+}
+
+function toNdjson(rows) {
+  return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+}
+
+async function toXlsx(rows, columns) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Spreadsheet Automation Platform';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Leads', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(column => ({
+    header: column,
+    key: column,
+    width: XLSX_WIDTHS[column] || 18
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  rows.forEach((row) => {
+    const values = { ...row };
+    // SQLite timestamps are UTC; store real dates so Excel can sort and filter them
+    ['created_at', 'status_updated_at'].forEach((column) => {
+      if (values[column]) {
+        values[column] = new Date(`${values[column].replace(' ', 'T')}Z`);
+      }
+    });
+    sheet.addRow(values);
+  });
+
+  ['created_at', 'status_updated_at'].forEach((column) => {
+    if (columns.includes(column)) {
+      sheet.getColumn(column).numFmt = 'yyyy-mm-dd hh:mm:ss';
+    }
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Render leads matching the filters in the requested format
+async function exportLeads({ format = 'csv', filters = {}, columns } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const selected = resolveColumns(columns);
+  const rows = await fetchLeadsForExport(filters, selected);
+
+  let content;
+  if (format === 'csv') {
+    content = toCsv(rows, selected);
+  } else if (format === 'json') {
+    content = toJson(rows);
+  } else if (format === 'ndjson') {
+    content = toNdjson(rows);
+  } else {
+    content = await toXlsx(rows, selected);
+  }
+
+  const date = new Date().toISOString().split('T')[0];
+  return {
+    content,
+    count: rows.length,
+    contentType: spec.contentType,
+    filename: `leads-export-${date}.${spec.extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  resolveColumns,
+  toCsv,
+  toJson,
+  toNdjson,
+  toXlsx,
+  exportLeads
+};
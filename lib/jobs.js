@@ -0,0 +1,62 @@
+const { transaction } = require('./db');
+const { registerHandler, enqueue } = require('./queue');
+const { createDeliveries, attemptDelivery, markDeliveryFailed } = require('./notifications');
+const { getLeadFile, saveReport, markAnalysisFailed } = require('./uploads');
+const { analyzeSpreadsheet } = require('./spreadsheets');
+
+// Background work triggered by application events. Each job type below is
+// registered with the queue when this module is loaded.
+
+const NOTIFY_MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 3;
+
+// Fan-out for everything that should happen after a lead is captured. The
+// deliveries and their jobs are created in one transaction, so a retry after
+// a failure part way through doesn't add a second set of deliveries.
+registerHandler('lead.captured', ({ lead_id: leadId, duplicate }) => transaction(async () => {
+  const deliveryIds = await createDeliveries('lead.captured', leadId);
+  for (const deliveryId of deliveryIds) {
+    await enqueue('notification.deliver', { delivery_id: deliveryId, duplicate }, {
+      maxAttempts: NOTIFY_MAX_ATTEMPTS
+    });
+  }
+}));
+
+// One channel per job, so a retry never re-sends on channels that succeeded
+registerHandler('notification.deliver', async ({ delivery_id: deliveryId, duplicate }, job) => {
+  try {
+    await attemptDelivery(deliveryId, { duplicate });
+  } catch (err) {
+    if (job.attempts >= job.max_attempts) {
+      await markDeliveryFailed(deliveryId);
+    }
+    throw err;
+  }
+});
+
+// A file that can't be read won't read on a retry either, so a failed
+// analysis is recorded on the file rather than retried
+registerHandler('upload.analyze', async ({ file_id: fileId }) => {
+  const stored = await getLeadFile(fileId);
+  if (!stored) {
+    return;
+  }
+
+  let report;
+  try {
+    report = await analyzeSpreadsheet(stored.filePath, stored.file.format);
+  } catch (err) {
+    await markAnalysisFailed(fileId, err.message);
+    return;
+  }
+  await saveReport(fileId, report);
+});
+
+function leadCaptured(leadId, { duplicate = false } = {}) {
+  return enqueue('lead.captured', { lead_id: leadId, duplicate });
+}
+
+function fileUploaded(fileId) {
+  return enqueue('upload.analyze', { file_id: fileId });
+}
+
+module.exports = { leadCaptured, fileUploaded };
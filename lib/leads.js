@@ -0,0 +1,309 @@
+const validator = require('validator');
+const { run, get, all, transaction, toSqlDate } = require('./db');
+const { recordStatusChange } = require('./pipeline');
+const { attributedSource, recordAttribution } = require('./attribution');
+
+const SORTABLE_FIELDS = ['created_at', 'name', 'email', 'company', 'form_type', 'status'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Tables whose rows belong to a lead and move with it when leads are merged
+const LEAD_CHILD_TABLES = [
+  'lead_submissions',
+  'lead_status_history',
+  'lead_attribution',
+  'experiment_conversions',
+  'lead_bookings',
+  'lead_files',
+  'lead_upload_tokens',
+  'mockups',
+  'proposals',
+  'notification_deliveries'
+];
+
+// Escape LIKE wildcards so a search for "50%" matches literally
+function likePattern(term) {
+  return `%${term.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+}
+
+// Date-only bounds cover the whole day; full timestamps are compared as given
+function isDateOnly(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// An ISO 8601 date the filters can use. Some ISO forms, such as week dates
+// ("2024-W05"), can't be read by Date and are refused.
+function isFilterDate(value) {
+  const text = String(value);
+  return validator.isISO8601(text) && (isDateOnly(text) || !Number.isNaN(new Date(text).getTime()));
+}
+
+function sqlTimestamp(value, label) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${label} is not a valid date: ${value}`);
+  }
+  return toSqlDate(date);
+}
+
+// Build a WHERE clause from lead filters. Shared by the list route and exports.
+function buildLeadFilters(filters = {}) {
+  const clauses = [];
+  const params = [];
+
+  if (filters.from) {
+    clauses.push('created_at >= ?');
+    params.push(isDateOnly(filters.from) ? filters.from : sqlTimestamp(filters.from, 'From'));
+  }
+
+  if (filters.to) {
+    if (isDateOnly(filters.to)) {
+      clauses.push("created_at < date(?, '+1 day')");
+      params.push(filters.to);
+    } else {
+      clauses.push('created_at <= ?');
+      params.push(sqlTimestamp(filters.to, 'To'));
+    }
+  }
+
+  if (filters.form_type) {
+    clauses.push('form_type = ?');
+    params.push(filters.form_type);
+  }
+
+  // Quarantined spam is hidden unless asked for ("true" for only spam, "all" for both)
+  if (filters.quarantined === 'true' || filters.quarantined === true) {
+    clauses.push('quarantined = 1');
+  } else if (filters.quarantined !== 'all') {
+    clauses.push('quarantined = 0');
+  }
+
+  if (filters.status) {
+    clauses.push('status = ?');
+    params.push(filters.status);
+  }
+
+  if (filters.q) {
+    const pattern = likePattern(filters.q);
+    clauses.push(`(name LIKE ? ESCAPE '\\' OR company LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\')`);
+    params.push(pattern, pattern, pattern);
+  }
+
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+function buildOrderBy(sort, order) {
+  const field = SORTABLE_FIELDS.includes(sort) ? sort : 'created_at';
+  const direction = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  // id breaks ties so paging is stable when timestamps collide
+  return `ORDER BY ${field} ${direction}, id ${direction}`;
+}
+
+// One page of leads plus the total matching the filters
+async function findLeads(filters = {}) {
+  const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = parseInt(filters.offset, 10) || 0;
+  const { where, params } = buildLeadFilters(filters);
+
+  const { total } = await get(`SELECT COUNT(*) AS total FROM leads ${where}`, params);
+  const leads = await all(
+    `SELECT * FROM leads ${where} ${buildOrderBy(filters.sort, filters.order)} LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return {
+    leads,
+    pagination: {
+      total,
+      limit,
+      offset,
+      count: leads.length,
+      has_more: offset + leads.length < total,
+      next_offset: offset + leads.length < total ? offset + leads.length : null
+    }
+  };
+}
+
+// The same normalization the lead form applies (express-validator's
+// normalizeEmail), so an address arriving from elsewhere, such as a
+// Calendly invitee, matches the lead: "John.Doe+x@Gmail.com" becomes
+// "johndoe@gmail.com"
+function normalizeEmail(email) {
+  const trimmed = String(email || '').trim();
+  return validator.isEmail(trimmed) ? validator.normalizeEmail(trimmed) : trimmed.toLowerCase();
+}
+
+function normalizeCompany(company) {
+  return String(company || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Existing lead for a submission: same normalized email, or, when
+// LEAD_DEDUP_BY_COMPANY=true, same company name at the same email domain.
+// Quarantined leads never absorb new submissions.
+async function findDuplicateLead({ email, company }) {
+  const emailNormalized = normalizeEmail(email);
+  const byEmail = await get(
+    `SELECT * FROM leads WHERE email_normalized = ? AND quarantined = 0
+     ORDER BY created_at ASC, id ASC LIMIT 1`,
+    [emailNormalized]
+  );
+  if (byEmail || process.env.LEAD_DEDUP_BY_COMPANY !== 'true' || !normalizeCompany(company)) {
+    return byEmail || null;
+  }
+
+  const domain = emailNormalized.split('@')[1];
+  const byCompany = await get(
+    `SELECT * FROM leads
+     WHERE lower(trim(company)) = ? AND email_normalized LIKE ? AND quarantined = 0
+     ORDER BY created_at ASC, id ASC LIMIT 1`,
+    [normalizeCompany(company), `%@${domain}`]
+  );
+  return byCompany || null;
+}
+
+// Store a form submission. Repeat submissions attach to the existing lead
+// and only fill in fields it was missing. Suspected spam (spamReason set)
+// always becomes its own quarantined lead so it can't touch real ones. The
+// lookup and the insert share a transaction, so two submissions from the same
+// email arriving together make one lead.
+async function captureLead({ name, email, company, description, form_type, utm_source, attribution }, { ipAddress, userAgent, spamReason } = {}) {
+  return transaction(async () => {
+    const formType = form_type || 'general';
+    const utmSource = utm_source || attributedSource(attribution);
+    const existing = spamReason ? null : await findDuplicateLead({ email, company });
+    let leadId;
+
+    if (existing) {
+      leadId = existing.id;
+      await run(
+        `UPDATE leads SET
+           company = COALESCE(NULLIF(company, ''), ?),
+           description = COALESCE(NULLIF(description, ''), ?),
+           utm_source = COALESCE(NULLIF(utm_source, ''), ?)
+         WHERE id = ?`,
+        [company || null, description || null, utmSource || null, leadId]
+      );
+    } else {
+      const result = await run(
+        `INSERT INTO leads (name, email, email_normalized, company, description, form_type, utm_source, quarantined, spam_reason)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          name,
+          email,
+          normalizeEmail(email),
+          company || null,
+          description || null,
+          formType,
+          utmSource || null,
+          spamReason ? 1 : 0,
+          spamReason || null
+        ]
+      );
+      leadId = result.lastID;
+      const note = spamReason
+        ? `Captured via ${formType} form, quarantined (${spamReason})`
+        : `Captured via ${formType} form`;
+      await recordStatusChange(leadId, null, 'new', 'system', note);
+    }
+
+    const submission = await run(
+      `INSERT INTO lead_submissions (lead_id, name, email, company, description, form_type, ip_address, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [leadId, name, email, company || null, description || null, formType, ipAddress || null, userAgent || null]
+    );
+    await recordAttribution(leadId, submission.lastID, attribution);
+
+    return {
+      leadId,
+      submissionId: submission.lastID,
+      duplicate: Boolean(existing),
+      quarantined: Boolean(spamReason)
+    };
+  });
+}
+
+// Release a lead from quarantine, or quarantine it by hand
+async function setQuarantine(leadId, quarantined, reason) {
+  const result = await run(
+    'UPDATE leads SET quarantined = ?, spam_reason = ? WHERE id = ?',
+    [quarantined ? 1 : 0, quarantined ? reason || 'manual' : null, leadId]
+  );
+  if (result.changes === 0) {
+    return null;
+  }
+  return get('SELECT * FROM leads WHERE id = ?', [leadId]);
+}
+
+async function getSubmissions(leadId) {
+  return all(
+    'SELECT * FROM lead_submissions WHERE lead_id = ? ORDER BY created_at ASC, id ASC',
+    [leadId]
+  );
+}
+
+// Fold the source lead into the target. The target keeps its own values and
+// status, takes any fields it is missing from the source, and inherits all of
+// the source's child rows. The source lead is then deleted.
+async function mergeLeads(targetId, sourceId, mergedBy) {
+  return transaction(async () => {
+    const target = await get('SELECT * FROM leads WHERE id = ?', [targetId]);
+    const source = await get('SELECT * FROM leads WHERE id = ?', [sourceId]);
+    if (!target || !source) {
+      return null;
+    }
+
+    for (const table of LEAD_CHILD_TABLES) {
+      await run(`UPDATE ${table} SET lead_id = ? WHERE lead_id = ?`, [target.id, source.id]);
+    }
+
+    await run(
+      `UPDATE leads SET
+         company = COALESCE(NULLIF(company, ''), ?),
+         description = COALESCE(NULLIF(description, ''), ?),
+         utm_source = COALESCE(NULLIF(utm_source, ''), ?),
+         call_scheduled_at = COALESCE(call_scheduled_at, ?),
+         call_status = COALESCE(call_status, ?),
+         created_at = MIN(created_at, ?)
+       WHERE id = ?`,
+      [
+        source.company,
+        source.description,
+        source.utm_source,
+        source.call_scheduled_at,
+        source.call_status,
+        source.created_at,
+        target.id
+      ]
+    );
+    await recordStatusChange(
+      target.id,
+      target.status,
+      target.status,
+      mergedBy,
+      `Merged lead #${source.id} (${source.email})`
+    );
+    await run('DELETE FROM leads WHERE id = ?', [source.id]);
+
+    return get('SELECT * FROM leads WHERE id = ?', [target.id]);
+  });
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  LEAD_CHILD_TABLES,
+  isFilterDate,
+  buildLeadFilters,
+  buildOrderBy,
+  findLeads,
+  normalizeEmail,
+  findDuplicateLead,
+  captureLead,
+  getSubmissions,
+  setQuarantine,
+  mergeLeads
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { applyContent } = require('../mockup-framework/mockup-spec');
+const { MockupSpecError } = require('./mockup-page');
+const { updateMockup } = require('./mockups');
+
+// Live editing sessions for discovery calls: the consultant changes a
+// mockup's wording and numbers and everyone who joined with the session's
+// code sees each change as it's made. Sessions are kept in memory, like the
+// rate limiters; the spec is saved to the mockup when the session ends
+// (including when the server shuts down), and whenever the consultant saves
+// along the way.
+
+// No 0/O, 1/I/L, so a code read out on a call is typed in right
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const CODE_PATTERN = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`);
+
+// A session nobody has edited for this long is saved and ended
+const IDLE_TIMEOUT_MS = 4 * 60 * 60 * 1000;
+
+// Comment lines keep viewer connections open through proxies
+const HEARTBEAT_MS = 25 * 1000;
+
+const sessions = new Map();
+
+function createCode() {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  } while (sessions.has(code));
+  return code;
+}
+
+function baseUrl() {
+  return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+}
+
+// Codes are case-insensitive and may be typed with spaces or a dash
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(session, event, data) {
+  session.viewers.forEach(res => send(res, event, data));
+}
+
+function describeSession(session) {
+  return {
+    code: session.code,
+    mockup_id: session.mockupId,
+    version: session.version,
+    saved: session.savedVersion === session.version,
+    viewers: session.viewers.size,
+    started_by: session.startedBy,
+    started_at: session.startedAt.toISOString(),
+    updated_at: session.updatedAt.toISOString(),
+    join_url: `${baseUrl()}/m/live?code=${session.code}`
+  };
+}
+
+function findSession(code) {
+  return sessions.get(normalizeCode(code)) || null;
+}
+
+function sessionForMockup(mockupId) {
+  return Array.from(sessions.values()).find(session => session.mockupId === Number(mockupId)) || null;
+}
+
+// Start a session on a mockup (as returned by getMockup), or return the one
+// already running on it
+function startSession(mockup, startedBy) {
+  const existing = sessionForMockup(mockup.id);
+  if (existing) {
+    return existing;
+  }
+  const now = new Date();
+  const session = {
+    code: createCode(),
+    mockupId: mockup.id,
+    spec: mockup.spec,
+    version: 1,
+    savedVersion: 1,
+    startedBy: startedBy || null,
+    startedAt: now,
+    updatedAt: now,
+    viewers: new Set()
+  };
+  sessions.set(session.code, session);
+  return session;
+}
+
+// Apply [{ path, value }] content changes and push the new spec to every
+// viewer. Throws a MockupSpecError, changing nothing, when any change is
+// refused or the result can't be rendered.
+function applyChanges(session, changes) {
+  const { spec, problems } = applyContent(session.spec, changes);
+  if (problems.length) {
+    throw new MockupSpecError(problems);
+  }
+  session.spec = spec;
+  session.version += 1;
+  session.updatedAt = new Date();
+  broadcast(session, 'spec', { version: session.version, spec });
+  return session;
+}
+
+async function saveSession(session) {
+  const version = session.version;
+  await updateMockup(session.mockupId, { spec: session.spec });
+  session.savedVersion = version;
+  return session;
+}
+
+// Save the final state, tell viewers the session is over and close them
+async function endSession(session) {
+  sessions.delete(session.code);
+  try {
+    await saveSession(session);
+  } finally {
+    broadcast(session, 'end', { version: session.version });
+    session.viewers.forEach(res => res.end());
+    session.viewers.clear();
+  }
+  return session;
+}
+
+// End every open session, saving each. Used on shutdown, since sessions
+// don't outlive the process.
+async function endAllSessions() {
+  const results = await Promise.allSettled(Array.from(sessions.values()).map(endSession));
+  results.filter(result => result.status === 'rejected').forEach((result) => {
+    console.error('Error ending live session:', result.reason.message);
+  });
+}
+
+// Hold an SSE response open for a viewer: the current spec straight away,
+// then every change until the session ends or the viewer leaves
+function addViewer(session, req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  send(res, 'spec', { version: session.version, spec: session.spec });
+  session.viewers.add(res);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    session.viewers.delete(res);
+  });
+}
+
+const sweep = setInterval(() => {
+  const cutoff = Date.now() - IDLE_TIMEOUT_MS;
+  sessions.forEach((session) => {
+    if (session.updatedAt.getTime() < cutoff) {
+      endSession(session).catch(err => console.error('Error ending idle live session:', err.message));
+    }
+  });
+}, 10 * 60 * 1000);
+sweep.unref();
+
+module.exports = {
+  CODE_PATTERN,
+  normalizeCode,
+  describeSession,
+  findSession,
+  sessionForMockup,
+  startSession,
+  applyChanges,
+  saveSession,
+  endSession,
+  endAllSessions,
+  addViewer
+};
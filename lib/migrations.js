@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named "<version>_<name>.js", e.g. 003_add_lead_pipeline.js
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: path.basename(file, '.js').replace(/^\d+_/, ''),
+      file,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable() {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations() {
+  await ensureMigrationsTable();
+  return db.all('SELECT * FROM schema_migrations ORDER BY version ASC');
+}
+
+// Every known migration with its applied state
+async function getStatus() {
+  const applied = new Map((await getAppliedMigrations()).map(row => [row.version, row]));
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+}
+
+async function getPendingMigrations() {
+  const applied = new Set((await getAppliedMigrations()).map(row => row.version));
+  return loadMigrations().filter(migration => !applied.has(migration.version));
+}
+
+// Each migration runs in its own transaction together with its bookkeeping row
+async function applyMigration(migration, direction) {
+  try {
+    await db.transaction(async () => {
+      await migration[direction](db);
+      if (direction === 'up') {
+        await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      } else {
+        await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+    });
+  } catch (err) {
+    err.message = `Migration ${migration.file} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+}
+
+// Apply pending migrations, optionally stopping at a target version
+async function migrateUp({ to } = {}) {
+  const pending = (await getPendingMigrations())
+    .filter(migration => to === undefined || migration.version <= to);
+
+  for (const migration of pending) {
+    await applyMigration(migration, 'up');
+  }
+  return pending;
+}
+
+// Roll back the most recently applied migrations
+async function migrateDown({ steps = 1 } = {}) {
+  const applied = new Set((await getAppliedMigrations()).map(row => row.version));
+  const rollback = loadMigrations()
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of rollback) {
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.file} cannot be rolled back`);
+    }
+    await applyMigration(migration, 'down');
+  }
+  return rollback;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,94 @@
+const { run, get, all } = require('./db');
+
+// The data-note keys mockup-framework/script.js gives commentable
+// elements, e.g. "field-customer" or "tab-manager-0-1"
+const ELEMENT_KEY_PATTERN = /^[a-z0-9_-]{1,100}$/;
+
+const MAX_BODY_LENGTH = 2000;
+
+function parseComment(row) {
+  return { ...row, resolved: Boolean(row.resolved_at) };
+}
+
+// A mockup's threads, oldest first: each first comment with its replies
+async function listThreads(mockupId) {
+  const rows = await all('SELECT * FROM mockup_comments WHERE mockup_id = ? ORDER BY id', [mockupId]);
+  const threads = rows.filter(row => !row.parent_id).map(row => ({ ...parseComment(row), replies: [] }));
+  rows.filter(row => row.parent_id).forEach((reply) => {
+    const thread = threads.find(candidate => candidate.id === reply.parent_id);
+    if (thread) {
+      thread.replies.push(reply);
+    }
+  });
+  return threads;
+}
+
+async function getThread(mockupId, id) {
+  const root = await get('SELECT * FROM mockup_comments WHERE id = ? AND mockup_id = ? AND parent_id IS NULL', [id, mockupId]);
+  if (!root) {
+    return null;
+  }
+  const replies = await all('SELECT * FROM mockup_comments WHERE parent_id = ? ORDER BY id', [id]);
+  return { ...parseComment(root), replies };
+}
+
+// Start a thread on an element, or reply to one with parent_id. A reply
+// to a reply joins the same thread, and a client reply reopens a resolved
+// thread. Returns the thread, or null when parent_id isn't a comment on
+// this mockup. authorType is "client" (the mockup page) or "admin".
+async function addComment(mockupId, comment, authorType) {
+  let elementKey = comment.element_key;
+  let elementLabel = comment.element_label || null;
+  let threadId = null;
+
+  if (comment.parent_id) {
+    const parent = await get('SELECT * FROM mockup_comments WHERE id = ? AND mockup_id = ?', [comment.parent_id, mockupId]);
+    if (!parent) {
+      return null;
+    }
+    threadId = parent.parent_id || parent.id;
+    elementKey = parent.element_key;
+    elementLabel = parent.element_label;
+  }
+
+  const { lastID } = await run(
+    `INSERT INTO mockup_comments (mockup_id, parent_id, element_key, element_label, author_type, author_name, body)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [mockupId, threadId, elementKey, elementLabel, authorType, comment.author_name || null, comment.body]
+  );
+
+  if (threadId && authorType === 'client') {
+    await run('UPDATE mockup_comments SET resolved_at = NULL, resolved_by = NULL WHERE id = ?', [threadId]);
+  }
+  return getThread(mockupId, threadId || lastID);
+}
+
+// Resolve or reopen a thread. Null when there's no such thread on the mockup.
+async function setResolved(mockupId, id, resolved, resolvedBy) {
+  const { changes } = await run(
+    `UPDATE mockup_comments SET resolved_at = ${resolved ? 'CURRENT_TIMESTAMP' : 'NULL'}, resolved_by = ?
+     WHERE id = ? AND mockup_id = ? AND parent_id IS NULL`,
+    [resolved ? resolvedBy || null : null, id, mockupId]
+  );
+  return changes ? getThread(mockupId, id) : null;
+}
+
+// Open and resolved thread counts, for the lead detail
+async function countThreads(mockupId) {
+  const row = await get(
+    `SELECT COUNT(*) AS total, COUNT(resolved_at) AS resolved
+     FROM mockup_comments WHERE mockup_id = ? AND parent_id IS NULL`,
+    [mockupId]
+  );
+  return { open: row.total - row.resolved, resolved: row.resolved };
+}
+
+module.exports = {
+  ELEMENT_KEY_PATTERN,
+  MAX_BODY_LENGTH,
+  listThreads,
+  getThread,
+  addComment,
+  setResolved,
+  countThreads
+};
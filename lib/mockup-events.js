@@ -0,0 +1,111 @@
+const { run, get, all } = require('./db');
+
+// Sent by the mockup page (mockup-framework/script.js):
+//   view    page opened
+//   step    workflow demo step shown (value: step number)
+//   tab     dashboard tab opened (value: tab id)
+//   submit  demo form submitted (value: "valid" or "invalid")
+//   reset   demo restarted
+//   cta     call to action clicked (value: schedule, download or link)
+const MOCKUP_EVENT_TYPES = ['view', 'step', 'tab', 'submit', 'reset', 'cta'];
+
+// Random per browser tab, so repeat visits can be told apart without
+// storing anything about the visitor
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+const MAX_EVENTS_PER_REQUEST = 50;
+const MAX_VALUE_LENGTH = 100;
+
+// One statement for the whole batch, so it's stored all or nothing
+async function recordEvents(mockupId, sessionId, events) {
+  const params = [];
+  events.forEach((event) => {
+    params.push(mockupId, sessionId, event.type, event.value === undefined || event.value === null ? null : String(event.value));
+  });
+  await run(
+    `INSERT INTO mockup_events (mockup_id, session_id, type, value) VALUES ${events.map(() => '(?, ?, ?, ?)').join(', ')}`,
+    params
+  );
+  return events.length;
+}
+
+function countFor(rows, type, value) {
+  return rows.find(row => row.type === type && row.value === String(value)) || { count: 0, sessions: 0 };
+}
+
+// What a mockup's visitors did, labelled from its spec: how many sessions
+// opened it and when, how far into the workflow demo they got, which
+// dashboard tabs they opened and which calls to action they clicked.
+// Null when there's no such mockup.
+async function getEngagement(mockupId) {
+  const mockup = await get('SELECT spec FROM mockups WHERE id = ?', [mockupId]);
+  if (!mockup) {
+    return null;
+  }
+  const spec = JSON.parse(mockup.spec);
+
+  const [totals, rows] = await Promise.all([
+    get(
+      `SELECT COUNT(DISTINCT session_id) AS sessions, MIN(created_at) AS first_seen_at, MAX(created_at) AS last_seen_at
+       FROM mockup_events WHERE mockup_id = ?`,
+      [mockupId]
+    ),
+    all(
+      `SELECT type, value, COUNT(*) AS count, COUNT(DISTINCT session_id) AS sessions
+       FROM mockup_events WHERE mockup_id = ? AND type != 'view' GROUP BY type, value`,
+      [mockupId]
+    )
+  ]);
+
+  // The page opens on step 1 without sending a step event, so every
+  // session has seen it
+  const steps = spec.workflow.steps.map((step, index) => ({
+    step: index + 1,
+    title: step.title,
+    sessions: index === 0 ? totals.sessions : countFor(rows, 'step', index + 1).sessions
+  }));
+  const furthest = steps.filter(step => step.sessions > 0).pop();
+
+  const tabs = (spec.dashboard ? spec.dashboard.tabs : []).map(tab => ({
+    id: tab.id,
+    label: tab.label,
+    views: countFor(rows, 'tab', tab.id).count
+  }));
+
+  const ctaClicks = rows
+    .filter(row => row.type === 'cta')
+    .map(row => {
+      const button = ((spec.cta && spec.cta.buttons) || []).find(candidate => candidate.action === row.value);
+      return { action: row.value, label: button ? button.label : row.value, clicks: row.count };
+    });
+
+  return {
+    sessions: totals.sessions,
+    first_seen_at: totals.first_seen_at,
+    last_seen_at: totals.last_seen_at,
+    furthest_step: furthest ? { step: furthest.step, title: furthest.title } : null,
+    steps,
+    tabs,
+    cta_clicks: ctaClicks,
+    demo_submissions: countFor(rows, 'submit', 'valid').count + countFor(rows, 'submit', 'invalid').count,
+    demo_resets: rows.filter(row => row.type === 'reset').reduce((sum, row) => sum + row.count, 0)
+  };
+}
+
+// Latest events first, for a timeline of a mockup's activity
+async function getEvents(mockupId, { limit = 100 } = {}) {
+  return all(
+    'SELECT id, session_id, type, value, created_at FROM mockup_events WHERE mockup_id = ? ORDER BY id DESC LIMIT ?',
+    [mockupId, limit]
+  );
+}
+
+module.exports = {
+  MOCKUP_EVENT_TYPES,
+  SESSION_ID_PATTERN,
+  MAX_EVENTS_PER_REQUEST,
+  MAX_VALUE_LENGTH,
+  recordEvents,
+  getEngagement,
+  getEvents
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSpec } = require('../mockup-framework/mockup-spec');
+
+const FRAMEWORK_DIR = path.join(__dirname, '..', 'mockup-framework');
+
+// Files a rendered mockup page loads next to index.html
+const FRAMEWORK_ASSETS = ['styles.css', 'mockup-spec.js', 'script.js'];
+
+// Everything served from /m/assets/: the above, and the workflow diagram
+// component the admin diagram editor loads
+const SERVED_ASSETS = [...FRAMEWORK_ASSETS, 'flowchart.js'];
+
+// Raised for a spec that can't be rendered, with every problem found
+class MockupSpecError extends Error {
+  constructor(problems) {
+    super(`Mockup spec is invalid: ${problems.join('; ')}`);
+    this.problems = problems;
+  }
+}
+
+function checkSpec(spec) {
+  const problems = validateSpec(spec);
+  if (problems.length) {
+    throw new MockupSpecError(problems);
+  }
+  return spec;
+}
+
+// JSON that is safe inside a <script> element: "</script>" and "<!--" in
+// a spec can't end the element early
+function scriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// The framework page with the spec inlined, so it renders without
+// fetching spec.json. assetBase is prefixed to the framework's own files
+// when they're served from somewhere other than next to the page; config
+// is passed to the runtime (e.g. events_url for engagement tracking).
+function renderMockupPage(spec, { assetBase = '', config = null } = {}) {
+  checkSpec(spec);
+  let html = fs.readFileSync(path.join(FRAMEWORK_DIR, 'index.html'), 'utf8');
+
+  if (assetBase) {
+    FRAMEWORK_ASSETS.forEach((asset) => {
+      html = html.replace(new RegExp(`(href|src)="${asset.replace('.', '\\.')}"`), `$1="${assetBase}${asset}"`);
+    });
+  }
+
+  let tags = `<script type="application/json" id="mockup-spec">${scriptJson(spec)}</script>`;
+  if (config) {
+    tags += `\n    <script type="application/json" id="mockup-config">${scriptJson(config)}</script>`;
+  }
+  return html.replace('<!-- MOCKUP_SPEC -->', () => tags);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Small standalone page in the framework's styles, for the password prompt
+// and for links that no longer work
+function renderShell(title, body, { assetBase = '' } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" href="${escapeHtml(assetBase)}styles.css">
+</head>
+<body>
+    <section class="section">
+        <div class="container">
+            <div class="demo-area">
+${body}
+            </div>
+        </div>
+    </section>
+</body>
+</html>
+`;
+}
+
+function renderMessagePage(title, message, options) {
+  return renderShell(title, `                <h3>${escapeHtml(title)}</h3>
+                <p>${escapeHtml(message)}</p>`, options);
+}
+
+// The form posts the password back to the mockup's own URL
+function renderPasswordPage({ title, error }, options) {
+  return renderShell(title, `                <h3>${escapeHtml(title)}</h3>
+                <form class="mock-form" method="post">
+                    <div class="form-group">
+                        <label for="mockup-password">This mockup is password protected</label>
+                        <input class="form-input${error ? ' invalid' : ''}" id="mockup-password" name="password" type="password" autocomplete="current-password" required autofocus>
+                    </div>
+                    ${error ? `<p class="form-error">${escapeHtml(error)}</p>` : ''}
+                    <button class="btn btn-primary" type="submit">View Mockup</button>
+                </form>`, options);
+}
+
+// Where clients type the code of a live session they were given on a call
+function renderJoinPage({ code, error }, options) {
+  return renderShell('Join live session', `                <h3>Join live session</h3>
+                <form class="mock-form" method="get" action="/m/live">
+                    <div class="form-group">
+                        <label for="live-code">Session code</label>
+                        <input class="form-input${error ? ' invalid' : ''}" id="live-code" name="code" value="${escapeHtml(code || '')}" autocomplete="off" autocapitalize="characters" required autofocus>
+                    </div>
+                    ${error ? `<p class="form-error">${escapeHtml(error)}</p>` : ''}
+                    <button class="btn btn-primary" type="submit">Join</button>
+                </form>`, options);
+}
+
+module.exports = {
+  FRAMEWORK_DIR,
+  FRAMEWORK_ASSETS,
+  SERVED_ASSETS,
+  MockupSpecError,
+  checkSpec,
+  renderMockupPage,
+  renderMessagePage,
+  renderPasswordPage,
+  renderJoinPage
+};
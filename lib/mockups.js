@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { run, get, all, toSqlDate } = require('./db');
+const { hashPassword, verifyPassword } = require('./auth');
+const { FRAMEWORK_DIR, checkSpec } = require('./mockup-page');
+const { leadSchema, mockupForm } = require('./schema-inference');
+
+// Unpublished mockups stay in the database but their link stops working
+const MOCKUP_STATUSES = ['published', 'unpublished'];
+
+// "<client>-<32 hex characters>": readable in a list, but the random part
+// carries 128 bits, so links can't be guessed or enumerated
+const SLUG_PATTERN = /^[a-z0-9-]{1,40}-[0-9a-f]{32}$/;
+
+// Remembering a password is capped at this even for mockups that never expire
+const ACCESS_COOKIE_MAX_DAYS = 30;
+
+function baseUrl() {
+  return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+}
+
+function createSlug(client) {
+  const prefix = String(client || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40)
+    .replace(/-$/, '');
+  return `${prefix || 'mockup'}-${crypto.randomBytes(16).toString('hex')}`;
+}
+
+// Times are stored in UTC as "YYYY-MM-DD HH:MM:SS"
+function isExpired(mockup, now = new Date()) {
+  return Boolean(mockup.expires_at) && mockup.expires_at <= toSqlDate(now);
+}
+
+// The password hash stays on the server; the list view leaves out the spec
+function parseMockup(row, { withSpec = true } = {}) {
+  const mockup = {
+    ...row,
+    has_password: Boolean(row.password_hash),
+    expired: isExpired(row),
+    url: `${baseUrl()}/m/${row.slug}`
+  };
+  delete mockup.password_hash;
+  if (withSpec) {
+    mockup.spec = JSON.parse(row.spec);
+  } else {
+    delete mockup.spec;
+  }
+  return mockup;
+}
+
+function titleFor(spec) {
+  return `${spec.client} - ${spec.title || 'Proposed System'}`;
+}
+
+// The framework's example spec with the lead's company as the client, as a
+// starting point when a mockup is created without a spec of its own. When
+// the lead uploaded spreadsheets, the form asks for their columns instead
+// of the example's (see lib/schema-inference.js).
+async function defaultSpecFor(lead) {
+  const spec = JSON.parse(fs.readFileSync(path.join(FRAMEWORK_DIR, 'spec.json'), 'utf8'));
+  spec.client = lead.company || lead.name;
+
+  const schema = await leadSchema(lead.id);
+  const form = schema && mockupForm(schema);
+  if (form && form.fields.length) {
+    spec.form.fields = form.fields;
+    spec.form.submit_label = `Submit ${form.record.replace(/(^|\s)\S/g, char => char.toUpperCase())}`;
+    spec.workflow.record = form.record;
+    // Metrics adding up a field of the example form add up the first
+    // amount of this one, or stay put when there's none
+    const amount = form.fields.find(field => field.type === 'currency') ||
+      form.fields.find(field => field.type === 'number');
+    spec.metrics.filter(metric => metric.add_field !== undefined).forEach((metric) => {
+      if (amount) {
+        metric.add_field = amount.name;
+      } else {
+        delete metric.add_field;
+      }
+    });
+  }
+  return spec;
+}
+
+async function getMockup(id) {
+  const row = await get('SELECT * FROM mockups WHERE id = ?', [id]);
+  return row ? parseMockup(row) : null;
+}
+
+async function listMockups(leadId) {
+  const rows = await all('SELECT * FROM mockups WHERE lead_id = ? ORDER BY id DESC', [leadId]);
+  return rows.map(row => parseMockup(row, { withSpec: false }));
+}
+
+// Raw row for serving /m/<slug>, password hash included
+async function findMockupBySlug(slug) {
+  if (!SLUG_PATTERN.test(slug || '')) {
+    return null;
+  }
+  return get('SELECT * FROM mockups WHERE slug = ?', [slug]);
+}
+
+// Publish a mockup for a lead. The spec is checked first and a
+// MockupSpecError thrown when it can't be rendered.
+async function createMockup(lead, { spec, title, password, expires_at: expiresAt }, createdBy) {
+  const mockupSpec = checkSpec(spec || await defaultSpecFor(lead));
+  const { lastID } = await run(
+    `INSERT INTO mockups (lead_id, slug, title, spec, password_hash, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      lead.id,
+      createSlug(mockupSpec.client),
+      title || titleFor(mockupSpec),
+      JSON.stringify(mockupSpec),
+      password ? await hashPassword(password) : null,
+      expiresAt ? toSqlDate(new Date(expiresAt)) : null,
+      createdBy || null
+    ]
+  );
+  return getMockup(lastID);
+}
+
+// Apply the given changes. A null password or expires_at removes it;
+// changing the status publishes or unpublishes the link.
+async function updateMockup(id, changes) {
+  const existing = await get('SELECT * FROM mockups WHERE id = ?', [id]);
+  if (!existing) {
+    return null;
+  }
+
+  const sets = [];
+  const params = [];
+  if (changes.spec !== undefined) {
+    sets.push('spec = ?');
+    params.push(JSON.stringify(checkSpec(changes.spec)));
+  }
+  if (changes.title !== undefined) {
+    sets.push('title = ?');
+    params.push(changes.title);
+  }
+  if (changes.password !== undefined) {
+    sets.push('password_hash = ?');
+    params.push(changes.password ? await hashPassword(changes.password) : null);
+  }
+  if (changes.expires_at !== undefined) {
+    sets.push('expires_at = ?');
+    params.push(changes.expires_at ? toSqlDate(new Date(changes.expires_at)) : null);
+  }
+  if (changes.status !== undefined && changes.status !== existing.status) {
+    sets.push('status = ?');
+    params.push(changes.status);
+    sets.push(changes.status === 'published'
+      ? 'published_at = CURRENT_TIMESTAMP, unpublished_at = NULL'
+      : 'unpublished_at = CURRENT_TIMESTAMP');
+  }
+
+  if (sets.length) {
+    await run(`UPDATE mockups SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [...params, id]);
+  }
+  return getMockup(id);
+}
+
+async function recordView(id) {
+  await run('UPDATE mockups SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+}
+
+async function checkMockupPassword(mockup, password) {
+  return Boolean(mockup.password_hash) && verifyPassword(String(password || ''), mockup.password_hash);
+}
+
+// Value of the cookie that remembers a visitor entered the password. It's
+// keyed on the password hash, so changing the password signs everyone out.
+function accessToken(mockup) {
+  return crypto.createHmac('sha256', mockup.password_hash).update(`mockup:${mockup.slug}`).digest('hex');
+}
+
+function hasAccess(mockup, token) {
+  if (!mockup.password_hash) {
+    return true;
+  }
+  const expected = Buffer.from(accessToken(mockup), 'utf8');
+  const given = Buffer.from(String(token || ''), 'utf8');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function accessCookieMaxAge(mockup, now = Date.now()) {
+  const cap = ACCESS_COOKIE_MAX_DAYS * 24 * 60 * 60 * 1000;
+  if (!mockup.expires_at) {
+    return cap;
+  }
+  const untilExpiry = Date.parse(`${mockup.expires_at.replace(' ', 'T')}Z`) - now;
+  return Math.max(0, Math.min(cap, untilExpiry));
+}
+
+module.exports = {
+  MOCKUP_STATUSES,
+  SLUG_PATTERN,
+  isExpired,
+  defaultSpecFor,
+  getMockup,
+  listMockups,
+  findMockupBySlug,
+  createMockup,
+  updateMockup,
+  recordView,
+  checkMockupPassword,
+  accessToken,
+  hasAccess,
+  accessCookieMaxAge
+};
@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+
+// SMTP email to NOTIFY_EMAIL using the SMTP_* settings
+let transport;
+
+function getTransport() {
+  if (!transport) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+module.exports = {
+  name: 'email',
+
+  isConfigured() {
+    return Boolean(process.env.SMTP_HOST && process.env.NOTIFY_EMAIL);
+  },
+
+  async send(message) {
+    const info = await getTransport().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER || process.env.NOTIFY_EMAIL,
+      to: process.env.NOTIFY_EMAIL,
+      subject: message.subject,
+      text: message.text
+    });
+    return info.messageId;
+  }
+};
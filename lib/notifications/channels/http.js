@@ -0,0 +1,19 @@
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// POST a JSON body, failing on network errors and non-2xx responses
+async function postJson(url, payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`Webhook responded ${response.status}: ${text.slice(0, 200)}`);
+  }
+  return `${response.status} ${text.slice(0, 200)}`;
+}
+
+module.exports = { postJson };
@@ -0,0 +1,16 @@
+const { postJson } = require('./http');
+
+// Slack-compatible incoming webhook (also accepted by Mattermost, Rocket.Chat, ...)
+module.exports = {
+  name: 'slack',
+
+  isConfigured() {
+    return Boolean(process.env.SLACK_WEBHOOK_URL);
+  },
+
+  async send(message) {
+    return postJson(process.env.SLACK_WEBHOOK_URL, {
+      text: `*${message.subject}*\n${message.text}`
+    });
+  }
+};
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const { postJson } = require('./http');
+
+// Generic outgoing webhook. With NOTIFY_WEBHOOK_SECRET set, the body is signed
+// with HMAC-SHA256 in the X-Signature header so the receiver can verify it.
+module.exports = {
+  name: 'webhook',
+
+  isConfigured() {
+    return Boolean(process.env.NOTIFY_WEBHOOK_URL);
+  },
+
+  async send(message, { event, lead }) {
+    const payload = {
+      event,
+      sent_at: new Date().toISOString(),
+      subject: message.subject,
+      text: message.text,
+      lead: lead || null
+    };
+
+    const headers = {};
+    if (process.env.NOTIFY_WEBHOOK_SECRET) {
+      const signature = crypto
+        .createHmac('sha256', process.env.NOTIFY_WEBHOOK_SECRET)
+        .update(JSON.stringify(payload))
+        .digest('hex');
+      headers['X-Signature'] = `sha256=${signature}`;
+    }
+
+    return postJson(process.env.NOTIFY_WEBHOOK_URL, payload, headers);
+  }
+};
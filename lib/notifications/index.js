@@ -0,0 +1,132 @@
+const { run, get, all } = require('../db');
+const { renderMessage } = require('./templates');
+
+// Channels implement { name, isConfigured(), send(message, context) }.
+// send resolves to a short response summary or throws on failure.
+const channels = new Map();
+
+function registerChannel(channel) {
+  channels.set(channel.name, channel);
+}
+
+registerChannel(require('./channels/email'));
+registerChannel(require('./channels/webhook'));
+registerChannel(require('./channels/slack'));
+
+// Configured channels, narrowed by NOTIFY_CHANNELS when it is set
+function activeChannels() {
+  const wanted = (process.env.NOTIFY_CHANNELS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  return [...channels.values()].filter(channel =>
+    channel.isConfigured() && (wanted.length === 0 || wanted.includes(channel.name))
+  );
+}
+
+// One send attempt on one channel, recorded on the delivery row. Throws on
+// failure so the job queue can retry it.
+async function sendOnChannel(channel, deliveryId, message, context) {
+  try {
+    const response = await channel.send(message, context);
+    await run(
+      `UPDATE notification_deliveries
+       SET status = 'sent', attempts = attempts + 1, response = ?, last_error = NULL,
+         delivered_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [response ? String(response).slice(0, 500) : null, deliveryId]
+    );
+  } catch (err) {
+    await run(
+      'UPDATE notification_deliveries SET attempts = attempts + 1, last_error = ? WHERE id = ?',
+      [err.message.slice(0, 500), deliveryId]
+    );
+    throw err;
+  }
+}
+
+// Pending delivery rows for every active channel. Each is then sent by a
+// notification.deliver job.
+async function createDeliveries(event, leadId) {
+  const ids = [];
+  for (const channel of activeChannels()) {
+    const { lastID } = await run(
+      'INSERT INTO notification_deliveries (lead_id, event, channel) VALUES (?, ?, ?)',
+      [leadId || null, event, channel.name]
+    );
+    ids.push(lastID);
+  }
+  return ids;
+}
+
+async function attemptDelivery(deliveryId, options = {}) {
+  const delivery = await get('SELECT * FROM notification_deliveries WHERE id = ?', [deliveryId]);
+  if (!delivery || delivery.status === 'sent') {
+    return;
+  }
+  const channel = channels.get(delivery.channel);
+  if (!channel) {
+    throw new Error(`Unknown notification channel: ${delivery.channel}`);
+  }
+
+  const lead = delivery.lead_id
+    ? await get('SELECT * FROM leads WHERE id = ?', [delivery.lead_id])
+    : null;
+  const message = renderMessage(delivery.event, lead, options);
+  await sendOnChannel(channel, delivery.id, message, { event: delivery.event, lead, ...options });
+}
+
+// Called once retries are used up
+async function markDeliveryFailed(deliveryId) {
+  await run("UPDATE notification_deliveries SET status = 'failed' WHERE id = ?", [deliveryId]);
+}
+
+// Send right away on every active channel with a single attempt each, and
+// report the results. Used for test messages; lead events go through the queue.
+async function notify(event, lead, options = {}) {
+  const message = renderMessage(event, lead, options);
+  const results = [];
+
+  for (const channel of activeChannels()) {
+    const { lastID } = await run(
+      'INSERT INTO notification_deliveries (lead_id, event, channel) VALUES (?, ?, ?)',
+      [lead ? lead.id : null, event, channel.name]
+    );
+    try {
+      await sendOnChannel(channel, lastID, message, { event, lead, ...options });
+      results.push({ channel: channel.name, status: 'sent' });
+    } catch (err) {
+      await markDeliveryFailed(lastID);
+      results.push({ channel: channel.name, status: 'failed', error: err.message });
+    }
+  }
+  return results;
+}
+
+async function listDeliveries({ leadId, status, limit = 50 } = {}) {
+  const clauses = [];
+  const params = [];
+  if (leadId) {
+    clauses.push('lead_id = ?');
+    params.push(leadId);
+  }
+  if (status) {
+    clauses.push('status = ?');
+    params.push(status);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  return all(
+    `SELECT * FROM notification_deliveries ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+    [...params, limit]
+  );
+}
+
+module.exports = {
+  registerChannel,
+  activeChannels,
+  createDeliveries,
+  attemptDelivery,
+  markDeliveryFailed,
+  notify,
+  listDeliveries
+};
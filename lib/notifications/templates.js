@@ -0,0 +1,56 @@
+// Message templates per event. {{name}} placeholders are filled from the
+// variables built in templateVars(); unknown placeholders render empty.
+const TEMPLATES = {
+  'lead.captured': {
+    subject: '{{headline}}: {{name}}{{company_suffix}}',
+    text: [
+      '{{headline}} from the {{form_type}} form.',
+      '',
+      'Name: {{name}}',
+      'Email: {{email}}',
+      'Company: {{company}}',
+      'Description: {{description}}',
+      '',
+      'Lead: {{lead_url}}'
+    ].join('\n')
+  },
+  test: {
+    subject: 'Test notification',
+    text: 'This is a test notification from the spreadsheet automation platform.'
+  }
+};
+
+function render(template, vars) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    const value = vars[key];
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+function templateVars(lead, { duplicate = false } = {}) {
+  lead = lead || {};
+  const baseUrl = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  return {
+    ...lead,
+    company: lead.company || '-',
+    description: lead.description || '-',
+    company_suffix: lead.company ? ` (${lead.company})` : '',
+    headline: duplicate ? 'Repeat submission' : 'New lead',
+    lead_url: lead.id ? `${baseUrl}/api/leads/${lead.id}` : ''
+  };
+}
+
+// Subject and plain-text body for an event
+function renderMessage(event, lead, options) {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`No notification template for event: ${event}`);
+  }
+  const vars = templateVars(lead, options);
+  return {
+    subject: render(template.subject, vars),
+    text: render(template.text, vars)
+  };
+}
+
+module.exports = { TEMPLATES, render, templateVars, renderMessage };
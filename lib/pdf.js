@@ -0,0 +1,354 @@
+const zlib = require('zlib');
+
+// A small PDF writer for generated documents: flowing text, bullet lists,
+// tables and figure boxes on US Letter pages, with a header and page
+// numbers on every page. It uses the standard Helvetica fonts every PDF
+// reader has, so nothing is embedded or fetched and documents are built
+// entirely offline. Text is WinAnsi: characters outside it print as "?".
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+// Room kept for the header and footer drawn on every page
+const TOP = MARGIN + 24;
+const BOTTOM = PAGE_HEIGHT - MARGIN;
+
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+const RULE_COLOR = '#e5e7eb';
+
+// Advance widths, in thousandths of the font size, of characters 32-126
+// (from the fonts' Adobe metrics)
+const WIDTHS = {
+  F1: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  F2: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// WinAnsi codes of the punctuation outside Latin-1, with widths for the
+// regular and bold fonts
+const WIN_ANSI = {
+  '€': [0x80, 556, 556],
+  '…': [0x85, 1000, 1000],
+  '‘': [0x91, 222, 278],
+  '’': [0x92, 222, 278],
+  '“': [0x93, 333, 500],
+  '”': [0x94, 333, 500],
+  '•': [0x95, 350, 350],
+  '–': [0x96, 556, 556],
+  '—': [0x97, 1000, 1000]
+};
+
+const SUBSTITUTES = { '→': '->', '←': '<-', '≤': '<=', '≥': '>=', '−': '-' };
+
+// Text as WinAnsi characters (one per byte)
+function encode(text) {
+  return Array.from(String(text).replace(/[←→−≤≥]/g, char => SUBSTITUTES[char]), (char) => {
+    if (WIN_ANSI[char]) {
+      return String.fromCharCode(WIN_ANSI[char][0]);
+    }
+    const code = char.charCodeAt(0);
+    return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? char : '?';
+  }).join('');
+}
+
+function charWidth(code, font) {
+  if (code >= 32 && code <= 126) {
+    return WIDTHS[font][code - 32];
+  }
+  const special = Object.values(WIN_ANSI).find(([winAnsi]) => winAnsi === code);
+  if (special) {
+    return special[font === 'F1' ? 1 : 2];
+  }
+  return 556;
+}
+
+function textWidth(encoded, font, size) {
+  let width = 0;
+  for (let i = 0; i < encoded.length; i += 1) {
+    width += charWidth(encoded.charCodeAt(i), font);
+  }
+  return width * size / 1000;
+}
+
+// Lines of at most maxWidth points. Words longer than a line are split.
+function wrap(text, font, size, maxWidth) {
+  const lines = [];
+  encode(text).split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/ +/).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      line = word;
+      while (textWidth(line, font, size) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), font, size) > maxWidth) {
+          cut -= 1;
+        }
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+function pdfString(encoded) {
+  return `(${encoded.replace(/[\\()]/g, '\\$&')})`;
+}
+
+function rgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(part => (part / 255).toFixed(3)).join(' ');
+}
+
+// A lighter shade of a colour, for table headers and figure boxes
+function tint(hex, amount) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return `#${[16, 8, 0].map((shift) => {
+    const part = (value >> shift) & 255;
+    return Math.round(part + (255 - part) * amount).toString(16).padStart(2, '0');
+  }).join('')}`;
+}
+
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+// Start a document. accent colours the header rule, headings, table
+// headers and figures; header and footer are the small print at the top
+// and bottom of every page. Add content with the returned methods, then
+// call toBuffer().
+function createPdf({ title = '', author = '', accent = '#2563eb', header = '', footer = '' } = {}) {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+
+  function newPage() {
+    ops = [];
+    pages.push(ops);
+    y = TOP;
+  }
+
+  // Start a new page unless height points still fit on this one
+  function ensure(height) {
+    if (!ops || y + height > BOTTOM) {
+      newPage();
+    }
+  }
+
+  function drawText(encoded, x, baseline, { font = 'F1', size = 10, color = TEXT_COLOR } = {}) {
+    ops.push(`BT /${font} ${size} Tf ${rgb(color)} rg ${num(x)} ${num(PAGE_HEIGHT - baseline)} Td ${pdfString(encoded)} Tj ET`);
+  }
+
+  function fillRect(x, top, width, height, color) {
+    ops.push(`${rgb(color)} rg ${num(x)} ${num(PAGE_HEIGHT - top - height)} ${num(width)} ${num(height)} re f`);
+  }
+
+  function strokeRect(x, top, width, height, color) {
+    ops.push(`${rgb(color)} RG 0.75 w ${num(x)} ${num(PAGE_HEIGHT - top - height)} ${num(width)} ${num(height)} re S`);
+  }
+
+  function rule(x, top, width, color) {
+    ops.push(`${rgb(color)} RG 0.5 w ${num(x)} ${num(PAGE_HEIGHT - top)} m ${num(x + width)} ${num(PAGE_HEIGHT - top)} l S`);
+  }
+
+  // Wrapped text at the cursor, moving it down. Lines carry over to the
+  // next page as needed.
+  function paragraph(text, { size = 10, bold = false, color = TEXT_COLOR, indent = 0, after = 8 } = {}) {
+    const font = bold ? 'F2' : 'F1';
+    const lineHeight = size * 1.4;
+    wrap(text, font, size, CONTENT_WIDTH - indent).forEach((line) => {
+      ensure(lineHeight);
+      drawText(line, MARGIN + indent, y + size, { font, size, color });
+      y += lineHeight;
+    });
+    y += after;
+  }
+
+  // Level 1 is a section title in the accent colour, level 2 a subheading.
+  // A heading is never left alone at the bottom of a page.
+  function heading(text, level = 1) {
+    const size = level === 1 ? 15 : 12;
+    ensure(size * 1.4 + 60);
+    y += level === 1 ? 10 : 4;
+    paragraph(text, { size, bold: true, color: level === 1 ? accent : TEXT_COLOR, after: 4 });
+  }
+
+  function bullets(items, { size = 10 } = {}) {
+    const lineHeight = size * 1.4;
+    items.forEach((item) => {
+      wrap(item, 'F1', size, CONTENT_WIDTH - 14).forEach((line, i) => {
+        ensure(lineHeight);
+        if (i === 0) {
+          drawText(encode('•'), MARGIN + 2, y + size, { size, color: accent });
+        }
+        drawText(line, MARGIN + 14, y + size, { size });
+        y += lineHeight;
+      });
+      y += 2;
+    });
+    y += 6;
+  }
+
+  // A row of boxes, each a short label over a large value
+  function figures(items) {
+    const gap = 10;
+    const width = (CONTENT_WIDTH - gap * (items.length - 1)) / items.length;
+    const height = 52;
+    ensure(height + 12);
+    items.forEach((item, i) => {
+      const x = MARGIN + i * (width + gap);
+      fillRect(x, y, width, height, tint(accent, 0.92));
+      strokeRect(x, y, width, height, tint(accent, 0.6));
+      drawText(wrap(item.label, 'F1', 8, width - 16)[0], x + 8, y + 16, { size: 8, color: MUTED_COLOR });
+      drawText(wrap(item.value, 'F2', 16, width - 16)[0], x + 8, y + 40, { font: 'F2', size: 16, color: accent });
+    });
+    y += height + 14;
+  }
+
+  // columns: [{ label, width, align }] with widths as fractions of the page
+  // width. rows: lists of cell text, or { cells, bold } for totals. The
+  // header row is repeated when a table runs onto another page.
+  function table(columns, rows, { size = 9 } = {}) {
+    const padding = 4;
+    const lineHeight = size * 1.35;
+    const widths = columns.map(column => column.width * CONTENT_WIDTH);
+    const lefts = widths.map((width, i) => MARGIN + widths.slice(0, i).reduce((sum, w) => sum + w, 0));
+
+    function drawRow(cells, { font, fill }) {
+      const wrapped = cells.map((cell, i) => wrap(cell === null || cell === undefined ? '' : cell, font, size, widths[i] - padding * 2));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + padding * 2;
+      if (fill) {
+        fillRect(MARGIN, y, CONTENT_WIDTH, height, fill);
+      }
+      wrapped.forEach((lines, i) => {
+        lines.forEach((line, n) => {
+          const x = columns[i].align === 'right'
+            ? lefts[i] + widths[i] - padding - textWidth(line, font, size)
+            : lefts[i] + padding;
+          drawText(line, x, y + padding + size + n * lineHeight, { font, size });
+        });
+      });
+      y += height;
+      rule(MARGIN, y, CONTENT_WIDTH, RULE_COLOR);
+      return height;
+    }
+
+    function rowHeight(cells, font) {
+      return Math.max(...cells.map((cell, i) =>
+        wrap(cell === null || cell === undefined ? '' : cell, font, size, widths[i] - padding * 2).length
+      )) * lineHeight + padding * 2;
+    }
+
+    const headerCells = columns.map(column => column.label);
+    const headerHeight = rowHeight(headerCells, 'F2');
+    ensure(headerHeight + (rows.length ? rowHeight(rows[0].cells || rows[0], 'F1') : 0));
+    drawRow(headerCells, { font: 'F2', fill: tint(accent, 0.85) });
+    rows.forEach((row) => {
+      const cells = row.cells || row;
+      const font = row.bold ? 'F2' : 'F1';
+      if (y + rowHeight(cells, font) > BOTTOM) {
+        newPage();
+        drawRow(headerCells, { font: 'F2', fill: tint(accent, 0.85) });
+      }
+      drawRow(cells, { font, fill: row.bold ? tint(accent, 0.95) : null });
+    });
+    y += 12;
+  }
+
+  function space(points) {
+    y += points;
+  }
+
+  // Header and footer go on last, once the page count is known
+  function decorate(pageOps, number) {
+    ops = pageOps;
+    fillRect(0, 0, PAGE_WIDTH, 6, accent);
+    if (header) {
+      drawText(encode(header), MARGIN, MARGIN - 10, { font: 'F2', size: 9, color: accent });
+    }
+    rule(MARGIN, BOTTOM + 14, CONTENT_WIDTH, RULE_COLOR);
+    if (footer) {
+      drawText(wrap(footer, 'F1', 8, CONTENT_WIDTH - 80)[0], MARGIN, BOTTOM + 28, { size: 8, color: MUTED_COLOR });
+    }
+    const pageLabel = encode(`Page ${number} of ${pages.length}`);
+    drawText(pageLabel, MARGIN + CONTENT_WIDTH - textWidth(pageLabel, 'F1', 8), BOTTOM + 28, { size: 8, color: MUTED_COLOR });
+  }
+
+  function toBuffer() {
+    if (!pages.length) {
+      newPage();
+    }
+    pages.forEach((pageOps, i) => decorate(pageOps, i + 1));
+
+    // Objects 1-5 are fixed; each page then takes two, itself and its
+    // content stream
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pages.map((page, i) => `${6 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Title ${pdfString(encode(title))} /Author ${pdfString(encode(author))} /CreationDate (${pdfDate(new Date())}) >>`
+    ].map(text => Buffer.from(text, 'latin1'));
+    pages.forEach((pageOps, i) => {
+      const stream = zlib.deflateSync(Buffer.from(pageOps.join('\n'), 'latin1'));
+      objects.push(Buffer.from(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + i * 2} 0 R >>`,
+        'latin1'
+      ));
+      objects.push(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1')
+      ]));
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((object, i) => {
+      const offset = length;
+      const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), object, Buffer.from('\nendobj\n', 'latin1')]);
+      chunks.push(chunk);
+      length += chunk.length;
+      return offset;
+    });
+    chunks.push(Buffer.from(
+      `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+      offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+      `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${length}\n%%EOF\n`,
+      'latin1'
+    ));
+    return Buffer.concat(chunks);
+  }
+
+  return { heading, paragraph, bullets, figures, table, space, toBuffer };
+}
+
+module.exports = { createPdf };
@@ -0,0 +1,58 @@
+const { run, get, all } = require('./db');
+
+// Sales pipeline stages, in the order a lead normally moves through them
+const LEAD_STATUSES = [
+  'new',
+  'call_booked',
+  'mockup_delivered',
+  'proposal_sent',
+  'won',
+  'lost'
+];
+
+// Append a history entry. History rows are never updated or deleted.
+async function recordStatusChange(leadId, fromStatus, toStatus, changedBy, note) {
+  const result = await run(
+    `INSERT INTO lead_status_history (lead_id, from_status, to_status, changed_by, note)
+     VALUES (?, ?, ?, ?, ?)`,
+    [leadId, fromStatus, toStatus, changedBy, note || null]
+  );
+  return get('SELECT * FROM lead_status_history WHERE id = ?', [result.lastID]);
+}
+
+// Move a lead to a new stage. Resolves to null when the lead doesn't exist.
+async function updateLeadStatus(leadId, status, { changedBy, note } = {}) {
+  if (!LEAD_STATUSES.includes(status)) {
+    throw new Error(`Unknown lead status: ${status}`);
+  }
+
+  const lead = await get('SELECT id, status FROM leads WHERE id = ?', [leadId]);
+  if (!lead) {
+    return null;
+  }
+
+  await run(
+    'UPDATE leads SET status = ?, status_updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [status, leadId]
+  );
+  const entry = await recordStatusChange(leadId, lead.status, status, changedBy, note);
+
+  return {
+    lead: await get('SELECT * FROM leads WHERE id = ?', [leadId]),
+    history: entry
+  };
+}
+
+async function getStatusHistory(leadId) {
+  return all(
+    'SELECT * FROM lead_status_history WHERE lead_id = ? ORDER BY created_at ASC, id ASC',
+    [leadId]
+  );
+}
+
+module.exports = {
+  LEAD_STATUSES,
+  recordStatusChange,
+  updateLeadStatus,
+  getStatusHistory
+};
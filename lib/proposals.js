@@ -0,0 +1,300 @@
+const { run, get, all } = require('./db');
+const { validateRoiInputs, calculateRoi, money, percent } = require('./roi');
+const { recordFromLead, mergeRecords } = require('./workflows');
+const { createPdf } = require('./pdf');
+
+// Proposals for a lead, built from the same discovery record as the
+// workflow document (see workflow-templates/EXAMPLE_discovery.json): the
+// client, a summary, the phases of work and the figures lib/roi.js turns
+// into the business case. Only the client and the ROI figures are
+// required. The PDF carries the branding set with PROPOSAL_COMPANY,
+// PROPOSAL_CONTACT and PROPOSAL_ACCENT.
+
+const DEFAULT_VALID_DAYS = 30;
+const DEFAULT_ACCENT = '#2563eb';
+
+const DEFAULT_SUMMARY = 'Your team currently runs this process on spreadsheets that are updated and ' +
+  'consolidated by hand. We propose replacing them with a central database, validated data entry and ' +
+  'live reporting, removing the manual work and the errors that come with it.';
+
+const DEFAULT_NEXT_STEPS = [
+  'Review this proposal and the figures behind it',
+  'Walk through the interactive mockup with your team',
+  'Approve the proposal to schedule development',
+  'Kickoff meeting with all stakeholders'
+];
+
+// Raised when a proposal can't be built from the inputs. Lists every
+// problem at once, like DiscoveryError.
+class ProposalError extends Error {
+  constructor(problems) {
+    super(`Proposal inputs are incomplete:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.problems = problems;
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Every problem with a proposal record, or an empty list when it's complete
+function validateProposal(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['Proposal inputs must be a JSON object'];
+  }
+
+  const problems = [];
+  const client = record.client || {};
+  ['company', 'contact'].forEach((field) => {
+    if (isBlank(client[field])) {
+      problems.push(`client.${field} is required`);
+    }
+  });
+  if (!isBlank(record.date) && !/^\d{4}-\d{2}-\d{2}$/.test(record.date)) {
+    problems.push('date must be YYYY-MM-DD');
+  }
+  if (record.valid_days !== undefined && !(Number.isInteger(record.valid_days) && record.valid_days > 0)) {
+    problems.push('valid_days must be a whole number of days');
+  }
+  (record.phases || []).forEach((item, i) => {
+    if (!item || isBlank(item.name)) {
+      problems.push(`phases[${i}].name is required`);
+    }
+  });
+  problems.push(...validateRoiInputs(record));
+  return problems;
+}
+
+function titleFor(record) {
+  return `${record.client.company} - ${record.workflow || 'Automation Proposal'}`;
+}
+
+function parseProposal(row) {
+  const proposal = { ...row, inputs: JSON.parse(row.inputs) };
+  proposal.roi = calculateRoi(proposal.inputs);
+  return proposal;
+}
+
+// The headline figures, for lists
+function summarize(proposal) {
+  const { inputs, ...rest } = proposal;
+  const { roi } = proposal;
+  return {
+    ...rest,
+    roi: {
+      annual_savings: roi.annual_savings,
+      development: roi.development,
+      payback_months: roi.payback_months,
+      roi_year_one: roi.roi_year_one
+    }
+  };
+}
+
+async function getProposal(id) {
+  const row = await get('SELECT * FROM proposals WHERE id = ?', [id]);
+  return row ? parseProposal(row) : null;
+}
+
+// A lead's proposals, newest first, with their headline figures
+async function listProposals(leadId) {
+  const rows = await all('SELECT * FROM proposals WHERE lead_id = ? ORDER BY id DESC', [leadId]);
+  return rows.map(row => summarize(parseProposal(row)));
+}
+
+// The proposal a lead's mockups offer for download
+async function latestProposal(leadId) {
+  const row = await get('SELECT * FROM proposals WHERE lead_id = ? ORDER BY id DESC LIMIT 1', [leadId]);
+  return row ? parseProposal(row) : null;
+}
+
+// Create a proposal from a record merged over what the lead provides.
+// Throws a ProposalError naming every problem with the result.
+async function createProposal(lead, { inputs, title }, createdBy) {
+  const record = mergeRecords(await recordFromLead(lead.id, { schema: false }), inputs);
+  const problems = validateProposal(record);
+  if (problems.length) {
+    throw new ProposalError(problems);
+  }
+  const { lastID } = await run(
+    'INSERT INTO proposals (lead_id, title, inputs, created_by) VALUES (?, ?, ?, ?)',
+    [lead.id, title || titleFor(record), JSON.stringify(record), createdBy || null]
+  );
+  return getProposal(lastID);
+}
+
+async function deleteProposal(id) {
+  const { changes } = await run('DELETE FROM proposals WHERE id = ?', [id]);
+  return changes > 0;
+}
+
+function branding() {
+  const accent = process.env.PROPOSAL_ACCENT || '';
+  return {
+    company: process.env.PROPOSAL_COMPANY || 'Your Company Name',
+    contact: process.env.PROPOSAL_CONTACT || '',
+    accent: /^#[0-9a-f]{6}$/i.test(accent) ? accent : DEFAULT_ACCENT
+  };
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+function plain(text) {
+  return String(text).replace(/\*\*/g, '');
+}
+
+function hours(value) {
+  return `${Number(value.toFixed(1)).toLocaleString('en-US')} hrs`;
+}
+
+// A file name for the download, e.g. "abc-manufacturing-proposal-3.pdf"
+function proposalFilename(proposal) {
+  const slug = proposal.inputs.client.company.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'client'}-proposal-${proposal.id}.pdf`;
+}
+
+// The proposal as a PDF document (a Buffer)
+function renderProposalPdf(proposal) {
+  const record = proposal.inputs;
+  const { roi } = proposal;
+  const brand = branding();
+  const date = record.date || String(proposal.created_at || new Date().toISOString()).slice(0, 10);
+  const contact = isBlank(record.client.contact_title)
+    ? record.client.contact
+    : `${record.client.contact}, ${record.client.contact_title}`;
+
+  const doc = createPdf({
+    title: proposal.title,
+    author: brand.company,
+    accent: brand.accent,
+    header: brand.company,
+    footer: [brand.company, brand.contact, `Proposal for ${record.client.company}`].filter(Boolean).join(' · ')
+  });
+
+  doc.paragraph(record.workflow || 'Automation Proposal', { size: 22, bold: true, after: 2 });
+  doc.paragraph(`Prepared for ${contact}, ${record.client.company}`, { size: 11, color: '#6b7280', after: 2 });
+  doc.paragraph(`${date} · Valid until ${addDays(date, record.valid_days || DEFAULT_VALID_DAYS)}`, {
+    size: 11,
+    color: '#6b7280',
+    after: 14
+  });
+
+  doc.figures([
+    { label: 'Annual savings', value: money(roi.annual_savings) },
+    { label: 'Time saved per week', value: hours(roi.saved_hours) },
+    { label: 'Payback period', value: roi.payback_months === null ? 'Not reached' : `${roi.payback_months.toFixed(1)} months` },
+    { label: 'Year 1 ROI', value: roi.roi_year_one === null ? '-' : percent(roi.roi_year_one) }
+  ]);
+
+  doc.heading('Summary');
+  doc.paragraph(isBlank(record.summary) ? DEFAULT_SUMMARY : record.summary.trim());
+
+  if (Array.isArray(record.improvements) && record.improvements.length) {
+    doc.heading('What Changes');
+    doc.bullets(record.improvements.map(item =>
+      (item.details && item.details.length ? `${item.title}: ${item.details.join('; ')}` : item.title)
+    ));
+  }
+
+  doc.heading('What the Current Process Costs');
+  doc.table(
+    [
+      { label: 'Item', width: 0.52 },
+      { label: 'Basis', width: 0.3 },
+      { label: 'Per year', width: 0.18, align: 'right' }
+    ],
+    [
+      ...roi.tasks.map(task => [task.task, `${hours(task.per_week)}/week at ${money(roi.rate)}/hr`, money(task.annual)]),
+      ...(roi.errors
+        ? [[
+          'Errors and rework',
+          `${Math.round(roi.errors.current_per_year).toLocaleString('en-US')} errors at ${money(roi.errors.cost_per_error)} each`,
+          money(roi.errors.current_cost)
+        ]]
+        : []),
+      ...roi.other_costs.map(item => [item.label, '', money(item.amount)]),
+      { cells: ['Total', '', money(roi.current_annual)], bold: true }
+    ]
+  );
+
+  doc.heading('Investment');
+  // Priced phases are listed when they make up the development cost
+  const development = typeof (record.costs || {}).development === 'number'
+    ? [['Development', 'One-time', money(roi.development)]]
+    : record.phases.map(item => [item.name, item.timeline || 'One-time', money(item.cost)]);
+  doc.table(
+    [
+      { label: 'Item', width: 0.52 },
+      { label: 'Timeline', width: 0.3 },
+      { label: 'Cost', width: 0.18, align: 'right' }
+    ],
+    [
+      ...development,
+      ['Hosting', `${money(roi.hosting_monthly)}/month`, money(roi.hosting_monthly * 12)],
+      ['Maintenance and support', `${money(roi.maintenance_monthly)}/month`, money(roi.maintenance_monthly * 12)],
+      { cells: ['Year 1 total', '', money(roi.year_one_cost)], bold: true },
+      { cells: ['Each following year', '', money(roi.ongoing)], bold: true }
+    ]
+  );
+
+  doc.heading('Return on Investment');
+  doc.table(
+    [
+      { label: '', width: 0.7 },
+      { label: 'Per year', width: 0.3, align: 'right' }
+    ],
+    [
+      [`Time saved: ${hours(roi.saved_hours)} a week`, money(roi.labour_savings)],
+      ...(roi.errors
+        ? [[
+          `Errors avoided: ${Math.round(roi.errors.avoided_per_year).toLocaleString('en-US')} (${roi.errors.current_rate}% down to ${roi.errors.target_rate}%)`,
+          money(roi.errors.savings)
+        ]]
+        : []),
+      ...roi.other_costs.map(item => [`No more: ${item.label}`, money(item.amount)]),
+      { cells: ['Total savings', money(roi.annual_savings)], bold: true },
+      ['Net benefit in Year 1, after development and running costs', money(roi.year_one_net)],
+      ['Net benefit in each following year', money(roi.later_net)]
+    ]
+  );
+  doc.bullets([
+    roi.payback_months === null
+      ? 'At these figures the savings do not cover the development cost.'
+      : `The development cost is paid back in ${roi.payback_months.toFixed(1)} months.`,
+    ...(roi.roi_year_one === null ? [] : [`Return on investment: ${percent(roi.roi_year_one)} in Year 1` +
+      `${roi.roi_later === null ? '' : `, ${percent(roi.roi_later)} each year after`}.`])
+  ]);
+
+  if (Array.isArray(record.phases) && record.phases.length) {
+    doc.heading('Scope and Timeline');
+    record.phases.forEach((item, i) => {
+      doc.heading(`Phase ${i + 1}: ${item.name}${item.timeline ? ` (${item.timeline})` : ''}`, 2);
+      if (item.tasks && item.tasks.length) {
+        doc.bullets(item.tasks.map(plain));
+      }
+    });
+  }
+
+  doc.heading('Next Steps');
+  doc.bullets((record.next_steps || DEFAULT_NEXT_STEPS).map(plain));
+  if (brand.contact) {
+    doc.paragraph(`Questions? Contact us at ${brand.contact}.`, { color: '#6b7280' });
+  }
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  ProposalError,
+  validateProposal,
+  getProposal,
+  listProposals,
+  latestProposal,
+  createProposal,
+  deleteProposal,
+  proposalFilename,
+  renderProposalPdf
+};
@@ -0,0 +1,206 @@
+const { run, get, all, toSqlDate } = require('./db');
+
+// Job states: pending -> running -> completed, or back to pending for a
+// retry, or dead once max_attempts is used up (the dead-letter state)
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000;
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS, 10) || 5000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+const handlers = new Map();
+
+let polling = false;
+let timer = null;
+let currentJob = null;
+
+// handler(payload, job) may be async; throwing schedules a retry
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function parseJob(row) {
+  if (!row) {
+    return row;
+  }
+  return { ...row, payload: JSON.parse(row.payload) };
+}
+
+async function enqueue(type, payload = {}, { maxAttempts = DEFAULT_MAX_ATTEMPTS, delayMs = 0 } = {}) {
+  const { lastID } = await run(
+    'INSERT INTO jobs (type, payload, max_attempts, run_at) VALUES (?, ?, ?, ?)',
+    [type, JSON.stringify(payload), maxAttempts, toSqlDate(new Date(Date.now() + delayMs))]
+  );
+  if (delayMs === 0) {
+    wake();
+  }
+  return lastID;
+}
+
+// Exponential backoff: 5s, 10s, 20s, ... with the default base
+function retryDelay(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+// Claim the next due job. The status check in the UPDATE keeps a job from
+// being claimed twice.
+async function claimNextJob() {
+  const next = await get(
+    `SELECT id FROM jobs WHERE status = 'pending' AND run_at <= datetime('now')
+     ORDER BY run_at ASC, id ASC LIMIT 1`
+  );
+  if (!next) {
+    return null;
+  }
+
+  const { changes } = await run(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1,
+       locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'pending'`,
+    [next.id]
+  );
+  return changes ? parseJob(await get('SELECT * FROM jobs WHERE id = ?', [next.id])) : null;
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+    await handler(job.payload, job);
+    await run(
+      `UPDATE jobs SET status = 'completed', locked_at = NULL, last_error = NULL,
+         completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [job.id]
+    );
+  } catch (err) {
+    if (job.attempts >= job.max_attempts) {
+      console.error(`Job ${job.id} (${job.type}) moved to dead letter:`, err.message);
+      await run(
+        `UPDATE jobs SET status = 'dead', locked_at = NULL, last_error = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [err.message, job.id]
+      );
+    } else {
+      await run(
+        `UPDATE jobs SET status = 'pending', locked_at = NULL, last_error = ?, run_at = ?,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [err.message, toSqlDate(new Date(Date.now() + retryDelay(job.attempts))), job.id]
+      );
+    }
+  }
+}
+
+// Work through every due job, then sleep until the next poll
+async function poll() {
+  timer = null;
+  try {
+    while (polling) {
+      currentJob = claimNextJob().then(job => job && runJob(job).then(() => job));
+      const job = await currentJob;
+      currentJob = null;
+      if (!job) {
+        break;
+      }
+    }
+  } catch (err) {
+    currentJob = null;
+    console.error('Job worker error:', err.message);
+  }
+  if (polling && !timer) {
+    timer = setTimeout(poll, POLL_INTERVAL_MS);
+  }
+}
+
+// Check for work now instead of waiting for the next poll
+function wake() {
+  if (polling && timer && !currentJob) {
+    clearTimeout(timer);
+    timer = setTimeout(poll, 0);
+  }
+}
+
+async function startWorker() {
+  if (polling) {
+    return;
+  }
+  // Jobs left running by a crash or hard stop go back in the queue
+  await run(
+    "UPDATE jobs SET status = 'pending', locked_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE status = 'running'"
+  );
+  polling = true;
+  timer = setTimeout(poll, 0);
+}
+
+// Stop taking new jobs and wait for the one in flight to finish
+async function drain() {
+  polling = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  if (currentJob) {
+    await currentJob.catch(() => {});
+  }
+}
+
+async function listJobs({ status, type, limit = 50 } = {}) {
+  const clauses = [];
+  const params = [];
+  if (status) {
+    clauses.push('status = ?');
+    params.push(status);
+  }
+  if (type) {
+    clauses.push('type = ?');
+    params.push(type);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const rows = await all(`SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ?`, [...params, limit]);
+  return rows.map(parseJob);
+}
+
+async function getJob(id) {
+  return parseJob(await get('SELECT * FROM jobs WHERE id = ?', [id]));
+}
+
+async function countJobsByStatus() {
+  const rows = await all('SELECT status, COUNT(*) AS count FROM jobs GROUP BY status');
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  rows.forEach((row) => {
+    counts[row.status] = row.count;
+  });
+  return counts;
+}
+
+// Give a dead job a fresh set of attempts. Resolves to null if the job
+// doesn't exist or isn't dead.
+async function retryJob(id) {
+  const { changes } = await run(
+    `UPDATE jobs SET status = 'pending', attempts = 0, run_at = CURRENT_TIMESTAMP,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'dead'`,
+    [id]
+  );
+  if (!changes) {
+    return null;
+  }
+  wake();
+  return getJob(id);
+}
+
+module.exports = {
+  JOB_STATUSES,
+  registerHandler,
+  enqueue,
+  startWorker,
+  drain,
+  listJobs,
+  getJob,
+  countJobsByStatus,
+  retryJob
+};
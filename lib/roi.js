@@ -0,0 +1,175 @@
+// Return on investment of replacing a spreadsheet process, from the
+// figures gathered on a discovery call. The inputs use the discovery
+// record's shape (see workflow-templates/EXAMPLE_discovery.json), so a
+// record can be passed as it is:
+//
+//   hours:        { rate, tasks: [{ task, per_week }], saved_per_week }
+//   errors:       { records_per_week, current_rate, target_rate, cost_per_error }
+//   annual_costs: [{ label, amount }]
+//   costs:        { development, hosting_monthly, maintenance_monthly }
+//   phases:       [{ cost }], summed when costs.development is left out
+//
+// Rates are percentages of records with an error. Only hours, and costs
+// unless every phase is priced, are required.
+
+const WEEKS_PER_YEAR = 52;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Every problem with the inputs, or an empty list when they can be
+// calculated
+function validateRoiInputs(inputs) {
+  const problems = [];
+  const hours = inputs.hours || {};
+  if (!isNumber(hours.rate)) {
+    problems.push('hours.rate (hourly cost in dollars) is required');
+  }
+  if (!Array.isArray(hours.tasks) || hours.tasks.length === 0) {
+    problems.push('hours.tasks needs at least 1 entry');
+  } else {
+    hours.tasks.forEach((task, i) => {
+      if (!task || isBlank(task.task)) {
+        problems.push(`hours.tasks[${i}].task is required`);
+      }
+      if (!task || !isNumber(task.per_week)) {
+        problems.push(`hours.tasks[${i}].per_week must be a number of hours`);
+      }
+    });
+  }
+  if (hours.saved_per_week !== undefined && !isNumber(hours.saved_per_week)) {
+    problems.push('hours.saved_per_week must be a number of hours');
+  }
+
+  if (inputs.errors !== undefined) {
+    const errors = inputs.errors || {};
+    ['records_per_week', 'cost_per_error'].forEach((field) => {
+      if (!isNumber(errors[field])) {
+        problems.push(`errors.${field} must be a number`);
+      }
+    });
+    ['current_rate', 'target_rate'].forEach((field) => {
+      if (!isNumber(errors[field]) || errors[field] > 100) {
+        problems.push(`errors.${field} must be a percentage from 0 to 100`);
+      }
+    });
+    if (errors.target_rate > errors.current_rate) {
+      problems.push('errors.target_rate cannot be higher than errors.current_rate');
+    }
+  }
+
+  const costs = inputs.costs || {};
+  const phasesPriced = Array.isArray(inputs.phases) && inputs.phases.length > 0 &&
+    inputs.phases.every(phase => phase && isNumber(phase.cost));
+  if (!isNumber(costs.development) && !phasesPriced) {
+    problems.push('costs.development is required unless every phase has a cost');
+  }
+  (inputs.annual_costs || []).forEach((item, i) => {
+    if (!item || isBlank(item.label) || !isNumber(item.amount)) {
+      problems.push(`annual_costs[${i}] needs a label and an amount in dollars`);
+    }
+  });
+  ['hosting_monthly', 'maintenance_monthly'].forEach((field) => {
+    if (costs[field] !== undefined && !isNumber(costs[field])) {
+      problems.push(`costs.${field} must be a number of dollars`);
+    }
+  });
+
+  return problems;
+}
+
+// The yearly cost of the current process against the proposed one. Hours
+// saved default to every hour listed, i.e. the tasks go away entirely;
+// other annual costs are taken to go away too. Expects inputs that
+// validateRoiInputs passes. ROI figures are ratios (0.21 is 21%), null
+// where there's nothing to divide by; payback is null when the savings
+// never cover the development cost.
+function calculateRoi(inputs) {
+  const { rate } = inputs.hours;
+  const costs = inputs.costs || {};
+  const tasks = inputs.hours.tasks.map(task => ({
+    task: task.task,
+    per_week: task.per_week,
+    annual: task.per_week * rate * WEEKS_PER_YEAR
+  }));
+  const currentHours = tasks.reduce((sum, task) => sum + task.per_week, 0);
+  const savedHours = inputs.hours.saved_per_week === undefined ? currentHours : inputs.hours.saved_per_week;
+  const labourCost = currentHours * rate * WEEKS_PER_YEAR;
+  const labourSavings = savedHours * rate * WEEKS_PER_YEAR;
+
+  let errors = null;
+  if (inputs.errors) {
+    const { records_per_week: records, current_rate: currentRate, target_rate: targetRate } = inputs.errors;
+    const perYear = records * WEEKS_PER_YEAR;
+    const avoided = perYear * (currentRate - targetRate) / 100;
+    errors = {
+      ...inputs.errors,
+      current_per_year: perYear * currentRate / 100,
+      avoided_per_year: avoided,
+      current_cost: perYear * currentRate / 100 * inputs.errors.cost_per_error,
+      savings: avoided * inputs.errors.cost_per_error
+    };
+  }
+
+  const otherCosts = (inputs.annual_costs || []).map(item => ({ label: item.label, amount: item.amount }));
+  const otherTotal = otherCosts.reduce((sum, item) => sum + item.amount, 0);
+  const currentAnnual = labourCost + (errors ? errors.current_cost : 0) + otherTotal;
+  // Hours that aren't saved, and errors still made, keep costing the same
+  // after the change
+  const annualSavings = labourSavings + (errors ? errors.savings : 0) + otherTotal;
+
+  const development = isNumber(costs.development)
+    ? costs.development
+    : inputs.phases.reduce((sum, phase) => sum + phase.cost, 0);
+  const hosting = costs.hosting_monthly || 0;
+  const maintenance = costs.maintenance_monthly || 0;
+  const ongoing = (hosting + maintenance) * 12;
+  const yearOneCost = development + ongoing;
+  const yearOneNet = annualSavings - yearOneCost;
+  const laterNet = annualSavings - ongoing;
+
+  return {
+    rate,
+    tasks,
+    current_hours: currentHours,
+    saved_hours: savedHours,
+    labour_cost: labourCost,
+    labour_savings: labourSavings,
+    errors,
+    other_costs: otherCosts,
+    other_total: otherTotal,
+    current_annual: currentAnnual,
+    annual_savings: annualSavings,
+    development,
+    hosting_monthly: hosting,
+    maintenance_monthly: maintenance,
+    ongoing,
+    year_one_cost: yearOneCost,
+    year_one_net: yearOneNet,
+    later_net: laterNet,
+    roi_year_one: yearOneCost > 0 ? yearOneNet / yearOneCost : null,
+    roi_later: ongoing > 0 ? laterNet / ongoing : null,
+    payback_months: laterNet > 0 ? development / (laterNet / 12) : null
+  };
+}
+
+function money(amount) {
+  return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+function percent(ratio) {
+  return `${Math.round(ratio * 100).toLocaleString('en-US')}%`;
+}
+
+module.exports = {
+  WEEKS_PER_YEAR,
+  validateRoiInputs,
+  calculateRoi,
+  money,
+  percent
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { run, get, all, toSqlDate } = require('./db');
+const { findDuplicateLead, normalizeEmail } = require('./leads');
+const { updateLeadStatus } = require('./pipeline');
+
+// Signed requests older than this are refused, so a captured request
+// can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.SCHEDULING_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+
+const BOOKING_STATUSES = ['scheduled', 'canceled'];
+
+// Calendly signs "<t>.<raw body>" with the webhook signing key and sends
+// "Calendly-Webhook-Signature: t=<unix seconds>,v1=<hex hmac-sha256>"
+function verifyCalendlySignature(rawBody, header, secret, now = Date.now()) {
+  if (!header || !secret) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(
+    String(header).split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  const given = Buffer.from(parts.v1, 'utf8');
+  return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected, 'utf8'));
+}
+
+// Header value for a body, as Calendly would send it. Used to replay
+// recorded payloads against a running server.
+function signCalendlyPayload(rawBody, secret, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function sqlDateOrNull(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : toSqlDate(new Date(time));
+}
+
+// Turn a Calendly webhook body into a provider-neutral booking event.
+// Returns null for event types we don't handle.
+function parseCalendlyEvent(body) {
+  const types = { 'invitee.created': 'scheduled', 'invitee.canceled': 'canceled' };
+  const status = body && types[body.event];
+  const payload = body && body.payload;
+  if (!status || !payload || !payload.uri || !payload.email) {
+    return null;
+  }
+
+  const event = payload.scheduled_event || {};
+  const cancellation = payload.cancellation || {};
+  return {
+    provider: 'calendly',
+    status,
+    invitee_uri: payload.uri,
+    event_uri: event.uri || null,
+    event_name: event.name || null,
+    invitee_email: payload.email,
+    invitee_name: payload.name || null,
+    scheduled_at: sqlDateOrNull(event.start_time),
+    ends_at: sqlDateOrNull(event.end_time),
+    rescheduled: Boolean(payload.rescheduled),
+    cancel_reason: cancellation.reason || null,
+    canceled_at: status === 'canceled' ? sqlDateOrNull(cancellation.created_at) || toSqlDate(new Date()) : null
+  };
+}
+
+// The lead's call fields follow its latest upcoming booking, or the latest
+// canceled one when nothing is scheduled any more
+async function refreshLeadCall(leadId) {
+  const current = await get(
+    `SELECT scheduled_at, status FROM lead_bookings WHERE lead_id = ?
+     ORDER BY CASE status WHEN 'scheduled' THEN 0 ELSE 1 END, scheduled_at DESC, id DESC LIMIT 1`,
+    [leadId]
+  );
+  await run(
+    'UPDATE leads SET call_scheduled_at = ?, call_status = ? WHERE id = ?',
+    [current ? current.scheduled_at : null, current ? current.status : null, leadId]
+  );
+  return current;
+}
+
+// Move the pipeline along: a booking takes a new lead to call_booked, and
+// cancelling the only booking takes it back. Reschedules cancel the old
+// booking and create a new one, so they leave the stage alone.
+async function advancePipeline(lead, booking, current) {
+  const changedBy = booking.provider;
+  if (booking.status === 'scheduled' && lead.status === 'new') {
+    await updateLeadStatus(lead.id, 'call_booked', {
+      changedBy,
+      note: booking.scheduled_at ? `Call booked for ${booking.scheduled_at} UTC` : 'Call booked'
+    });
+  } else if (
+    booking.status === 'canceled' && !booking.rescheduled &&
+    lead.status === 'call_booked' && (!current || current.status !== 'scheduled')
+  ) {
+    await updateLeadStatus(lead.id, 'new', {
+      changedBy,
+      note: booking.cancel_reason ? `Call canceled: ${booking.cancel_reason}` : 'Call canceled'
+    });
+  }
+}
+
+// Store a booking event and apply it to the matching lead. Events are keyed
+// by invitee, so a delivery retried by the provider changes nothing.
+// Bookings from unknown emails are kept with no lead so they can be matched
+// by hand.
+async function recordBookingEvent(booking, payload) {
+  const lead = await findDuplicateLead({ email: booking.invitee_email });
+  const existing = await get('SELECT * FROM lead_bookings WHERE invitee_uri = ?', [booking.invitee_uri]);
+  const leadId = lead ? lead.id : (existing ? existing.lead_id : null);
+
+  if (existing) {
+    await run(
+      `UPDATE lead_bookings SET
+         lead_id = ?, status = ?, event_uri = COALESCE(?, event_uri), event_name = COALESCE(?, event_name),
+         scheduled_at = COALESCE(?, scheduled_at), ends_at = COALESCE(?, ends_at), rescheduled = ?,
+         cancel_reason = ?, canceled_at = ?, payload = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        leadId, booking.status, booking.event_uri, booking.event_name, booking.scheduled_at, booking.ends_at,
+        booking.rescheduled ? 1 : 0, booking.cancel_reason, booking.canceled_at, JSON.stringify(payload), existing.id
+      ]
+    );
+  } else {
+    await run(
+      `INSERT INTO lead_bookings (
+         lead_id, provider, invitee_uri, event_uri, event_name, invitee_email, invitee_name, status,
+         scheduled_at, ends_at, rescheduled, cancel_reason, canceled_at, payload
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        leadId, booking.provider, booking.invitee_uri, booking.event_uri, booking.event_name,
+        normalizeEmail(booking.invitee_email), booking.invitee_name, booking.status, booking.scheduled_at,
+        booking.ends_at, booking.rescheduled ? 1 : 0, booking.cancel_reason, booking.canceled_at,
+        JSON.stringify(payload)
+      ]
+    );
+  }
+
+  if (!leadId) {
+    return { matched: false, lead_id: null };
+  }
+
+  const current = await refreshLeadCall(leadId);
+  const unchanged = existing && existing.status === booking.status;
+  if (!unchanged) {
+    const target = lead || await get('SELECT * FROM leads WHERE id = ?', [leadId]);
+    await advancePipeline(target, booking, current);
+  }
+  return { matched: true, lead_id: leadId };
+}
+
+async function getBookings(leadId) {
+  return all(
+    `SELECT id, provider, event_name, invitee_email, invitee_name, status, scheduled_at, ends_at,
+       rescheduled, cancel_reason, canceled_at, created_at, updated_at
+     FROM lead_bookings WHERE lead_id = ? ORDER BY scheduled_at DESC, id DESC`,
+    [leadId]
+  );
+}
+
+module.exports = {
+  BOOKING_STATUSES,
+  SIGNATURE_TOLERANCE_SECONDS,
+  verifyCalendlySignature,
+  signCalendlyPayload,
+  parseCalendlyEvent,
+  recordBookingEvent,
+  getBookings
+};
@@ -0,0 +1,1078 @@
+const path = require('path');
+const { getLeadFiles, getLeadFile } = require('./uploads');
+const { readTables } = require('./spreadsheets');
+
+// Proposed database schema for a client's spreadsheets: what each column
+// holds, which column identifies a row, which sheets are one table split
+// up (one per warehouse, say), which columns repeat (Item 1, Item 2, ...)
+// and which values belong in a table of their own, shared between sheets.
+// The result carries SQL DDL and a column-by-column mapping, and feeds the
+// workflow document's data structure section (see lib/workflows.js) and
+// the form of a lead's default mockup (see lib/mockups.js).
+
+// A type needs this share of a column's values; the rest are listed as
+// issues
+const TYPE_THRESHOLD = 0.9;
+// A column this share of whose values are found in another sheet's key
+// column refers to that sheet
+const REFERENCE_THRESHOLD = 0.9;
+const MAX_ENUM_VALUES = 12;
+const MAX_ENUM_LENGTH = 40;
+// Lookup tables with up to this many values are filled by the DDL, and
+// their values offered as options in the mockup form
+const MAX_SEED_VALUES = 50;
+const MAX_FORM_FIELDS = 8;
+const MAX_LISTED_VALUES = 3;
+
+const PLACEHOLDERS = /^(n\/?a|none|null|nil|-+|—|\?)$/i;
+const BOOLEAN_TEXT = /^(yes|no|y|n|true|false)$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_TEXT = /^https?:\/\/\S+$/i;
+const NUMBER_TEXT = /^-?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?$/;
+const MONEY_TEXT = /^(\()?(-)?\s*([$€£])\s?(-)?([\d,]*\.?\d+)\)?$|^(-)?([\d,]*\.?\d+)\s?([$€£])$/;
+const PERCENT_TEXT = /^(-?[\d,]*\.?\d+)\s?%$/;
+const PHONE_TEXT = /^\+?[\d\s().-]+$/;
+const CODE_TEXT = /^[A-Za-z]{1,6}[-_/ ]?\d+[A-Za-z0-9-]*$/;
+
+const ID_HEADER = /(^|[\s_-])(id|no\.?|number|num|code|sku|ref|reference|#)$|^id([\s_-]|$)/i;
+const MONEY_HEADER = /price|cost|amount|total|revenue|fee|salary|budget|balance|paid|spend|\$|value/i;
+const COUNT_HEADER = /count|qty|quantity|number|units|items|level|hours|days/i;
+const DATE_HEADER = /date|updated|modified|created|due|when|day|time/i;
+const PHONE_HEADER = /phone|tel|mobile|cell|fax/i;
+// Columns that name things worth a table of their own, rather than a fixed
+// list of choices
+const ENTITY_HEADER = /(^|[\s_-])(customer|client|supplier|vendor|warehouse|location|site|branch|store|region|department|team|category|product|employee|rep|owner|manager|assignee|project)(e?s)?([\s_-]|$)/i;
+// Numbered columns that aren't a repeated group
+const NOT_REPEATED = /address|line/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const SQL_RESERVED = new Set([
+  'all', 'and', 'as', 'by', 'case', 'check', 'column', 'date', 'default', 'delete', 'desc', 'end', 'from', 'group',
+  'having', 'in', 'index', 'insert', 'into', 'is', 'join', 'key', 'limit', 'not', 'null', 'on', 'or', 'order',
+  'primary', 'references', 'select', 'set', 'table', 'to', 'union', 'unique', 'update', 'user', 'values', 'where'
+]);
+
+const TYPE_LABELS = {
+  text: 'Text',
+  long_text: 'Long text',
+  integer: 'Number',
+  decimal: 'Number',
+  currency: 'Currency',
+  percent: 'Percent',
+  date: 'Date',
+  datetime: 'Date and time',
+  boolean: 'Yes/No',
+  email: 'Email',
+  url: 'Link',
+  phone: 'Phone',
+  id: 'ID',
+  enum: 'Choice'
+};
+
+// Names
+
+function snakeCase(text) {
+  const name = String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return /^\d/.test(name) ? `col_${name}` : name;
+}
+
+function singular(name) {
+  if (/ies$/.test(name)) {
+    return name.replace(/ies$/, 'y');
+  }
+  if (/(ss|x|ch|sh)es$/.test(name)) {
+    return name.replace(/es$/, '');
+  }
+  if (/[^s]s$/.test(name)) {
+    return name.slice(0, -1);
+  }
+  return name;
+}
+
+function plural(name) {
+  if (/[^aeiou]y$/.test(name)) {
+    return name.replace(/y$/, 'ies');
+  }
+  if (/(s|x|ch|sh)$/.test(name)) {
+    return `${name}es`;
+  }
+  return `${name}s`;
+}
+
+function uniqueName(name, taken) {
+  let candidate = name;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${name}_${n}`;
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+function quoteName(name) {
+  return SQL_RESERVED.has(name) ? `"${name}"` : name;
+}
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function humanize(name) {
+  return name.replace(/_/g, ' ');
+}
+
+// Values
+
+function isBlankValue(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function validDate(year, month, day) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31 && year >= 1900 && year <= 2200;
+}
+
+function monthIndex(name) {
+  const index = MONTHS.indexOf(String(name).slice(0, 3).toLowerCase());
+  return index >= 0 && /^[a-z]+$/i.test(name) ? index + 1 : 0;
+}
+
+// A date written out as text, with how it was written; null when it isn't
+// one. Slashed dates are read month first unless the first number can't
+// be a month; orders says which readings were possible.
+function parseDateText(text) {
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2}))?/);
+  if (match && validDate(+match[1], +match[2], +match[3])) {
+    return { format: 'YYYY-MM-DD', time: Boolean(match[4]) && (+match[4] !== 0 || +match[5] !== 0) };
+  }
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]m)?)?$/i);
+  if (match) {
+    const [first, second] = [+match[1], +match[2]];
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    const monthFirst = validDate(year, first, second);
+    const dayFirst = validDate(year, second, first);
+    if (monthFirst || dayFirst) {
+      return {
+        format: 'M/D/YYYY',
+        time: Boolean(match[4]),
+        orders: { month_first: monthFirst, day_first: dayFirst, same: first === second }
+      };
+    }
+  }
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})$/);
+  if (match && validDate(2000, +match[1], +match[2])) {
+    return { format: 'M/D', time: false, noYear: true };
+  }
+
+  match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3,9})\.?[\s,-]+(\d{4})$/) || text.match(/^([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+  if (match) {
+    const named = /^\d/.test(match[1]) ? match[2] : match[1];
+    const day = /^\d/.test(match[1]) ? +match[1] : +match[2];
+    if (monthIndex(named) && validDate(+match[3], 1, day)) {
+      return { format: 'D Mon YYYY', time: false };
+    }
+  }
+  return null;
+}
+
+function parseNumberText(text) {
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+// What one value could be. Spreadsheet cells come typed (numbers, dates,
+// booleans); text is recognised by its look.
+function classify(value) {
+  if (typeof value === 'boolean') {
+    return { boolean: true };
+  }
+  if (value instanceof Date) {
+    const time = value.getUTCHours() !== 0 || value.getUTCMinutes() !== 0;
+    return { date: true, time, format: 'date cell' };
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { number: value } : {};
+  }
+
+  const text = String(value);
+  const kinds = {};
+  if (BOOLEAN_TEXT.test(text)) {
+    kinds.boolean = true;
+  }
+  if (EMAIL.test(text)) {
+    kinds.email = true;
+  }
+  if (URL_TEXT.test(text)) {
+    kinds.url = true;
+  }
+  if (CODE_TEXT.test(text)) {
+    kinds.code = true;
+  }
+
+  const date = parseDateText(text);
+  if (date) {
+    Object.assign(kinds, { date: true, time: date.time, format: date.format, orders: date.orders, noYear: date.noYear });
+  }
+
+  const money = text.match(MONEY_TEXT);
+  const percent = text.match(PERCENT_TEXT);
+  if (money) {
+    const negative = money[1] || money[2] || money[4] || money[6];
+    kinds.number = parseNumberText(money[5] || money[7]) * (negative ? -1 : 1);
+    kinds.currency = money[3] || money[8];
+  } else if (percent) {
+    kinds.number = parseNumberText(percent[1]);
+    kinds.percent = true;
+  } else if (NUMBER_TEXT.test(text) && /\d/.test(text) && !/^-?0\d/.test(text)) {
+    // Leading zeros mean a code (a zip code, a part number), not a number
+    kinds.number = parseNumberText(text);
+  }
+
+  const digits = text.replace(/\D/g, '').length;
+  if (PHONE_TEXT.test(text) && digits >= 7 && digits <= 15 && kinds.number === undefined && !date) {
+    kinds.phone = true;
+  }
+  return kinds;
+}
+
+// How values are compared: case, spacing and number formatting aside
+function canonical(value) {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function display(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+  }
+  return String(value);
+}
+
+function quoteList(values) {
+  return values.slice(0, MAX_LISTED_VALUES).map(value => `"${value}"`).join(', ') +
+    (values.length > MAX_LISTED_VALUES ? ', ...' : '');
+}
+
+function decimalsOf(number) {
+  const text = String(number);
+  return text.includes('.') && !text.includes('e') ? text.split('.')[1].length : 0;
+}
+
+function sizeFor(length) {
+  return [20, 50, 100, 255].find(size => length * 1.5 <= size) || null;
+}
+
+// Columns
+
+// Everything inferred about a column from its values. values holds the
+// canonical form of every value, to match columns across sheets.
+function profileColumn(header, rawValues, { format = '', rowCount = rawValues.length } = {}) {
+  const values = [];
+  let blanks = 0;
+  const placeholders = new Set();
+  rawValues.forEach((value) => {
+    if (isBlankValue(value)) {
+      blanks += 1;
+    } else if (typeof value === 'string' && PLACEHOLDERS.test(value.trim())) {
+      blanks += 1;
+      placeholders.add(value.trim());
+    } else {
+      values.push(value);
+    }
+  });
+
+  const kinds = values.map(classify);
+  const count = values.length;
+  const share = test => (count ? kinds.filter(test).length / count : 0);
+  const numbers = kinds.filter(kind => kind.number !== undefined).map(kind => kind.number);
+  const headerText = String(header || '');
+
+  let type = 'text';
+  let conforms = () => true;
+  if (count === 0) {
+    type = 'text';
+  } else if (share(kind => kind.boolean) >= TYPE_THRESHOLD) {
+    type = 'boolean';
+    conforms = kind => kind.boolean;
+  } else if (share(kind => kind.date && (!kind.noYear || DATE_HEADER.test(headerText))) >= TYPE_THRESHOLD) {
+    type = kinds.some(kind => kind.time) ? 'datetime' : 'date';
+    conforms = kind => kind.date;
+  } else if (share(kind => kind.email) >= TYPE_THRESHOLD) {
+    type = 'email';
+    conforms = kind => kind.email;
+  } else if (share(kind => kind.url) >= TYPE_THRESHOLD) {
+    type = 'url';
+    conforms = kind => kind.url;
+  } else if (share(kind => kind.number !== undefined) >= TYPE_THRESHOLD) {
+    conforms = kind => kind.number !== undefined;
+    const numeric = kinds.filter(conforms);
+    if (numeric.filter(kind => kind.percent).length * 2 >= numeric.length || format.includes('%')) {
+      type = 'percent';
+    } else if (numeric.filter(kind => kind.currency).length * 2 >= numeric.length || /[$€£]/.test(format) ||
+      (MONEY_HEADER.test(headerText) && !COUNT_HEADER.test(headerText))) {
+      type = 'currency';
+    } else {
+      type = numbers.every(Number.isInteger) ? 'integer' : 'decimal';
+    }
+  } else if (share(kind => kind.phone) >= TYPE_THRESHOLD || (PHONE_HEADER.test(headerText) && share(kind => kind.phone || kind.number !== undefined) >= TYPE_THRESHOLD)) {
+    type = 'phone';
+    conforms = kind => kind.phone || kind.number !== undefined;
+  }
+
+  // Spellings of each value, most common first
+  const spellings = new Map();
+  values.forEach((value) => {
+    const key = canonical(value);
+    const shown = display(value);
+    if (!spellings.has(key)) {
+      spellings.set(key, new Map());
+    }
+    spellings.get(key).set(shown, (spellings.get(key).get(shown) || 0) + 1);
+  });
+  const distinct = spellings.size;
+  const unique = count > 0 && distinct === count;
+  const lengths = values.map(value => display(value).length);
+  const maxLength = lengths.length ? Math.max(...lengths) : 0;
+
+  if (type === 'text' || type === 'integer') {
+    if (unique && count >= 2 && (ID_HEADER.test(headerText) || share(kind => kind.code) >= TYPE_THRESHOLD)) {
+      type = 'id';
+    } else if (type === 'text' && count >= 2 && distinct <= MAX_ENUM_VALUES && count >= distinct * 2 && maxLength <= MAX_ENUM_LENGTH) {
+      type = 'enum';
+    } else if (type === 'text' && maxLength > 255) {
+      type = 'long_text';
+    }
+  }
+
+  const issues = [];
+  if (blanks > 0 && count > 0) {
+    issues.push(`${blanks} of ${rowCount} blank`);
+  }
+  if (placeholders.size) {
+    issues.push(`Uses ${quoteList([...placeholders])} for blank`);
+  }
+  const odd = values.filter((value, i) => !conforms(kinds[i])).map(display);
+  if (odd.length) {
+    issues.push(`${odd.length} not ${TYPE_LABELS[type].toLowerCase()}: ${quoteList([...new Set(odd)])}`);
+  }
+
+  if (type === 'date' || type === 'datetime') {
+    const formats = new Set(kinds.filter(kind => kind.date).map(kind => kind.format));
+    if (formats.size > 1) {
+      issues.push(`Mixed date formats (${[...formats].join(', ')})`);
+    }
+    const slashed = kinds.filter(kind => kind.orders && !kind.orders.same);
+    if (slashed.length && slashed.every(kind => kind.orders.month_first && kind.orders.day_first)) {
+      issues.push('Ambiguous dates: day and month order can\'t be told apart');
+    } else if (slashed.some(kind => !kind.orders.month_first) && slashed.some(kind => !kind.orders.day_first)) {
+      issues.push('Dates written both month-first and day-first');
+    }
+    const noYear = kinds.filter(kind => kind.noYear).length;
+    if (noYear) {
+      issues.push(`${noYear} dates without a year`);
+    }
+  }
+  if (type === 'currency') {
+    const symbols = new Set(kinds.map(kind => kind.currency).filter(Boolean));
+    if (symbols.size > 1) {
+      issues.push(`Mixed currencies (${[...symbols].join(', ')})`);
+    }
+  }
+  const variants = [...spellings.values()].filter(shown => shown.size > 1);
+  if (variants.length) {
+    issues.push(`Inconsistent spelling: ${quoteList([...variants[0].keys()])}`);
+  }
+  if (ID_HEADER.test(headerText) && type !== 'id' && count > distinct) {
+    issues.push(`${count - distinct} duplicate values`);
+  }
+
+  const options = [...spellings.values()].map(shown =>
+    [...shown.entries()].sort((a, b) => b[1] - a[1])[0][0]
+  );
+
+  const profile = {
+    header: headerText || null,
+    type,
+    count,
+    blanks,
+    distinct,
+    unique,
+    max_length: maxLength,
+    example: count ? display(values.find((value, i) => conforms(kinds[i])) || values[0]) : null,
+    issues
+  };
+  if (numbers.length && ['integer', 'decimal', 'currency', 'percent'].includes(type)) {
+    profile.min = Math.min(...numbers);
+    profile.max = Math.max(...numbers);
+    profile.decimals = Math.min(Math.max(...numbers.map(decimalsOf)), 6);
+  }
+  if (type === 'enum' || distinct <= MAX_SEED_VALUES) {
+    profile.options = options;
+  }
+  Object.defineProperty(profile, 'values', { value: new Set(spellings.keys()) });
+  return profile;
+}
+
+function sqlType(column) {
+  switch (column.type) {
+    case 'integer':
+      return 'INTEGER';
+    case 'decimal':
+      return `DECIMAL(12,${Math.max(column.decimals || 0, 2)})`;
+    case 'currency':
+      return 'DECIMAL(12,2)';
+    case 'percent':
+      return 'DECIMAL(7,4)';
+    case 'date':
+      return 'DATE';
+    case 'datetime':
+      return 'TIMESTAMP';
+    case 'boolean':
+      return 'BOOLEAN';
+    case 'email':
+      return 'VARCHAR(255)';
+    case 'phone':
+      return 'VARCHAR(30)';
+    case 'url':
+    case 'long_text':
+      return 'TEXT';
+    default: {
+      const size = sizeFor(column.max_length || 1);
+      return size ? `VARCHAR(${size})` : 'TEXT';
+    }
+  }
+}
+
+// Sheets
+
+function sourceLabel(table) {
+  return table.format === 'csv' ? table.file.replace(/\.csv$/i, '') : table.name;
+}
+
+// Words the labels of a group of sheets start with, e.g. "Warehouse" for
+// "Warehouse A", "Warehouse B"
+function commonPrefix(labels) {
+  const words = labels.map(label => label.split(/[\s_-]+/));
+  const prefix = [];
+  for (let i = 0; words.every(list => list.length > i + 1 && list[i].toLowerCase() === words[0][i].toLowerCase()); i++) {
+    prefix.push(words[0][i]);
+  }
+  return prefix.join(' ');
+}
+
+// Sheets with the same columns are one table split up, and are read as
+// one with a column saying which sheet each row came from
+function groupSheets(tables) {
+  const groups = new Map();
+  tables.forEach((table) => {
+    const signature = table.headers.map(snakeCase).join('|');
+    const key = table.headers.filter(Boolean).length >= 2 ? signature : `${table.file}/${table.name}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(table);
+  });
+  return [...groups.values()];
+}
+
+// Numbered or monthly columns: Item 1, Qty 1, Item 2, Qty 2 or Jan, Feb,
+// Mar. Columns sharing the same numbers form one group.
+function findRepeatedGroups(headers) {
+  const stems = new Map();
+  headers.forEach((header, index) => {
+    if (!header) {
+      return;
+    }
+    let match = header.match(/^(.*?)[\s_#-]*(\d{1,2})$/);
+    let key;
+    let stem;
+    let kind;
+    if (match && !NOT_REPEATED.test(match[1])) {
+      [stem, key, kind] = [match[1].trim(), +match[2], 'position'];
+    } else {
+      match = header.match(/^(.*?)[\s_-]*([A-Za-z]{3,9})$/);
+      if (match && monthIndex(match[2]) && (match[1] === '' || /[\s_-]$/.test(header.slice(0, -match[2].length)))) {
+        [stem, key, kind] = [match[1].trim(), monthIndex(match[2]), 'month'];
+      }
+    }
+    if (!kind) {
+      return;
+    }
+    const id = `${kind}:${stem.toLowerCase()}`;
+    if (!stems.has(id)) {
+      stems.set(id, { stem, kind, columns: [] });
+    }
+    stems.get(id).columns.push({ index, key, header });
+  });
+
+  const groups = new Map();
+  [...stems.values()].filter(entry => entry.columns.length >= 2).forEach((entry) => {
+    const id = `${entry.kind}:${entry.columns.map(column => column.key).join(',')}`;
+    if (!groups.has(id)) {
+      groups.set(id, { kind: entry.kind, keys: entry.columns.map(column => column.key), stems: [] });
+    }
+    groups.get(id).stems.push(entry);
+  });
+  return [...groups.values()];
+}
+
+function newTable(name, kind, extra = {}) {
+  return { name, kind, source: null, row_count: 0, natural_key: null, key_candidates: [], columns: [], ...extra };
+}
+
+function keyScore(column) {
+  if (!column.unique || column.blanks > 0 || column.count < 2) {
+    return 0;
+  }
+  if (!['id', 'integer', 'text', 'email', 'phone'].includes(column.type)) {
+    return 0;
+  }
+  return (column.type === 'id' ? 3 : 0) + (ID_HEADER.test(column.header || '') ? 2 : 0) +
+    (column.type === 'integer' || column.type === 'text' ? 1 : 0);
+}
+
+// Pairs of columns that identify a row together, when no single column
+// does. columns maps each column to its index in rows.
+function compositeKeys(rows, columns) {
+  const usable = columns
+    .filter(({ column }) => column.blanks === 0 && !['decimal', 'currency', 'percent', 'boolean', 'long_text'].includes(column.type))
+    .slice(0, 10);
+  const pairs = [];
+  for (let a = 0; a < usable.length && pairs.length < 3; a++) {
+    for (let b = a + 1; b < usable.length && pairs.length < 3; b++) {
+      const seen = new Set(rows.map(row => `${canonical(row[usable[a].index])}\u0000${canonical(row[usable[b].index])}`));
+      if (seen.size === rows.length) {
+        pairs.push([usable[a].column.name, usable[b].column.name]);
+      }
+    }
+  }
+  return pairs;
+}
+
+// Whether every sheet of a merged group has a value in a column, each
+// written once: part numbers repeated from warehouse to warehouse
+function uniquePerSheet(group, index) {
+  return group.every((table) => {
+    const values = table.rows.map(row => row[index]).filter(value => !isBlankValue(value));
+    return values.length === table.rows.length && new Set(values.map(canonical)).size === values.length;
+  });
+}
+
+function describeSource(source) {
+  return source.sheets.length ? `${source.sheets.join(', ')} (${source.file})` : source.file;
+}
+
+// The schema
+
+// A schema for the sheets of one or more spreadsheets: tables is what
+// readTables returns, each with the file it came from (file, format).
+function inferSchema(tables) {
+  const usable = tables.filter(table => table.rows.length > 0 && table.headers.some(Boolean));
+  const taken = new Set();
+  const designed = [];
+  const relationships = [];
+  const repeatedGroups = [];
+  const mapping = [];
+
+  groupSheets(usable).forEach((group) => {
+    const first = group[0];
+    const merged = group.length > 1;
+    const labels = group.map(sourceLabel);
+    const prefix = merged ? commonPrefix(labels) : '';
+    const sameFile = group.every(table => table.file === first.file);
+    const baseName = merged
+      ? snakeCase(sameFile && first.format !== 'csv' ? path.parse(first.file).name : `${prefix || 'combined'} records`)
+      : snakeCase(first.format === 'csv' || first.name === 'Sheet1' ? path.parse(first.file).name : first.name);
+    const table = newTable(uniqueName(baseName || 'records', taken), 'entity', {
+      source: {
+        file: [...new Set(group.map(item => item.file))].join(', '),
+        sheets: group.filter(item => item.format !== 'csv').map(item => item.name)
+      }
+    });
+    const rows = group.flatMap(item => item.rows);
+    const headers = first.headers.map((header, i) => header || `Column ${i + 1}`);
+    table.row_count = rows.length;
+    table.truncated = group.some(item => item.truncated);
+    const sheetLabel = table.source.sheets.join(', ') || null;
+    const fileLabel = table.source.file;
+
+    // Which sheet a row came from becomes a lookup of its own
+    if (merged) {
+      const lookupName = uniqueName(plural(snakeCase(prefix) || 'source'), taken);
+      const lookup = newTable(lookupName, 'lookup', { seed: labels, row_count: labels.length });
+      designed.push(lookup);
+      const field = `${singular(lookupName)}_id`;
+      table.columns.push({
+        name: field,
+        header: null,
+        type: 'id',
+        sql_type: 'INTEGER',
+        nullable: false,
+        references: { table: lookupName, column: 'id' },
+        options: labels,
+        issues: []
+      });
+      relationships.push({ from: { table: table.name, column: field }, to: { table: lookupName, column: 'id' }, kind: 'source' });
+      mapping.push({ file: fileLabel, sheet: sheetLabel, column: null, table: table.name, field, note: `The sheet (or file) the row came from, looked up in ${lookupName}` });
+    }
+
+    const repeated = findRepeatedGroups(headers);
+    const inGroup = new Set(repeated.flatMap(item => item.stems.flatMap(stem => stem.columns.map(column => column.index))));
+
+    const names = new Set(['id']);
+    const indexed = [];
+    const profiles = headers.map((header, index) => profileColumn(header, rows.map(row => row[index]), {
+      format: group.map(item => item.formats[index]).find(Boolean) || '',
+      rowCount: rows.length
+    }));
+    profiles.forEach((profile, index) => {
+      if (inGroup.has(index)) {
+        return;
+      }
+      let name = snakeCase(profile.header) || `column_${index + 1}`;
+      if (name === 'id' && keyScore(profile) === 0) {
+        name = 'id_value';
+      }
+      const column = {
+        name: name === 'id' ? 'id' : uniqueName(name, names),
+        ...profile,
+        sql_type: sqlType(profile),
+        nullable: profile.blanks > 0 || rows.length < 2,
+        references: null
+      };
+      Object.defineProperty(column, 'values', { value: profile.values });
+      table.columns.push(column);
+      indexed.push({ column, index });
+      mapping.push({ file: fileLabel, sheet: sheetLabel, column: profile.header, table: table.name, field: column.name, note: null });
+    });
+
+    // The natural key: a column named like an ID, or a code or the first
+    // column when nothing better turns up. A column named id stays the
+    // primary key.
+    const candidates = table.columns.filter(column => keyScore(column) > 0)
+      .sort((a, b) => (b.name === 'id') - (a.name === 'id') || keyScore(b) - keyScore(a));
+    table.key_candidates = candidates.map(column => [column.name]);
+    const perSheet = merged && indexed.find(({ column, index }) => column.type !== 'id' && uniquePerSheet(group, index) &&
+      (ID_HEADER.test(column.header) || rows.every(row => CODE_TEXT.test(String(row[index])))));
+    if (perSheet) {
+      table.key_candidates.unshift([table.columns[0].name, perSheet.column.name]);
+      perSheet.column.issues = perSheet.column.issues.filter(issue => !/duplicate values$/.test(issue));
+    }
+    if (!table.key_candidates.length) {
+      table.key_candidates = compositeKeys(rows, indexed);
+    }
+    if (candidates.length && (keyScore(candidates[0]) >= 2 || candidates[0].name === 'id')) {
+      table.natural_key = [candidates[0].name];
+    } else if (perSheet) {
+      table.natural_key = table.key_candidates[0];
+    } else if (candidates.length && candidates.includes(indexed[0].column)) {
+      table.natural_key = [indexed[0].column.name];
+    }
+    if (table.natural_key && table.natural_key.length === 1) {
+      table.columns.find(column => column.name === table.natural_key[0]).key = true;
+    }
+
+    designed.push(table);
+
+    repeated.forEach((item) => {
+      const stemName = snakeCase(item.stems[0].stem) || (item.kind === 'month' ? 'monthly' : 'value');
+      const child = newTable(uniqueName(`${singular(table.name)}_${item.kind === 'month' ? stemName.replace(/^(?!monthly$)/, 'monthly_') : plural(stemName)}`, taken), 'child', {
+        source: table.source,
+        parent: table.name
+      });
+      const parentField = `${singular(table.name)}_id`;
+      child.columns.push({ name: parentField, header: null, type: 'id', sql_type: 'INTEGER', nullable: false, references: { table: table.name, column: 'id' }, issues: [] });
+      child.columns.push({
+        name: item.kind === 'month' ? 'month' : 'position',
+        header: null,
+        type: 'integer',
+        sql_type: 'INTEGER',
+        nullable: false,
+        references: null,
+        issues: []
+      });
+      const childNames = new Set(child.columns.map(column => column.name).concat('id'));
+      item.stems.forEach((stem) => {
+        const values = stem.columns.flatMap(column => rows.map(row => row[column.index]));
+        const profile = profileColumn(stem.stem, values, { format: first.formats[stem.columns[0].index] || '' });
+        // Unused slots are expected to be blank
+        profile.issues = profile.issues.filter(issue => !/ blank$/.test(issue));
+        const name = uniqueName(snakeCase(stem.stem) || 'value', childNames);
+        child.columns.push({ name, ...profile, sql_type: sqlType(profile), nullable: true, references: null });
+        stem.columns.forEach((column) => {
+          mapping.push({
+            file: fileLabel,
+            sheet: sheetLabel,
+            column: column.header,
+            table: child.name,
+            field: name,
+            note: `One row per ${table.name === child.parent ? singular(humanize(table.name)) : 'record'} with ${item.kind} ${column.key}`
+          });
+        });
+      });
+      child.row_count = null;
+      designed.push(child);
+      repeatedGroups.push({ table: table.name, columns: item.stems.flatMap(stem => stem.columns.map(column => column.header)), child: child.name });
+      relationships.push({ from: { table: child.name, column: parentField }, to: { table: table.name, column: 'id' }, kind: 'child' });
+    });
+  });
+
+  const entities = designed.filter(table => table.kind === 'entity');
+
+  // Columns whose values are the keys of another sheet refer to it
+  entities.forEach((table) => {
+    table.columns.forEach((column) => {
+      if (column.references || column.key || !column.values || column.distinct < 2) {
+        return;
+      }
+      if (!['text', 'id', 'integer', 'enum', 'email'].includes(column.type)) {
+        return;
+      }
+      let best = null;
+      entities.forEach((other) => {
+        if (other === table) {
+          return;
+        }
+        other.columns.forEach((key) => {
+          if (!key.values || !key.unique || key.blanks > 0) {
+            return;
+          }
+          if (column.type === 'integer' && !new RegExp(singular(other.name).replace(/_/g, '.?'), 'i').test(column.header || '')) {
+            return;
+          }
+          const found = [...column.values].filter(value => key.values.has(value)).length / column.values.size;
+          if (found >= REFERENCE_THRESHOLD && (!best || found > best.found)) {
+            best = { other, key, found };
+          }
+        });
+      });
+      if (!best) {
+        return;
+      }
+
+      const missing = [...column.values].filter(value => !best.key.values.has(value)).length;
+      const field = uniqueName(`${singular(best.other.name)}_id`, new Set(table.columns.filter(item => item !== column).map(item => item.name)));
+      const entry = mapping.find(item => item.table === table.name && item.field === column.name);
+      entry.field = field;
+      entry.note = `Looked up by ${best.other.name}.${best.key.name}`;
+      if (missing) {
+        column.issues.push(`${missing} values not found in ${describeSource(best.other.source)}`);
+      }
+      Object.assign(column, {
+        name: field,
+        sql_type: 'INTEGER',
+        references: { table: best.other.name, column: 'id' },
+        options: best.key.options && best.key.options.length <= MAX_SEED_VALUES ? best.key.options : undefined
+      });
+      relationships.push({ from: { table: table.name, column: field }, to: { table: best.other.name, column: 'id' }, kind: 'reference', match: best.key.name });
+    });
+  });
+
+  // Repeated names (the same column in several sheets, or an entity such
+  // as a customer or warehouse) get a lookup table
+  const shared = new Map();
+  entities.forEach((table) => {
+    table.columns.forEach((column) => {
+      if (column.references || column.key || !column.values) {
+        return;
+      }
+      if (!['text', 'enum'].includes(column.type) || column.unique) {
+        return;
+      }
+      if (!shared.has(column.name)) {
+        shared.set(column.name, []);
+      }
+      shared.get(column.name).push({ table, column });
+    });
+  });
+  shared.forEach((uses, name) => {
+    const isEntity = uses.some(({ column }) => ENTITY_HEADER.test(column.header || ''));
+    if (uses.length < 2 && !isEntity) {
+      return;
+    }
+    const values = new Map();
+    uses.forEach(({ column }) => (column.options || []).forEach((option) => {
+      if (!values.has(canonical(option))) {
+        values.set(canonical(option), option);
+      }
+    }));
+    const lookupName = uniqueName(plural(name), taken);
+    const maxLength = Math.max(...uses.map(({ column }) => column.max_length));
+    const seed = values.size && values.size <= MAX_SEED_VALUES && uses.every(({ column }) => column.options) ? [...values.values()] : null;
+    designed.push(newTable(lookupName, 'lookup', { seed, row_count: seed ? seed.length : null, name_size: sizeFor(maxLength) }));
+    uses.forEach(({ table, column }) => {
+      const field = `${name}_id`;
+      const entry = mapping.find(item => item.table === table.name && item.field === column.name);
+      entry.field = field;
+      entry.note = `Looked up in ${lookupName}`;
+      Object.assign(column, {
+        name: field,
+        type: column.type === 'enum' ? 'enum' : 'text',
+        sql_type: 'INTEGER',
+        references: { table: lookupName, column: 'id' },
+        options: seed || undefined
+      });
+      relationships.push({ from: { table: table.name, column: field }, to: { table: lookupName, column: 'id' }, kind: 'lookup' });
+    });
+  });
+
+  // Lookups first, then tables in the order they're referenced
+  const order = [];
+  const visit = (table, stack = new Set()) => {
+    if (order.includes(table) || stack.has(table)) {
+      return;
+    }
+    stack.add(table);
+    table.columns.forEach((column) => {
+      if (column.references) {
+        const target = designed.find(item => item.name === column.references.table);
+        if (target && target !== table) {
+          visit(target, stack);
+        }
+      }
+    });
+    order.push(table);
+  };
+  designed.filter(table => table.kind === 'lookup').forEach(table => visit(table));
+  designed.forEach(table => visit(table));
+
+  const result = {
+    tables: order.map(({ name_size: nameSize, ...table }) => ({
+      ...table,
+      primary_key: 'id',
+      ...(table.kind === 'lookup' ? {
+        columns: [{ name: 'name', header: null, type: 'text', sql_type: `VARCHAR(${nameSize || 100})`, nullable: false, unique: true, key: true, references: null, issues: [] }]
+      } : {})
+    })),
+    relationships,
+    repeated_groups: repeatedGroups,
+    mapping
+  };
+  result.ddl = schemaDdl(result);
+  return result;
+}
+
+// SQL
+
+function columnDdl(table, column) {
+  const parts = [quoteName(column.name), column.sql_type];
+  if (!column.nullable) {
+    parts.push('NOT NULL');
+  }
+  if (column.key && column.name !== 'id') {
+    parts.push('UNIQUE');
+  }
+  if (column.references) {
+    parts.push(`REFERENCES ${quoteName(column.references.table)}(${column.references.column})`);
+    if (table.kind === 'child' && column.references.table === table.parent) {
+      parts.push('ON DELETE CASCADE');
+    }
+  } else if (column.type === 'enum' && column.options) {
+    parts.push(`CHECK (${quoteName(column.name)} IN (${column.options.map(sqlString).join(', ')}))`);
+  } else if (['integer', 'decimal', 'currency'].includes(column.type) && column.min >= 0) {
+    parts.push(`CHECK (${quoteName(column.name)} >= 0)`);
+  }
+  return parts.join(' ');
+}
+
+function tableComment(table) {
+  if (table.kind === 'lookup') {
+    return `-- Lookup: ${table.seed ? `${table.seed.length} values` : 'filled from the spreadsheet'}`;
+  }
+  if (table.kind === 'child') {
+    return `-- Repeated columns of ${table.parent}`;
+  }
+  return `-- From ${describeSource(table.source)}, ${table.row_count} rows${table.truncated ? ' read' : ''}`;
+}
+
+// CREATE TABLE statements for a schema, with INSERTs filling the small
+// lookup tables and indexes on every foreign key
+function schemaDdl(schema) {
+  return schema.tables.map((table) => {
+    const definitions = [
+      `id ${table.columns.some(column => column.name === 'id') ? table.columns.find(column => column.name === 'id').sql_type : 'INTEGER'} PRIMARY KEY`,
+      ...table.columns.filter(column => column.name !== 'id').map(column => columnDdl(table, column))
+    ];
+    if (table.natural_key && table.natural_key.length > 1) {
+      definitions.push(`UNIQUE (${table.natural_key.map(quoteName).join(', ')})`);
+    }
+    const statements = [`${tableComment(table)}\nCREATE TABLE ${quoteName(table.name)} (\n  ${definitions.join(',\n  ')}\n);`];
+    if (table.kind === 'lookup' && table.seed) {
+      statements.push(`INSERT INTO ${quoteName(table.name)} (name) VALUES\n  ${table.seed.map(value => `(${sqlString(value)})`).join(',\n  ')};`);
+    }
+    table.columns.filter(column => column.references).forEach((column) => {
+      statements.push(`CREATE INDEX idx_${table.name}_${column.name} ON ${quoteName(table.name)} (${quoteName(column.name)});`);
+    });
+    return statements.join('\n');
+  }).join('\n\n');
+}
+
+// Feeding the workflow document and the mockup
+
+function mainTable(schema) {
+  const entities = schema.tables.filter(table => table.kind === 'entity');
+  return entities.sort((a, b) => b.columns.length - a.columns.length || b.row_count - a.row_count)[0] || null;
+}
+
+function sourceName(entry, schema) {
+  const sources = new Set(schema.mapping.map(item => item.sheet || item.file));
+  const column = entry.column || '(sheet name)';
+  return sources.size > 1 ? `${entry.sheet || entry.file}: ${column}` : column;
+}
+
+function validationFor(table, column) {
+  const rules = [];
+  if (column.name === 'id') {
+    rules.push('Primary key');
+  }
+  if (column.references) {
+    rules.push(`References ${column.references.table}`);
+  }
+  if (!column.nullable && column.name !== 'id') {
+    rules.push('Required');
+  }
+  if (column.key && column.name !== 'id') {
+    rules.push('Unique');
+  }
+  if (column.type === 'enum' && !column.references && column.options) {
+    rules.push(`One of: ${column.options.join(', ')}`);
+  }
+  if (column.type === 'email') {
+    rules.push('Valid email');
+  }
+  if (['integer', 'decimal', 'currency'].includes(column.type) && column.min >= 0) {
+    rules.push('>= 0');
+  }
+  return rules.join(', ') || '-';
+}
+
+// The workflow document's data structure fields: the spreadsheet's
+// columns with what they hold and their problems, the proposed schema
+// field by field, the DDL, and where each column goes
+function discoveryFields(schema) {
+  const qualify = schema.tables.length > 1;
+  const columns = [];
+  schema.tables.forEach((table) => {
+    table.columns.forEach((column) => {
+      schema.mapping.filter(entry => entry.table === table.name && entry.field === column.name && entry.column).forEach((entry) => {
+        if (columns.some(item => item.name === sourceName(entry, schema))) {
+          return;
+        }
+        columns.push({
+          name: sourceName(entry, schema),
+          type: column.type === 'enum' && column.options ? `Choice (${column.options.slice(0, 4).join(', ')}${column.options.length > 4 ? ', ...' : ''})` : TYPE_LABELS[column.type] || 'Text',
+          example: column.example === null || column.example === undefined ? '' : `"${column.example}"`,
+          issues: column.issues.join('; ') || '-'
+        });
+      });
+    });
+  });
+
+  return {
+    columns,
+    schema: schema.tables.flatMap(table => [
+      { name: 'id', sql_type: 'INTEGER', nullable: false },
+      ...table.columns.filter(column => column.name !== 'id')
+    ].map(column => ({
+      field: qualify ? `${table.name}.${column.name}` : column.name,
+      type: column.name === 'id' ? 'INTEGER' : column.sql_type,
+      validation: validationFor(table, column),
+      notes: column.name === 'id' ? (table.kind === 'lookup' ? 'Lookup table' : 'Auto') : (column.header ? `From "${column.header}"` : '-')
+    }))),
+    ddl: schema.ddl,
+    mapping: schema.mapping.map(entry => ({
+      column: sourceName(entry, schema),
+      field: `${entry.table}.${entry.field}`,
+      notes: entry.note || '-'
+    }))
+  };
+}
+
+const FORM_TYPES = {
+  integer: 'number',
+  decimal: 'number',
+  currency: 'currency',
+  percent: 'number',
+  date: 'date',
+  datetime: 'date',
+  email: 'email',
+  long_text: 'textarea'
+};
+
+// Fields for a mockup's data entry form (see mockup-framework/README.md),
+// from the schema's main table: ids are left to the system, choices and
+// lookups become selects. record names what the form creates.
+function mockupForm(schema) {
+  const table = mainTable(schema);
+  if (!table) {
+    return null;
+  }
+
+  const names = new Set();
+  const fields = table.columns
+    .filter(column => column.type !== 'id' || (column.references && column.options))
+    .filter(column => column.header || column.references)
+    .slice(0, MAX_FORM_FIELDS)
+    .map((column) => {
+      const name = uniqueName(column.name.replace(/_id$/, '').replace(/^[^a-z]+/, '') || 'field', names);
+      const label = column.header || humanize(singular(column.references.table)).replace(/^./, char => char.toUpperCase());
+      const field = { name, label, type: 'text' };
+      if (column.options && (column.type === 'enum' || column.references)) {
+        field.type = 'select';
+        field.options = column.options;
+      } else if (column.type === 'boolean') {
+        field.type = 'select';
+        field.options = ['Yes', 'No'];
+      } else if (FORM_TYPES[column.type]) {
+        field.type = FORM_TYPES[column.type];
+      }
+      if (column.example && field.type !== 'select') {
+        field.example = field.type === 'date' ? column.example.slice(0, 10) : column.example;
+      }
+      if (!column.nullable) {
+        field.required = true;
+      }
+      if ((field.type === 'number' || field.type === 'currency') && column.min >= 0) {
+        field.min = 0;
+      }
+      if (field.type === 'text' && /^VARCHAR/.test(column.sql_type)) {
+        field.max_length = parseInt(column.sql_type.match(/\d+/)[0], 10);
+      }
+      return field;
+    });
+  return { record: humanize(singular(table.name)), fields };
+}
+
+// Leads
+
+// The schema for a lead's analyzed spreadsheets, or null when it has none
+// that can be read
+async function leadSchema(leadId) {
+  const files = (await getLeadFiles(leadId)).filter(file => file.status === 'analyzed');
+  const tables = [];
+  for (const file of files) {
+    const stored = await getLeadFile(file.id);
+    try {
+      (await readTables(stored.filePath, file.format)).forEach((table) => {
+        tables.push({ ...table, file: file.original_name, format: file.format });
+      });
+    } catch (err) {
+      console.error(`Error reading file ${file.id} for schema inference:`, err.message);
+    }
+  }
+  const schema = inferSchema(tables);
+  return schema.tables.length ? schema : null;
+}
+
+module.exports = {
+  TYPE_LABELS,
+  profileColumn,
+  inferSchema,
+  schemaDdl,
+  discoveryFields,
+  mockupForm,
+  leadSchema
+};
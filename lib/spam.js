@@ -0,0 +1,204 @@
+// Abuse protection for the public lead capture endpoint
+
+const express = require('express');
+const { validationResult } = require('express-validator');
+
+const HONEYPOT_FIELD = 'website';
+const MIN_SUBMIT_SECONDS = parseInt(process.env.MIN_SUBMIT_SECONDS, 10) || 3;
+const MAX_LEAD_PAYLOAD_BYTES = 16 * 1024;
+
+// Common throwaway inbox providers. Extend with BLOCKED_EMAIL_DOMAINS.
+const DISPOSABLE_DOMAINS = [
+  '10minutemail.com',
+  '33mail.com',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getairmail.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'mytemp.email',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmailo.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com'
+];
+
+function blockedDomains() {
+  const extra = (process.env.BLOCKED_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+  return new Set([...DISPOSABLE_DOMAINS, ...extra]);
+}
+
+// Matches the domain itself and any subdomain of it
+function isDisposableEmail(email) {
+  const domain = String(email || '').split('@').pop().toLowerCase();
+  const blocked = blockedDomains();
+  const parts = domain.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (blocked.has(parts.slice(i).join('.'))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Reasons to quarantine a submission instead of treating it as a real lead.
+// Returns null when nothing looks wrong.
+function detectSpam(body, now = Date.now()) {
+  if (body[HONEYPOT_FIELD]) {
+    return 'honeypot';
+  }
+
+  // form_started_at is set by the landing page script when the form is shown.
+  // A submission without it didn't come from the form.
+  const startedAt = parseInt(body.form_started_at, 10);
+  if (!startedAt) {
+    return 'no_start_time';
+  }
+  if ((now - startedAt) / 1000 < MIN_SUBMIT_SECONDS) {
+    return 'too_fast';
+  }
+
+  return null;
+}
+
+// Sliding-window counter kept in memory. Limits reset when the server restarts.
+function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    hits.forEach((times, key) => {
+      const recent = times.filter(time => time > cutoff);
+      if (recent.length === 0) {
+        hits.delete(key);
+      } else {
+        hits.set(key, recent);
+      }
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    // Records a hit and reports whether the key is still within its limit
+    hit(key, now = Date.now()) {
+      const recent = (hits.get(key) || []).filter(time => time > now - windowMs);
+      recent.push(now);
+      hits.set(key, recent);
+      return {
+        allowed: recent.length <= max,
+        retryAfter: Math.ceil((recent[0] + windowMs - now) / 1000)
+      };
+    },
+    reset() {
+      hits.clear();
+    }
+  };
+}
+
+const ipLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LEAD_RATE_LIMIT_PER_IP, 10) || 10
+});
+
+const emailLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.LEAD_RATE_LIMIT_PER_EMAIL, 10) || 3
+});
+
+// File uploads are public too, and each one is written to disk before it is
+// checked, so they get their own, tighter budget
+const uploadLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.UPLOAD_RATE_LIMIT_PER_IP, 10) || 10
+});
+
+function tooManyRequests(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    error: 'Too many submissions. Please try again later.'
+  });
+}
+
+const parseLeadJson = express.json({ limit: MAX_LEAD_PAYLOAD_BYTES });
+const parseLeadForm = express.urlencoded({ extended: true, limit: MAX_LEAD_PAYLOAD_BYTES });
+
+// Parse the submission under its own size limit. The parsers count the bytes
+// actually read, so a chunked body with no Content-Length is cut off too.
+// Mount it ahead of the app-wide parsers, which skip a body already parsed.
+function limitLeadPayload(req, res, next) {
+  parseLeadJson(req, res, (err) => {
+    if (err) {
+      return payloadError(err, res, next);
+    }
+    parseLeadForm(req, res, err => (err ? payloadError(err, res, next) : next()));
+  });
+}
+
+function payloadError(err, res, next) {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'Submission is too large' });
+  }
+  next(err);
+}
+
+function limitLeadsByIp(req, res, next) {
+  const { allowed, retryAfter } = ipLimiter.hit(req.ip);
+  if (!allowed) {
+    return tooManyRequests(res, retryAfter);
+  }
+  next();
+}
+
+function limitUploadsByIp(req, res, next) {
+  const { allowed, retryAfter } = uploadLimiter.hit(req.ip);
+  if (!allowed) {
+    return tooManyRequests(res, retryAfter);
+  }
+  next();
+}
+
+// Runs after validation so the email has been normalized. Submissions that
+// fail validation aren't counted, so nobody can use up another person's
+// allowance by posting bad forms with their email.
+function limitLeadsByEmail(req, res, next) {
+  if (!validationResult(req).isEmpty()) {
+    return next();
+  }
+  const { allowed, retryAfter } = emailLimiter.hit(String(req.body.email || '').toLowerCase());
+  if (!allowed) {
+    return tooManyRequests(res, retryAfter);
+  }
+  next();
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  MIN_SUBMIT_SECONDS,
+  MAX_LEAD_PAYLOAD_BYTES,
+  DISPOSABLE_DOMAINS,
+  isDisposableEmail,
+  detectSpam,
+  createRateLimiter,
+  limitLeadPayload,
+  limitLeadsByIp,
+  limitLeadsByEmail,
+  limitUploadsByIp
+};
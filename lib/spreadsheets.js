@@ -0,0 +1,332 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const ExcelJS = require('exceljs');
+
+// Error cells listed per sheet in a report; the counts cover all of them
+const MAX_LISTED_ERRORS = 20;
+
+// Headers longer than this are cut down in the report
+const MAX_HEADER_LENGTH = 100;
+
+// Data rows read per sheet for schema inference
+const MAX_TABLE_ROWS = 10000;
+
+// An xlsx file is a zip archive and is loaded whole, so the upload limit on
+// the compressed file says little about the memory it takes. These bound
+// what it may unpack to.
+const MAX_XLSX_UNPACKED_BYTES = (parseInt(process.env.XLSX_MAX_UNPACKED_MB, 10) || 100) * 1024 * 1024;
+const MAX_XLSX_ENTRIES = 2000;
+
+function newSheet(name, state) {
+  return {
+    name,
+    state,
+    header_row: null,
+    headers: [],
+    row_count: 0,
+    column_count: 0,
+    formula_count: 0,
+    error_count: 0,
+    errors_by_type: {},
+    error_cells: []
+  };
+}
+
+// The error a cell shows, if any: a stored error value, an error result of
+// a formula, or a formula left pointing at a deleted range
+function cellError(cell) {
+  const value = cell.value;
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  if (value.error) {
+    return value.error;
+  }
+  if (value.result && value.result.error) {
+    return value.result.error;
+  }
+  if (typeof value.formula === 'string' && value.formula.includes('#REF!')) {
+    return '#REF!';
+  }
+  return null;
+}
+
+// The first non-empty row is taken as the header row; rows after it count
+// as data rows
+function addRow(sheet, row) {
+  const cells = [];
+  row.eachCell((cell, column) => {
+    cells.push([column, cell]);
+  });
+  if (cells.length === 0) {
+    return;
+  }
+
+  const lastColumn = cells[cells.length - 1][0];
+  sheet.column_count = Math.max(sheet.column_count, lastColumn);
+
+  if (sheet.header_row === null) {
+    sheet.header_row = row.number;
+    sheet.headers = Array(lastColumn).fill(null);
+    cells.forEach(([column, cell]) => {
+      const text = String(cell.text || '').trim();
+      sheet.headers[column - 1] = text ? text.slice(0, MAX_HEADER_LENGTH) : null;
+    });
+  } else {
+    sheet.row_count += 1;
+  }
+
+  cells.forEach(([, cell]) => {
+    if (cell.type === ExcelJS.ValueType.Formula) {
+      sheet.formula_count += 1;
+    }
+    const error = cellError(cell);
+    if (error) {
+      sheet.error_count += 1;
+      sheet.errors_by_type[error] = (sheet.errors_by_type[error] || 0) + 1;
+      if (sheet.error_cells.length < MAX_LISTED_ERRORS) {
+        sheet.error_cells.push({ cell: cell.address, error });
+      }
+    }
+  });
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// The zip's central directory: where each entry's data starts, its size in
+// the file and its compression method. Zip64 archives are refused; a
+// workbook within the upload limit never needs one.
+async function zipEntries(handle, fileSize) {
+  const tailLength = Math.min(fileSize, 22 + 0xffff);
+  const tail = await readAt(handle, fileSize - tailLength, tailLength);
+  const end = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end < 0 || end + 22 > tail.length) {
+    throw new Error('File is not a readable .xlsx workbook');
+  }
+  const count = tail.readUInt16LE(end + 10);
+  const directorySize = tail.readUInt32LE(end + 12);
+  const directoryOffset = tail.readUInt32LE(end + 16);
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('File is not a readable .xlsx workbook');
+  }
+  if (count > MAX_XLSX_ENTRIES) {
+    throw new Error(`Workbook has more than ${MAX_XLSX_ENTRIES} parts`);
+  }
+
+  const directory = await readAt(handle, directoryOffset, directorySize);
+  const entries = [];
+  let offset = 0;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('File is not a readable .xlsx workbook');
+    }
+    const localOffset = directory.readUInt32LE(offset + 42);
+    const local = await readAt(handle, localOffset, 30);
+    if (local.length < 30) {
+      throw new Error('File is not a readable .xlsx workbook');
+    }
+    entries.push({
+      method: directory.readUInt16LE(offset + 10),
+      size: directory.readUInt32LE(offset + 20),
+      start: localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28)
+    });
+    offset += 46 + directory.readUInt16LE(offset + 28) + directory.readUInt16LE(offset + 30) + directory.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+// Bytes one deflated entry unpacks to, counted as it is inflated and thrown
+// away. Stops early once it is over budget.
+function inflatedSize(filePath, entry, budget) {
+  return new Promise((resolve, reject) => {
+    const source = fs.createReadStream(filePath, { start: entry.start, end: entry.start + entry.size - 1 });
+    const inflate = zlib.createInflateRaw();
+    let size = 0;
+    const fail = () => {
+      source.destroy();
+      reject(new Error('File is not a readable .xlsx workbook'));
+    };
+    inflate.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > budget) {
+        source.destroy();
+        inflate.destroy();
+        resolve(size);
+      }
+    });
+    inflate.on('end', () => resolve(size));
+    inflate.on('error', fail);
+    source.on('error', fail);
+    source.pipe(inflate);
+  });
+}
+
+// Refuse an xlsx file that unpacks to more than MAX_XLSX_UNPACKED_BYTES, a
+// zip bomb among them. The sizes the archive declares can't be trusted, so
+// each entry is inflated and counted without being kept.
+async function checkUnpackedSize(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  let entries;
+  try {
+    entries = await zipEntries(handle, (await handle.stat()).size);
+  } finally {
+    await handle.close();
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    if (entry.method === 0) {
+      total += entry.size;
+    } else if (entry.method === 8) {
+      total += entry.size ? await inflatedSize(filePath, entry, MAX_XLSX_UNPACKED_BYTES - total) : 0;
+    } else {
+      throw new Error('File is not a readable .xlsx workbook');
+    }
+    if (total > MAX_XLSX_UNPACKED_BYTES) {
+      throw new Error(`Workbook unpacks to more than ${MAX_XLSX_UNPACKED_BYTES / 1024 / 1024} MB`);
+    }
+  }
+}
+
+// The whole workbook is loaded: the streaming reader drops the error
+// results of formulas, which are most of what we're looking for. An xlsx
+// file is first checked for what it unpacks to, which bounds the memory
+// this takes. A CSV file is read as one sheet; error values such as #REF!
+// in it are read as error cells, and as CSV files don't keep formulas,
+// their formula count is always zero.
+async function loadWorksheets(filePath, format) {
+  const workbook = new ExcelJS.Workbook();
+  if (format === 'csv') {
+    const worksheet = await workbook.csv.readFile(filePath);
+    return [{ name: 'Sheet1', state: 'visible', worksheet }];
+  }
+  await checkUnpackedSize(filePath);
+  await workbook.xlsx.readFile(filePath);
+  return workbook.worksheets.map(worksheet => ({ name: worksheet.name, state: worksheet.state || 'visible', worksheet }));
+}
+
+async function readSheets(filePath, format) {
+  const worksheets = await loadWorksheets(filePath, format);
+  return worksheets.map(({ name, state, worksheet }) => {
+    const sheet = newSheet(name, state);
+    worksheet.eachRow((row) => {
+      addRow(sheet, row);
+    });
+    return sheet;
+  });
+}
+
+function countBy(sheets, key) {
+  return sheets.reduce((sum, sheet) => sum + sheet[key], 0);
+}
+
+// Structure of an uploaded spreadsheet: sheet names, headers, row, formula
+// and error counts per sheet, and totals across the workbook
+async function analyzeSpreadsheet(filePath, format) {
+  const sheets = await readSheets(filePath, format);
+
+  const errorsByType = {};
+  sheets.forEach((sheet) => {
+    Object.entries(sheet.errors_by_type).forEach(([error, count]) => {
+      errorsByType[error] = (errorsByType[error] || 0) + count;
+    });
+  });
+
+  return {
+    format,
+    sheet_count: sheets.length,
+    sheet_names: sheets.map(sheet => sheet.name),
+    totals: {
+      rows: countBy(sheets, 'row_count'),
+      formulas: countBy(sheets, 'formula_count'),
+      errors: countBy(sheets, 'error_count'),
+      errors_by_type: errorsByType
+    },
+    sheets
+  };
+}
+
+// What a cell holds, for reading its data: the result of a formula, the
+// text of rich text and links, and null for blanks and errors
+function cellValue(cell) {
+  let value = cell.value;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if (cellError(cell)) {
+      return null;
+    }
+    if (value.richText) {
+      value = value.richText.map(part => part.text).join('');
+    } else if (value.text !== undefined) {
+      value = value.text;
+    } else if ('result' in value) {
+      value = value.result;
+    } else {
+      value = cell.text;
+    }
+  }
+  if (typeof value === 'string') {
+    value = value.trim();
+  }
+  return value === undefined || value === '' ? null : value;
+}
+
+// The data of each sheet, for schema inference: the header row (the first
+// non-empty row, as in the analysis report), then every non-empty row
+// after it as a list of values, one per column, up to MAX_TABLE_ROWS.
+// formats holds each column's first number format, which is how a cell
+// shows currency or a percentage.
+async function readTables(filePath, format) {
+  const worksheets = await loadWorksheets(filePath, format);
+  return worksheets.map(({ name, worksheet }) => {
+    const table = { name, headers: [], rows: [], formats: [], truncated: false };
+    let headerFound = false;
+    worksheet.eachRow((row) => {
+      const cells = [];
+      row.eachCell((cell, column) => {
+        cells.push([column, cell]);
+      });
+      if (cells.length === 0) {
+        return;
+      }
+      if (!headerFound) {
+        headerFound = true;
+        cells.forEach(([column, cell]) => {
+          const text = String(cell.text || '').trim();
+          table.headers[column - 1] = text ? text.slice(0, MAX_HEADER_LENGTH) : null;
+        });
+        return;
+      }
+      if (table.rows.length >= MAX_TABLE_ROWS) {
+        table.truncated = true;
+        return;
+      }
+
+      const values = [];
+      cells.forEach(([column, cell]) => {
+        values[column - 1] = cellValue(cell);
+        if (table.formats[column - 1] === undefined && typeof values[column - 1] === 'number' && cell.numFmt) {
+          table.formats[column - 1] = cell.numFmt;
+        }
+      });
+      if (values.some(value => value !== null && value !== undefined)) {
+        table.rows.push(values);
+      }
+    });
+
+    const width = Math.max(table.headers.length, ...table.rows.map(values => values.length));
+    table.headers = Array.from({ length: width }, (_, i) => table.headers[i] || null);
+    table.rows = table.rows.map(values => Array.from({ length: width }, (_, i) => (values[i] === undefined ? null : values[i])));
+    return table;
+  });
+}
+
+module.exports = {
+  MAX_LISTED_ERRORS,
+  MAX_TABLE_ROWS,
+  analyzeSpreadsheet,
+  readTables
+};
@@ -0,0 +1,282 @@
+const { get, all } = require('./db');
+const { buildLeadFilters } = require('./leads');
+const { LEAD_STATUSES } = require('./pipeline');
+const { ATTRIBUTION_TOUCHES, attributionColumnSql } = require('./attribution');
+
+const STATS_INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+const DEFAULT_TOP = 10;
+
+// Pipeline stages in the order a lead moves through them. 'lost' is an exit
+// from the funnel, not a stage of it.
+const FUNNEL_STAGES = LEAD_STATUSES.filter(status => status !== 'lost');
+
+// Start of the bucket a lead falls in. Weeks start on Monday.
+const BUCKET_SQL = {
+  day: 'date(created_at)',
+  week: "date(created_at, 'weekday 0', '-6 days')",
+  month: "strftime('%Y-%m-01', created_at)"
+};
+
+// Whether the lead in the current row of `leads` ever got as far as a booked
+// call, going by its current status or its history
+const BOOKED_STAGES = FUNNEL_STAGES.slice(FUNNEL_STAGES.indexOf('call_booked')).map(stage => `'${stage}'`).join(', ');
+const REACHED_CALL_SQL = `(status IN (${BOOKED_STAGES}) OR EXISTS (
+  SELECT 1 FROM lead_status_history
+  WHERE lead_status_history.lead_id = leads.id AND lead_status_history.to_status IN (${BOOKED_STAGES})
+))`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(day, count) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().split('T')[0];
+}
+
+function bucketStart(day, interval) {
+  if (interval === 'week') {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    return addDays(day, -((weekday + 6) % 7));
+  }
+  if (interval === 'month') {
+    return `${day.slice(0, 7)}-01`;
+  }
+  return day;
+}
+
+function nextBucket(start, interval) {
+  if (interval === 'month') {
+    const date = new Date(`${start}T00:00:00Z`);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString().split('T')[0];
+  }
+  return addDays(start, interval === 'week' ? 7 : 1);
+}
+
+// SQLite timestamps are UTC without a zone marker
+function parseSqlDate(value) {
+  return Date.parse(`${value.replace(' ', 'T')}Z`);
+}
+
+// Percentage with one decimal, or null when there is nothing to divide by
+function rate(count, total) {
+  return total ? Math.round((count / total) * 1000) / 10 : null;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Date-only range, both ends inclusive. Defaults to the last 30 days. The
+// previous range is the same number of days right before it.
+function resolveRange({ from, to, interval } = {}) {
+  const end = to || new Date().toISOString().split('T')[0];
+  const start = from || addDays(end, -(DEFAULT_RANGE_DAYS - 1));
+  const days = Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS) + 1;
+
+  return {
+    from: start,
+    to: end,
+    days,
+    interval: STATS_INTERVALS.includes(interval) ? interval : 'day',
+    previous: {
+      from: addDays(start, -days),
+      to: addDays(start, -1)
+    }
+  };
+}
+
+// Lead counts per bucket, with empty buckets filled in
+async function leadSeries(filters, range) {
+  const { where, params } = buildLeadFilters(filters);
+  const rows = await all(
+    `SELECT ${BUCKET_SQL[range.interval]} AS period, COUNT(*) AS count FROM leads ${where} GROUP BY period`,
+    params
+  );
+  const counts = new Map(rows.map(row => [row.period, row.count]));
+
+  const series = [];
+  for (let period = bucketStart(range.from, range.interval); period <= range.to; period = nextBucket(period, range.interval)) {
+    series.push({ period, count: counts.get(period) || 0 });
+  }
+  return series;
+}
+
+// Leads per value of a column, with how many of them got a call booked and
+// how many were won
+async function countBy(column, filters, limit) {
+  const { where, params } = buildLeadFilters(filters);
+  return all(
+    `SELECT ${column} AS value, COUNT(*) AS count,
+       SUM(CASE WHEN ${REACHED_CALL_SQL} THEN 1 ELSE 0 END) AS calls_booked,
+       SUM(CASE WHEN status = 'won' THEN 1 ELSE 0 END) AS won
+     FROM leads ${where}
+     GROUP BY value ORDER BY count DESC, value ASC LIMIT ?`,
+    [...params, limit]
+  );
+}
+
+function breakdown(rows, key) {
+  return rows.map(row => ({
+    [key]: row.value,
+    count: row.count,
+    calls_booked: row.calls_booked,
+    won: row.won
+  }));
+}
+
+// Attribution field of a lead for the chosen touch. UTM source falls back to
+// the source stored on the lead itself.
+function attributionValue(field, touch) {
+  const fallback = field === 'utm_source' ? "NULLIF(utm_source, ''), " : '';
+  return `COALESCE(${attributionColumnSql(field, touch)}, ${fallback}'(none)')`;
+}
+
+// How far each lead captured in the range got down the funnel, and how long
+// it took to get a call booked. A lead that skipped a stage still counts as
+// having passed through it, and a lost lead counts up to the stage it reached.
+async function funnelSummary(filters) {
+  const { where, params } = buildLeadFilters(filters);
+  const [leads, history] = await Promise.all([
+    all(`SELECT id, status, created_at FROM leads ${where}`, params),
+    all(
+      `SELECT lead_id, to_status, created_at FROM lead_status_history
+       WHERE lead_id IN (SELECT id FROM leads ${where})
+       ORDER BY created_at ASC, id ASC`,
+      params
+    )
+  ]);
+
+  const historyByLead = new Map();
+  history.forEach((entry) => {
+    if (!historyByLead.has(entry.lead_id)) {
+      historyByLead.set(entry.lead_id, []);
+    }
+    historyByLead.get(entry.lead_id).push(entry);
+  });
+
+  const reached = FUNNEL_STAGES.map(() => 0);
+  const hoursToCall = [];
+
+  leads.forEach((lead) => {
+    const entries = historyByLead.get(lead.id) || [];
+    const furthest = Math.max(
+      0,
+      ...[lead.status, ...entries.map(entry => entry.to_status)].map(status => FUNNEL_STAGES.indexOf(status))
+    );
+    for (let i = 0; i <= furthest; i++) {
+      reached[i]++;
+    }
+
+    const booked = entries.find(entry => entry.to_status === 'call_booked');
+    if (booked) {
+      hoursToCall.push((parseSqlDate(booked.created_at) - parseSqlDate(lead.created_at)) / (60 * 60 * 1000));
+    }
+  });
+
+  const funnel = FUNNEL_STAGES.map((stage, i) => ({
+    stage,
+    count: reached[i],
+    conversion_rate: i === 0 ? null : rate(reached[i], reached[i - 1]),
+    overall_rate: rate(reached[i], reached[0])
+  }));
+
+  const medianHours = median(hoursToCall);
+  return {
+    funnel,
+    summary: {
+      leads: leads.length,
+      calls_booked: reached[FUNNEL_STAGES.indexOf('call_booked')],
+      won: reached[FUNNEL_STAGES.indexOf('won')],
+      win_rate: rate(reached[FUNNEL_STAGES.indexOf('won')], leads.length),
+      median_hours_to_call: medianHours === null ? null : Math.round(medianHours * 10) / 10
+    }
+  };
+}
+
+function compareSummaries(current, previous) {
+  const comparison = {};
+  Object.keys(current).forEach((key) => {
+    const now = current[key];
+    const before = previous[key];
+    comparison[key] = {
+      current: now,
+      previous: before,
+      change_pct: now === null || before === null || before === 0
+        ? null
+        : Math.round(((now - before) / before) * 1000) / 10
+    };
+  });
+  return comparison;
+}
+
+// Everything the dashboard needs for one date range. Quarantined spam is
+// always left out.
+async function getStats({
+  from,
+  to,
+  interval,
+  form_type: formType,
+  compare = true,
+  top = DEFAULT_TOP,
+  touch = 'first'
+} = {}) {
+  const range = resolveRange({ from, to, interval });
+  const attributionTouch = ATTRIBUTION_TOUCHES.includes(touch) ? touch : 'first';
+  const filters = { from: range.from, to: range.to, form_type: formType };
+  const previousFilters = { ...range.previous, form_type: formType };
+
+  const [
+    total, series, current, previous,
+    byFormType, byStatus, byDomain, bySource, byMedium, byCampaign, byReferrer, byLandingPath
+  ] = await Promise.all([
+    get('SELECT COUNT(*) AS total FROM leads WHERE quarantined = 0'),
+    leadSeries(filters, range),
+    funnelSummary(filters),
+    compare ? funnelSummary(previousFilters) : null,
+    countBy('form_type', filters, top),
+    countBy('status', filters, top),
+    countBy("substr(email_normalized, instr(email_normalized, '@') + 1)", filters, top),
+    countBy(attributionValue('utm_source', attributionTouch), filters, top),
+    countBy(attributionValue('utm_medium', attributionTouch), filters, top),
+    countBy(attributionValue('utm_campaign', attributionTouch), filters, top),
+    countBy(attributionValue('referrer_domain', attributionTouch), filters, top),
+    countBy(attributionValue('landing_path', attributionTouch), filters, top)
+  ]);
+
+  return {
+    range: {
+      from: range.from,
+      to: range.to,
+      days: range.days,
+      interval: range.interval
+    },
+    previous_range: compare ? range.previous : null,
+    total_leads: total.total,
+    summary: current.summary,
+    comparison: compare ? compareSummaries(current.summary, previous.summary) : null,
+    series,
+    funnel: current.funnel,
+    attribution_touch: attributionTouch,
+    by_form_type: breakdown(byFormType, 'form_type'),
+    by_status: breakdown(byStatus, 'status'),
+    by_company_domain: breakdown(byDomain, 'domain'),
+    by_utm_source: breakdown(bySource, 'utm_source'),
+    by_utm_medium: breakdown(byMedium, 'utm_medium'),
+    by_utm_campaign: breakdown(byCampaign, 'utm_campaign'),
+    by_referrer: breakdown(byReferrer, 'referrer_domain'),
+    by_landing_path: breakdown(byLandingPath, 'landing_path')
+  };
+}
+
+module.exports = {
+  STATS_INTERVALS,
+  MAX_RANGE_DAYS,
+  FUNNEL_STAGES,
+  resolveRange,
+  getStats
+};
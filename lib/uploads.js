@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const formidable = require('formidable');
+const { run, get, all, toSqlDate } = require('./db');
+
+// Uploaded spreadsheets are kept under data/, which is never served
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || './data/uploads');
+const UPLOAD_MAX_BYTES = (parseInt(process.env.UPLOAD_MAX_MB, 10) || 10) * 1024 * 1024;
+
+// A submission that asks to upload gets a token good for this many files
+// within this many minutes
+const UPLOADS_PER_TOKEN = 3;
+const UPLOAD_TOKEN_TTL_MINUTES = parseInt(process.env.UPLOAD_TOKEN_TTL_MINUTES, 10) || 30;
+
+const UPLOAD_FORMATS = {
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { contentType: 'text/csv; charset=utf-8' }
+};
+
+const FILE_STATUSES = ['pending', 'analyzed', 'failed'];
+
+// Raised for uploads we refuse, with the status code to answer with
+class UploadError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function formatOf(filename) {
+  const extension = path.extname(String(filename || '')).slice(1).toLowerCase();
+  return UPLOAD_FORMATS[extension] ? extension : null;
+}
+
+async function createUploadToken(leadId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + UPLOAD_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  // Clear out expired tokens while we're here
+  await run("DELETE FROM lead_upload_tokens WHERE expires_at <= datetime('now')");
+  await run(
+    'INSERT INTO lead_upload_tokens (lead_id, token_hash, uploads_left, expires_at) VALUES (?, ?, ?, ?)',
+    [leadId, hashToken(token), UPLOADS_PER_TOKEN, toSqlDate(expiresAt)]
+  );
+  return { token, expiresAt };
+}
+
+// Whether the token, issued for the lead, still has an upload left. Checked
+// before the file is read; redeemUploadToken uses one up once it's accepted.
+async function checkUploadToken(leadId, token) {
+  if (!token) {
+    return false;
+  }
+  const row = await get(
+    `SELECT id FROM lead_upload_tokens
+     WHERE token_hash = ? AND lead_id = ? AND uploads_left > 0 AND expires_at > datetime('now')`,
+    [hashToken(token), leadId]
+  );
+  return Boolean(row);
+}
+
+// Use up one upload from a token issued for the lead. False when the token
+// is unknown, for another lead, expired or spent.
+async function redeemUploadToken(leadId, token) {
+  if (!token) {
+    return false;
+  }
+  const { changes } = await run(
+    `UPDATE lead_upload_tokens SET uploads_left = uploads_left - 1
+     WHERE token_hash = ? AND lead_id = ? AND uploads_left > 0 AND expires_at > datetime('now')`,
+    [hashToken(token), leadId]
+  );
+  return changes > 0;
+}
+
+// Check the first bytes match the extension: an XLSX file is a zip archive,
+// and a CSV file is text
+function sniffFormat(filePath, format) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(8192);
+    const length = fs.readSync(fd, head, 0, head.length, 0);
+    if (format === 'xlsx') {
+      return length >= 4 && head.readUInt32BE(0) === 0x504b0304;
+    }
+    return !head.subarray(0, length).includes(0);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function removeFile(filePath) {
+  fs.promises.unlink(filePath).catch(() => {});
+}
+
+// Read one "file" part from a multipart request into UPLOAD_DIR under a
+// random name. Anything that isn't a single .xlsx or .csv within the size
+// limit is refused with an UploadError and nothing is kept.
+function receiveUpload(req) {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+  const form = formidable({
+    uploadDir: UPLOAD_DIR,
+    maxFileSize: UPLOAD_MAX_BYTES,
+    maxFields: 10,
+    maxFieldsSize: 16 * 1024,
+    allowEmptyFiles: false,
+    hashAlgorithm: 'sha256',
+    filename: () => crypto.randomBytes(16).toString('hex'),
+    filter: part => part.name === 'file' && Boolean(formatOf(part.originalFilename))
+  });
+
+  return new Promise((resolve, reject) => {
+    form.parse(req, (err, fields, files) => {
+      const received = [].concat(...Object.values(files || {}));
+      if (err) {
+        received.forEach(file => removeFile(file.filepath));
+        const tooLarge = err.httpCode === 413;
+        return reject(new UploadError(
+          tooLarge ? `Files must be ${UPLOAD_MAX_BYTES / 1024 / 1024} MB or smaller` : 'Upload could not be read',
+          tooLarge ? 413 : 400
+        ));
+      }
+
+      const [file, ...extra] = received;
+      extra.forEach(other => removeFile(other.filepath));
+      if (!file) {
+        return reject(new UploadError('Attach one .xlsx or .csv file as "file"'));
+      }
+
+      const format = formatOf(file.originalFilename);
+      if (!sniffFormat(file.filepath, format)) {
+        removeFile(file.filepath);
+        return reject(new UploadError(`File contents do not look like a .${format} file`));
+      }
+
+      resolve({
+        originalName: path.basename(file.originalFilename).slice(0, 255),
+        storedName: path.basename(file.filepath),
+        format,
+        size: file.size,
+        sha256: file.hash
+      });
+    });
+  });
+}
+
+// Delete a received upload that won't be kept, e.g. when its token is refused
+function discardUpload(upload) {
+  removeFile(path.join(UPLOAD_DIR, upload.storedName));
+}
+
+async function saveLeadFile(leadId, upload) {
+  const { lastID } = await run(
+    `INSERT INTO lead_files (lead_id, original_name, stored_name, format, size_bytes, sha256)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [leadId, upload.originalName, upload.storedName, upload.format, upload.size, upload.sha256]
+  );
+  return lastID;
+}
+
+// The stored name stays on the server
+function parseFile(row) {
+  const file = { ...row, report: row.report ? JSON.parse(row.report) : null };
+  delete file.stored_name;
+  return file;
+}
+
+async function getLeadFiles(leadId) {
+  const rows = await all('SELECT * FROM lead_files WHERE lead_id = ? ORDER BY id ASC', [leadId]);
+  return rows.map(parseFile);
+}
+
+// A stored file with its path on disk, or null when there's no such file
+async function getLeadFile(fileId) {
+  const row = await get('SELECT * FROM lead_files WHERE id = ?', [fileId]);
+  if (!row) {
+    return null;
+  }
+  return { file: parseFile(row), filePath: path.join(UPLOAD_DIR, row.stored_name) };
+}
+
+async function saveReport(fileId, report) {
+  await run(
+    "UPDATE lead_files SET status = 'analyzed', report = ?, error = NULL, analyzed_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [JSON.stringify(report), fileId]
+  );
+}
+
+async function markAnalysisFailed(fileId, message) {
+  await run(
+    "UPDATE lead_files SET status = 'failed', error = ?, analyzed_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [message, fileId]
+  );
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_MAX_BYTES,
+  UPLOAD_FORMATS,
+  UPLOADS_PER_TOKEN,
+  FILE_STATUSES,
+  UploadError,
+  createUploadToken,
+  checkUploadToken,
+  redeemUploadToken,
+  receiveUpload,
+  discardUpload,
+  saveLeadFile,
+  getLeadFiles,
+  getLeadFile,
+  saveReport,
+  markAnalysisFailed
+};
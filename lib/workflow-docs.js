@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseFlowchart } = require('../mockup-framework/flowchart');
+
+// Workflow documents on disk, for the admin diagram editor: the client
+// documents written by `npm run workflow-doc` (client-<name>/*.md) and the
+// templates. Paths are relative to WORKFLOW_DIR, the directory the script
+// is run from. Only client documents are written to; templates are read
+// only, so they're kept in step with lib/workflows.js by hand.
+const WORKFLOW_DIR = path.resolve(process.env.WORKFLOW_DIR || '.');
+
+const TEMPLATE_DIR = 'workflow-templates';
+const DOCUMENT_PATH = /^(client-[a-z0-9-]+|workflow-templates)\/[A-Za-z0-9_-]+\.md$/;
+const MERMAID_BLOCK = /```mermaid\r?\n([\s\S]*?)\r?\n```/g;
+
+// Raised for documents and diagrams we refuse, with the status code to
+// answer with and, for diagrams that don't parse, every problem found
+class WorkflowDocError extends Error {
+  constructor(message, statusCode = 400, problems = []) {
+    super(message);
+    this.statusCode = statusCode;
+    this.problems = problems;
+  }
+}
+
+function resolveDocument(docPath) {
+  if (typeof docPath !== 'string' || !DOCUMENT_PATH.test(docPath)) {
+    throw new WorkflowDocError('Not a workflow document path');
+  }
+  return path.join(WORKFLOW_DIR, docPath);
+}
+
+function isReadOnly(docPath) {
+  return docPath.startsWith(`${TEMPLATE_DIR}/`);
+}
+
+function versionOf(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function readText(docPath) {
+  try {
+    return fs.readFileSync(resolveDocument(docPath), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new WorkflowDocError('Document not found', 404);
+    }
+    throw err;
+  }
+}
+
+// Which side of the comparison a diagram is on, from the heading above
+// it ("Current State Workflow", "Proposed Automated Workflow")
+function roleOf(heading) {
+  if (/current/i.test(heading)) {
+    return 'current';
+  }
+  if (/proposed/i.test(heading)) {
+    return 'proposed';
+  }
+  return null;
+}
+
+// The Mermaid blocks in a document, in order, with the heading each one
+// sits under. Flowcharts are editable; other kinds (sequence diagrams,
+// Gantt charts) are listed so the indexes match the document.
+function findDiagrams(text) {
+  const diagrams = [];
+  let match;
+  MERMAID_BLOCK.lastIndex = 0;
+  while ((match = MERMAID_BLOCK.exec(text)) !== null) {
+    const headings = text.slice(0, match.index).match(/^#{1,6} .*$/gm) || [];
+    const heading = headings.length ? headings[headings.length - 1].replace(/^#+\s*/, '') : '';
+    const source = match[1];
+    diagrams.push({
+      index: diagrams.length,
+      heading,
+      role: roleOf(heading),
+      kind: (source.trim().match(/^\S+/) || [''])[0],
+      editable: parseFlowchart(source).graph !== null,
+      source,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return diagrams;
+}
+
+function listDir(dir) {
+  try {
+    return fs.readdirSync(path.join(WORKFLOW_DIR, dir)).filter(name => name.endsWith('.md') && name !== 'README.md');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+}
+
+// Every workflow document with the number of Mermaid diagrams in it,
+// client documents first
+function listDocuments() {
+  const clientDirs = fs.readdirSync(WORKFLOW_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && /^client-[a-z0-9-]+$/.test(entry.name))
+    .map(entry => entry.name)
+    .sort();
+
+  return [...clientDirs, TEMPLATE_DIR]
+    .flatMap(dir => listDir(dir).sort().map(name => `${dir}/${name}`))
+    .filter(docPath => DOCUMENT_PATH.test(docPath))
+    .map((docPath) => {
+      const text = readText(docPath);
+      return {
+        path: docPath,
+        read_only: isReadOnly(docPath),
+        title: ((text.match(/^# (.*)$/m) || [])[1] || docPath).trim(),
+        diagrams: findDiagrams(text).length
+      };
+    });
+}
+
+// A document's diagrams and the version to send back when saving one
+function readDocument(docPath) {
+  const text = readText(docPath);
+  return {
+    path: docPath,
+    read_only: isReadOnly(docPath),
+    version: versionOf(text),
+    diagrams: findDiagrams(text).map(({ start, end, ...diagram }) => diagram)
+  };
+}
+
+// Replace a flowchart in a document. version is the one the change was
+// made against: if the file has changed since, nothing is written.
+// Returns the document as readDocument does.
+function writeDiagram(docPath, index, source, version) {
+  const file = resolveDocument(docPath);
+  if (isReadOnly(docPath)) {
+    throw new WorkflowDocError('Templates are read only', 403);
+  }
+  const text = readText(docPath);
+  if (versionOf(text) !== version) {
+    throw new WorkflowDocError('The document has changed since it was opened; reload it and try again', 409);
+  }
+
+  const diagram = findDiagrams(text)[index];
+  if (!diagram) {
+    throw new WorkflowDocError('Diagram not found', 404);
+  }
+  if (!diagram.editable) {
+    throw new WorkflowDocError('Only flowcharts can be edited');
+  }
+  const { problems } = parseFlowchart(source);
+  if (problems.length) {
+    throw new WorkflowDocError('Diagram is not a valid flowchart', 400, problems);
+  }
+
+  const updated = `${text.slice(0, diagram.start)}\`\`\`mermaid\n${source.trim()}\n\`\`\`${text.slice(diagram.end)}`;
+  // Write beside the document and rename over it, so a reader never
+  // sees half a file
+  const temporary = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, updated);
+  fs.renameSync(temporary, file);
+  return readDocument(docPath);
+}
+
+module.exports = {
+  WORKFLOW_DIR,
+  WorkflowDocError,
+  findDiagrams,
+  listDocuments,
+  readDocument,
+  writeDiagram
+};
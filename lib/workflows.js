@@ -0,0 +1,539 @@
+const { get } = require('./db');
+const { getLeadFiles } = require('./uploads');
+const { leadSchema, discoveryFields } = require('./schema-inference');
+const { WEEKS_PER_YEAR, validateRoiInputs, calculateRoi, money, percent } = require('./roi');
+const { HIGHLIGHT_STYLES } = require('../mockup-framework/flowchart');
+
+// Workflow documents are generated from a discovery record: the JSON
+// written up after a discovery call. See
+// workflow-templates/EXAMPLE_discovery.json for a complete one. Sections the
+// record leaves out fall back to the generic text of
+// workflow-templates/TEMPLATE_workflow-name.md.
+
+const DEFAULT_IMPROVEMENTS = [
+  { title: 'Automated Data Entry', details: ['Web form with validation', 'Mobile app option', 'Auto-save and backup'] },
+  { title: 'Single Source of Truth', details: ['Centralized database', 'Version history tracked', 'Audit trail for all changes'] },
+  { title: 'Real-Time Reporting', details: ['Live dashboards', 'Scheduled automated reports', 'Custom views per role'] },
+  { title: 'Universal Access', details: ['Role-based permissions', 'Web and mobile access', 'Self-service reporting'] }
+];
+
+const DEFAULT_PROCESS_FLOW = `sequenceDiagram
+    participant User
+    participant Form
+    participant API
+    participant Database
+    participant Dashboard
+    participant Reports
+
+    User->>Form: Enter Data
+    Form->>Form: Validate Input
+    Form->>API: Submit Data
+    API->>Database: Store Record
+    Database-->>API: Confirm Save
+    API-->>Form: Success Response
+    Form-->>User: Show Confirmation
+
+    Dashboard->>Database: Query Latest Data
+    Database-->>Dashboard: Return Results
+    Dashboard-->>User: Display Live Metrics
+
+    Reports->>Database: Scheduled Query
+    Database-->>Reports: Export Data
+    Reports->>User: Email Report`;
+
+const DEFAULT_DASHBOARDS = [
+  {
+    name: 'Executive View',
+    sections: [
+      { title: 'Key Metrics (Live)', items: ['Totals for the period', 'Active records', 'Pending items', 'Completion rate'] },
+      { title: 'Charts', items: ['Trend (last 30 days)', 'Status breakdown', 'Top records by volume', 'Activity timeline'] }
+    ]
+  },
+  {
+    name: 'Manager View',
+    sections: [
+      { title: 'Team Performance', items: ['Items processed per person', 'Average processing time', 'Error rate by team member', 'Backlog by status'] }
+    ]
+  },
+  {
+    name: 'User View',
+    sections: [
+      { title: 'My Tasks', items: ['Assigned items', 'Recent submissions', 'Quick data entry form', 'Personal performance stats'] }
+    ]
+  }
+];
+
+const DEFAULT_RISKS = [
+  { risk: 'Data loss during migration', impact: 'High', mitigation: 'Full backups, parallel run' },
+  { risk: 'User adoption resistance', impact: 'Medium', mitigation: 'Training, gradual rollout' },
+  { risk: 'System downtime', impact: 'Medium', mitigation: 'Cloud hosting, redundancy' },
+  { risk: 'Integration challenges', impact: 'Low', mitigation: 'API-first design' }
+];
+
+const DEFAULT_SUCCESS_METRICS = {
+  'Month 1': ['100% data migrated accurately', '80% user adoption rate', '< 5 minutes average data entry time'],
+  'Month 3': ['95% user adoption', 'Zero data entry errors', '50% reduction in report generation time'],
+  'Month 6': ['Full spreadsheet retirement', '70% time savings', 'Positive user feedback (>4/5 rating)']
+};
+
+const DEFAULT_NEXT_STEPS = [
+  '**Review this document** and provide feedback',
+  '**Schedule mockup demonstration** (interactive HTML prototype)',
+  '**Approve proposal** to begin development',
+  '**Kickoff meeting** with all stakeholders'
+];
+
+// Raised when a discovery record can't produce a complete document. Lists
+// every problem at once so the record can be fixed in one pass.
+class DiscoveryError extends Error {
+  constructor(problems) {
+    super(`Discovery record is incomplete:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.problems = problems;
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Check a list of objects, each needing the given fields
+function checkList(problems, record, key, fields, { min = 1 } = {}) {
+  const list = record[key];
+  if (!Array.isArray(list) || list.length < min) {
+    problems.push(`${key} needs at least ${min} entr${min === 1 ? 'y' : 'ies'}`);
+    return;
+  }
+  list.forEach((item, i) => {
+    fields.forEach((field) => {
+      if (!item || isBlank(item[field])) {
+        problems.push(`${key}[${i}].${field} is required`);
+      }
+    });
+  });
+}
+
+function checkSteps(problems, record, key) {
+  const steps = record[key];
+  if (!isBlank(record[`${key}_diagram`])) {
+    return;
+  }
+  if (!Array.isArray(steps) || steps.length < 2) {
+    problems.push(`${key} needs at least 2 steps (or give ${key}_diagram as Mermaid)`);
+    return;
+  }
+  steps.forEach((step, i) => {
+    if (isBlank(typeof step === 'object' && step !== null ? step.label : step)) {
+      problems.push(`${key}[${i}] needs a label`);
+    }
+  });
+}
+
+// Every problem with a record, or an empty list when it's complete
+function validateDiscovery(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['Discovery record must be a JSON object'];
+  }
+
+  const problems = [];
+  const client = record.client || {};
+  ['company', 'contact'].forEach((field) => {
+    if (isBlank(client[field])) {
+      problems.push(`client.${field} is required`);
+    }
+  });
+  ['workflow', 'summary'].forEach((field) => {
+    if (isBlank(record[field])) {
+      problems.push(`${field} is required`);
+    }
+  });
+  if (!isBlank(record.date) && !/^\d{4}-\d{2}-\d{2}$/.test(record.date)) {
+    problems.push('date must be YYYY-MM-DD');
+  }
+
+  checkSteps(problems, record, 'current_process');
+  checkSteps(problems, record, 'proposed_process');
+  checkList(problems, record, 'pain_points', ['title']);
+  checkList(problems, record, 'columns', ['name', 'type']);
+  checkList(problems, record, 'schema', ['field', 'type']);
+  if (!isBlank(record.mapping)) {
+    checkList(problems, record, 'mapping', ['column', 'field']);
+  }
+  checkList(problems, record, 'phases', ['name', 'timeline']);
+
+  problems.push(...validateRoiInputs(record));
+
+  return problems;
+}
+
+function cell(value) {
+  return isBlank(value) ? '-' : String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(header => '-'.repeat(header.length + 2)).join('|')}|`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function bullets(items, indent = '') {
+  return items.map(item => `${indent}- ${item}`).join('\n');
+}
+
+function numbered(items) {
+  return items.map((item, i) => `${i + 1}. ${item}`).join('\n');
+}
+
+// A, B, ... Z, AA, AB, ...
+function nodeId(index) {
+  let id = '';
+  let n = index;
+  do {
+    id = String.fromCharCode(65 + (n % 26)) + id;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return id;
+}
+
+function nodeLabel(label) {
+  const text = String(label).trim();
+  return /[[\](){}|"<>]/.test(text) ? `"${text.replace(/"/g, '#quot;')}"` : text;
+}
+
+// A left-to-right chain of steps as a Mermaid flowchart. Steps are strings
+// or { label, highlight }; highlighted steps get the given style. With none
+// highlighted, the first two and the last are, as in the template.
+function stepsDiagram(steps, style) {
+  const normalized = steps.map(step => (typeof step === 'object' ? step : { label: step }));
+  const lines = ['graph TD'];
+  normalized.slice(1).forEach((step, i) => {
+    const from = i === 0 ? `${nodeId(0)}[${nodeLabel(normalized[0].label)}]` : nodeId(i);
+    lines.push(`    ${from} --> ${nodeId(i + 1)}[${nodeLabel(step.label)}]`);
+  });
+
+  let highlighted = normalized.map((step, i) => (step.highlight ? i : -1)).filter(i => i >= 0);
+  if (highlighted.length === 0) {
+    highlighted = [...new Set([0, 1, normalized.length - 1])];
+  }
+  lines.push('');
+  highlighted.forEach((i) => {
+    lines.push(`    style ${nodeId(i)} ${style}`);
+  });
+  return lines.join('\n');
+}
+
+function diagram(record, key, style) {
+  const source = isBlank(record[`${key}_diagram`]) ? stepsDiagram(record[key], style) : record[`${key}_diagram`].trim();
+  return `\`\`\`mermaid\n${source}\n\`\`\``;
+}
+
+function painPoint(point, i) {
+  const details = [];
+  if (!isBlank(point.hours_per_week)) {
+    details.push(`Time spent: ${point.hours_per_week} hours per week`);
+  }
+  if (!isBlank(point.error_rate)) {
+    details.push(`Error rate: ${point.error_rate}`);
+  }
+  details.push(...(point.details || []));
+  return `${i + 1}. **${point.title}**${details.length ? `\n${bullets(details, '   ')}` : ''}`;
+}
+
+function improvement(item, i) {
+  const details = item.details || [];
+  return `${i + 1}. **${item.title}**${details.length ? `\n${bullets(details, '   ')}` : ''}`;
+}
+
+// Annual cost of the current process against the proposed one, worked
+// out by lib/roi.js
+function costBenefit(record) {
+  const roi = calculateRoi(record);
+  const { rate, errors } = roi;
+
+  const taskLines = roi.tasks.map(task =>
+    `${task.task}: ${task.per_week} hrs/week × ${money(rate)}/hr × ${WEEKS_PER_YEAR} = ${money(task.annual)}`
+  );
+  const errorLines = errors
+    ? [`Errors: ${errors.records_per_week} records/week × ${errors.current_rate}% × ${money(errors.cost_per_error)}/error × ${WEEKS_PER_YEAR} = ${money(errors.current_cost)}`]
+    : [];
+  const roiLine = [
+    roi.roi_year_one === null ? null : `${percent(roi.roi_year_one)} in Year 1`,
+    roi.roi_later === null ? null : `${percent(roi.roi_later)} thereafter`
+  ].filter(Boolean).join(', ');
+
+  return `### Current State Costs (Annual)
+${bullets([
+    ...taskLines,
+    ...errorLines,
+    ...roi.other_costs.map(item => `${item.label}: ${money(item.amount)}`),
+    `**Total annual cost:** ${money(roi.current_annual)}`
+  ])}
+
+### Proposed Solution Costs
+${bullets([
+    `Development: ${money(roi.development)} (one-time)`,
+    `Hosting: ${money(roi.hosting_monthly)}/month = ${money(roi.hosting_monthly * 12)}/year`,
+    `Maintenance: ${money(roi.maintenance_monthly)}/month = ${money(roi.maintenance_monthly * 12)}/year`,
+    `**Year 1 total:** ${money(roi.year_one_cost)}`,
+    `**Ongoing annual:** ${money(roi.ongoing)}`
+  ])}
+
+### Savings
+${bullets([
+    `Time saved: ${roi.saved_hours} hours/week (${money(roi.labour_savings)}/year)`,
+    ...(errors
+      ? [`Errors avoided: ${Math.round(errors.avoided_per_year).toLocaleString('en-US')}/year at ${errors.target_rate}% instead of ${errors.current_rate}% (${money(errors.savings)}/year)`]
+      : []),
+    `**Year 1 savings:** ${money(roi.annual_savings)} - ${money(roi.year_one_cost)} = ${money(roi.year_one_net)}`,
+    `**Year 2+ savings:** ${money(roi.annual_savings)} - ${money(roi.ongoing)} = ${money(roi.later_net)}`,
+    ...(roiLine ? [`**ROI:** ${roiLine}`] : []),
+    `**Payback period:** ${roi.payback_months === null ? 'not reached at these savings' : `${roi.payback_months.toFixed(1)} months`}`
+  ])}`;
+}
+
+function phase(item, i) {
+  const lines = [...(item.tasks || []), `**Timeline:** ${item.timeline}`];
+  if (isNumber(item.cost)) {
+    lines.push(`**Cost:** ${money(item.cost)}`);
+  }
+  return `### Phase ${i + 1}: ${item.name}\n${bullets(lines)}`;
+}
+
+function dashboard(view) {
+  return `### ${view.name}\n\n${view.sections.map(section =>
+    `**${section.title}**\n${bullets(section.items)}`
+  ).join('\n\n')}`;
+}
+
+function riskTable(risks) {
+  const withLikelihood = risks.some(risk => !isBlank(risk.likelihood));
+  return withLikelihood
+    ? table(['Risk', 'Impact', 'Likelihood', 'Mitigation'], risks.map(risk => [risk.risk, risk.impact, risk.likelihood, risk.mitigation]))
+    : table(['Risk', 'Impact', 'Mitigation'], risks.map(risk => [risk.risk, risk.impact, risk.mitigation]));
+}
+
+// The DDL and column mapping that come with an inferred schema (see
+// lib/schema-inference.js)
+function schemaSql(record) {
+  const parts = [];
+  if (!isBlank(record.ddl)) {
+    parts.push(`\`\`\`sql\n${record.ddl.trim()}\n\`\`\``);
+  }
+  if (Array.isArray(record.mapping) && record.mapping.length) {
+    parts.push(`### Column Mapping\n\n${table(['Spreadsheet Column', 'Database Column', 'Notes'], record.mapping.map(entry =>
+      [entry.column, entry.field, entry.notes]
+    ))}`);
+  }
+  return parts.length ? `\n\n${parts.join('\n\n')}` : '';
+}
+
+function appendix(record) {
+  const parts = [];
+  const interview = record.interview;
+  if (interview) {
+    const header = [];
+    if (!isBlank(interview.date)) {
+      header.push(`**Interview Date:** ${interview.date}${interview.participants ? '  ' : ''}`);
+    }
+    if (Array.isArray(interview.participants) && interview.participants.length) {
+      header.push(`**Participants:** ${interview.participants.join(', ')}`);
+    }
+    parts.push(`### Interview Notes\n\n${header.join('\n')}${header.length ? '\n\n' : ''}Key insights:\n\n${bullets(
+      (interview.quotes || []).map(quote => `"${quote}"`)
+    )}`);
+  }
+
+  const files = record.files || [];
+  const findings = record.findings || [];
+  if (files.length || findings.length) {
+    const lines = ['### Spreadsheet Analysis'];
+    if (files.length) {
+      lines.push('', '**Files analyzed:**', bullets(files.map(file => `\`${file.name}\` - ${file.summary}`)));
+    }
+    if (findings.length) {
+      lines.push('', '**Key findings:**', bullets(findings));
+    }
+    parts.push(lines.join('\n'));
+  }
+
+  return parts.length ? `\n---\n\n## Appendix\n\n${parts.join('\n\n')}\n` : '';
+}
+
+// Where a client's documents go, following the client-name/WORKFLOW.md
+// convention in workflow-templates/README.md
+function defaultOutputPath(record) {
+  const name = String((record.client && (record.client.name || record.client.company)) || 'client');
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'client';
+  return `client-${slug}/WORKFLOW.md`;
+}
+
+// Markdown for a complete workflow document. Throws a DiscoveryError
+// naming every missing or malformed field.
+function renderWorkflowDoc(record) {
+  const problems = validateDiscovery(record);
+  if (problems.length > 0) {
+    throw new DiscoveryError(problems);
+  }
+
+  const { client } = record;
+  const contact = isBlank(client.contact_title) ? client.contact : `${client.contact}, ${client.contact_title}`;
+  const date = record.date || new Date().toISOString().slice(0, 10);
+
+  return `# ${client.name || client.company} - ${record.workflow}
+
+**Date:** ${date}  
+**Prepared for:** ${contact}  
+**Company:** ${client.company}
+
+---
+
+## Executive Summary
+
+${record.summary.trim()}
+
+---
+
+## Current State Workflow
+
+${diagram(record, 'current_process', HIGHLIGHT_STYLES.current)}
+
+### Pain Points
+
+${record.pain_points.map(painPoint).join('\n\n')}
+
+---
+
+## Proposed Automated Workflow
+
+${diagram(record, 'proposed_process', HIGHLIGHT_STYLES.proposed)}
+
+### Key Improvements
+
+${(record.improvements || DEFAULT_IMPROVEMENTS).map(improvement).join('\n\n')}
+
+---
+
+## Detailed Process Flow
+
+\`\`\`mermaid
+${(record.process_flow || DEFAULT_PROCESS_FLOW).trim()}
+\`\`\`
+
+---
+
+## Data Structure
+
+### Current Spreadsheet Columns
+
+${table(['Column', 'Type', 'Example', 'Issues'], record.columns.map(column =>
+    [column.name, column.type, column.example, column.issues]
+  ))}
+
+### Proposed Database Schema
+
+${table(['Field', 'Type', 'Validation', 'Notes'], record.schema.map(field =>
+    [field.field, field.type, field.validation, field.notes]
+  ))}${schemaSql(record)}
+
+---
+
+## Dashboard Preview
+
+${(record.dashboards || DEFAULT_DASHBOARDS).map(dashboard).join('\n\n')}
+
+---
+
+## Technical Implementation
+
+${record.phases.map(phase).join('\n\n')}
+
+---
+
+## Cost-Benefit Analysis
+
+${costBenefit(record)}
+
+---
+
+## Risk Assessment
+
+${riskTable(record.risks || DEFAULT_RISKS)}
+
+---
+
+## Success Metrics
+
+${Object.entries(record.success_metrics || DEFAULT_SUCCESS_METRICS).map(([period, goals]) =>
+    `**${period} Goals:**\n${bullets(goals)}`
+  ).join('\n\n')}
+
+---
+
+## Next Steps
+
+${numbered(record.next_steps || DEFAULT_NEXT_STEPS)}
+${appendix(record)}`;
+}
+
+// What a lead already tells us: client and contact, and the uploaded
+// spreadsheets with their analysis and the schema inferred from them
+// (schema: false skips reading the files again). The rest of a discovery
+// record comes from the call.
+async function recordFromLead(leadId, { schema = true } = {}) {
+  const lead = await get('SELECT * FROM leads WHERE id = ?', [leadId]);
+  if (!lead) {
+    return null;
+  }
+
+  const files = (await getLeadFiles(lead.id)).filter(file => file.status === 'analyzed');
+  const record = {
+    client: { company: lead.company || undefined, contact: lead.name }
+  };
+  if (files.length > 0) {
+    record.files = files.map(({ original_name: name, report }) => ({
+      name,
+      summary: `${report.totals.rows.toLocaleString('en-US')} rows, ${report.sheet_count} sheet(s), ` +
+        `${report.totals.formulas} formulas, ${report.totals.errors} error cells`
+    }));
+    const inferred = schema ? await leadSchema(lead.id) : null;
+    if (inferred) {
+      Object.assign(record, discoveryFields(inferred));
+    } else {
+      // Headers of the first sheet with any, as a starting point for the
+      // column table
+      const sheet = files.flatMap(file => file.report.sheets).find(candidate => candidate.headers.some(Boolean));
+      if (sheet) {
+        record.columns = sheet.headers.filter(Boolean).map(name => ({ name, type: 'Text' }));
+      }
+    }
+  }
+  return record;
+}
+
+// Deep-merge a discovery record over what the lead provides. Lists in the
+// record replace the lead's.
+function mergeRecords(base, override) {
+  const merged = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    const current = merged[key];
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value) &&
+      current && typeof current === 'object' && !Array.isArray(current)
+      ? mergeRecords(current, value)
+      : value;
+  });
+  return merged;
+}
+
+module.exports = {
+  DiscoveryError,
+  validateDiscovery,
+  renderWorkflowDoc,
+  defaultOutputPath,
+  recordFromLead,
+  mergeRecords
+};
@@ -0,0 +1,23 @@
+// Original leads table. IF NOT EXISTS lets databases created by the
+// pre-migration init script adopt the migration history without changes.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS leads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        company TEXT,
+        description TEXT,
+        form_type TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_email ON leads(email)');
+    await run('CREATE INDEX IF NOT EXISTS idx_created_at ON leads(created_at)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS leads');
+  }
+};
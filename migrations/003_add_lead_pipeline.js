@@ -0,0 +1,31 @@
+// Pipeline status on leads plus the append-only status history
+module.exports = {
+  async up({ run, all }) {
+    const columns = await all('PRAGMA table_info(leads)');
+    if (!columns.some(column => column.name === 'status')) {
+      await run("ALTER TABLE leads ADD COLUMN status TEXT NOT NULL DEFAULT 'new'");
+      await run('ALTER TABLE leads ADD COLUMN status_updated_at DATETIME');
+    }
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS lead_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        changed_by TEXT NOT NULL,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_status_history_lead ON lead_status_history(lead_id)');
+    await run('CREATE INDEX IF NOT EXISTS idx_status ON leads(status)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS lead_status_history');
+    await run('DROP INDEX IF EXISTS idx_status');
+    await run('ALTER TABLE leads DROP COLUMN status_updated_at');
+    await run('ALTER TABLE leads DROP COLUMN status');
+  }
+};
@@ -0,0 +1,35 @@
+// Normalized email for duplicate detection, plus one submission row per form
+// post so repeat submissions attach to the existing lead
+module.exports = {
+  async up({ run }) {
+    await run('ALTER TABLE leads ADD COLUMN email_normalized TEXT');
+    await run('UPDATE leads SET email_normalized = lower(trim(email))');
+    await run('CREATE INDEX IF NOT EXISTS idx_email_normalized ON leads(email_normalized)');
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS lead_submissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        company TEXT,
+        description TEXT,
+        form_type TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_submissions_lead ON lead_submissions(lead_id)');
+
+    // Existing leads become their own first submission
+    await run(`
+      INSERT INTO lead_submissions (lead_id, name, email, company, description, form_type, created_at)
+      SELECT id, name, email, company, description, form_type, created_at FROM leads
+    `);
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS lead_submissions');
+    await run('DROP INDEX IF EXISTS idx_email_normalized');
+    await run('ALTER TABLE leads DROP COLUMN email_normalized');
+  }
+};
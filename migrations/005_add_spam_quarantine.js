@@ -0,0 +1,19 @@
+// Suspected spam is kept but quarantined, and submissions remember where they came from
+module.exports = {
+  async up({ run }) {
+    await run('ALTER TABLE leads ADD COLUMN quarantined INTEGER NOT NULL DEFAULT 0');
+    await run('ALTER TABLE leads ADD COLUMN spam_reason TEXT');
+    await run('CREATE INDEX IF NOT EXISTS idx_quarantined ON leads(quarantined)');
+
+    await run('ALTER TABLE lead_submissions ADD COLUMN ip_address TEXT');
+    await run('ALTER TABLE lead_submissions ADD COLUMN user_agent TEXT');
+  },
+
+  async down({ run }) {
+    await run('ALTER TABLE lead_submissions DROP COLUMN user_agent');
+    await run('ALTER TABLE lead_submissions DROP COLUMN ip_address');
+    await run('DROP INDEX IF EXISTS idx_quarantined');
+    await run('ALTER TABLE leads DROP COLUMN spam_reason');
+    await run('ALTER TABLE leads DROP COLUMN quarantined');
+  }
+};
@@ -0,0 +1,24 @@
+// One row per notification sent (or attempted) on a channel
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER REFERENCES leads(id) ON DELETE SET NULL,
+        event TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        response TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_deliveries_lead ON notification_deliveries(lead_id)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS notification_deliveries');
+  }
+};
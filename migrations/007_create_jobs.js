@@ -0,0 +1,26 @@
+// Durable background job queue
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        locked_at DATETIME,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS jobs');
+  }
+};
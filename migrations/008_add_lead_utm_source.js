@@ -0,0 +1,12 @@
+// Campaign source of a lead's first submission, for stats by UTM source
+module.exports = {
+  async up({ run }) {
+    await run('ALTER TABLE leads ADD COLUMN utm_source TEXT');
+    await run('CREATE INDEX IF NOT EXISTS idx_utm_source ON leads(utm_source)');
+  },
+
+  async down({ run }) {
+    await run('DROP INDEX IF EXISTS idx_utm_source');
+    await run('ALTER TABLE leads DROP COLUMN utm_source');
+  }
+};
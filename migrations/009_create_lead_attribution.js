@@ -0,0 +1,29 @@
+// Where a lead came from: UTM parameters, referrer and landing path of its
+// first and last touch, as reported by the landing page with each submission
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS lead_attribution (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+        submission_id INTEGER REFERENCES lead_submissions(id) ON DELETE SET NULL,
+        touch TEXT NOT NULL,
+        utm_source TEXT,
+        utm_medium TEXT,
+        utm_campaign TEXT,
+        utm_term TEXT,
+        utm_content TEXT,
+        referrer TEXT,
+        referrer_domain TEXT,
+        landing_path TEXT,
+        touched_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_attribution_lead ON lead_attribution(lead_id, touch)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS lead_attribution');
+  }
+};
@@ -0,0 +1,64 @@
+// Landing page experiments: variants with their content, which visitors saw
+// which variant, and which of them went on to submit a lead
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS experiments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        description TEXT,
+        status TEXT NOT NULL DEFAULT 'draft',
+        started_at DATETIME,
+        ended_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS experiment_variants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        experiment_id INTEGER NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+        key TEXT NOT NULL,
+        name TEXT NOT NULL,
+        weight INTEGER NOT NULL DEFAULT 1,
+        is_control INTEGER NOT NULL DEFAULT 0,
+        content TEXT NOT NULL DEFAULT '{}',
+        UNIQUE (experiment_id, key)
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS experiment_exposures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        experiment_id INTEGER NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+        variant_id INTEGER NOT NULL REFERENCES experiment_variants(id) ON DELETE CASCADE,
+        visitor_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (experiment_id, visitor_id)
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_exposures_visitor ON experiment_exposures(visitor_id)');
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS experiment_conversions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        experiment_id INTEGER NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+        variant_id INTEGER NOT NULL REFERENCES experiment_variants(id) ON DELETE CASCADE,
+        visitor_id TEXT NOT NULL,
+        lead_id INTEGER REFERENCES leads(id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (experiment_id, visitor_id)
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_conversions_lead ON experiment_conversions(lead_id)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS experiment_conversions');
+    await run('DROP TABLE IF EXISTS experiment_exposures');
+    await run('DROP TABLE IF EXISTS experiment_variants');
+    await run('DROP TABLE IF EXISTS experiments');
+  }
+};
@@ -0,0 +1,38 @@
+// Calls booked through the scheduling provider, reported by its webhook.
+// The lead keeps its current call time and status for quick filtering.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS lead_bookings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER REFERENCES leads(id) ON DELETE SET NULL,
+        provider TEXT NOT NULL,
+        invitee_uri TEXT NOT NULL UNIQUE,
+        event_uri TEXT,
+        event_name TEXT,
+        invitee_email TEXT NOT NULL,
+        invitee_name TEXT,
+        status TEXT NOT NULL,
+        scheduled_at DATETIME,
+        ends_at DATETIME,
+        rescheduled INTEGER NOT NULL DEFAULT 0,
+        cancel_reason TEXT,
+        canceled_at DATETIME,
+        payload TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_bookings_lead ON lead_bookings(lead_id)');
+    await run('CREATE INDEX IF NOT EXISTS idx_bookings_email ON lead_bookings(invitee_email)');
+
+    await run('ALTER TABLE leads ADD COLUMN call_scheduled_at DATETIME');
+    await run('ALTER TABLE leads ADD COLUMN call_status TEXT');
+  },
+
+  async down({ run }) {
+    await run('ALTER TABLE leads DROP COLUMN call_status');
+    await run('ALTER TABLE leads DROP COLUMN call_scheduled_at');
+    await run('DROP TABLE IF EXISTS lead_bookings');
+  }
+};
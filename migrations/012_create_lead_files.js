@@ -0,0 +1,39 @@
+// Spreadsheets sent with a lead, their analysis report, and the short-lived
+// tokens that let a visitor upload to the lead they just submitted
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS lead_files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+        original_name TEXT NOT NULL,
+        stored_name TEXT NOT NULL UNIQUE,
+        format TEXT NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        sha256 TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        report TEXT,
+        error TEXT,
+        analyzed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_files_lead ON lead_files(lead_id)');
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS lead_upload_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        uploads_left INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS lead_upload_tokens');
+    await run('DROP TABLE IF EXISTS lead_files');
+  }
+};
@@ -0,0 +1,30 @@
+// Client mockups: the spec each one is rendered from, the unguessable slug
+// it is shared under at /m/<slug>, and an optional password and expiry
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS mockups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+        slug TEXT NOT NULL UNIQUE,
+        title TEXT NOT NULL,
+        spec TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'published',
+        password_hash TEXT,
+        expires_at DATETIME,
+        view_count INTEGER NOT NULL DEFAULT 0,
+        last_viewed_at DATETIME,
+        created_by TEXT,
+        published_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        unpublished_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_mockups_lead ON mockups(lead_id)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS mockups');
+  }
+};
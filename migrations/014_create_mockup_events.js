@@ -0,0 +1,21 @@
+// What clients do on a published mockup: opening it, stepping through the
+// workflow demo, switching dashboard tabs and clicking the calls to action
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS mockup_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        mockup_id INTEGER NOT NULL REFERENCES mockups(id) ON DELETE CASCADE,
+        session_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        value TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_mockup_events_mockup ON mockup_events(mockup_id, created_at)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS mockup_events');
+  }
+};
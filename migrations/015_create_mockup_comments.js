@@ -0,0 +1,27 @@
+// Client feedback pinned to elements of a mockup (a card, a form field, a
+// dashboard tab...), with replies from either side. Only the first comment
+// of a thread is resolved or reopened.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS mockup_comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        mockup_id INTEGER NOT NULL REFERENCES mockups(id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES mockup_comments(id) ON DELETE CASCADE,
+        element_key TEXT NOT NULL,
+        element_label TEXT,
+        author_type TEXT NOT NULL,
+        author_name TEXT,
+        body TEXT NOT NULL,
+        resolved_at DATETIME,
+        resolved_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_mockup_comments_mockup ON mockup_comments(mockup_id, created_at)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS mockup_comments');
+  }
+};
@@ -0,0 +1,22 @@
+// Proposals generated for a lead: the discovery figures they were built
+// from are kept, so the PDF can be produced again at any time exactly as
+// it was sent. A new proposal is created rather than an old one edited.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS proposals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        inputs TEXT NOT NULL,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_proposals_lead ON proposals(lead_id, created_at)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE IF EXISTS proposals');
+  }
+};
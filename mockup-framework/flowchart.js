@@ -0,0 +1,607 @@
+// Mermaid flowcharts, as written in the workflow documents ("graph TD",
+// labelled steps, arrows and style lines): parsed into nodes and edges,
+// laid out and drawn as SVG, and written back as Mermaid. Loaded by the
+// admin diagram editor, and required by the server to check a diagram
+// before it is saved into a document.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.Flowchart = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DIRECTIONS = ['TD', 'TB', 'BT', 'LR', 'RL'];
+
+    // Brackets around a node's label, by shape. Longer openers are tried
+    // first when parsing.
+    const SHAPES = {
+        rect: ['[', ']'],
+        round: ['(', ')'],
+        stadium: ['([', '])'],
+        subroutine: ['[[', ']]'],
+        circle: ['((', '))'],
+        diamond: ['{', '}']
+    };
+    const OPENERS = Object.entries(SHAPES).sort((a, b) => b[1][0].length - a[1][0].length);
+
+    const EDGE_TYPES = {
+        arrow: '-->',
+        open: '---',
+        dotted: '-.->',
+        thick: '==>'
+    };
+
+    // The workflow templates' colours: red for problem steps of the current
+    // process, green for automated steps of the proposed one
+    const HIGHLIGHT_STYLES = {
+        current: 'fill:#ef4444,stroke:#991b1b,color:#fff',
+        proposed: 'fill:#10b981,stroke:#047857,color:#fff'
+    };
+
+    const DEFAULT_NODE_STYLE = { fill: '#f8fafc', stroke: '#94a3b8', color: '#0f172a' };
+    const EDGE_COLOR = '#64748b';
+
+    // Layout, in pixels
+    const CHAR_WIDTH = 7.2;
+    const LINE_HEIGHT = 18;
+    const MAX_LINE_CHARS = 22;
+    const PADDING_X = 14;
+    const PADDING_Y = 10;
+    const MIN_NODE_WIDTH = 80;
+    const RANK_GAP = 50;
+    const NODE_GAP = 30;
+    const MARGIN = 20;
+
+    function decodeLabel(text) {
+        return text.replace(/#quot;/g, '"').replace(/#35;/g, '#');
+    }
+
+    // Labels with brackets, pipes or quotes are quoted, as Mermaid needs
+    function formatLabel(label) {
+        const text = String(label).trim();
+        return /[[\](){}|"<>]/.test(text) ? `"${text.replace(/"/g, '#quot;')}"` : text;
+    }
+
+    // A node reference at the start of text: an id, with a label in the
+    // brackets of its shape if it's being defined. Returns the node and
+    // the rest of the text, or null.
+    function readNode(text) {
+        const idMatch = text.match(/^[A-Za-z0-9_]+/);
+        if (!idMatch) return null;
+        const id = idMatch[0];
+        let rest = text.slice(id.length);
+
+        const opener = OPENERS.find(([, [open]]) => rest.startsWith(open));
+        if (!opener) {
+            return { node: { id }, rest };
+        }
+        const [shape, [open, close]] = opener;
+        rest = rest.slice(open.length);
+        let label;
+        if (rest.startsWith('"')) {
+            const end = rest.indexOf('"', 1);
+            if (end < 0 || !rest.slice(end + 1).startsWith(close)) return null;
+            label = rest.slice(1, end);
+            rest = rest.slice(end + 1 + close.length);
+        } else {
+            const end = rest.indexOf(close);
+            if (end < 0) return null;
+            label = rest.slice(0, end);
+            rest = rest.slice(end + close.length);
+        }
+        return { node: { id, label: decodeLabel(label.trim()), shape }, rest };
+    }
+
+    // An edge at the start of text: "-->", "-->|label|" or "-- label -->",
+    // and the other line styles
+    function readEdge(text) {
+        const piped = text.match(/^(-\.->|-->|---|==>)\s*(?:\|([^|]*)\|)?/);
+        if (piped) {
+            const type = Object.keys(EDGE_TYPES).find(key => EDGE_TYPES[key] === piped[1]);
+            return { type, label: (piped[2] || '').trim(), rest: text.slice(piped[0].length) };
+        }
+        const inline = text.match(/^(--|-\.|==)\s+(.+?)\s+(-->|---|\.->|==>)/);
+        if (inline) {
+            const type = inline[1] === '-.' ? 'dotted' : inline[1] === '==' ? 'thick' : inline[3] === '---' ? 'open' : 'arrow';
+            return { type, label: inline[2].trim(), rest: text.slice(inline[0].length) };
+        }
+        return null;
+    }
+
+    function parseProps(props) {
+        const style = {};
+        String(props).split(',').forEach((part) => {
+            const [key, ...value] = part.split(':');
+            // Only plain values, since they end up in SVG attributes
+            if (key && value.length && /^[#\w().%\s-]+$/.test(value.join(':'))) {
+                style[key.trim()] = value.join(':').trim();
+            }
+        });
+        return style;
+    }
+
+    // Parse Mermaid flowchart source. Returns { graph, problems }; the
+    // graph is null when there are problems. Subgraphs, "&" and click
+    // handlers aren't supported.
+    function parseFlowchart(source) {
+        const problems = [];
+        const lines = String(source || '').split('\n');
+        const graph = { direction: 'TD', nodes: [], edges: [], styles: {}, classDefs: {}, classes: {} };
+
+        function addNode(node) {
+            let existing = graph.nodes.find(candidate => candidate.id === node.id);
+            if (!existing) {
+                existing = { id: node.id, label: node.id, shape: 'rect' };
+                graph.nodes.push(existing);
+            }
+            if (node.label !== undefined) {
+                existing.label = node.label;
+                existing.shape = node.shape;
+            }
+            return existing;
+        }
+
+        let started = false;
+        let refused = false;
+        lines.forEach((raw, i) => {
+            const line = raw.replace(/%%.*$/, '').trim();
+            const where = `Line ${i + 1}`;
+            if (!line || refused) return;
+
+            if (!started) {
+                const header = line.match(/^(graph|flowchart)(?:\s+(\w+))?\s*;?$/);
+                if (!header) {
+                    problems.push('Only flowcharts ("graph TD" or "flowchart TD") can be drawn');
+                    refused = true;
+                } else if (header[2] && !DIRECTIONS.includes(header[2])) {
+                    problems.push(`${where}: direction must be one of ${DIRECTIONS.join(', ')}`);
+                } else {
+                    graph.direction = header[2] === 'TB' ? 'TD' : header[2] || 'TD';
+                }
+                started = true;
+                return;
+            }
+
+            const style = line.match(/^style\s+(\S+)\s+(.+?);?$/);
+            if (style) {
+                graph.styles[style[1]] = style[2];
+                return;
+            }
+            const classDef = line.match(/^classDef\s+(\S+)\s+(.+?);?$/);
+            if (classDef) {
+                graph.classDefs[classDef[1]] = classDef[2];
+                return;
+            }
+            const classLine = line.match(/^class\s+(\S+)\s+(\S+?);?$/);
+            if (classLine) {
+                classLine[1].split(',').forEach((id) => {
+                    graph.classes[id] = [...(graph.classes[id] || []), classLine[2]];
+                });
+                return;
+            }
+            if (/^(subgraph|end|direction|click|linkStyle)\b/.test(line)) {
+                problems.push(`${where}: "${line.split(/\s/)[0]}" is not supported`);
+                return;
+            }
+
+            line.split(';').map(part => part.trim()).filter(Boolean).forEach((statement) => {
+                let read = readNode(statement);
+                if (!read) {
+                    problems.push(`${where}: could not read "${statement}"`);
+                    return;
+                }
+                let from = addNode(read.node);
+                let rest = read.rest.trim();
+                while (rest) {
+                    if (rest.startsWith('&')) {
+                        problems.push(`${where}: "&" is not supported; give each link its own line`);
+                        return;
+                    }
+                    const edge = readEdge(rest);
+                    read = edge && readNode(edge.rest.trim());
+                    if (!read) {
+                        problems.push(`${where}: could not read "${rest}"`);
+                        return;
+                    }
+                    const to = addNode(read.node);
+                    graph.edges.push({ from: from.id, to: to.id, label: edge.label, type: edge.type });
+                    from = to;
+                    rest = read.rest.trim();
+                }
+            });
+        });
+
+        if (!started) {
+            problems.push('Diagram is empty');
+        } else if (!problems.length && !graph.nodes.length) {
+            problems.push('Diagram has no steps');
+        }
+        return { graph: problems.length ? null : graph, problems };
+    }
+
+    // Mermaid source for a graph: links first, each node's label given
+    // where it first appears, then classes and style lines
+    function serializeFlowchart(graph) {
+        const defined = new Set();
+        const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+        const ref = (id) => {
+            const node = nodes.get(id);
+            if (defined.has(id) || !node) return id;
+            defined.add(id);
+            if (node.shape === 'rect' && node.label === id) return id;
+            const [open, close] = SHAPES[node.shape] || SHAPES.rect;
+            return `${id}${open}${formatLabel(node.label)}${close}`;
+        };
+
+        const lines = [`graph ${graph.direction}`];
+        graph.edges.forEach((edge) => {
+            const label = edge.label ? `|${edge.label.replace(/\|/g, '/')}|` : '';
+            lines.push(`    ${ref(edge.from)} ${EDGE_TYPES[edge.type] || EDGE_TYPES.arrow}${label} ${ref(edge.to)}`);
+        });
+        graph.nodes.filter(node => !defined.has(node.id)).forEach(node => lines.push(`    ${ref(node.id)}`));
+
+        const extra = [
+            ...Object.entries(graph.classDefs).map(([name, props]) => `    classDef ${name} ${props}`),
+            ...Object.entries(graph.classes).flatMap(([id, names]) => names.map(name => `    class ${id} ${name}`)),
+            ...Object.entries(graph.styles).map(([id, props]) => `    style ${id} ${props}`)
+        ];
+        if (extra.length) {
+            lines.push('', ...extra);
+        }
+        return lines.join('\n');
+    }
+
+    // Editing helpers. They change the graph in place.
+
+    // A, B, ... Z, AA, AB, ...: the next id not taken
+    function nextNodeId(graph) {
+        const taken = new Set(graph.nodes.map(node => node.id));
+        for (let index = 0; ; index += 1) {
+            let id = '';
+            let n = index;
+            do {
+                id = String.fromCharCode(65 + (n % 26)) + id;
+                n = Math.floor(n / 26) - 1;
+            } while (n >= 0);
+            if (!taken.has(id)) return id;
+        }
+    }
+
+    function addNode(graph, label, shape = 'rect') {
+        const node = { id: nextNodeId(graph), label, shape };
+        graph.nodes.push(node);
+        return node;
+    }
+
+    function removeNode(graph, id) {
+        graph.nodes = graph.nodes.filter(node => node.id !== id);
+        graph.edges = graph.edges.filter(edge => edge.from !== id && edge.to !== id);
+        delete graph.styles[id];
+        delete graph.classes[id];
+    }
+
+    function normalizeProps(props) {
+        return String(props || '').replace(/\s+/g, '').toLowerCase();
+    }
+
+    // "current" or "proposed" when a node has one of the template's
+    // highlight styles, else null
+    function highlightOf(graph, id) {
+        const props = normalizeProps(graph.styles[id]);
+        return Object.keys(HIGHLIGHT_STYLES).find(kind => normalizeProps(HIGHLIGHT_STYLES[kind]) === props) || null;
+    }
+
+    // Give a node one of the highlight styles, or none with null
+    function setHighlight(graph, id, kind) {
+        if (kind) {
+            graph.styles[id] = HIGHLIGHT_STYLES[kind];
+        } else {
+            delete graph.styles[id];
+        }
+    }
+
+    // Layout
+
+    function wrapLabel(label) {
+        return String(label).split(/<br\s*\/?>/i).flatMap((part) => {
+            const lines = [];
+            let line = '';
+            part.trim().split(/\s+/).forEach((word) => {
+                if (line && `${line} ${word}`.length > MAX_LINE_CHARS) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = line ? `${line} ${word}` : word;
+                }
+            });
+            lines.push(line);
+            return lines;
+        });
+    }
+
+    function measure(node) {
+        const lines = wrapLabel(node.label);
+        const textWidth = Math.max(...lines.map(line => line.length)) * CHAR_WIDTH;
+        let width = Math.max(MIN_NODE_WIDTH, textWidth + PADDING_X * 2);
+        let height = lines.length * LINE_HEIGHT + PADDING_Y * 2;
+        if (node.shape === 'diamond') {
+            width = width * 1.4 + 10;
+            height *= 1.6;
+        } else if (node.shape === 'circle') {
+            width = Math.max(width, height);
+            height = width;
+        }
+        return { lines, width, height };
+    }
+
+    // Longest-path ranks, ignoring the links that close a loop (found
+    // depth-first in the order nodes appear)
+    function rankNodes(graph) {
+        const state = {};
+        const backEdges = new Set();
+        const visit = (id) => {
+            state[id] = 'open';
+            graph.edges.forEach((edge, index) => {
+                if (edge.from !== id) return;
+                if (state[edge.to] === 'open') {
+                    backEdges.add(index);
+                } else if (!state[edge.to]) {
+                    visit(edge.to);
+                }
+            });
+            state[id] = 'done';
+        };
+        graph.nodes.forEach(node => !state[node.id] && visit(node.id));
+
+        const ranks = {};
+        const rankOf = (id) => {
+            if (ranks[id] === undefined) {
+                ranks[id] = 0;
+                ranks[id] = Math.max(0, ...graph.edges
+                    .filter((edge, index) => edge.to === id && !backEdges.has(index))
+                    .map(edge => rankOf(edge.from) + 1));
+            }
+            return ranks[id];
+        };
+        graph.nodes.forEach(node => rankOf(node.id));
+        return { ranks, backEdges };
+    }
+
+    // Order each rank by the average position of its neighbours in the
+    // rank before (then after), a few times over, to untangle links
+    function orderRanks(graph, ranks, backEdges) {
+        const layers = [];
+        graph.nodes.forEach((node) => {
+            (layers[ranks[node.id]] = layers[ranks[node.id]] || []).push(node.id);
+        });
+        const forward = graph.edges.filter((edge, index) => !backEdges.has(index));
+        const position = {};
+        const index = () => layers.forEach(layer => layer.forEach((id, i) => { position[id] = i; }));
+        index();
+
+        const sweep = (layer, neighbours) => {
+            const weight = {};
+            layer.forEach((id) => {
+                const around = neighbours(id).map(other => position[other]);
+                weight[id] = around.length ? around.reduce((sum, value) => sum + value, 0) / around.length : position[id];
+            });
+            layer.sort((a, b) => weight[a] - weight[b] || position[a] - position[b]);
+            layer.forEach((id, i) => { position[id] = i; });
+        };
+        for (let pass = 0; pass < 4; pass += 1) {
+            layers.slice(1).forEach(layer => sweep(layer, id => forward.filter(edge => edge.to === id).map(edge => edge.from)));
+            layers.slice(0, -1).reverse().forEach(layer => sweep(layer, id => forward.filter(edge => edge.from === id).map(edge => edge.to)));
+        }
+        index();
+        return layers;
+    }
+
+    // Positions of every node (centre x/y, width, height, label lines) and
+    // the size of the drawing
+    function layoutFlowchart(graph) {
+        const { ranks, backEdges } = rankNodes(graph);
+        const layers = orderRanks(graph, ranks, backEdges);
+        const horizontal = graph.direction === 'LR' || graph.direction === 'RL';
+        const boxes = {};
+        graph.nodes.forEach((node) => { boxes[node.id] = measure(node); });
+
+        // Along = the direction of flow; across = within a rank
+        const along = box => (horizontal ? box.width : box.height);
+        const across = box => (horizontal ? box.height : box.width);
+        const rankSizes = layers.map(layer => Math.max(...layer.map(id => along(boxes[id]))));
+        const spans = layers.map(layer => layer.reduce((sum, id) => sum + across(boxes[id]), 0) + NODE_GAP * (layer.length - 1));
+        const widest = Math.max(0, ...spans);
+        const forward = graph.edges.filter((edge, index) => !backEdges.has(index));
+
+        // Ranks start out centred; then each node moves as close as its
+        // neighbours allow to the middle of the nodes linking to it, so
+        // chains run straight
+        const centres = {};
+        let offset = MARGIN;
+        layers.forEach((layer, r) => {
+            let cursor = MARGIN + (widest - spans[r]) / 2;
+            let previousEnd = -Infinity;
+            layer.forEach((id) => {
+                const size = across(boxes[id]);
+                const parents = forward.filter(edge => edge.to === id).map(edge => centres[edge.from]);
+                const wanted = parents.length
+                    ? parents.reduce((sum, value) => sum + value, 0) / parents.length
+                    : cursor + size / 2;
+                centres[id] = Math.max(wanted, previousEnd + NODE_GAP + size / 2);
+                previousEnd = centres[id] + size / 2;
+                cursor += size + NODE_GAP;
+                boxes[id].along = offset + rankSizes[r] / 2;
+            });
+            offset += rankSizes[r] + RANK_GAP;
+        });
+
+        const ids = Object.keys(boxes);
+        const start = Math.min(MARGIN, ...ids.map(id => centres[id] - across(boxes[id]) / 2));
+        ids.forEach((id) => {
+            const box = boxes[id];
+            const acrossCentre = centres[id] - start + MARGIN;
+            box.x = horizontal ? box.along : acrossCentre;
+            box.y = horizontal ? acrossCentre : box.along;
+            delete box.along;
+        });
+
+        const length = Math.max(offset - RANK_GAP, MARGIN) + MARGIN;
+        const breadth = Math.max(MARGIN, ...ids.map(id => centres[id] - start + MARGIN + across(boxes[id]) / 2)) + MARGIN;
+        const size = horizontal ? { width: length, height: breadth } : { width: breadth, height: length };
+        if (graph.direction === 'BT' || graph.direction === 'RL') {
+            Object.values(boxes).forEach((box) => {
+                if (graph.direction === 'BT') box.y = size.height - box.y;
+                else box.x = size.width - box.x;
+            });
+        }
+        // Room on the far side for links that loop back
+        const extra = backEdges.size ? 40 + backEdges.size * 12 : 0;
+        if (horizontal) size.height += extra;
+        else size.width += extra;
+        return { nodes: boxes, backEdges, ...size };
+    }
+
+    // Drawing
+
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function nodeStyle(graph, id) {
+        const fromClasses = (graph.classes[id] || []).reduce((style, name) => ({ ...style, ...parseProps(graph.classDefs[name]) }), {});
+        return { ...DEFAULT_NODE_STYLE, ...fromClasses, ...parseProps(graph.styles[id]) };
+    }
+
+    function shapeSvg(node, box, style) {
+        const left = box.x - box.width / 2;
+        const top = box.y - box.height / 2;
+        const paint = `fill="${style.fill}" stroke="${style.stroke}" stroke-width="${parseFloat(style['stroke-width']) || 1.5}"`;
+        switch (node.shape) {
+            case 'diamond':
+                return `<polygon points="${box.x},${top} ${left + box.width},${box.y} ${box.x},${top + box.height} ${left},${box.y}" ${paint}/>`;
+            case 'circle':
+                return `<circle cx="${box.x}" cy="${box.y}" r="${box.width / 2}" ${paint}/>`;
+            case 'subroutine':
+                return `<rect x="${left}" y="${top}" width="${box.width}" height="${box.height}" ${paint}/>` +
+                    `<path d="M${left + 8},${top} v${box.height} M${left + box.width - 8},${top} v${box.height}" stroke="${style.stroke}" fill="none"/>`;
+            default: {
+                const radius = node.shape === 'stadium' ? box.height / 2 : node.shape === 'round' ? 12 : 4;
+                return `<rect x="${left}" y="${top}" width="${box.width}" height="${box.height}" rx="${radius}" ${paint}/>`;
+            }
+        }
+    }
+
+    function textSvg(lines, x, y, color) {
+        const first = y - ((lines.length - 1) * LINE_HEIGHT) / 2;
+        return `<text x="${x}" y="${first}" fill="${color}" text-anchor="middle" dominant-baseline="central">` +
+            lines.map((line, i) => `<tspan x="${x}" dy="${i === 0 ? 0 : LINE_HEIGHT}">${escapeXml(line)}</tspan>`).join('') +
+            '</text>';
+    }
+
+    // Where a link leaves one node and enters the other, as a cubic curve.
+    // Links that loop back go round the far side of the drawing.
+    function edgeCurve(from, to, back, layout, horizontal, lane) {
+        if (back) {
+            if (horizontal) {
+                const below = layout.height - 20 - lane * 12;
+                return [[from.x, from.y + from.height / 2], [from.x, below], [to.x, below], [to.x, to.y + to.height / 2]];
+            }
+            const side = layout.width - 20 - lane * 12;
+            return [[from.x + from.width / 2, from.y], [side, from.y], [side, to.y], [to.x + to.width / 2, to.y]];
+        }
+        const sign = horizontal
+            ? (to.x >= from.x ? 1 : -1)
+            : (to.y >= from.y ? 1 : -1);
+        if (horizontal) {
+            const start = [from.x + sign * from.width / 2, from.y];
+            const end = [to.x - sign * to.width / 2, to.y];
+            const middle = (start[0] + end[0]) / 2;
+            return [start, [middle, start[1]], [middle, end[1]], end];
+        }
+        const start = [from.x, from.y + sign * from.height / 2];
+        const end = [to.x, to.y - sign * to.height / 2];
+        const middle = (start[1] + end[1]) / 2;
+        return [start, [start[0], middle], [end[0], middle], end];
+    }
+
+    // The graph as an SVG element's markup. Nodes are <g data-node="id">
+    // and links <g data-edge="index">, so an editor can tell what was
+    // clicked; selected is { node: id } or { edge: index }. idPrefix keeps
+    // marker ids apart when a page shows several drawings.
+    function renderSvg(graph, { selected = null, idPrefix = 'flowchart' } = {}) {
+        const layout = layoutFlowchart(graph);
+        const horizontal = graph.direction === 'LR' || graph.direction === 'RL';
+        const marker = `${idPrefix}-arrow`;
+        let lane = 0;
+
+        const edges = graph.edges.map((edge, index) => {
+            const from = layout.nodes[edge.from];
+            const to = layout.nodes[edge.to];
+            const back = layout.backEdges.has(index);
+            const [p0, p1, p2, p3] = edgeCurve(from, to, back, layout, horizontal, back ? lane++ : 0);
+            const d = `M${p0[0]},${p0[1]} C${p1[0]},${p1[1]} ${p2[0]},${p2[1]} ${p3[0]},${p3[1]}`;
+            const isSelected = selected && selected.edge === index;
+            const stroke = isSelected ? '#2563eb' : EDGE_COLOR;
+            const attributes = [
+                `d="${d}"`,
+                'fill="none"',
+                `stroke="${stroke}"`,
+                `stroke-width="${edge.type === 'thick' ? 3 : 1.5}"`,
+                edge.type === 'dotted' ? 'stroke-dasharray="4 4"' : '',
+                edge.type === 'open' ? '' : `marker-end="url(#${marker})"`
+            ].filter(Boolean).join(' ');
+
+            let label = '';
+            if (edge.label) {
+                // Midpoint of the curve
+                const x = (p0[0] + 3 * p1[0] + 3 * p2[0] + p3[0]) / 8;
+                const y = (p0[1] + 3 * p1[1] + 3 * p2[1] + p3[1]) / 8;
+                const width = edge.label.length * CHAR_WIDTH * 0.9 + 10;
+                label = `<rect x="${x - width / 2}" y="${y - 10}" width="${width}" height="20" rx="3" fill="#fff" stroke="${isSelected ? stroke : 'none'}"/>` +
+                    `<text x="${x}" y="${y}" fill="#334155" font-size="12" text-anchor="middle" dominant-baseline="central">${escapeXml(edge.label)}</text>`;
+            }
+            // A wide invisible stroke makes thin links easy to click
+            return `<g class="flowchart-edge${isSelected ? ' selected' : ''}" data-edge="${index}">` +
+                `<path d="${d}" fill="none" stroke="transparent" stroke-width="12"/>` +
+                `<path ${attributes}/>${label}</g>`;
+        });
+
+        const nodes = graph.nodes.map((node) => {
+            const box = layout.nodes[node.id];
+            const style = nodeStyle(graph, node.id);
+            const isSelected = selected && selected.node === node.id;
+            const outline = isSelected
+                ? `<rect x="${box.x - box.width / 2 - 4}" y="${box.y - box.height / 2 - 4}" width="${box.width + 8}" height="${box.height + 8}" rx="6" fill="none" stroke="#2563eb" stroke-width="2" stroke-dasharray="5 3"/>`
+                : '';
+            return `<g class="flowchart-node${isSelected ? ' selected' : ''}" data-node="${escapeXml(node.id)}">` +
+                `${outline}${shapeSvg(node, box, style)}${textSvg(box.lines, box.x, box.y, style.color)}</g>`;
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="flowchart" viewBox="0 0 ${layout.width} ${layout.height}" ` +
+            `width="${layout.width}" height="${layout.height}" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif" font-size="14">` +
+            `<defs><marker id="${marker}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">` +
+            `<path d="M0,0 L10,5 L0,10 z" fill="${EDGE_COLOR}"/></marker></defs>` +
+            `${edges.join('')}${nodes.join('')}</svg>`;
+    }
+
+    return {
+        DIRECTIONS,
+        SHAPES,
+        EDGE_TYPES,
+        HIGHLIGHT_STYLES,
+        parseFlowchart,
+        serializeFlowchart,
+        nextNodeId,
+        addNode,
+        removeNode,
+        highlightOf,
+        setHighlight,
+        layoutFlowchart,
+        renderSvg
+    };
+});
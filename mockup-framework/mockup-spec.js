@@ -0,0 +1,506 @@
+// Mockup spec: the JSON document a client mockup is rendered from. Loaded
+// by the page before script.js, and required by the server and build
+// script to check a spec before it is published.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.MockupSpec = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const FIELD_TYPES = ['text', 'number', 'currency', 'email', 'date', 'select', 'textarea'];
+    const PANEL_TYPES = ['form', 'validation', 'processing', 'metrics'];
+    const BLOCK_TYPES = ['metrics', 'charts', 'table', 'tasks'];
+    const CHART_TYPES = ['line', 'breakdown'];
+    const CTA_ACTIONS = ['schedule', 'download', 'link'];
+    const TRENDS = ['positive', 'negative', 'neutral'];
+    const BADGES = ['success', 'warning', 'danger'];
+    const PRIORITIES = ['high', 'medium', 'low'];
+
+    // Field names and ids end up in element ids, so they stay simple
+    const NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isText(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    function isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    function isNumeric(field) {
+        return field.type === 'number' || field.type === 'currency';
+    }
+
+    // Collects problems against dotted paths into the spec, e.g.
+    // "form.fields[1].options is required for select fields"
+    function createChecker() {
+        const problems = [];
+        return {
+            problems,
+            problem(path, message) {
+                problems.push(`${path} ${message}`);
+            },
+            text(value, path, required) {
+                if (value === undefined || value === null) {
+                    if (required) this.problem(path, 'is required');
+                } else if (!isText(value)) {
+                    this.problem(path, 'must be a non-empty string');
+                }
+            },
+            number(value, path, required) {
+                if (value === undefined || value === null) {
+                    if (required) this.problem(path, 'is required');
+                } else if (!isNumber(value)) {
+                    this.problem(path, 'must be a number');
+                }
+            },
+            oneOf(value, allowed, path, required) {
+                if (value === undefined || value === null) {
+                    if (required) this.problem(path, 'is required');
+                } else if (!allowed.includes(value)) {
+                    this.problem(path, `must be one of: ${allowed.join(', ')}`);
+                }
+            },
+            name(value, path) {
+                if (typeof value !== 'string' || !NAME_PATTERN.test(value)) {
+                    this.problem(path, 'must be lowercase letters, digits, "-" or "_", starting with a letter');
+                }
+            },
+            // Returns the array so callers can go on to check its items
+            list(value, path, required) {
+                if (value === undefined || value === null) {
+                    if (required) this.problem(path, 'is required');
+                    return [];
+                }
+                if (!Array.isArray(value)) {
+                    this.problem(path, 'must be a list');
+                    return [];
+                }
+                if (required && value.length === 0) {
+                    this.problem(path, 'must not be empty');
+                }
+                return value;
+            },
+            object(value, path, required) {
+                if (value === undefined || value === null) {
+                    if (required) this.problem(path, 'is required');
+                    return null;
+                }
+                if (!isObject(value)) {
+                    this.problem(path, 'must be an object');
+                    return null;
+                }
+                return value;
+            },
+            unique(items, key, path) {
+                const seen = new Set();
+                items.forEach((item, index) => {
+                    const value = isObject(item) ? item[key] : undefined;
+                    if (value === undefined) return;
+                    if (seen.has(value)) {
+                        this.problem(`${path}[${index}].${key}`, `"${value}" is used more than once`);
+                    }
+                    seen.add(value);
+                });
+            }
+        };
+    }
+
+    function checkField(check, field, path) {
+        check.name(field.name, `${path}.name`);
+        check.text(field.label, `${path}.label`, true);
+        check.oneOf(field.type, FIELD_TYPES, `${path}.type`, true);
+        check.text(field.example, `${path}.example`);
+        check.text(field.valid_message, `${path}.valid_message`);
+
+        if (field.required !== undefined && typeof field.required !== 'boolean') {
+            check.problem(`${path}.required`, 'must be true or false');
+        }
+        ['min', 'max', 'min_length', 'max_length'].forEach((key) => {
+            check.number(field[key], `${path}.${key}`);
+        });
+        if (isNumber(field.min) && isNumber(field.max) && field.min > field.max) {
+            check.problem(`${path}.min`, 'must not be greater than max');
+        }
+        if ((field.min !== undefined || field.max !== undefined) && !isNumeric(field)) {
+            check.problem(path, 'can only set min and max on number and currency fields');
+        }
+
+        if (field.pattern !== undefined) {
+            try {
+                new RegExp(field.pattern);
+            } catch (err) {
+                check.problem(`${path}.pattern`, 'must be a valid regular expression');
+            }
+        }
+
+        if (field.type === 'select') {
+            const options = check.list(field.options, `${path}.options`, true);
+            options.forEach((option, index) => check.text(option, `${path}.options[${index}]`, true));
+        } else if (field.options !== undefined) {
+            check.problem(`${path}.options`, 'is only used by select fields');
+        }
+    }
+
+    function checkWorkflow(check, spec) {
+        const workflow = check.object(spec.workflow, 'workflow', true);
+        if (!workflow) return;
+        check.text(workflow.title, 'workflow.title');
+        check.text(workflow.subtitle, 'workflow.subtitle');
+        check.text(workflow.record, 'workflow.record');
+
+        const steps = check.list(workflow.steps, 'workflow.steps', true);
+        steps.forEach((step, index) => {
+            const path = `workflow.steps[${index}]`;
+            if (!check.object(step, path, true)) return;
+            check.text(step.title, `${path}.title`, true);
+            check.text(step.description, `${path}.description`);
+            check.text(step.heading, `${path}.heading`);
+            check.oneOf(step.panel, PANEL_TYPES, `${path}.panel`, true);
+        });
+        check.unique(steps, 'panel', 'workflow.steps');
+        if (steps.length > 0 && isObject(steps[0]) && steps[0].panel !== 'form') {
+            check.problem('workflow.steps[0].panel', 'must be "form": the demo starts with data entry');
+        }
+    }
+
+    function checkForm(check, spec) {
+        const form = check.object(spec.form, 'form', true);
+        if (!form) return;
+        check.text(form.submit_label, 'form.submit_label');
+
+        const fields = check.list(form.fields, 'form.fields', true);
+        fields.forEach((field, index) => {
+            if (check.object(field, `form.fields[${index}]`, true)) {
+                checkField(check, field, `form.fields[${index}]`);
+            }
+        });
+        check.unique(fields, 'name', 'form.fields');
+
+        check.list(form.checks, 'form.checks').forEach((text, index) => {
+            check.text(text, `form.checks[${index}]`, true);
+        });
+    }
+
+    function checkMetrics(check, spec) {
+        const fields = isObject(spec.form) && Array.isArray(spec.form.fields) ? spec.form.fields : [];
+        const metrics = check.list(spec.metrics, 'metrics');
+        metrics.forEach((metric, index) => {
+            const path = `metrics[${index}]`;
+            if (!check.object(metric, path, true)) return;
+            check.name(metric.id, `${path}.id`);
+            check.text(metric.label, `${path}.label`, true);
+            check.number(metric.value, `${path}.value`, true);
+            check.number(metric.add, `${path}.add`);
+            check.oneOf(metric.format, ['number', 'currency'], `${path}.format`);
+            check.text(metric.change, `${path}.change`);
+            if (metric.add !== undefined && metric.add_field !== undefined) {
+                check.problem(path, 'can set add or add_field, not both');
+            }
+            if (metric.add_field !== undefined) {
+                const field = fields.find(candidate => isObject(candidate) && candidate.name === metric.add_field);
+                if (!field || !isNumeric(field)) {
+                    check.problem(`${path}.add_field`, 'must name a number or currency field of the form');
+                }
+            }
+        });
+        check.unique(metrics, 'id', 'metrics');
+    }
+
+    function checkBlock(check, block, path) {
+        check.oneOf(block.type, BLOCK_TYPES, `${path}.type`, true);
+
+        if (block.type === 'metrics') {
+            check.list(block.items, `${path}.items`, true).forEach((item, index) => {
+                const itemPath = `${path}.items[${index}]`;
+                if (!check.object(item, itemPath, true)) return;
+                check.text(item.title, `${itemPath}.title`, true);
+                check.text(item.value, `${itemPath}.value`, true);
+                check.text(item.period, `${itemPath}.period`);
+                check.text(item.trend, `${itemPath}.trend`);
+                check.text(item.note, `${itemPath}.note`);
+                check.oneOf(item.direction, TRENDS, `${itemPath}.direction`);
+            });
+        } else if (block.type === 'charts') {
+            check.list(block.items, `${path}.items`, true).forEach((chart, index) => {
+                const chartPath = `${path}.items[${index}]`;
+                if (!check.object(chart, chartPath, true)) return;
+                check.oneOf(chart.type, CHART_TYPES, `${chartPath}.type`, true);
+                check.text(chart.title, `${chartPath}.title`, true);
+                if (chart.type === 'line') {
+                    const points = check.list(chart.points, `${chartPath}.points`, true);
+                    if (points.length === 1) {
+                        check.problem(`${chartPath}.points`, 'needs at least two points');
+                    }
+                    points.forEach((point, pointIndex) => {
+                        check.number(point, `${chartPath}.points[${pointIndex}]`, true);
+                    });
+                } else if (chart.type === 'breakdown') {
+                    check.list(chart.items, `${chartPath}.items`, true).forEach((item, itemIndex) => {
+                        const itemPath = `${chartPath}.items[${itemIndex}]`;
+                        if (!check.object(item, itemPath, true)) return;
+                        check.text(item.label, `${itemPath}.label`, true);
+                        check.number(item.percent, `${itemPath}.percent`, true);
+                        check.text(item.color, `${itemPath}.color`);
+                    });
+                }
+            });
+        } else if (block.type === 'table') {
+            const columns = check.list(block.columns, `${path}.columns`, true);
+            columns.forEach((column, index) => check.text(column, `${path}.columns[${index}]`, true));
+            check.list(block.rows, `${path}.rows`).forEach((row, index) => {
+                const rowPath = `${path}.rows[${index}]`;
+                const cells = check.list(row, rowPath, true);
+                if (cells.length !== columns.length) {
+                    check.problem(rowPath, `must have ${columns.length} cells, one per column`);
+                }
+                cells.forEach((cell, cellIndex) => {
+                    const cellPath = `${rowPath}[${cellIndex}]`;
+                    if (isObject(cell)) {
+                        check.text(cell.text, `${cellPath}.text`, true);
+                        check.oneOf(cell.badge, BADGES, `${cellPath}.badge`);
+                    } else if (typeof cell !== 'string' && !isNumber(cell)) {
+                        check.problem(cellPath, 'must be text, a number or { "text", "badge" }');
+                    }
+                });
+            });
+        } else if (block.type === 'tasks') {
+            check.text(block.title, `${path}.title`);
+            check.list(block.items, `${path}.items`, true).forEach((item, index) => {
+                const itemPath = `${path}.items[${index}]`;
+                if (!check.object(item, itemPath, true)) return;
+                check.text(item.label, `${itemPath}.label`, true);
+                check.oneOf(item.priority, PRIORITIES, `${itemPath}.priority`);
+            });
+            const stats = check.object(block.stats, `${path}.stats`);
+            if (stats) {
+                check.text(stats.title, `${path}.stats.title`);
+                check.list(stats.rows, `${path}.stats.rows`, true).forEach((row, index) => {
+                    const rowPath = `${path}.stats.rows[${index}]`;
+                    if (!check.object(row, rowPath, true)) return;
+                    check.text(row.label, `${rowPath}.label`, true);
+                    check.text(row.value, `${rowPath}.value`, true);
+                });
+            }
+        }
+    }
+
+    function checkDashboard(check, spec) {
+        const dashboard = check.object(spec.dashboard, 'dashboard');
+        if (!dashboard) return;
+        check.text(dashboard.title, 'dashboard.title');
+        check.text(dashboard.subtitle, 'dashboard.subtitle');
+
+        const tabs = check.list(dashboard.tabs, 'dashboard.tabs', true);
+        tabs.forEach((tab, index) => {
+            const path = `dashboard.tabs[${index}]`;
+            if (!check.object(tab, path, true)) return;
+            check.name(tab.id, `${path}.id`);
+            check.text(tab.label, `${path}.label`, true);
+            check.list(tab.blocks, `${path}.blocks`, true).forEach((block, blockIndex) => {
+                if (check.object(block, `${path}.blocks[${blockIndex}]`, true)) {
+                    checkBlock(check, block, `${path}.blocks[${blockIndex}]`);
+                }
+            });
+        });
+        check.unique(tabs, 'id', 'dashboard.tabs');
+    }
+
+    function checkComparison(check, spec) {
+        const comparison = check.object(spec.comparison, 'comparison');
+        if (!comparison) return;
+        ['title', 'subtitle', 'before_title', 'after_title', 'before_time', 'after_time', 'roi_title'].forEach((key) => {
+            check.text(comparison[key], `comparison.${key}`);
+        });
+        check.list(comparison.rows, 'comparison.rows', true).forEach((row, index) => {
+            const path = `comparison.rows[${index}]`;
+            if (!check.object(row, path, true)) return;
+            check.text(row.before, `${path}.before`, true);
+            check.text(row.after, `${path}.after`, true);
+        });
+        check.list(comparison.roi, 'comparison.roi').forEach((item, index) => {
+            const path = `comparison.roi[${index}]`;
+            if (!check.object(item, path, true)) return;
+            check.text(item.label, `${path}.label`, true);
+            check.text(item.value, `${path}.value`, true);
+        });
+    }
+
+    function checkCta(check, spec) {
+        const cta = check.object(spec.cta, 'cta');
+        if (!cta) return;
+        check.text(cta.title, 'cta.title', true);
+        check.text(cta.text, 'cta.text');
+        check.text(cta.note, 'cta.note');
+        check.list(cta.buttons, 'cta.buttons').forEach((button, index) => {
+            const path = `cta.buttons[${index}]`;
+            if (!check.object(button, path, true)) return;
+            check.text(button.label, `${path}.label`, true);
+            check.oneOf(button.action, CTA_ACTIONS, `${path}.action`, true);
+            check.text(button.url, `${path}.url`, button.action === 'link');
+            if (typeof button.url === 'string' && !/^(https?:\/\/|mailto:|\/)/.test(button.url)) {
+                check.problem(`${path}.url`, 'must be an http(s), mailto: or site-relative URL');
+            }
+        });
+    }
+
+    // Every problem with a spec, as readable messages. An empty list means
+    // the spec can be rendered.
+    function validateSpec(spec) {
+        const check = createChecker();
+        if (!isObject(spec)) {
+            check.problem('spec', 'must be a JSON object');
+            return check.problems;
+        }
+
+        check.text(spec.client, 'client', true);
+        ['title', 'company', 'footer'].forEach(key => check.text(spec[key], key));
+
+        const hero = check.object(spec.hero, 'hero');
+        if (hero) {
+            check.text(hero.title, 'hero.title', true);
+            check.text(hero.subtitle, 'hero.subtitle');
+            check.list(hero.stats, 'hero.stats').forEach((stat, index) => {
+                if (!check.object(stat, `hero.stats[${index}]`, true)) return;
+                check.text(stat.value, `hero.stats[${index}].value`, true);
+                check.text(stat.label, `hero.stats[${index}].label`, true);
+            });
+        }
+        check.list(spec.cards, 'cards').forEach((card, index) => {
+            if (!check.object(card, `cards[${index}]`, true)) return;
+            check.text(card.icon, `cards[${index}].icon`);
+            check.text(card.title, `cards[${index}].title`, true);
+            check.text(card.text, `cards[${index}].text`);
+        });
+
+        checkWorkflow(check, spec);
+        checkForm(check, spec);
+        if (isObject(spec.processing)) {
+            check.number(spec.processing.first_id, 'processing.first_id');
+            check.list(spec.processing.log, 'processing.log').forEach((line, index) => {
+                check.text(line, `processing.log[${index}]`, true);
+            });
+        } else if (spec.processing !== undefined) {
+            check.problem('processing', 'must be an object');
+        }
+        checkMetrics(check, spec);
+        checkDashboard(check, spec);
+        checkComparison(check, spec);
+        checkCta(check, spec);
+
+        return check.problems;
+    }
+
+    // Why a value entered in the demo form would be refused, or null when
+    // it passes the field's rules
+    function checkFieldValue(field, rawValue) {
+        const value = rawValue === undefined || rawValue === null ? '' : String(rawValue).trim();
+        if (value === '') {
+            return field.required ? `${field.label} is required` : null;
+        }
+
+        if (isNumeric(field)) {
+            const number = Number(value.replace(/[$,]/g, ''));
+            if (!Number.isFinite(number)) {
+                return `${field.label} must be a number`;
+            }
+            if (isNumber(field.min) && number < field.min) {
+                return `${field.label} must be at least ${field.min}`;
+            }
+            if (isNumber(field.max) && number > field.max) {
+                return `${field.label} must be at most ${field.max}`;
+            }
+        }
+        if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+            return `${field.label} must be an email address`;
+        }
+        if (field.type === 'date' && Number.isNaN(Date.parse(value))) {
+            return `${field.label} must be a date`;
+        }
+        if (field.type === 'select' && !field.options.includes(value)) {
+            return `${field.label} must be one of the listed options`;
+        }
+        if (isNumber(field.min_length) && value.length < field.min_length) {
+            return `${field.label} must be at least ${field.min_length} characters`;
+        }
+        if (isNumber(field.max_length) && value.length > field.max_length) {
+            return `${field.label} must be at most ${field.max_length} characters`;
+        }
+        if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value)) {
+            return `${field.label} is not in the expected format`;
+        }
+        return null;
+    }
+
+    // Keys that shape the page or the demo's rules rather than say something
+    // on it. Live editing changes wording and numbers, never these.
+    const STRUCTURE_KEYS = [
+        'version', 'name', 'id', 'type', 'panel', 'action', 'url', 'format', 'add_field', 'direction',
+        'badge', 'priority', 'color', 'first_id', 'min', 'max', 'min_length', 'max_length', 'pattern'
+    ];
+
+    function parsePath(path) {
+        return String(path).match(/[^.[\]]+/g) || [];
+    }
+
+    // The spec's wording and numbers as [{ path, value }], in spec order,
+    // with paths written the way validateSpec reports them
+    function listContent(spec) {
+        const content = [];
+        function walk(value, path, key) {
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => walk(item, `${path}[${index}]`, key));
+            } else if (isObject(value)) {
+                Object.keys(value).forEach(child => walk(value[child], path ? `${path}.${child}` : child, child));
+            } else if ((typeof value === 'string' || isNumber(value)) && !STRUCTURE_KEYS.includes(key)) {
+                content.push({ path, value });
+            }
+        }
+        walk(spec, '', '');
+        return content;
+    }
+
+    // A copy of the spec with each change's value set at its path. Only
+    // existing content can change, and only to a value of the same kind;
+    // anything else, and whatever the result fails in validateSpec, comes
+    // back as problems.
+    function applyContent(spec, changes) {
+        const copy = JSON.parse(JSON.stringify(spec));
+        const problems = [];
+        changes.forEach(({ path, value }) => {
+            const keys = parsePath(path);
+            const key = keys.pop();
+            const parent = keys.reduce((node, part) => (node !== null && typeof node === 'object' ? node[part] : undefined), copy);
+            const current = parent !== null && typeof parent === 'object' ? parent[key] : undefined;
+            const name = Array.isArray(parent) ? keys[keys.length - 1] : key;
+
+            if (key === undefined || current === undefined || STRUCTURE_KEYS.includes(name) ||
+                (typeof current !== 'string' && !isNumber(current))) {
+                problems.push(`${path} is not editable content`);
+            } else if (typeof current === 'string' ? typeof value !== 'string' : !isNumber(value)) {
+                problems.push(`${path} must be a ${typeof current === 'string' ? 'string' : 'number'}`);
+            } else {
+                parent[key] = value;
+            }
+        });
+        return { spec: copy, problems: problems.length ? problems : validateSpec(copy) };
+    }
+
+    return {
+        FIELD_TYPES,
+        PANEL_TYPES,
+        BLOCK_TYPES,
+        CTA_ACTIONS,
+        validateSpec,
+        checkFieldValue,
+        listContent,
+        applyContent
+    };
+});
@@ -1,13 +1,475 @@
+// Mockup runtime: renders the page from a mockup spec (see spec.json and
+// README.md) and runs the interactive workflow demo.
+//
+// The spec comes from an inline <script type="application/json"
+// id="mockup-spec"> when the page has one (built and served mockups), or
+// from spec.json next to this page (override with ?spec=other.json).
+
+// Create an element. Text is always set as text, never parsed as HTML,
+// since specs are written per client and may be edited by hand.
+function h(tag, props, ...children) {
+    const element = document.createElement(tag);
+    Object.entries(props || {}).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === false) return;
+        if (key === 'className') {
+            element.className = value;
+        } else if (key === 'text') {
+            element.textContent = value;
+        } else if (key === 'style') {
+            Object.entries(value).forEach(([property, setting]) => element.style.setProperty(property, setting));
+        } else if (key.startsWith('on')) {
+            element.addEventListener(key.slice(2).toLowerCase(), value);
+        } else {
+            element.setAttribute(key, value);
+        }
+    });
+    children.flat().forEach(child => {
+        if (child === undefined || child === null || child === false) return;
+        element.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return element;
+}
+
+// Fill {name} placeholders from values; unknown names are left as they are
+function interpolate(template, values) {
+    return String(template).replace(/\{(\w+)\}/g, (match, name) => (
+        values[name] !== undefined ? String(values[name]) : match
+    ));
+}
+
+function formatValue(value, format) {
+    const text = Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+    return format === 'currency' ? '$' + text : text;
+}
+
+function toNumber(value) {
+    const number = parseFloat(String(value).replace(/[$,]/g, ''));
+    return Number.isFinite(number) ? number : 0;
+}
+
+async function loadSpec() {
+    const inline = document.getElementById('mockup-spec');
+    if (inline) {
+        return JSON.parse(inline.textContent);
+    }
+    const source = new URLSearchParams(window.location.search).get('spec') || 'spec.json';
+    const response = await fetch(source);
+    if (!response.ok) {
+        throw new Error(`Could not load ${source} (HTTP ${response.status})`);
+    }
+    return response.json();
+}
+
+function readConfig() {
+    const inline = document.getElementById('mockup-config');
+    return inline ? JSON.parse(inline.textContent) : {};
+}
+
+function showSpecError(title, problems) {
+    document.body.prepend(h('div', { className: 'mockup-error' },
+        h('strong', { text: title }),
+        problems.length ? h('ul', {}, problems.map(problem => h('li', { text: problem }))) : null
+    ));
+}
+
+// Section renderers. Each fills the container of its section and returns
+// false when the spec leaves the section out, so it can be hidden.
+// Elements clients can comment on get a data-note key from the spec (see
+// annotation mode below).
+
+function note(key, label) {
+    return { 'data-note': key, 'data-note-label': String(label || '').slice(0, 200) };
+}
+
+function renderOverview(spec, container) {
+    if (spec.hero) {
+        container.appendChild(h('div', { className: 'hero', ...note('hero', spec.hero.title) },
+            h('h2', { className: 'hero-title', text: spec.hero.title }),
+            spec.hero.subtitle ? h('p', { className: 'hero-subtitle', text: spec.hero.subtitle }) : null,
+            h('div', { className: 'hero-stats' }, (spec.hero.stats || []).map(stat => (
+                h('div', { className: 'stat' },
+                    h('div', { className: 'stat-value', text: stat.value }),
+                    h('div', { className: 'stat-label', text: stat.label })
+                )
+            )))
+        ));
+    }
+    if (spec.cards && spec.cards.length) {
+        container.appendChild(h('div', { className: 'cards' }, spec.cards.map((card, index) => (
+            h('div', { className: 'card', ...note(`card-${index}`, card.title) },
+                card.icon ? h('div', { className: 'card-icon', text: card.icon }) : null,
+                h('h3', { className: 'card-title', text: card.title }),
+                card.text ? h('p', { className: 'card-text', text: card.text }) : null
+            )
+        ))));
+    }
+    return Boolean(spec.hero || (spec.cards && spec.cards.length));
+}
+
+function renderFormPanel(spec) {
+    const form = spec.form;
+    const fields = form.fields.map(field => {
+        const id = `input-${field.name}`;
+        let input;
+        if (field.type === 'select') {
+            input = h('select', { className: 'form-input', id, name: field.name },
+                field.options.map(option => h('option', { text: option }))
+            );
+        } else if (field.type === 'textarea') {
+            input = h('textarea', { className: 'form-input', id, name: field.name, rows: 3, placeholder: field.example });
+        } else {
+            const types = { number: 'number', currency: 'number', email: 'email', date: 'date', text: 'text' };
+            input = h('input', {
+                className: 'form-input',
+                id,
+                name: field.name,
+                type: types[field.type],
+                placeholder: field.example,
+                step: field.type === 'currency' ? '0.01' : null,
+                min: field.min,
+                max: field.max
+            });
+        }
+        return h('div', { className: 'form-group', ...note(`field-${field.name}`, field.label) }, h('label', { for: id, text: field.label }), input);
+    });
+
+    return h('div', { className: 'mock-form' },
+        fields,
+        h('p', { className: 'form-error hidden', id: 'form-error' }),
+        h('button', { className: 'btn btn-primary', id: 'btn-submit', text: form.submit_label || 'Submit' })
+    );
+}
+
+function renderMetricsPanel(spec) {
+    return h('div', { className: 'dashboard-preview' }, (spec.metrics || []).map(metric => (
+        h('div', { className: 'metric-card', ...note(`metric-${metric.id}`, metric.label) },
+            h('div', { className: 'metric-label', text: metric.label }),
+            h('div', { className: 'metric-value', id: `metric-${metric.id}`, text: formatValue(metric.value, metric.format) }),
+            h('div', { className: 'metric-change neutral', id: `metric-${metric.id}-change`, text: 'No change' })
+        )
+    )));
+}
+
+function renderWorkflow(spec, container) {
+    const workflow = spec.workflow;
+    const steps = workflow.steps;
+
+    container.appendChild(h('h2', { className: 'section-title', text: workflow.title || 'Interactive Workflow Demo' }));
+    container.appendChild(h('p', {
+        className: 'section-subtitle',
+        text: workflow.subtitle || 'Click through the process to see how data flows through your new system'
+    }));
+
+    const indicators = [];
+    steps.forEach((step, index) => {
+        if (index > 0) {
+            indicators.push(h('div', { className: 'step-arrow', text: '→' }));
+        }
+        indicators.push(h('div', {
+            className: index === 0 ? 'step active' : 'step',
+            'data-step': index + 1,
+            ...note(`step-${index + 1}`, step.title)
+        },
+            h('div', { className: 'step-number', text: String(index + 1) }),
+            h('div', { className: 'step-content' },
+                h('h3', { className: 'step-title', text: step.title }),
+                step.description ? h('p', { className: 'step-description', text: step.description }) : null
+            )
+        ));
+    });
+    container.appendChild(h('div', { className: 'workflow-steps' }, indicators));
+
+    const panels = steps.map((step, index) => {
+        const number = index + 1;
+        const isLast = number === steps.length;
+        let body;
+        if (step.panel === 'form') {
+            body = renderFormPanel(spec);
+        } else if (step.panel === 'validation') {
+            body = h('div', { className: 'validation-results', id: 'validation-results' });
+        } else if (step.panel === 'processing') {
+            body = h('div', { className: 'processing-log', id: 'processing-log' });
+        } else {
+            body = renderMetricsPanel(spec);
+        }
+
+        let actions = null;
+        if (isLast && step.panel !== 'form') {
+            actions = h('button', { className: 'btn btn-success', id: 'btn-reset', text: 'Try Again' });
+        } else if (step.panel === 'validation') {
+            actions = h('div', { className: 'panel-actions' },
+                h('button', { className: 'btn btn-secondary hidden', id: `btn-back-${number}`, text: '← Fix Entries' }),
+                h('button', { className: 'btn btn-primary', id: `btn-next-${number}`, text: 'Continue →' })
+            );
+        } else if (step.panel !== 'form') {
+            actions = h('button', { className: 'btn btn-primary', id: `btn-next-${number}`, text: 'Continue →' });
+        }
+
+        return h('div', { className: index === 0 ? 'demo-panel' : 'demo-panel hidden', id: `demo-step-${number}` },
+            h('h3', { text: `Step ${number}: ${step.heading || step.title}` }),
+            body,
+            actions
+        );
+    });
+    container.appendChild(h('div', { className: 'demo-area' }, panels));
+    return true;
+}
+
+function renderLineChart(points) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const min = Math.min(...points);
+    const range = Math.max(...points) - min || 1;
+    const step = 360 / (points.length - 1);
+    const coordinates = points.map((point, index) => (
+        `${Math.round(10 + index * step)},${Math.round(150 - ((point - min) / range) * 110)}`
+    ));
+
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('viewBox', '0 0 400 200');
+    svg.setAttribute('class', 'line-chart');
+    const line = document.createElementNS(svgNS, 'polyline');
+    line.setAttribute('points', coordinates.join(' '));
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', '#2563eb');
+    line.setAttribute('stroke-width', '3');
+    const axis = document.createElementNS(svgNS, 'line');
+    [['x1', 10], ['y1', 180], ['x2', 370], ['y2', 180], ['stroke', '#e5e7eb'], ['stroke-width', 1]].forEach(([name, value]) => {
+        axis.setAttribute(name, value);
+    });
+    svg.appendChild(line);
+    svg.appendChild(axis);
+    return svg;
+}
+
+function renderChart(chart, key) {
+    let body;
+    if (chart.type === 'line') {
+        body = renderLineChart(chart.points);
+    } else {
+        body = h('div', { className: 'pie-chart' }, chart.items.map(item => (
+            h('div', {
+                className: 'pie-item',
+                style: { '--percentage': String(item.percent), '--color': item.color || 'var(--color-primary)' }
+            }, h('span', { text: `${item.label} ${item.percent}%` }))
+        )));
+    }
+    return h('div', { className: 'chart-box', ...note(key, chart.title) },
+        h('h3', { className: 'chart-title', text: chart.title }),
+        h('div', { className: 'chart-placeholder' }, body)
+    );
+}
+
+function renderCell(cell) {
+    if (cell && typeof cell === 'object') {
+        return h('td', {}, cell.badge
+            ? h('span', { className: `badge badge-${cell.badge}`, text: cell.text })
+            : cell.text);
+    }
+    return h('td', { text: String(cell) });
+}
+
+function renderBlock(block, tabId, blockIndex) {
+    const key = `tab-${tabId}-${blockIndex}`;
+    if (block.type === 'metrics') {
+        return h('div', { className: 'metrics-grid' }, block.items.map((item, index) => (
+            h('div', { className: 'metric-box', ...note(`${key}-${index}`, item.title) },
+                h('div', { className: 'metric-header' },
+                    h('span', { className: 'metric-title', text: item.title }),
+                    item.period ? h('span', { className: 'metric-period', text: item.period }) : null
+                ),
+                h('div', { className: 'metric-main', text: item.value }),
+                item.trend || item.note ? h('div', { className: 'metric-footer' },
+                    item.trend ? h('span', { className: `trend ${item.direction || 'neutral'}`, text: item.trend }) : null,
+                    item.note ? h('span', { text: item.note }) : null
+                ) : null
+            )
+        )));
+    }
+    if (block.type === 'charts') {
+        return h('div', { className: 'charts-grid' }, block.items.map((chart, index) => renderChart(chart, `${key}-${index}`)));
+    }
+    if (block.type === 'table') {
+        return h('div', { className: 'data-table', ...note(key, `Table: ${block.columns.join(', ')}`) },
+            h('table', {},
+                h('thead', {}, h('tr', {}, block.columns.map(column => h('th', { text: column })))),
+                h('tbody', {}, (block.rows || []).map(row => h('tr', {}, row.map(renderCell))))
+            )
+        );
+    }
+
+    const tasks = h('div', { className: 'task-list' },
+        block.title ? h('h3', { text: block.title }) : null,
+        block.items.map((item, index) => {
+            const id = `task-${tabId}-${blockIndex}-${index}`;
+            return h('div', { className: 'task-item' },
+                h('input', { type: 'checkbox', id }),
+                h('label', { for: id, text: item.label }),
+                item.priority ? h('span', {
+                    className: `task-priority ${item.priority}`,
+                    text: item.priority.charAt(0).toUpperCase() + item.priority.slice(1)
+                }) : null
+            );
+        })
+    );
+    const stats = block.stats ? h('div', { className: 'user-stats' },
+        block.stats.title ? h('h3', { text: block.stats.title }) : null,
+        block.stats.rows.map(row => h('div', { className: 'stat-row' },
+            h('span', { text: row.label }),
+            h('strong', { text: row.value })
+        ))
+    ) : null;
+    return h('div', { className: stats ? 'user-view' : 'user-view single', ...note(key, block.title || 'Tasks') }, tasks, stats);
+}
+
+function renderDashboard(spec, container) {
+    const dashboard = spec.dashboard;
+    if (!dashboard) return false;
+
+    container.appendChild(h('h2', { className: 'section-title', text: dashboard.title || 'Dashboard' }));
+    if (dashboard.subtitle) {
+        container.appendChild(h('p', { className: 'section-subtitle', text: dashboard.subtitle }));
+    }
+    if (dashboard.tabs.length > 1) {
+        container.appendChild(h('div', { className: 'dashboard-tabs' }, dashboard.tabs.map((tab, index) => (
+            h('button', {
+                className: index === 0 ? 'tab-btn active' : 'tab-btn',
+                'data-tab': tab.id,
+                text: tab.label,
+                ...note(`tab-${tab.id}`, tab.label)
+            })
+        ))));
+    }
+    dashboard.tabs.forEach((tab, index) => {
+        container.appendChild(h('div', {
+            className: index === 0 ? 'dashboard-content active' : 'dashboard-content',
+            id: `tab-${tab.id}`,
+            ...note(`tab-${tab.id}`, tab.label)
+        }, tab.blocks.map((block, blockIndex) => renderBlock(block, tab.id, blockIndex))));
+    });
+    return true;
+}
+
+function renderComparison(spec, container) {
+    const comparison = spec.comparison;
+    if (!comparison) return false;
+
+    const column = (side, title, icon, time) => h('div', { className: `comparison-column ${side}` },
+        h('h3', { className: 'comparison-title', text: title }),
+        h('ul', { className: 'comparison-list' }, comparison.rows.map(row => (
+            h('li', { className: `comparison-item ${side === 'before' ? 'negative' : 'positive'}` },
+                h('span', { className: 'icon', text: icon }),
+                row[side]
+            )
+        ))),
+        time ? h('div', { className: 'time-estimate' }, h('strong', { text: time })) : null
+    );
+
+    container.appendChild(h('h2', { className: 'section-title', text: comparison.title || 'Before vs After' }));
+    if (comparison.subtitle) {
+        container.appendChild(h('p', { className: 'section-subtitle', text: comparison.subtitle }));
+    }
+    container.appendChild(h('div', { className: 'comparison-grid', ...note('comparison', comparison.title || 'Before vs After') },
+        column('before', comparison.before_title || 'Current Process', '✗', comparison.before_time),
+        h('div', { className: 'comparison-divider' }, h('div', { className: 'divider-icon', text: '→' })),
+        column('after', comparison.after_title || 'Automated System', '✓', comparison.after_time)
+    ));
+
+    if (comparison.roi && comparison.roi.length) {
+        container.appendChild(h('div', { className: 'roi-section' },
+            h('h3', { className: 'roi-title', text: comparison.roi_title || 'Your ROI' }),
+            h('div', { className: 'roi-grid' }, comparison.roi.map((item, index) => (
+                h('div', { className: 'roi-item', ...note(`roi-${index}`, item.label) },
+                    h('div', { className: 'roi-label', text: item.label }),
+                    h('div', { className: 'roi-value', text: item.value })
+                )
+            )))
+        ));
+    }
+    return true;
+}
+
+// Buttons without a URL keep the placeholder behaviour, so an unfinished
+// spec still demos. On a share link, download buttons without one get the
+// lead's latest proposal when there is one.
+const CTA_PLACEHOLDERS = {
+    schedule: 'This would open your Calendly link or contact form.',
+    download: 'This would download a PDF proposal.'
+};
+
+function renderCta(spec, container) {
+    const cta = spec.cta;
+    if (!cta) return false;
+
+    const buttons = (cta.buttons || []).map((button, index) => {
+        const className = `btn btn-large ${index === 0 ? 'btn-primary' : 'btn-secondary'}`;
+        const url = button.url || (button.action === 'download' ? config.proposal_url : null);
+        if (url) {
+            return h('a', {
+                className,
+                href: url,
+                target: button.action === 'download' ? null : '_blank',
+                rel: 'noopener',
+                'data-action': button.action,
+                text: button.label,
+                onClick: () => trackCta(button.action)
+            });
+        }
+        return h('button', {
+            className,
+            'data-action': button.action,
+            text: button.label,
+            onClick: () => {
+                trackCta(button.action);
+                alert(CTA_PLACEHOLDERS[button.action] || 'This would open the next step.');
+            }
+        });
+    });
+
+    container.appendChild(h('div', { className: 'cta-box', ...note('cta', cta.title) },
+        h('h2', { className: 'cta-title', text: cta.title }),
+        cta.text ? h('p', { className: 'cta-text', text: cta.text }) : null,
+        buttons.length ? h('div', { className: 'cta-buttons' }, buttons) : null,
+        cta.note ? h('p', { className: 'cta-note', text: cta.note }) : null
+    ));
+    return true;
+}
+
+function renderPage(spec) {
+    const client = spec.client;
+    document.title = `Interactive Workflow Mockup - ${client}`;
+    document.getElementById('mockup-logo').textContent = `${client} - ${spec.title || 'Proposed System'}`;
+    document.getElementById('mockup-footer').textContent = spec.footer ||
+        `© ${new Date().getFullYear()} ${spec.company || 'Your Company Name'}. ` +
+        `This is a demonstration mockup prepared for ${client}.`;
+
+    const sections = {
+        overview: renderOverview,
+        workflow: renderWorkflow,
+        dashboard: renderDashboard,
+        comparison: renderComparison,
+        cta: renderCta
+    };
+    Object.entries(sections).forEach(([name, render]) => {
+        const section = document.getElementById(name);
+        const container = section.querySelector('.container');
+        const link = document.querySelector(`.nav-link[href="#${name}"]`);
+        container.replaceChildren();
+        const shown = render(spec, container);
+        section.hidden = !shown;
+        if (link) link.hidden = !shown;
+    });
+}
+
 // Smooth scrolling for navigation
 document.querySelectorAll('.nav-link').forEach(link => {
     link.addEventListener('click', function(e) {
         e.preventDefault();
         const targetId = this.getAttribute('href');
         const targetSection = document.querySelector(targetId);
-        
+
         if (targetSection) {
             targetSection.scrollIntoView({ behavior: 'smooth' });
-            
+
             // Update active nav link
             document.querySelectorAll('.nav-link').forEach(l => l.classList.remove('active'));
             this.classList.add('active');
@@ -19,16 +481,15 @@ document.querySelectorAll('.nav-link').forEach(link => {
 window.addEventListener('scroll', () => {
     const sections = document.querySelectorAll('.section');
     const navLinks = document.querySelectorAll('.nav-link');
-    
+
     let current = '';
     sections.forEach(section => {
         const sectionTop = section.offsetTop;
-        const sectionHeight = section.clientHeight;
         if (window.pageYOffset >= sectionTop - 200) {
             current = section.getAttribute('id');
         }
     });
-    
+
     navLinks.forEach(link => {
         link.classList.remove('active');
         if (link.getAttribute('href') === `#${current}`) {
@@ -37,13 +498,316 @@ window.addEventListener('scroll', () => {
     });
 });
 
+// Engagement tracking. Hosted mockups get an events URL in their inline
+// config; static builds and local previews send nothing. Events are sent
+// in batches, and whatever is left when the page is hidden goes at once.
+const EVENT_FLUSH_MS = 3000;
+const MAX_EVENTS_PER_BATCH = 50;
+
+let config = {};
+let sessionId = null;
+let eventQueue = [];
+let flushTimer = null;
+
+// Random per browser tab, so a reload continues the same session
+function getSessionId() {
+    const key = 'mockup_session_id';
+    try {
+        const stored = sessionStorage.getItem(key);
+        if (stored) return stored;
+    } catch (err) {
+        // Storage can be blocked; a new session per load is fine then
+    }
+    const id = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    try {
+        sessionStorage.setItem(key, id);
+    } catch (err) {
+        // See above
+    }
+    return id;
+}
+
+function track(type, value) {
+    if (!config.events_url) return;
+    eventQueue.push(value === undefined ? { type } : { type, value: String(value) });
+    if (eventQueue.length >= MAX_EVENTS_PER_BATCH) {
+        flushEvents();
+    } else if (!flushTimer) {
+        flushTimer = setTimeout(flushEvents, EVENT_FLUSH_MS);
+    }
+}
+
+function flushEvents() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!eventQueue.length) return;
+
+    const events = eventQueue.splice(0, MAX_EVENTS_PER_BATCH);
+    fetch(config.events_url, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session_id: sessionId, events }),
+        keepalive: true
+    }).catch(() => {});
+}
+
+// A CTA click may take the visitor away, so it's sent straight away
+function trackCta(action) {
+    track('cta', action);
+    flushEvents();
+}
+
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        flushEvents();
+    }
+});
+
+// Live sessions. A page joined with a session code gets a stream URL in
+// its config; each change the consultant makes arrives as a new spec and
+// the page is drawn again.
+let liveVersion = null;
+
+function showLiveBanner(text) {
+    let banner = document.getElementById('live-banner');
+    if (!banner) {
+        banner = h('div', { className: 'live-banner', id: 'live-banner' });
+        document.body.prepend(banner);
+    }
+    banner.textContent = text;
+}
+
+function joinLive(url, version) {
+    liveVersion = version;
+    showLiveBanner('Live session: changes appear here as they are made');
+
+    const source = new EventSource(url);
+    source.addEventListener('spec', (event) => {
+        const update = JSON.parse(event.data);
+        if (update.version === liveVersion) return;
+        liveVersion = update.version;
+        showSpec(update.spec);
+    });
+    source.addEventListener('end', () => {
+        source.close();
+        showLiveBanner('The live session has ended. Thank you for joining!');
+    });
+    // The browser reconnects by itself after a dropped connection; closed
+    // means the session is gone
+    source.addEventListener('error', () => {
+        if (source.readyState === EventSource.CLOSED) {
+            showLiveBanner('The live session is no longer available.');
+        }
+    });
+}
+
+// Annotation mode. Hosted mockups get a comments URL in their config. A
+// button switches the page into comment mode, where clicking an element
+// with a data-note key opens its threads instead of using the element;
+// elements with open threads carry a pin with their count.
+const COMMENT_NAME_KEY = 'mockup_comment_name';
+
+let threads = [];
+let annotating = false;
+
+async function commentsRequest(options = {}) {
+    const response = await fetch(config.comments_url, {
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const message = data.error || (data.errors && data.errors[0] && data.errors[0].msg);
+        throw new Error(message || `Request failed (${response.status})`);
+    }
+    return data;
+}
+
+// SQLite timestamps are UTC without a zone marker
+function formatNoteDate(value) {
+    return new Date(value.replace(' ', 'T') + 'Z').toLocaleString();
+}
+
+// One pin per key: a tab's button and its pane share theirs
+function showPins() {
+    if (!config.comments_url) return;
+    document.querySelectorAll('.note-pin').forEach(pin => pin.remove());
+    document.querySelectorAll('.has-notes').forEach(element => element.classList.remove('has-notes'));
+
+    const pinned = new Set();
+    document.querySelectorAll('[data-note]').forEach(element => {
+        const key = element.getAttribute('data-note');
+        const open = threads.filter(thread => thread.element_key === key && !thread.resolved).length;
+        if (!open || pinned.has(key)) return;
+        pinned.add(key);
+        element.classList.add('has-notes');
+        element.appendChild(h('span', {
+            className: 'note-pin',
+            title: `${open} open comment${open === 1 ? '' : 's'}`,
+            text: String(open),
+            onClick: (e) => {
+                e.stopPropagation();
+                openNotes(element);
+            }
+        }));
+    });
+}
+
+function closeNotes() {
+    const popover = document.getElementById('note-popover');
+    if (popover) popover.remove();
+}
+
+function readAuthorName() {
+    const input = document.querySelector('#note-popover .note-name');
+    const name = input ? input.value.trim() : '';
+    try {
+        localStorage.setItem(COMMENT_NAME_KEY, name);
+    } catch (err) {
+        // Storage can be blocked; the name is then asked for each visit
+    }
+    return name || null;
+}
+
+function savedAuthorName() {
+    try {
+        return localStorage.getItem(COMMENT_NAME_KEY) || '';
+    } catch (err) {
+        return '';
+    }
+}
+
+// A form that posts a new thread on an element or a reply to a thread,
+// then shows the element's threads again
+function renderNoteForm(element, fields, placeholder, label) {
+    const text = h('textarea', { className: 'form-input', rows: 2, placeholder, maxlength: 2000, required: true });
+    const error = h('p', { className: 'form-error hidden' });
+    const button = h('button', { className: 'btn btn-primary', type: 'submit', text: label });
+
+    return h('form', {
+        className: 'note-form',
+        onSubmit: async (e) => {
+            e.preventDefault();
+            if (!text.value.trim()) return;
+            button.disabled = true;
+            try {
+                const { thread } = await commentsRequest({
+                    method: 'POST',
+                    body: JSON.stringify({ ...fields, author_name: readAuthorName(), body: text.value.trim() })
+                });
+                const index = threads.findIndex(candidate => candidate.id === thread.id);
+                if (index === -1) {
+                    threads.push(thread);
+                } else {
+                    threads[index] = thread;
+                }
+                showPins();
+                openNotes(element);
+            } catch (err) {
+                error.textContent = err.message;
+                error.classList.remove('hidden');
+                button.disabled = false;
+            }
+        }
+    }, text, error, button);
+}
+
+function renderThread(element, thread) {
+    return h('div', { className: thread.resolved ? 'note-thread resolved' : 'note-thread' },
+        [thread, ...thread.replies].map(comment => h('div', { className: `note-comment ${comment.author_type}` },
+            h('div', {
+                className: 'note-meta',
+                text: `${comment.author_name || (comment.author_type === 'admin' ? 'Our team' : 'Client')} · ${formatNoteDate(comment.created_at)}`
+            }),
+            h('p', { className: 'note-body', text: comment.body })
+        )),
+        thread.resolved ? h('div', { className: 'note-meta', text: 'Resolved' }) : null,
+        renderNoteForm(element, { parent_id: thread.id }, 'Reply...', 'Reply')
+    );
+}
+
+// The element's threads and a form for a new one, next to the element
+function openNotes(element) {
+    closeNotes();
+    const key = element.getAttribute('data-note');
+    const label = element.getAttribute('data-note-label');
+
+    const popover = h('div', { className: 'note-popover', id: 'note-popover' },
+        h('div', { className: 'note-header' },
+            h('strong', { text: label || 'Comments' }),
+            h('button', { className: 'note-close', type: 'button', 'aria-label': 'Close', text: '×', onClick: closeNotes })
+        ),
+        h('input', { className: 'form-input note-name', placeholder: 'Your name (optional)', maxlength: 100, value: savedAuthorName() }),
+        threads.filter(thread => thread.element_key === key).map(thread => renderThread(element, thread)),
+        renderNoteForm(element, { element_key: key, element_label: label }, 'What should change here?', 'Comment')
+    );
+
+    const rect = element.getBoundingClientRect();
+    const left = Math.max(8, Math.min(rect.left + window.scrollX, window.scrollX + document.documentElement.clientWidth - 368));
+    popover.style.setProperty('top', `${rect.bottom + window.scrollY + 8}px`);
+    popover.style.setProperty('left', `${left}px`);
+    document.body.appendChild(popover);
+}
+
+function setAnnotating(on) {
+    annotating = on;
+    document.body.classList.toggle('annotating', on);
+    document.getElementById('annotate-toggle').textContent = on ? 'Done commenting' : '💬 Comment';
+    if (!on) closeNotes();
+}
+
+function bindAnnotations() {
+    document.body.appendChild(h('button', {
+        className: 'btn btn-primary annotate-toggle',
+        id: 'annotate-toggle',
+        type: 'button',
+        text: '💬 Comment',
+        onClick: () => setAnnotating(!annotating)
+    }));
+
+    // Captured before the page's own handlers, so in comment mode a click
+    // on a tab or button opens its comments instead
+    document.addEventListener('click', (e) => {
+        if (!annotating || e.target.closest('.note-popover, .annotate-toggle')) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const element = e.target.closest('[data-note]');
+        if (element) {
+            openNotes(element);
+        } else {
+            closeNotes();
+        }
+    }, true);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeNotes();
+    });
+
+    commentsRequest()
+        .then((data) => {
+            threads = data.threads;
+            showPins();
+        })
+        .catch(err => console.error('Comments could not be loaded:', err.message));
+}
+
 // Interactive Workflow Demo
+let spec = null;
 let currentStep = 1;
-let demoData = {
-    customer: '',
-    amount: '',
-    status: ''
-};
+let demoData = {};
+let demoErrors = [];
+let recordCount = 0;
+
+// Running totals of the demo metrics, so repeated demos keep adding up,
+// and the moves still to animate for the latest submission
+let metricValues = {};
+let pendingMetrics = [];
+
+function stepOf(panel) {
+    const index = spec.workflow.steps.findIndex(step => step.panel === panel);
+    return index === -1 ? null : index + 1;
+}
 
 function updateWorkflowStep(stepNumber) {
     // Update step indicators
@@ -54,118 +818,245 @@ function updateWorkflowStep(stepNumber) {
             step.classList.add('active');
         }
     });
-    
+
     // Update demo panels
     document.querySelectorAll('.demo-panel').forEach(panel => {
         panel.classList.add('hidden');
     });
     document.getElementById(`demo-step-${stepNumber}`).classList.remove('hidden');
-    
+
+    if (stepNumber !== currentStep) {
+        track('step', stepNumber);
+    }
     currentStep = stepNumber;
+
+    const panel = spec.workflow.steps[stepNumber - 1].panel;
+    if (panel === 'processing') {
+        showProcessingLog();
+    } else if (panel === 'metrics' && pendingMetrics.length) {
+        // Animate metrics
+        setTimeout(showMetricChanges, 300);
+    }
+}
+
+// Empty inputs fall back to the example values, so the demo can be
+// clicked straight through
+function readForm() {
+    const values = {};
+    spec.form.fields.forEach(field => {
+        const input = document.getElementById(`input-${field.name}`);
+        values[field.name] = input.value.trim() || field.example || '';
+    });
+    return values;
+}
+
+function checkForm(values) {
+    return spec.form.fields.map(field => ({
+        field,
+        error: MockupSpec.checkFieldValue(field, values[field.name])
+    }));
+}
+
+function showValidation(results) {
+    const list = document.getElementById('validation-results');
+    list.replaceChildren(
+        ...results.map(({ field, error }) => h('div', { className: error ? 'validation-item error' : 'validation-item success' },
+            h('span', { className: 'validation-icon', text: error ? '✗' : '✓' }),
+            h('span', { text: error || field.valid_message || `${field.label} is valid` })
+        )),
+        ...(demoErrors.length ? [] : (spec.form.checks || []).map(check => h('div', { className: 'validation-item success' },
+            h('span', { className: 'validation-icon', text: '✓' }),
+            h('span', { text: check })
+        )))
+    );
+
+    const number = stepOf('validation');
+    document.getElementById(`btn-back-${number}`)?.classList.toggle('hidden', demoErrors.length === 0);
+    document.getElementById(`btn-next-${number}`)?.classList.toggle('hidden', demoErrors.length > 0);
+}
+
+function showProcessingLog() {
+    const values = {
+        ...readFormDefaults(),
+        ...demoData,
+        record: spec.workflow.record || 'record',
+        // The record just submitted, or the first one before any are
+        id: ((spec.processing && spec.processing.first_id) || 1000) + Math.max(recordCount - 1, 0)
+    };
+    const lines = (spec.processing && spec.processing.log) || ['Received {record} data', 'Saved to database'];
+    const start = Date.now();
+    document.getElementById('processing-log').replaceChildren(...lines.map((line, index) => (
+        h('div', { className: 'log-item' },
+            h('span', { className: 'log-time', text: new Date(start + Math.floor(index / 2) * 1000).toLocaleTimeString() }),
+            h('span', { className: 'log-message', text: interpolate(line, values) })
+        )
+    )));
 }
 
-// Step 1: Form submission
-document.getElementById('btn-submit')?.addEventListener('click', function() {
-    const customer = document.getElementById('input-customer').value || 'Acme Corporation';
-    const amount = document.getElementById('input-amount').value || '1250.00';
-    const status = document.getElementById('input-status').value || 'Pending';
-    
-    demoData = { customer, amount, status };
-    
+function readFormDefaults() {
+    const values = {};
+    spec.form.fields.forEach(field => {
+        values[field.name] = field.example || (field.options ? field.options[0] : '');
+    });
+    return values;
+}
+
+function submitForm(button) {
+    demoData = readForm();
+    const results = checkForm(demoData);
+    demoErrors = results.filter(result => result.error);
+    track('submit', demoErrors.length ? 'invalid' : 'valid');
+
+    spec.form.fields.forEach(field => {
+        const failed = demoErrors.some(result => result.field === field);
+        document.getElementById(`input-${field.name}`).classList.toggle('invalid', failed);
+    });
+
+    const validationStep = stepOf('validation');
+    const formError = document.getElementById('form-error');
+    if (!validationStep && demoErrors.length) {
+        // Nowhere else to show what's wrong
+        formError.textContent = demoErrors.map(result => result.error).join('. ');
+        formError.classList.remove('hidden');
+        return;
+    }
+    formError.classList.add('hidden');
+
     // Simulate form submission
-    this.textContent = 'Submitting...';
-    this.disabled = true;
-    
+    button.textContent = 'Submitting...';
+    button.disabled = true;
+
     setTimeout(() => {
-        updateWorkflowStep(2);
+        if (validationStep) {
+            showValidation(results);
+        }
+        if (!demoErrors.length) {
+            recordCount += 1;
+            addSubmissionToMetrics();
+        }
+        updateWorkflowStep(demoErrors.length ? validationStep : stepOf('form') + 1);
     }, 800);
-});
+}
 
-// Step 2: Continue after validation
-document.getElementById('btn-next-2')?.addEventListener('click', function() {
-    updateWorkflowStep(3);
-});
+// Work out where each metric goes after this submission. The numbers move
+// when the metrics panel is reached.
+function addSubmissionToMetrics() {
+    pendingMetrics = (spec.metrics || []).map(metric => {
+        const delta = metric.add_field ? toNumber(demoData[metric.add_field]) : (metric.add || 0);
+        const start = metricValues[metric.id];
+        metricValues[metric.id] = start + delta;
+        return { metric, start, end: start + delta, delta };
+    });
+}
 
-// Step 3: Continue after processing
-document.getElementById('btn-next-3')?.addEventListener('click', function() {
-    updateWorkflowStep(4);
-    
-    // Animate metrics
-    setTimeout(() => {
-        animateMetric('metric-orders', 22, 23);
-        animateMetric('metric-revenue', 27200, 28450);
-    }, 300);
-});
+function showMetricChanges() {
+    pendingMetrics.forEach(({ metric, start, end, delta }) => {
+        const change = document.getElementById(`metric-${metric.id}-change`);
+        if (delta) {
+            const amount = formatValue(Math.abs(delta), metric.format);
+            change.textContent = interpolate(metric.change || (delta > 0 ? '+{delta}' : '-{delta}'), { delta: amount });
+            change.className = `metric-change ${delta > 0 ? 'positive' : 'negative'}`;
+        } else {
+            change.textContent = 'No change';
+            change.className = 'metric-change neutral';
+        }
+        animateMetric(`metric-${metric.id}`, start, end, metric.format);
+    });
+    pendingMetrics = [];
+}
+
+function bindWorkflow() {
+    const steps = spec.workflow.steps;
+
+    document.getElementById('btn-submit').addEventListener('click', function() {
+        submitForm(this);
+    });
+
+    steps.forEach((step, index) => {
+        const number = index + 1;
+        document.getElementById(`btn-next-${number}`)?.addEventListener('click', function() {
+            updateWorkflowStep(number + 1);
+        });
+        document.getElementById(`btn-back-${number}`)?.addEventListener('click', function() {
+            resetSubmitButton();
+            updateWorkflowStep(stepOf('form'));
+        });
+    });
+
+    document.getElementById('btn-reset')?.addEventListener('click', function() {
+        // Reset form
+        spec.form.fields.forEach(field => {
+            const input = document.getElementById(`input-${field.name}`);
+            if (field.type === 'select') {
+                input.selectedIndex = 0;
+            } else {
+                input.value = '';
+            }
+            input.classList.remove('invalid');
+        });
+        demoData = {};
+        demoErrors = [];
+        resetSubmitButton();
+        track('reset');
+        updateWorkflowStep(1);
+    });
 
-// Step 4: Reset demo
-document.getElementById('btn-reset')?.addEventListener('click', function() {
-    // Reset form
-    document.getElementById('input-customer').value = '';
-    document.getElementById('input-amount').value = '';
-    document.getElementById('input-status').selectedIndex = 0;
-    
+    // Allow clicking on workflow steps
+    document.querySelectorAll('.step').forEach(step => {
+        step.addEventListener('click', function() {
+            const stepNumber = parseInt(this.getAttribute('data-step'));
+            updateWorkflowStep(stepNumber);
+        });
+    });
+}
+
+function resetSubmitButton() {
     const submitBtn = document.getElementById('btn-submit');
-    submitBtn.textContent = 'Submit Order';
+    submitBtn.textContent = spec.form.submit_label || 'Submit';
     submitBtn.disabled = false;
-    
-    updateWorkflowStep(1);
-});
+}
 
 // Animate metric counters
-function animateMetric(elementId, start, end) {
+function animateMetric(elementId, start, end, format) {
     const element = document.getElementById(elementId);
     if (!element) return;
-    
+
     const duration = 1000;
     const startTime = performance.now();
-    const isNumber = !isNaN(start);
-    
+
     function update(currentTime) {
         const elapsed = currentTime - startTime;
         const progress = Math.min(elapsed / duration, 1);
-        
-        if (isNumber) {
-            const current = Math.floor(start + (end - start) * progress);
-            element.textContent = current.toLocaleString();
-        } else {
-            const startNum = parseFloat(start.toString().replace(/[$,]/g, ''));
-            const endNum = parseFloat(end.toString().replace(/[$,]/g, ''));
-            const current = Math.floor(startNum + (endNum - startNum) * progress);
-            element.textContent = '$' + current.toLocaleString();
-        }
-        
+        const current = progress < 1 ? Math.floor(start + (end - start) * progress) : end;
+        element.textContent = formatValue(current, format);
+
         if (progress < 1) {
             requestAnimationFrame(update);
         }
     }
-    
+
     requestAnimationFrame(update);
 }
 
 // Dashboard tabs
-document.querySelectorAll('.tab-btn').forEach(btn => {
-    btn.addEventListener('click', function() {
-        const tabName = this.getAttribute('data-tab');
-        
-        // Update button states
-        document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-        this.classList.add('active');
-        
-        // Update content
-        document.querySelectorAll('.dashboard-content').forEach(content => {
-            content.classList.remove('active');
-        });
-        document.getElementById(`tab-${tabName}`).classList.add('active');
-    });
-});
+function bindTabs() {
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const tabName = this.getAttribute('data-tab');
+            track('tab', tabName);
+
+            // Update button states
+            document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+            this.classList.add('active');
 
-// Allow clicking on workflow steps
-document.querySelectorAll('.step').forEach(step => {
-    step.addEventListener('click', function() {
-        const stepNumber = parseInt(this.getAttribute('data-step'));
-        updateWorkflowStep(stepNumber);
+            // Update content
+            document.querySelectorAll('.dashboard-content').forEach(content => {
+                content.classList.remove('active');
+            });
+            document.getElementById(`tab-${tabName}`).classList.add('active');
+        });
     });
-});
+}
 
 // Reveal animations on scroll
 const observerOptions = {
@@ -183,54 +1074,41 @@ const observer = new IntersectionObserver((entries) => {
 }, observerOptions);
 
 // Apply reveal animation to cards and metrics
-document.querySelectorAll('.card, .metric-box, .chart-box').forEach(el => {
-    el.style.opacity = '0';
-    el.style.transform = 'translateY(20px)';
-    el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-    observer.observe(el);
-});
+function bindReveal() {
+    document.querySelectorAll('.card, .metric-box, .chart-box').forEach(el => {
+        el.style.opacity = '0';
+        el.style.transform = 'translateY(20px)';
+        el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
+        observer.observe(el);
+    });
+}
 
 // Simulate live updates (optional - for demo purposes)
 function simulateLiveUpdates() {
-    const metricsToUpdate = [
-        { id: 'metric-orders', element: document.getElementById('metric-orders') },
-        { id: 'metric-revenue', element: document.getElementById('metric-revenue') },
-        { id: 'metric-pending', element: document.getElementById('metric-pending') }
-    ];
-    
+    const metricsToUpdate = (spec.metrics || []).map(metric => ({
+        metric,
+        element: document.getElementById(`metric-${metric.id}`)
+    }));
+
     setInterval(() => {
-        metricsToUpdate.forEach(metric => {
-            if (metric.element && Math.random() > 0.7) {
+        metricsToUpdate.forEach(({ metric, element }) => {
+            if (element && Math.random() > 0.7) {
                 // Randomly update some metrics
-                const currentValue = parseInt(metric.element.textContent.replace(/[$,]/g, ''));
                 const change = Math.random() > 0.5 ? 1 : -1;
-                metric.element.textContent = (currentValue + change).toLocaleString();
-                
+                metricValues[metric.id] += change;
+                element.textContent = formatValue(metricValues[metric.id], metric.format);
+
                 // Add flash animation
-                metric.element.style.transition = 'transform 0.3s ease';
-                metric.element.style.transform = 'scale(1.1)';
+                element.style.transition = 'transform 0.3s ease';
+                element.style.transform = 'scale(1.1)';
                 setTimeout(() => {
-                    metric.element.style.transform = 'scale(1)';
+                    element.style.transform = 'scale(1)';
                 }, 300);
             }
         });
     }, 5000);
 }
 
-// Uncomment to enable live updates simulation
-// simulateLiveUpdates();
-
-// CTA buttons
-document.querySelectorAll('.cta-buttons .btn').forEach(btn => {
-    btn.addEventListener('click', function() {
-        if (this.textContent.includes('Schedule')) {
-            alert('This would open your Calendly link or contact form.');
-        } else if (this.textContent.includes('Download')) {
-            alert('This would download a PDF proposal.');
-        }
-    });
-});
-
 // Add loading state to demo
 function showLoading(element) {
     element.style.opacity = '0.6';
@@ -242,7 +1120,67 @@ function hideLoading(element) {
     element.style.pointerEvents = 'auto';
 }
 
-// Console log for development
-console.log('Interactive Mockup Framework loaded successfully');
-console.log('Customize this template for your client needs');
+// Draw the page from a spec with the workflow demo at its start. When the
+// page is drawn again, the open dashboard tab stays open.
+function showSpec(newSpec) {
+    const activeTab = document.querySelector('.tab-btn.active');
+    const tabName = activeTab && activeTab.getAttribute('data-tab');
+
+    spec = newSpec;
+    currentStep = 1;
+    demoData = {};
+    demoErrors = [];
+    recordCount = 0;
+    metricValues = {};
+    pendingMetrics = [];
+    (spec.metrics || []).forEach(metric => {
+        metricValues[metric.id] = metric.value;
+    });
+    renderPage(spec);
+    bindWorkflow();
+    bindTabs();
+
+    const sameTab = tabName && document.querySelector(`.tab-btn[data-tab="${tabName}"]`);
+    if (sameTab) {
+        document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+        document.querySelectorAll('.dashboard-content').forEach(content => content.classList.remove('active'));
+        sameTab.classList.add('active');
+        document.getElementById(`tab-${tabName}`).classList.add('active');
+    }
+    showPins();
+}
+
+async function initMockup() {
+    let loaded;
+    try {
+        loaded = await loadSpec();
+    } catch (err) {
+        showSpecError(`Mockup spec could not be loaded: ${err.message}`, []);
+        return;
+    }
+
+    const problems = MockupSpec.validateSpec(loaded);
+    if (problems.length) {
+        showSpecError('Mockup spec has problems:', problems);
+        return;
+    }
+
+    config = readConfig();
+    sessionId = getSessionId();
+    showSpec(loaded);
+    bindReveal();
+    track('view');
+    if (config.live_url) {
+        joinLive(config.live_url, config.live_version);
+    }
+    if (config.comments_url) {
+        bindAnnotations();
+    }
+
+    // Uncomment to enable live updates simulation
+    // simulateLiveUpdates();
+
+    console.log(`Interactive mockup rendered for ${spec.client}`);
+}
 
+initMockup();
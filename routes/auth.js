@@ -0,0 +1,69 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const {
+  SESSION_COOKIE,
+  authenticate,
+  createSession,
+  destroySession,
+  requireAdmin
+} = require('../lib/auth');
+
+const router = express.Router();
+
+// Log in as an admin user
+router.post('/login',
+  [
+    body('username').trim().notEmpty().withMessage('Username is required'),
+    body('password').notEmpty().withMessage('Password is required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const user = await authenticate(req.body.username, req.body.password);
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+      }
+
+      const { token, expiresAt } = await createSession(user.id);
+
+      res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        expires: expiresAt
+      });
+      res.json({
+        success: true,
+        token,
+        expires_at: expiresAt.toISOString(),
+        user: { id: user.id, username: user.username }
+      });
+    } catch (err) {
+      console.error('Error logging in:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to log in' });
+    }
+  }
+);
+
+// Log out and invalidate the current session
+router.post('/logout', requireAdmin, async (req, res) => {
+  try {
+    await destroySession(req.sessionToken);
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('Error logging out:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to log out' });
+  }
+});
+
+// Current admin user
+router.get('/me', requireAdmin, (req, res) => {
+  res.json({ success: true, user: req.admin });
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { requireAdmin } = require('../lib/auth');
+const {
+  EXPERIMENT_STATUSES,
+  SLOT_PATTERN,
+  KEY_PATTERN,
+  ensureVisitor,
+  getExperiment,
+  listExperiments,
+  findExperimentByKey,
+  createExperiment,
+  updateExperiment,
+  getAssignments,
+  recordExposures,
+  getResults
+} = require('../lib/experiments');
+
+const router = express.Router();
+
+const MAX_SLOT_LENGTH = 2000;
+
+// Public: the visitor's variant of every running experiment
+router.get('/assignments', ensureVisitor, async (req, res) => {
+  try {
+    res.json({ success: true, assignments: await getAssignments(req.visitorId) });
+  } catch (err) {
+    console.error('Error assigning experiments:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to load experiments' });
+  }
+});
+
+// Public: the landing page reports which experiments it applied
+router.post('/exposures', ensureVisitor,
+  [
+    body('experiments').isArray({ min: 1, max: 20 }).withMessage('Experiments must be a list of 1 to 20 keys'),
+    body('experiments.*').isString().matches(KEY_PATTERN).withMessage('Experiment keys must be lowercase slugs')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const recorded = await recordExposures(req.visitorId, req.body.experiments);
+      res.json({ success: true, recorded });
+    } catch (err) {
+      console.error('Error recording exposures:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to record exposures' });
+    }
+  }
+);
+
+// Everything below is for admins
+router.get('/', requireAdmin,
+  query('status').optional().isIn(EXPERIMENT_STATUSES).withMessage(`Status must be one of: ${EXPERIMENT_STATUSES.join(', ')}`),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      res.json({ success: true, experiments: await listExperiments({ status: req.query.status }) });
+    } catch (err) {
+      console.error('Error fetching experiments:', err.message);
+      res.status(500).json({ error: 'Failed to fetch experiments' });
+    }
+  }
+);
+
+router.post('/', requireAdmin,
+  [
+    body('key').isString().trim().matches(KEY_PATTERN).withMessage('Key must be a lowercase slug (letters, digits, dashes)')
+      .isLength({ max: 50 }).withMessage('Key must be 50 characters or fewer'),
+    body('name').isString().trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 200 }).withMessage('Name must be 200 characters or fewer'),
+    body('description').optional().isString().trim()
+      .isLength({ max: 2000 }).withMessage('Description must be 2000 characters or fewer'),
+    body('variants').isArray({ min: 2, max: 10 }).withMessage('An experiment needs 2 to 10 variants')
+      .bail()
+      .custom((variants) => {
+        const keys = variants.map(variant => variant && variant.key);
+        return new Set(keys).size === keys.length;
+      }).withMessage('Variant keys must be unique')
+      .custom(variants => variants.filter(variant => variant && variant.control).length <= 1)
+      .withMessage('Only one variant can be the control')
+      .custom(variants => variants.some(variant => variant && (variant.weight === undefined || variant.weight > 0)))
+      .withMessage('At least one variant needs a weight above zero'),
+    body('variants.*.key').isString().matches(KEY_PATTERN).withMessage('Variant key must be a lowercase slug')
+      .isLength({ max: 50 }).withMessage('Variant key must be 50 characters or fewer'),
+    body('variants.*.name').optional().isString().trim()
+      .isLength({ max: 200 }).withMessage('Variant name must be 200 characters or fewer'),
+    body('variants.*.weight').optional().isInt({ min: 0, max: 1000 }).withMessage('Variant weight must be between 0 and 1000').toInt(),
+    body('variants.*.control').optional().isBoolean().withMessage('Control must be true or false').toBoolean(),
+    body('variants.*.content').optional().isObject().withMessage('Variant content must be an object of slot: text')
+      .bail()
+      .custom(content => Object.entries(content).every(([slot, text]) =>
+        SLOT_PATTERN.test(slot) && typeof text === 'string' && text.length <= MAX_SLOT_LENGTH
+      ))
+      .withMessage(`Content slots must be lowercase names (letters, digits, underscores) with text up to ${MAX_SLOT_LENGTH} characters`)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      if (await findExperimentByKey(req.body.key)) {
+        return res.status(409).json({ success: false, error: 'An experiment with this key already exists' });
+      }
+      const experiment = await createExperiment(req.body);
+      res.status(201).json({ success: true, experiment });
+    } catch (err) {
+      console.error('Error creating experiment:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to create experiment' });
+    }
+  }
+);
+
+router.get('/:id', requireAdmin, param('id').isInt({ min: 1 }), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Experiment ID must be a positive integer' });
+  }
+
+  try {
+    const experiment = await getExperiment(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    res.json({ success: true, experiment });
+  } catch (err) {
+    console.error('Error fetching experiment:', err.message);
+    res.status(500).json({ error: 'Failed to fetch experiment' });
+  }
+});
+
+// Rename, or start, pause and complete an experiment
+router.patch('/:id', requireAdmin,
+  [
+    param('id').isInt({ min: 1 }).withMessage('Experiment ID must be a positive integer'),
+    body('name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty')
+      .isLength({ max: 200 }).withMessage('Name must be 200 characters or fewer'),
+    body('description').optional().isString().trim()
+      .isLength({ max: 2000 }).withMessage('Description must be 2000 characters or fewer'),
+    body('status').optional().isIn(EXPERIMENT_STATUSES).withMessage(`Status must be one of: ${EXPERIMENT_STATUSES.join(', ')}`)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const experiment = await updateExperiment(req.params.id, req.body);
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
+      }
+      res.json({ success: true, experiment });
+    } catch (err) {
+      console.error('Error updating experiment:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to update experiment' });
+    }
+  }
+);
+
+// Exposures, conversions and significance of each variant against the control
+router.get('/:id/results', requireAdmin, param('id').isInt({ min: 1 }), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Experiment ID must be a positive integer' });
+  }
+
+  try {
+    const results = await getResults(req.params.id);
+    if (!results) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    res.json({ success: true, ...results });
+  } catch (err) {
+    console.error('Error fetching experiment results:', err.message);
+    res.status(500).json({ error: 'Failed to fetch experiment results' });
+  }
+});
+
+module.exports = router;
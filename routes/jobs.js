@@ -0,0 +1,78 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { requireAdmin } = require('../lib/auth');
+const {
+  JOB_STATUSES,
+  listJobs,
+  getJob,
+  countJobsByStatus,
+  retryJob
+} = require('../lib/queue');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Recent jobs, newest first, with queue totals per status
+router.get('/',
+  [
+    query('status').optional().isIn(JOB_STATUSES).withMessage(`Status must be one of: ${JOB_STATUSES.join(', ')}`),
+    query('type').optional().trim().notEmpty().withMessage('Type cannot be empty'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const jobs = await listJobs({
+        status: req.query.status,
+        type: req.query.type,
+        limit: parseInt(req.query.limit, 10) || 50
+      });
+      res.json({ success: true, counts: await countJobsByStatus(), jobs });
+    } catch (err) {
+      console.error('Error fetching jobs:', err.message);
+      res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+  }
+);
+
+router.get('/:id', param('id').isInt({ min: 1 }), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Job ID must be a positive integer' });
+  }
+
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (err) {
+    console.error('Error fetching job:', err.message);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Requeue a dead-lettered job with a fresh set of attempts
+router.post('/:id/retry', param('id').isInt({ min: 1 }), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Job ID must be a positive integer' });
+  }
+
+  try {
+    const job = await retryJob(req.params.id);
+    if (!job) {
+      return res.status(409).json({ success: false, error: 'Only dead jobs can be retried' });
+    }
+    res.json({ success: true, job });
+  } catch (err) {
+    console.error('Error retrying job:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to retry job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,351 @@
+const express = require('express');
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const {
+  FRAMEWORK_DIR,
+  SERVED_ASSETS,
+  renderMockupPage,
+  renderMessagePage,
+  renderPasswordPage,
+  renderJoinPage
+} = require('../lib/mockup-page');
+const {
+  isExpired,
+  findMockupBySlug,
+  recordView,
+  checkMockupPassword,
+  accessToken,
+  hasAccess,
+  accessCookieMaxAge
+} = require('../lib/mockups');
+const {
+  MOCKUP_EVENT_TYPES,
+  SESSION_ID_PATTERN,
+  MAX_EVENTS_PER_REQUEST,
+  MAX_VALUE_LENGTH,
+  recordEvents
+} = require('../lib/mockup-events');
+const {
+  ELEMENT_KEY_PATTERN,
+  MAX_BODY_LENGTH,
+  listThreads,
+  addComment
+} = require('../lib/mockup-comments');
+const { CODE_PATTERN, normalizeCode, findSession, addViewer } = require('../lib/live-mockups');
+const { latestProposal, proposalFilename, renderProposalPdf } = require('../lib/proposals');
+const { createRateLimiter } = require('../lib/spam');
+
+// Public pages for published mockups, mounted at /m
+const router = express.Router();
+
+const ASSET_BASE = '/m/assets/';
+const ACCESS_COOKIE = 'mockup_access';
+
+// Password guesses per visitor and mockup
+const passwordLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+
+// Engagement batches per visitor and mockup; the page sends one every few
+// seconds at most while it's being used
+const eventLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 30 });
+
+// New comments and replies per visitor and mockup
+const commentLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 20 });
+
+// Live session joins per visitor, so codes can't be guessed
+const joinLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 30 });
+
+// Share links stay out of search engines and out of the Referer header
+// sent to links on the page
+function privatePage(res) {
+  res.set({
+    'X-Robots-Tag': 'noindex, nofollow',
+    'Referrer-Policy': 'no-referrer',
+    'Cache-Control': 'private, no-store'
+  });
+}
+
+function sendMessage(res, status, title, message) {
+  privatePage(res);
+  res.status(status).type('html').send(renderMessagePage(title, message, { assetBase: ASSET_BASE }));
+}
+
+function sendPasswordPage(res, status, mockup, error) {
+  privatePage(res);
+  res.status(status).type('html').send(renderPasswordPage({ title: mockup.title, error }, { assetBase: ASSET_BASE }));
+}
+
+// Unknown and unpublished links look the same; expired ones say so, so the
+// client knows to ask for a new link
+async function loadMockup(req, res) {
+  const mockup = await findMockupBySlug(req.params.slug);
+  if (!mockup || mockup.status !== 'published') {
+    sendMessage(res, 404, 'Mockup not found', 'This link is not valid. Check the address, or ask us for a new link.');
+    return null;
+  }
+  if (isExpired(mockup)) {
+    sendMessage(res, 410, 'Mockup link expired', 'This link has expired. Ask us for a new one.');
+    return null;
+  }
+  return mockup;
+}
+
+// The framework's stylesheet and scripts, shared by every mockup and the
+// admin pages
+router.get('/assets/:file', (req, res) => {
+  if (!SERVED_ASSETS.includes(req.params.file)) {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+  res.sendFile(path.join(FRAMEWORK_DIR, req.params.file));
+});
+
+function sendJoinPage(res, status, code, error) {
+  privatePage(res);
+  res.status(status).type('html').send(renderJoinPage({ code, error }, { assetBase: ASSET_BASE }));
+}
+
+// Live session (see lib/live-mockups.js): the join form, or with a valid
+// code the mockup as it stands, kept up to date from the stream below
+router.get('/live', (req, res) => {
+  if (!req.query.code) {
+    return sendJoinPage(res, 200);
+  }
+
+  const { allowed, retryAfter } = joinLimiter.hit(req.ip);
+  if (!allowed) {
+    res.set('Retry-After', String(retryAfter));
+    return sendJoinPage(res, 429, req.query.code, 'Too many attempts. Please try again later.');
+  }
+  const code = normalizeCode(req.query.code);
+  const session = CODE_PATTERN.test(code) ? findSession(code) : null;
+  if (!session) {
+    return sendJoinPage(res, 404, req.query.code, 'No live session has that code. Check it with us and try again.');
+  }
+
+  try {
+    const page = renderMockupPage(session.spec, {
+      assetBase: ASSET_BASE,
+      config: { live_url: `/m/live/${code}/stream`, live_version: session.version }
+    });
+    privatePage(res);
+    res.type('html').send(page);
+  } catch (err) {
+    console.error('Error serving live mockup:', err.message);
+    sendMessage(res, 500, 'Something went wrong', 'The mockup could not be loaded. Please try again shortly.');
+  }
+});
+
+router.get('/live/:code/stream', (req, res) => {
+  const { allowed, retryAfter } = joinLimiter.hit(req.ip);
+  if (!allowed) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, error: 'Too many attempts. Please try again later.' });
+  }
+  const session = CODE_PATTERN.test(req.params.code) ? findSession(req.params.code) : null;
+  if (!session) {
+    return res.status(404).json({ error: 'Live session not found' });
+  }
+  privatePage(res);
+  addViewer(session, req, res);
+});
+
+router.get('/:slug', async (req, res) => {
+  try {
+    const mockup = await loadMockup(req, res);
+    if (!mockup) {
+      return;
+    }
+    if (!hasAccess(mockup, req.cookies[ACCESS_COOKIE])) {
+      return sendPasswordPage(res, 401, mockup);
+    }
+
+    const proposal = await latestProposal(mockup.lead_id);
+    const page = renderMockupPage(JSON.parse(mockup.spec), {
+      assetBase: ASSET_BASE,
+      config: {
+        events_url: `/m/${mockup.slug}/events`,
+        comments_url: `/m/${mockup.slug}/comments`,
+        proposal_url: proposal ? `/m/${mockup.slug}/proposal.pdf` : undefined
+      }
+    });
+    await recordView(mockup.id);
+    privatePage(res);
+    res.type('html').send(page);
+  } catch (err) {
+    console.error('Error serving mockup:', err.message);
+    sendMessage(res, 500, 'Something went wrong', 'The mockup could not be loaded. Please try again shortly.');
+  }
+});
+
+// Password form. A correct password sets a cookie scoped to this mockup's
+// path and redirects back to it.
+router.post('/:slug', async (req, res) => {
+  try {
+    const mockup = await loadMockup(req, res);
+    if (!mockup) {
+      return;
+    }
+    if (!mockup.password_hash) {
+      return res.redirect(303, `/m/${mockup.slug}`);
+    }
+
+    const { allowed, retryAfter } = passwordLimiter.hit(`${req.ip}:${mockup.id}`);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter));
+      return sendPasswordPage(res, 429, mockup, 'Too many attempts. Please try again later.');
+    }
+    if (!(await checkMockupPassword(mockup, req.body && req.body.password))) {
+      return sendPasswordPage(res, 401, mockup, 'That password is not correct.');
+    }
+
+    res.cookie(ACCESS_COOKIE, accessToken(mockup), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      path: `/m/${mockup.slug}`,
+      maxAge: accessCookieMaxAge(mockup)
+    });
+    res.redirect(303, `/m/${mockup.slug}`);
+  } catch (err) {
+    console.error('Error checking mockup password:', err.message);
+    sendMessage(res, 500, 'Something went wrong', 'The mockup could not be loaded. Please try again shortly.');
+  }
+});
+
+// The lead's latest proposal, for the mockup's download button
+router.get('/:slug/proposal.pdf', async (req, res) => {
+  try {
+    const mockup = await loadMockup(req, res);
+    if (!mockup) {
+      return;
+    }
+    // The password form is on the mockup itself
+    if (!hasAccess(mockup, req.cookies[ACCESS_COOKIE])) {
+      return res.redirect(303, `/m/${mockup.slug}`);
+    }
+
+    const proposal = await latestProposal(mockup.lead_id);
+    if (!proposal) {
+      return sendMessage(res, 404, 'Proposal not ready', 'The proposal for this mockup is not ready yet. We will send it to you shortly.');
+    }
+    const pdf = renderProposalPdf(proposal);
+    privatePage(res);
+    res.attachment(proposalFilename(proposal));
+    res.type('pdf').send(pdf);
+  } catch (err) {
+    console.error('Error serving proposal:', err.message);
+    sendMessage(res, 500, 'Something went wrong', 'The proposal could not be loaded. Please try again shortly.');
+  }
+});
+
+// For the JSON endpoints the page calls. Answers like the page does: a
+// link that doesn't work, or a password not yet entered, gets nothing.
+async function loadForPage(req, res) {
+  const mockup = await findMockupBySlug(req.params.slug);
+  if (!mockup || mockup.status !== 'published' || isExpired(mockup)) {
+    res.status(404).json({ error: 'Mockup not found' });
+    return null;
+  }
+  if (!hasAccess(mockup, req.cookies[ACCESS_COOKIE])) {
+    res.status(401).json({ success: false, error: 'Password required' });
+    return null;
+  }
+  return mockup;
+}
+
+// Engagement events from the mockup page
+router.post('/:slug/events',
+  [
+    body('session_id').isString().matches(SESSION_ID_PATTERN).withMessage('Session ID is invalid'),
+    body('events').isArray({ min: 1, max: MAX_EVENTS_PER_REQUEST })
+      .withMessage(`Events must be a list of 1 to ${MAX_EVENTS_PER_REQUEST} events`),
+    body('events.*.type').isIn(MOCKUP_EVENT_TYPES).withMessage(`Event type must be one of: ${MOCKUP_EVENT_TYPES.join(', ')}`),
+    body('events.*.value').optional({ nullable: true }).isString().isLength({ max: MAX_VALUE_LENGTH })
+      .withMessage(`Event value must be text of ${MAX_VALUE_LENGTH} characters or fewer`)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const mockup = await loadForPage(req, res);
+      if (!mockup) {
+        return;
+      }
+
+      const { allowed, retryAfter } = eventLimiter.hit(`${req.ip}:${mockup.id}`);
+      if (!allowed) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ success: false, error: 'Too many events. Please try again later.' });
+      }
+
+      const recorded = await recordEvents(mockup.id, req.body.session_id, req.body.events);
+      res.status(202).json({ success: true, recorded });
+    } catch (err) {
+      console.error('Error recording mockup events:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to record events' });
+    }
+  }
+);
+
+// Feedback threads pinned to elements of the page, for annotation mode
+router.get('/:slug/comments', async (req, res) => {
+  try {
+    const mockup = await loadForPage(req, res);
+    if (!mockup) {
+      return;
+    }
+    privatePage(res);
+    res.json({ success: true, threads: await listThreads(mockup.id) });
+  } catch (err) {
+    console.error('Error fetching mockup comments:', err.message);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// A new thread on an element (element_key, element_label), or a reply to
+// one (parent_id)
+router.post('/:slug/comments',
+  [
+    body('parent_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('parent_id must be a positive integer').toInt(),
+    body('element_key').if(body('parent_id').not().exists({ values: 'null' }))
+      .isString().matches(ELEMENT_KEY_PATTERN).withMessage('Element key is invalid'),
+    body('element_label').optional({ nullable: true }).isString().trim().isLength({ max: 200 })
+      .withMessage('Element label must be 200 characters or fewer'),
+    body('author_name').optional({ nullable: true }).isString().trim().isLength({ max: 100 })
+      .withMessage('Name must be 100 characters or fewer'),
+    body('body').isString().trim().notEmpty().withMessage('Comment cannot be empty')
+      .isLength({ max: MAX_BODY_LENGTH }).withMessage(`Comment must be ${MAX_BODY_LENGTH} characters or fewer`)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const mockup = await loadForPage(req, res);
+      if (!mockup) {
+        return;
+      }
+
+      const { allowed, retryAfter } = commentLimiter.hit(`${req.ip}:${mockup.id}`);
+      if (!allowed) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ success: false, error: 'Too many comments. Please try again later.' });
+      }
+
+      const thread = await addComment(mockup.id, req.body, 'client');
+      if (!thread) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      res.status(201).json({ success: true, thread });
+    } catch (err) {
+      console.error('Error adding mockup comment:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to add comment' });
+    }
+  }
+);
+
+module.exports = router;
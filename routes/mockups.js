@@ -0,0 +1,388 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { get } = require('../lib/db');
+const { requireAdmin } = require('../lib/auth');
+const { MockupSpecError } = require('../lib/mockup-page');
+const {
+  MOCKUP_STATUSES,
+  getMockup,
+  listMockups,
+  createMockup,
+  updateMockup
+} = require('../lib/mockups');
+const { getEngagement, getEvents } = require('../lib/mockup-events');
+const {
+  ELEMENT_KEY_PATTERN,
+  MAX_BODY_LENGTH,
+  listThreads,
+  addComment,
+  setResolved
+} = require('../lib/mockup-comments');
+const {
+  describeSession,
+  sessionForMockup,
+  startSession,
+  applyChanges,
+  saveSession,
+  endSession
+} = require('../lib/live-mockups');
+
+// Admin API for client mockups. Published mockups are served at /m/<slug>.
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const mockupFields = [
+  body('spec').optional().isObject().withMessage('Spec must be a mockup spec object'),
+  body('title').optional().isString().trim().notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title must be 200 characters or fewer'),
+  body('password').optional({ nullable: true }).isString()
+    .isLength({ min: MIN_PASSWORD_LENGTH, max: 200 })
+    .withMessage(`Password must be between ${MIN_PASSWORD_LENGTH} and 200 characters`),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('Expiry must be an ISO 8601 date')
+    .bail()
+    .custom(value => Date.parse(value) > Date.now()).withMessage('Expiry must be in the future')
+];
+
+function invalidSpec(res, err) {
+  res.status(400).json({ success: false, error: 'Mockup spec is invalid', problems: err.problems });
+}
+
+// Mockups of a lead, newest first, without their specs
+router.get('/',
+  query('lead_id').isInt({ min: 1 }).withMessage('lead_id must be a positive integer'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      res.json({ success: true, mockups: await listMockups(req.query.lead_id) });
+    } catch (err) {
+      console.error('Error fetching mockups:', err.message);
+      res.status(500).json({ error: 'Failed to fetch mockups' });
+    }
+  }
+);
+
+// Publish a mockup for a lead. Without a spec, the framework's example
+// spec is used with the lead's company filled in.
+router.post('/',
+  [
+    body('lead_id').isInt({ min: 1 }).withMessage('lead_id must be a positive integer').toInt(),
+    ...mockupFields
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const lead = await get('SELECT * FROM leads WHERE id = ?', [req.body.lead_id]);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      const mockup = await createMockup(lead, req.body, req.admin.username);
+      res.status(201).json({ success: true, mockup });
+    } catch (err) {
+      if (err instanceof MockupSpecError) {
+        return invalidSpec(res, err);
+      }
+      console.error('Error creating mockup:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to create mockup' });
+    }
+  }
+);
+
+router.get('/:id', param('id').isInt({ min: 1 }), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Mockup ID must be a positive integer' });
+  }
+
+  try {
+    const mockup = await getMockup(req.params.id);
+    if (!mockup) {
+      return res.status(404).json({ error: 'Mockup not found' });
+    }
+    mockup.engagement = await getEngagement(mockup.id);
+    res.json({ success: true, mockup });
+  } catch (err) {
+    console.error('Error fetching mockup:', err.message);
+    res.status(500).json({ error: 'Failed to fetch mockup' });
+  }
+});
+
+// Raw engagement events sent by the mockup page, newest first
+router.get('/:id/events',
+  [
+    param('id').isInt({ min: 1 }).withMessage('Mockup ID must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const mockup = await getMockup(req.params.id);
+      if (!mockup) {
+        return res.status(404).json({ error: 'Mockup not found' });
+      }
+      const events = await getEvents(mockup.id, { limit: parseInt(req.query.limit, 10) || 100 });
+      res.json({ success: true, events });
+    } catch (err) {
+      console.error('Error fetching mockup events:', err.message);
+      res.status(500).json({ error: 'Failed to fetch mockup events' });
+    }
+  }
+);
+
+// Edit the spec, title, password or expiry, or unpublish and republish.
+// The link stays the same throughout. The spec can't be replaced while a
+// live session is open on the mockup: the session's next save would
+// overwrite it.
+router.patch('/:id',
+  [
+    param('id').isInt({ min: 1 }).withMessage('Mockup ID must be a positive integer'),
+    ...mockupFields,
+    body('status').optional().isIn(MOCKUP_STATUSES).withMessage(`Status must be one of: ${MOCKUP_STATUSES.join(', ')}`)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    if (req.body.spec !== undefined && sessionForMockup(req.params.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A live session is open on this mockup. Make changes in the session or end it first.'
+      });
+    }
+
+    try {
+      const mockup = await updateMockup(req.params.id, req.body);
+      if (!mockup) {
+        return res.status(404).json({ error: 'Mockup not found' });
+      }
+      res.json({ success: true, mockup });
+    } catch (err) {
+      if (err instanceof MockupSpecError) {
+        return invalidSpec(res, err);
+      }
+      console.error('Error updating mockup:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to update mockup' });
+    }
+  }
+);
+
+// Client feedback threads pinned to elements of the mockup (see
+// lib/mockup-comments.js), oldest first
+router.get('/:id/comments',
+  param('id').isInt({ min: 1 }).withMessage('Mockup ID must be a positive integer'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const mockup = await getMockup(req.params.id);
+      if (!mockup) {
+        return res.status(404).json({ error: 'Mockup not found' });
+      }
+      res.json({ success: true, threads: await listThreads(mockup.id) });
+    } catch (err) {
+      console.error('Error fetching mockup comments:', err.message);
+      res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  }
+);
+
+// Reply to a thread (parent_id), or start one on an element (element_key)
+router.post('/:id/comments',
+  [
+    param('id').isInt({ min: 1 }).withMessage('Mockup ID must be a positive integer'),
+    body('parent_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('parent_id must be a positive integer').toInt(),
+    body('element_key').if(body('parent_id').not().exists({ values: 'null' }))
+      .isString().matches(ELEMENT_KEY_PATTERN).withMessage('Element key is invalid'),
+    body('element_label').optional({ nullable: true }).isString().trim().isLength({ max: 200 })
+      .withMessage('Element label must be 200 characters or fewer'),
+    body('body').isString().trim().notEmpty().withMessage('Comment cannot be empty')
+      .isLength({ max: MAX_BODY_LENGTH }).withMessage(`Comment must be ${MAX_BODY_LENGTH} characters or fewer`)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const mockup = await getMockup(req.params.id);
+      if (!mockup) {
+        return res.status(404).json({ error: 'Mockup not found' });
+      }
+      const thread = await addComment(mockup.id, { ...req.body, author_name: req.admin.username }, 'admin');
+      if (!thread) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      res.status(201).json({ success: true, thread });
+    } catch (err) {
+      console.error('Error adding mockup comment:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to add comment' });
+    }
+  }
+);
+
+// Resolve or reopen a thread
+router.patch('/:id/comments/:commentId',
+  [
+    param('id').isInt({ min: 1 }).withMessage('Mockup ID must be a positive integer'),
+    param('commentId').isInt({ min: 1 }).withMessage('Comment ID must be a positive integer'),
+    body('resolved').isBoolean().withMessage('Resolved must be true or false').toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const thread = await setResolved(req.params.id, req.params.commentId, req.body.resolved, req.admin.username);
+      if (!thread) {
+        return res.status(404).json({ error: 'Comment thread not found' });
+      }
+      res.json({ success: true, thread });
+    } catch (err) {
+      console.error('Error updating mockup comment:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to update comment' });
+    }
+  }
+);
+
+// Live editing sessions (see lib/live-mockups.js). Clients join at
+// /m/live with the session's code and see each change as it's made.
+
+const mockupId = param('id').isInt({ min: 1 }).withMessage('Mockup ID must be a positive integer');
+
+function liveSession(session) {
+  return { ...describeSession(session), spec: session.spec };
+}
+
+router.get('/:id/live', mockupId, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const session = sessionForMockup(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'No live session for this mockup' });
+  }
+  res.json({ success: true, session: liveSession(session) });
+});
+
+// Start a live session from the mockup's saved spec, or return the one
+// already running on it
+router.post('/:id/live', mockupId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const running = sessionForMockup(req.params.id);
+    if (running) {
+      return res.json({ success: true, session: liveSession(running) });
+    }
+    const mockup = await getMockup(req.params.id);
+    if (!mockup) {
+      return res.status(404).json({ error: 'Mockup not found' });
+    }
+    const session = startSession(mockup, req.admin.username);
+    res.status(201).json({ success: true, session: liveSession(session) });
+  } catch (err) {
+    console.error('Error starting live session:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to start live session' });
+  }
+});
+
+// Change wording and numbers: changes is a list of { path, value } with
+// paths like "form.fields[0].label" (see listContent in mockup-framework/mockup-spec.js)
+router.patch('/:id/live',
+  [
+    mockupId,
+    body('changes').isArray({ min: 1, max: 100 }).withMessage('Changes must be a list of 1 to 100 changes'),
+    body('changes.*.path').isString().notEmpty().withMessage('Each change needs a path'),
+    body('changes.*.value').exists().withMessage('Each change needs a value')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const session = sessionForMockup(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'No live session for this mockup' });
+    }
+    try {
+      applyChanges(session, req.body.changes);
+      res.json({ success: true, session: describeSession(session) });
+    } catch (err) {
+      if (err instanceof MockupSpecError) {
+        return invalidSpec(res, err);
+      }
+      console.error('Error applying live changes:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to apply changes' });
+    }
+  }
+);
+
+// Save the session's spec to the mockup and keep going
+router.post('/:id/live/save', mockupId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const session = sessionForMockup(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'No live session for this mockup' });
+  }
+  try {
+    await saveSession(session);
+    res.json({ success: true, session: describeSession(session) });
+  } catch (err) {
+    console.error('Error saving live session:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to save live session' });
+  }
+});
+
+// End the session: its final spec is saved to the mockup and viewers are
+// told it's over
+router.delete('/:id/live', mockupId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const session = sessionForMockup(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'No live session for this mockup' });
+  }
+  try {
+    await endSession(session);
+    res.json({ success: true, mockup: await getMockup(req.params.id) });
+  } catch (err) {
+    console.error('Error ending live session:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to end live session' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { requireAdmin } = require('../lib/auth');
+const { activeChannels, notify, listDeliveries } = require('../lib/notifications');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Delivery log, newest first
+router.get('/',
+  [
+    query('lead_id').optional().isInt({ min: 1 }).withMessage('Lead ID must be a positive integer'),
+    query('status').optional().isIn(['pending', 'sent', 'failed']).withMessage('Status must be pending, sent or failed'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const deliveries = await listDeliveries({
+        leadId: req.query.lead_id,
+        status: req.query.status,
+        limit: parseInt(req.query.limit, 10) || 50
+      });
+      res.json({
+        success: true,
+        channels: activeChannels().map(channel => channel.name),
+        deliveries
+      });
+    } catch (err) {
+      console.error('Error fetching notification log:', err.message);
+      res.status(500).json({ error: 'Failed to fetch notification log' });
+    }
+  }
+);
+
+// Send a test message on every active channel and wait for the results
+router.post('/test', async (req, res) => {
+  try {
+    const results = await notify('test', null);
+    if (results.length === 0) {
+      return res.status(400).json({ success: false, error: 'No notification channels are configured' });
+    }
+    res.json({ success: results.every(result => result.status === 'sent'), results });
+  } catch (err) {
+    console.error('Error sending test notification:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to send test notification' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { get } = require('../lib/db');
+const { requireAdmin } = require('../lib/auth');
+const { validateRoiInputs, calculateRoi } = require('../lib/roi');
+const {
+  ProposalError,
+  getProposal,
+  listProposals,
+  createProposal,
+  deleteProposal,
+  proposalFilename,
+  renderProposalPdf
+} = require('../lib/proposals');
+
+// Admin API for proposals. A lead's mockups offer its latest proposal at
+// /m/<slug>/proposal.pdf.
+const router = express.Router();
+
+router.use(requireAdmin);
+
+function invalidInputs(res, problems) {
+  res.status(400).json({ success: false, error: 'Proposal inputs are incomplete', problems });
+}
+
+// A lead's proposals, newest first, with their headline figures
+router.get('/',
+  query('lead_id').isInt({ min: 1 }).withMessage('lead_id must be a positive integer'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      res.json({ success: true, proposals: await listProposals(req.query.lead_id) });
+    } catch (err) {
+      console.error('Error fetching proposals:', err.message);
+      res.status(500).json({ error: 'Failed to fetch proposals' });
+    }
+  }
+);
+
+// Work out the figures for a set of inputs without saving anything, to
+// check them before creating a proposal
+router.post('/roi',
+  body('inputs').isObject().withMessage('Inputs must be an object'),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const problems = validateRoiInputs(req.body.inputs);
+    if (problems.length) {
+      return invalidInputs(res, problems);
+    }
+    res.json({ success: true, roi: calculateRoi(req.body.inputs) });
+  }
+);
+
+// Create a proposal for a lead. The inputs are a discovery record; the
+// lead's company and contact are used where it leaves them out.
+router.post('/',
+  [
+    body('lead_id').isInt({ min: 1 }).withMessage('lead_id must be a positive integer').toInt(),
+    body('inputs').isObject().withMessage('Inputs must be an object'),
+    body('title').optional().isString().trim().notEmpty().withMessage('Title cannot be empty')
+      .isLength({ max: 200 }).withMessage('Title must be 200 characters or fewer')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const lead = await get('SELECT * FROM leads WHERE id = ?', [req.body.lead_id]);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      const proposal = await createProposal(lead, req.body, req.admin.username);
+      res.status(201).json({ success: true, proposal });
+    } catch (err) {
+      if (err instanceof ProposalError) {
+        return invalidInputs(res, err.problems);
+      }
+      console.error('Error creating proposal:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to create proposal' });
+    }
+  }
+);
+
+router.get('/:id', param('id').isInt({ min: 1 }), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Proposal ID must be a positive integer' });
+  }
+
+  try {
+    const proposal = await getProposal(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+    res.json({ success: true, proposal });
+  } catch (err) {
+    console.error('Error fetching proposal:', err.message);
+    res.status(500).json({ error: 'Failed to fetch proposal' });
+  }
+});
+
+router.get('/:id/pdf', param('id').isInt({ min: 1 }), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Proposal ID must be a positive integer' });
+  }
+
+  try {
+    const proposal = await getProposal(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+    const pdf = renderProposalPdf(proposal);
+    res.attachment(proposalFilename(proposal));
+    res.type('pdf').send(pdf);
+  } catch (err) {
+    console.error('Error rendering proposal:', err.message);
+    res.status(500).json({ error: 'Failed to render proposal' });
+  }
+});
+
+router.delete('/:id', param('id').isInt({ min: 1 }), async (req, res) => {
+  if (!validationResult(req).isEmpty()) {
+    return res.status(400).json({ success: false, error: 'Proposal ID must be a positive integer' });
+  }
+
+  try {
+    if (!(await deleteProposal(req.params.id))) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting proposal:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to delete proposal' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const {
+  verifyCalendlySignature,
+  parseCalendlyEvent,
+  recordBookingEvent
+} = require('../lib/scheduling');
+
+const router = express.Router();
+
+// Signatures cover the exact bytes sent, so bodies are read raw here. This
+// router is mounted before the app-wide JSON parser.
+router.use(express.raw({ type: 'application/json', limit: '256kb' }));
+
+// Calendly invitee.created / invitee.canceled. Other event types are
+// acknowledged and ignored so Calendly doesn't retry them.
+router.post('/calendly', async (req, res) => {
+  const secret = process.env.CALENDLY_WEBHOOK_SECRET;
+  if (!secret) {
+    return res.status(503).json({ success: false, error: 'Calendly webhook is not configured' });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  if (!verifyCalendlySignature(rawBody, req.get('Calendly-Webhook-Signature'), secret)) {
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: 'Body must be JSON' });
+  }
+
+  const booking = parseCalendlyEvent(body);
+  if (!booking) {
+    return res.json({ success: true, ignored: true });
+  }
+
+  try {
+    const result = await recordBookingEvent(booking, body);
+    res.json({ success: true, status: booking.status, ...result });
+  } catch (err) {
+    console.error('Error recording booking:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to record booking' });
+  }
+});
+
+module.exports = router;
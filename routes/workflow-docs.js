@@ -0,0 +1,84 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { requireAdmin } = require('../lib/auth');
+const {
+  WorkflowDocError,
+  listDocuments,
+  readDocument,
+  writeDiagram
+} = require('../lib/workflow-docs');
+
+// Admin API for the diagrams in workflow documents, used by the diagram
+// editor (admin/diagrams.html)
+const router = express.Router();
+
+router.use(requireAdmin);
+
+function sendDocError(res, err) {
+  res.status(err.statusCode).json({
+    success: false,
+    error: err.message,
+    ...(err.problems.length ? { problems: err.problems } : {})
+  });
+}
+
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, documents: listDocuments() });
+  } catch (err) {
+    console.error('Error listing workflow documents:', err.message);
+    res.status(500).json({ error: 'Failed to list workflow documents' });
+  }
+});
+
+// A document's Mermaid diagrams, with the version to save changes against
+router.get('/document',
+  query('path').isString().notEmpty().withMessage('path is required'),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      res.json({ success: true, document: readDocument(req.query.path) });
+    } catch (err) {
+      if (err instanceof WorkflowDocError) {
+        return sendDocError(res, err);
+      }
+      console.error('Error reading workflow document:', err.message);
+      res.status(500).json({ error: 'Failed to read workflow document' });
+    }
+  }
+);
+
+// Replace one of a document's flowcharts. Answers 409 when the document
+// has changed since the version given.
+router.put('/document/diagrams/:index',
+  [
+    param('index').isInt({ min: 0 }).withMessage('Diagram index must be a whole number').toInt(),
+    body('path').isString().notEmpty().withMessage('path is required'),
+    body('version').isString().notEmpty().withMessage('version is required'),
+    body('source').isString().notEmpty().withMessage('source is required')
+      .isLength({ max: 20000 }).withMessage('source must be 20000 characters or fewer')
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const document = writeDiagram(req.body.path, req.params.index, req.body.source, req.body.version);
+      res.json({ success: true, document });
+    } catch (err) {
+      if (err instanceof WorkflowDocError) {
+        return sendDocError(res, err);
+      }
+      console.error('Error saving workflow diagram:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to save workflow diagram' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { FRAMEWORK_DIR, FRAMEWORK_ASSETS, renderMockupPage } = require('../lib/mockup-page');
+
+const USAGE = `Usage: npm run build-mockup -- --spec <file.json> [options]
+
+Builds a client mockup from a mockup spec (see mockup-framework/spec.json):
+a static folder with the spec inlined into index.html, ready to open
+locally or deploy to any static host.
+
+Options:
+  --spec <file.json>  Mockup spec
+  --output <dir>      Output folder (default: client-<name>/mockup)`;
+
+// Parse "--name value" pairs into an object
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      options.help = true;
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+function readSpec(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read mockup spec ${file}: ${err.message}`);
+  }
+}
+
+function defaultOutputDir(spec) {
+  const slug = String(spec.client || 'client').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `client-${slug || 'client'}/mockup`;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!options.spec) {
+    throw new Error('Give a --spec');
+  }
+
+  const spec = readSpec(options.spec);
+  const page = renderMockupPage(spec);
+  const outputDir = options.output || defaultOutputDir(spec);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  FRAMEWORK_ASSETS.forEach((asset) => {
+    fs.copyFileSync(path.join(FRAMEWORK_DIR, asset), path.join(outputDir, asset));
+  });
+  fs.writeFileSync(path.join(outputDir, 'index.html'), page);
+  console.log(`Mockup for ${spec.client} written to ${outputDir}`);
+}
+
+try {
+  main();
+} catch (err) {
+  if (err.problems) {
+    console.error('Error building mockup: the spec has problems:');
+    err.problems.forEach(problem => console.error(`  - ${problem}`));
+  } else {
+    console.error('Error building mockup:', err.message);
+    console.error(USAGE);
+  }
+  process.exitCode = 1;
+}
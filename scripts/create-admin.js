@@ -0,0 +1,45 @@
+const readline = require('readline');
+const { close } = require('../lib/db');
+const { createAdminUser } = require('../lib/auth');
+
+// Usage: npm run create-admin -- <username> [password]
+const [username, passwordArg] = process.argv.slice(2);
+
+if (!username) {
+  console.error('Usage: npm run create-admin -- <username> [password]');
+  process.exit(1);
+}
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const password = passwordArg || process.env.ADMIN_PASSWORD || await prompt('Password: ');
+
+  if (!password || password.length < 12) {
+    throw new Error('Password must be at least 12 characters');
+  }
+
+  const id = await createAdminUser(username, password);
+  console.log(`Admin user "${username}" created (id ${id})`);
+}
+
+main()
+  .catch((err) => {
+    if (/no such table/.test(err.message)) {
+      console.error('Admin tables not found. Run "npm run prepare-db" first.');
+    } else if (/UNIQUE constraint failed/.test(err.message)) {
+      console.error(`Admin user "${username}" already exists`);
+    } else {
+      console.error('Error creating admin user:', err.message);
+    }
+    process.exitCode = 1;
+  })
+  .finally(() => close());
@@ -1,58 +1,72 @@
-const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
-require('dotenv').config();
+const { close } = require('../lib/db');
+const { EXPORT_FORMATS, EXPORT_COLUMNS, exportLeads } = require('../lib/export');
 
-const DB_PATH = process.env.DB_PATH || './data/leads.db';
 const OUTPUT_DIR = './exports';
-const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-const OUTPUT_FILE = path.join(OUTPUT_DIR, `leads-export-${timestamp}.csv`);
 
-// Ensure exports directory exists
-if (!fs.existsSync(OUTPUT_DIR)) {
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-}
+const USAGE = `Usage: npm run export-leads -- [options]
+
+Options:
+  --format <${Object.keys(EXPORT_FORMATS).join('|')}>  Output format (default: csv)
+  --from <date>        Only leads created on or after this date
+  --to <date>          Only leads created on or before this date
+  --form-type <type>   Only leads from this form (scan, challenge, ...)
+  --status <status>    Only leads in this pipeline stage
+  --columns <list>     Comma-separated columns (default: all)
+                       Available: ${EXPORT_COLUMNS.join(', ')}
+  --output <file>      Output path (default: ${OUTPUT_DIR}/leads-export-<date>.<ext>)`;
 
-const db = new sqlite3.Database(DB_PATH, (err) => {
-  if (err) {
-    console.error('Error opening database:', err.message);
-    process.exit(1);
+// Parse "--name value" pairs into an object
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      options.help = true;
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
   }
-});
+  return options;
+}
 
-db.all('SELECT * FROM leads ORDER BY created_at DESC', [], (err, rows) => {
-  if (err) {
-    console.error('Error fetching leads:', err.message);
-    db.close();
-    process.exit(1);
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
   }
 
-  if (rows.length === 0) {
+  const result = await exportLeads({
+    format: options.format || 'csv',
+    filters: {
+      from: options.from,
+      to: options.to,
+      form_type: options['form-type'],
+      status: options.status
+    },
+    columns: options.columns ? options.columns.split(',').map(column => column.trim()) : undefined
+  });
+
+  if (result.count === 0) {
     console.log('No leads found to export');
-    db.close();
     return;
   }
 
-  // Generate CSV
-  const headers = Object.keys(rows[0]);
-  const csvContent = [
-    headers.join(','),
-    ...rows.map(row => 
-      headers.map(header => {
-        const value = row[header] || '';
-        // Escape quotes and wrap in quotes if contains comma
-        if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
-          return `"${value.replace(/"/g, '""')}"`;
-        }
-        return value;
-      }).join(',')
-    )
-  ].join('\n');
-
-  fs.writeFileSync(OUTPUT_FILE, csvContent);
-  console.log(`Successfully exported ${rows.length} leads to ${OUTPUT_FILE}`);
-
-  db.close();
-});
+  const outputFile = options.output || path.join(OUTPUT_DIR, result.filename);
+
+  // Ensure output directory exists
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
 
+  fs.writeFileSync(outputFile, result.content);
+  console.log(`Successfully exported ${result.count} leads to ${outputFile}`);
+}
 
+main()
+  .catch((err) => {
+    console.error('Error exporting leads:', err.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+  })
+  .finally(() => close());
@@ -0,0 +1,91 @@
+const path = require('path');
+const { close } = require('../lib/db');
+const { UPLOAD_FORMATS } = require('../lib/uploads');
+const { readTables } = require('../lib/spreadsheets');
+const { inferSchema, leadSchema, discoveryFields, mockupForm } = require('../lib/schema-inference');
+
+const USAGE = `Usage: npm run infer-schema -- [options] [<file.xlsx|file.csv>...]
+
+Proposes a normalized database schema for spreadsheets, or for a lead's
+analyzed uploads: SQL DDL and where each column goes.
+
+Options:
+  --lead <id>   Use the lead's uploaded spreadsheets
+  --json        Print the whole schema as JSON
+  --record      Print the discovery record fields (columns, schema, ddl,
+                mapping) and mockup form fields as JSON`;
+
+// Split "--name value" pairs from the files given
+function parseArgs(argv) {
+  const options = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (['--help', '--json', '--record'].includes(argv[i])) {
+      options[argv[i].slice(2)] = true;
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      options.files.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+async function schemaForFiles(files) {
+  const tables = [];
+  for (const file of files) {
+    const format = path.extname(file).slice(1).toLowerCase();
+    if (!UPLOAD_FORMATS[format]) {
+      throw new Error(`${file} is not a spreadsheet (${Object.keys(UPLOAD_FORMATS).join(', ')})`);
+    }
+    (await readTables(file, format)).forEach((table) => {
+      tables.push({ ...table, file: path.basename(file), format });
+    });
+  }
+  return inferSchema(tables);
+}
+
+// Spreadsheet columns, named with their sheet when there's more than one
+function mappingLines(schema) {
+  const sources = new Set(schema.mapping.map(entry => entry.sheet || entry.file));
+  const labels = schema.mapping.map((entry) => {
+    const column = entry.column || '(sheet name)';
+    return sources.size > 1 ? `${entry.sheet || entry.file}: ${column}` : column;
+  });
+  const width = Math.max(...labels.map(label => label.length));
+  return schema.mapping.map((entry, i) =>
+    `--   ${labels[i].padEnd(width)}  ->  ${entry.table}.${entry.field}${entry.note ? `  (${entry.note})` : ''}`
+  );
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!options.lead && !options.files.length) {
+    throw new Error('Give spreadsheet files or a --lead');
+  }
+
+  const schema = options.lead ? await leadSchema(options.lead) : await schemaForFiles(options.files);
+  if (!schema || !schema.tables.length) {
+    throw new Error(options.lead ? `Lead ${options.lead} has no analyzed spreadsheets` : 'No sheets with data found');
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(schema, null, 2));
+  } else if (options.record) {
+    console.log(JSON.stringify({ ...discoveryFields(schema), form: mockupForm(schema) }, null, 2));
+  } else {
+    console.log(`${schema.ddl}\n\n-- Column mapping\n${mappingLines(schema).join('\n')}`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error('Error inferring schema:', err.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+  })
+  .finally(() => close());
@@ -0,0 +1,54 @@
+const { close, DB_PATH } = require('../lib/db');
+const { getStatus, migrateUp, migrateDown } = require('../lib/migrations');
+
+// Usage:
+//   npm run migrate:up [-- --to <version>]
+//   npm run migrate:down [-- --steps <n>]
+//   npm run migrate:status
+const [command, ...args] = process.argv.slice(2);
+
+function option(name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : parseInt(args[index + 1], 10);
+}
+
+async function up() {
+  const applied = await migrateUp({ to: option('to') });
+  if (applied.length === 0) {
+    console.log('Database schema is up to date');
+  }
+  applied.forEach(migration => console.log(`Applied ${migration.file}`));
+}
+
+async function down() {
+  const rolledBack = await migrateDown({ steps: option('steps') || 1 });
+  if (rolledBack.length === 0) {
+    console.log('No migrations to roll back');
+  }
+  rolledBack.forEach(migration => console.log(`Rolled back ${migration.file}`));
+}
+
+async function status() {
+  const migrations = await getStatus();
+  console.log(`Database: ${DB_PATH}`);
+  migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(30)} ${state}`);
+  });
+  const pending = migrations.filter(migration => !migration.applied).length;
+  console.log(pending ? `${pending} pending migration(s)` : 'Database schema is up to date');
+}
+
+const commands = { up, down, status };
+
+if (!commands[command]) {
+  console.error('Usage: node scripts/migrate.js <up|down|status> [--to <version>] [--steps <n>]');
+  process.exit(1);
+}
+
+commands[command]()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => close());
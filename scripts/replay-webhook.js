@@ -0,0 +1,77 @@
+const fs = require('fs');
+require('dotenv').config();
+const { signCalendlyPayload } = require('../lib/scheduling');
+const { close } = require('../lib/db');
+
+const DEFAULT_URL = `http://localhost:${process.env.PORT || 3000}/api/webhooks/calendly`;
+
+const USAGE = `Usage: npm run replay-webhook -- <fixture.json> [options]
+
+Signs a recorded Calendly payload with CALENDLY_WEBHOOK_SECRET and posts it
+to a running server, the way Calendly would.
+
+Options:
+  --email <address>   Replace the invitee email, to target a particular lead
+  --url <url>         Webhook URL (default: ${DEFAULT_URL})
+
+Fixtures: fixtures/calendly/invitee.created.json, fixtures/calendly/invitee.canceled.json`;
+
+// Parse "--name value" pairs and positional arguments
+function parseArgs(argv) {
+  const options = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      options.help = true;
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      options.files.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (options.files.length !== 1) {
+    throw new Error('Give exactly one fixture file');
+  }
+
+  const secret = process.env.CALENDLY_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('CALENDLY_WEBHOOK_SECRET is not set');
+  }
+
+  const payload = JSON.parse(fs.readFileSync(options.files[0], 'utf8'));
+  if (options.email) {
+    payload.payload.email = options.email;
+  }
+  const rawBody = JSON.stringify(payload);
+
+  const response = await fetch(options.url || DEFAULT_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Calendly-Webhook-Signature': signCalendlyPayload(rawBody, secret)
+    },
+    body: rawBody
+  });
+
+  console.log(`${response.status} ${await response.text()}`);
+  if (!response.ok) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error('Error replaying webhook:', err.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+  })
+  .finally(() => close());
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { close } = require('../lib/db');
+const { renderWorkflowDoc, defaultOutputPath, recordFromLead, mergeRecords } = require('../lib/workflows');
+
+const USAGE = `Usage: npm run workflow-doc -- [options]
+
+Renders a completed workflow document from a discovery record (JSON, see
+workflow-templates/EXAMPLE_discovery.json), a lead, or both.
+
+Options:
+  --record <file.json>  Discovery record
+  --lead <id>           Start from a lead: client, contact and uploaded
+                        spreadsheets. The record fills in the rest.
+  --output <file>       Output path (default: client-<name>/WORKFLOW.md)`;
+
+// Parse "--name value" pairs into an object
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      options.help = true;
+    } else if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+function readRecord(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read discovery record ${file}: ${err.message}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!options.record && !options.lead) {
+    throw new Error('Give a --record, a --lead, or both');
+  }
+
+  let record = options.record ? readRecord(options.record) : {};
+  if (options.lead) {
+    const fromLead = await recordFromLead(options.lead);
+    if (!fromLead) {
+      throw new Error(`Lead ${options.lead} not found`);
+    }
+    record = mergeRecords(fromLead, record);
+  }
+
+  const document = renderWorkflowDoc(record);
+  const outputFile = options.output || defaultOutputPath(record);
+
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(outputFile, document);
+  console.log(`Workflow document written to ${outputFile}`);
+}
+
+main()
+  .catch((err) => {
+    console.error('Error generating workflow document:', err.message);
+    if (!err.problems) {
+      console.error(USAGE);
+    }
+    process.exitCode = 1;
+  })
+  .finally(() => close());
@@ -1,53 +1,102 @@
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const fs = require('fs');
 const path = require('path');
-const sqlite3 = require('sqlite3').verbose();
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 require('dotenv').config();
 
+const { get, close } = require('./lib/db');
+const { getPendingMigrations, migrateUp } = require('./lib/migrations');
+const { requireAdmin } = require('./lib/auth');
+const {
+  LEAD_STATUSES,
+  updateLeadStatus,
+  getStatusHistory
+} = require('./lib/pipeline');
+const {
+  SORTABLE_FIELDS,
+  MAX_LIMIT,
+  isFilterDate,
+  findLeads,
+  captureLead,
+  getSubmissions,
+  setQuarantine,
+  mergeLeads
+} = require('./lib/leads');
+const { EXPORT_FORMATS, EXPORT_COLUMNS, exportLeads } = require('./lib/export');
+const { ATTRIBUTION_TOUCHES, UTM_FIELDS, getAttribution } = require('./lib/attribution');
+const { getBookings } = require('./lib/scheduling');
+const {
+  UPLOAD_MAX_BYTES,
+  UPLOAD_FORMATS,
+  UploadError,
+  createUploadToken,
+  checkUploadToken,
+  redeemUploadToken,
+  receiveUpload,
+  discardUpload,
+  saveLeadFile,
+  getLeadFiles,
+  getLeadFile
+} = require('./lib/uploads');
+const { loadBookingConfig, bookingUrlFor } = require('./lib/booking');
+const { listMockups } = require('./lib/mockups');
+const { getEngagement } = require('./lib/mockup-events');
+const { countThreads } = require('./lib/mockup-comments');
+const { listProposals } = require('./lib/proposals');
+const { leadSchema } = require('./lib/schema-inference');
+const { FRAMEWORK_DIR, renderMockupPage } = require('./lib/mockup-page');
+const { endAllSessions } = require('./lib/live-mockups');
+const { visitorIdFrom, recordConversions } = require('./lib/experiments');
+const { STATS_INTERVALS, MAX_RANGE_DAYS, resolveRange, getStats } = require('./lib/stats');
+const {
+  isDisposableEmail,
+  detectSpam,
+  limitLeadPayload,
+  limitLeadsByIp,
+  limitLeadsByEmail,
+  limitUploadsByIp
+} = require('./lib/spam');
+const { startWorker, drain } = require('./lib/queue');
+const jobs = require('./lib/jobs');
+const authRoutes = require('./routes/auth');
+const notificationRoutes = require('./routes/notifications');
+const jobRoutes = require('./routes/jobs');
+const experimentRoutes = require('./routes/experiments');
+const webhookRoutes = require('./routes/webhooks');
+const mockupRoutes = require('./routes/mockups');
+const mockupPageRoutes = require('./routes/mockup-pages');
+const proposalRoutes = require('./routes/proposals');
+const workflowDocRoutes = require('./routes/workflow-docs');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DB_PATH = process.env.DB_PATH || './data/leads.db';
+
+// Behind a reverse proxy, trust it for the client IP used by rate limiting.
+// TRUST_PROXY is "true", a hop count, or addresses such as "loopback".
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY === 'true') {
+  app.set('trust proxy', true);
+} else if (/^\d+$/.test(TRUST_PROXY || '')) {
+  app.set('trust proxy', parseInt(TRUST_PROXY, 10));
+} else if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors());
+// Webhooks check signatures against the raw body, so they come before the JSON parser
+app.use('/api/webhooks', webhookRoutes);
+// Lead submissions are parsed under their own, smaller size limit
+app.post('/api/leads', limitLeadPayload);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Static files - serve public directory
 app.use(express.static('public'));
 
-// Initialize database
-const db = new sqlite3.Database(DB_PATH, (err) => {
-  if (err) {
-    console.error('Error opening database:', err.message);
-  } else {
-    console.log('Connected to SQLite database');
-    initDatabase();
-  }
-});
-
-// Create tables if they don't exist
-function initDatabase() {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS leads (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL,
-      company TEXT,
-      description TEXT,
-      form_type TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `, (err) => {
-    if (err) {
-      console.error('Error creating table:', err.message);
-    } else {
-      console.log('Database initialized successfully');
-    }
-  });
-}
-
 // API Routes
 
 // Health check
@@ -55,99 +104,457 @@ app.get('/health', (req, res) => {
   res.json({ status: 'healthy', message: 'API is running' });
 });
 
-// Get all leads (add authentication in production)
-app.get('/api/leads', (req, res) => {
-  db.all('SELECT * FROM leads ORDER BY created_at DESC', [], (err, rows) => {
-    if (err) {
+// Admin authentication
+app.use('/api/auth', authRoutes);
+
+// Notification delivery log
+app.use('/api/notifications', notificationRoutes);
+
+// Background job inspection
+app.use('/api/jobs', jobRoutes);
+app.use('/api/experiments', experimentRoutes);
+
+// Client mockups: admin API, and the share links clients open
+app.use('/api/mockups', mockupRoutes);
+app.use('/m', mockupPageRoutes);
+
+// Proposals with their ROI figures, as PDFs
+app.use('/api/proposals', proposalRoutes);
+
+// Editing the diagrams in workflow documents
+app.use('/api/workflow-docs', workflowDocRoutes);
+
+// Query filters shared by the lead list and export routes
+const leadFilterValidators = [
+  query('from').optional().custom(isFilterDate).withMessage('From must be an ISO 8601 date'),
+  query('to').optional().custom(isFilterDate).withMessage('To must be an ISO 8601 date'),
+  query('form_type').optional().trim().notEmpty().withMessage('Form type cannot be empty'),
+  query('status').optional().isIn(LEAD_STATUSES).withMessage(`Status must be one of: ${LEAD_STATUSES.join(', ')}`),
+  query('q').optional().trim().isLength({ max: 200 }).withMessage('Search must be 200 characters or fewer'),
+  query('sort').optional().isIn(SORTABLE_FIELDS).withMessage(`Sort must be one of: ${SORTABLE_FIELDS.join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  query('quarantined').optional().isIn(['true', 'false', 'all']).withMessage('Quarantined must be true, false or all')
+];
+
+// List leads with filtering, search, sorting and pagination
+app.get('/api/leads', requireAdmin,
+  [
+    query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be zero or greater'),
+    ...leadFilterValidators
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const { leads, pagination } = await findLeads(req.query);
+      res.json({ success: true, leads, pagination });
+    } catch (err) {
       console.error('Error fetching leads:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch leads' });
+      res.status(500).json({ error: 'Failed to fetch leads' });
     }
-    res.json({ success: true, leads: rows });
-  });
-});
+  }
+);
 
-// Create new lead
+// Campaign touches reported by the landing page. Long values are cut down
+// when stored rather than rejected.
+const attributionValidators = [
+  body('attribution').optional().isObject().withMessage('Attribution must be an object'),
+  ...ATTRIBUTION_TOUCHES.flatMap(touch => [
+    body(`attribution.${touch}_touch`).optional({ values: 'null' }).isObject()
+      .withMessage(`Attribution ${touch}_touch must be an object`),
+    ...[...UTM_FIELDS, 'referrer', 'landing_path'].map(field =>
+      body(`attribution.${touch}_touch.${field}`).optional({ values: 'null' }).isString()
+        .withMessage(`Attribution ${touch}_touch.${field} must be text`)
+    ),
+    body(`attribution.${touch}_touch.touched_at`).optional({ values: 'null' }).isISO8601()
+      .withMessage(`Attribution ${touch}_touch.touched_at must be an ISO 8601 date`)
+  ])
+];
+
+// Create new lead. Suspected spam is stored quarantined and reported back
+// as not accepted, so the landing page skips the booking redirect.
 app.post('/api/leads',
+  limitLeadsByIp,
   [
-    body('name').trim().notEmpty().withMessage('Name is required'),
-    body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-    body('company').optional().trim(),
-    body('description').optional().trim(),
+    body('name').trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 200 }).withMessage('Name must be 200 characters or fewer'),
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+      .bail()
+      .custom(email => !isDisposableEmail(email)).withMessage('Please use a permanent email address'),
+    body('company').optional().trim()
+      .isLength({ max: 200 }).withMessage('Company must be 200 characters or fewer'),
+    body('description').optional().trim()
+      .isLength({ max: 5000 }).withMessage('Description must be 5000 characters or fewer'),
     body('form_type').optional().trim()
+      .isLength({ max: 50 }).withMessage('Form type must be 50 characters or fewer'),
+    body('utm_source').optional().trim()
+      .isLength({ max: 100 }).withMessage('UTM source must be 100 characters or fewer'),
+    body('has_upload').optional().isBoolean().withMessage('Has upload must be true or false').toBoolean(),
+    ...attributionValidators
   ],
-  (req, res) => {
+  limitLeadsByEmail,
+  async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    const { name, email, company, description, form_type } = req.body;
+    try {
+      const spamReason = detectSpam(req.body);
+      const { leadId, duplicate } = await captureLead(req.body, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        spamReason
+      });
 
-    const sql = `INSERT INTO leads (name, email, company, description, form_type) VALUES (?, ?, ?, ?, ?)`;
-    const params = [name, email, company || null, description || null, form_type || 'general'];
+      if (spamReason) {
+        return res.json({ success: true, accepted: false, message: 'Thanks! We will be in touch.' });
+      }
 
-    db.run(sql, params, function(err) {
-      if (err) {
-        console.error('Error inserting lead:', err.message);
-        return res.status(500).json({ success: false, error: 'Failed to save lead' });
+      // Credit the submission to any experiment variants the visitor saw
+      const visitorId = visitorIdFrom(req);
+      if (visitorId) {
+        await recordConversions(visitorId, leadId)
+          .catch(err => console.error('Error recording experiment conversions:', err.message));
       }
+
+      // Follow-up work (notifications, ...) runs on the job queue
+      await jobs.leadCaptured(leadId, { duplicate })
+        .catch(err => console.error('Error queueing lead jobs:', err.message));
+
+      // Where the landing page sends the visitor to book a call
+      const lead = await get('SELECT utm_source FROM leads WHERE id = ?', [leadId]);
+      const bookingUrl = bookingUrlFor({ ...req.body, utm_source: lead.utm_source });
+
+      // A visitor sending a spreadsheet gets a token to upload it with
+      const upload = req.body.has_upload ? await createUploadToken(leadId) : null;
+
       res.json({ 
         success: true, 
-        lead_id: this.lastID,
-        message: 'Lead captured successfully' 
+        accepted: true,
+        lead_id: leadId,
+        duplicate,
+        booking_url: bookingUrl,
+        ...(upload && { upload_url: `/api/leads/${leadId}/files`, upload_token: upload.token }),
+        message: duplicate ? 'Submission added to existing lead' : 'Lead captured successfully' 
       });
-    });
+    } catch (err) {
+      console.error('Error inserting lead:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to save lead' });
+    }
   }
 );
 
-// Get lead by ID
-app.get('/api/leads/:id', (req, res) => {
-  const { id } = req.params;
-  
-  db.get('SELECT * FROM leads WHERE id = ?', [id], (err, row) => {
-    if (err) {
-      console.error('Error fetching lead:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch lead' });
+// Download leads as CSV, JSON, NDJSON or XLSX. Declared before /api/leads/:id
+// so "export" isn't taken for an ID.
+app.get('/api/leads/export', requireAdmin,
+  [
+    query('format').optional().isIn(Object.keys(EXPORT_FORMATS))
+      .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+    query('columns').optional().customSanitizer(value => String(value).split(',').map(column => column.trim()))
+      .custom(columns => columns.every(column => EXPORT_COLUMNS.includes(column)))
+      .withMessage(`Columns must be from: ${EXPORT_COLUMNS.join(', ')}`),
+    ...leadFilterValidators
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await exportLeads({
+        format: req.query.format || 'csv',
+        filters: req.query,
+        columns: req.query.columns
+      });
+      res.set('Content-Type', result.contentType);
+      res.set('X-Export-Count', String(result.count));
+      res.attachment(result.filename);
+      res.send(result.content);
+    } catch (err) {
+      console.error('Error exporting leads:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to export leads' });
     }
-    if (!row) {
+  }
+);
+
+// Get lead by ID, with its form submissions, attribution touches, booked calls,
+// uploaded files, mockups (each with what the client did on it and how
+// many feedback threads it has) and proposals
+app.get('/api/leads/:id', requireAdmin, async (req, res) => {
+  try {
+    const lead = await get('SELECT * FROM leads WHERE id = ?', [req.params.id]);
+    if (!lead) {
       return res.status(404).json({ error: 'Lead not found' });
     }
-    res.json({ success: true, lead: row });
-  });
+    const [submissions, attribution, bookings, files, mockups, proposals] = await Promise.all([
+      getSubmissions(lead.id),
+      getAttribution(lead.id),
+      getBookings(lead.id),
+      getLeadFiles(lead.id),
+      listMockups(lead.id),
+      listProposals(lead.id)
+    ]);
+    await Promise.all(mockups.map(async (mockup) => {
+      [mockup.engagement, mockup.comments] = await Promise.all([
+        getEngagement(mockup.id),
+        countThreads(mockup.id)
+      ]);
+    }));
+    res.json({ success: true, lead, submissions, attribution, bookings, files, mockups, proposals });
+  } catch (err) {
+    console.error('Error fetching lead:', err.message);
+    res.status(500).json({ error: 'Failed to fetch lead' });
+  }
 });
 
-// Get database statistics
-app.get('/api/stats', (req, res) => {
-  const stats = {};
-  
-  db.get('SELECT COUNT(*) as total FROM leads', [], (err, row) => {
-    if (err) {
-      console.error('Error fetching stats:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch statistics' });
-    }
-    
-    stats.total_leads = row.total;
-    
-    db.all('SELECT form_type, COUNT(*) as count FROM leads GROUP BY form_type', [], (err, rows) => {
-      if (err) {
-        console.error('Error fetching form type stats:', err.message);
-        return res.status(500).json({ error: 'Failed to fetch statistics' });
+// Upload a spreadsheet (.xlsx or .csv, multipart field "file") to a lead,
+// using the token returned when the lead was submitted. The file is stored
+// outside the web root and analyzed on the job queue.
+app.post('/api/leads/:id/files',
+  limitUploadsByIp,
+  param('id').isInt({ min: 1 }).toInt(),
+  async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Lead ID must be a positive integer' });
+    }
+    const length = parseInt(req.get('Content-Length'), 10) || 0;
+    if (length > UPLOAD_MAX_BYTES + 64 * 1024) {
+      return res.status(413).json({ success: false, error: 'Upload is too large' });
+    }
+
+    const token = req.get('X-Upload-Token');
+    try {
+      // Nothing is read without a good token, and the token is only used up
+      // by an upload that was received intact. The second check catches a
+      // token spent by another upload in the meantime.
+      if (!(await checkUploadToken(req.params.id, token))) {
+        return res.status(403).json({ success: false, error: 'Upload token is invalid or expired' });
       }
-      
-      stats.by_form_type = rows;
-      res.json({ success: true, stats });
-    });
-  });
+      const upload = await receiveUpload(req);
+      if (!(await redeemUploadToken(req.params.id, token))) {
+        discardUpload(upload);
+        return res.status(403).json({ success: false, error: 'Upload token is invalid or expired' });
+      }
+
+      const fileId = await saveLeadFile(req.params.id, upload);
+      await jobs.fileUploaded(fileId)
+        .catch(err => console.error('Error queueing file analysis:', err.message));
+
+      const { file } = await getLeadFile(fileId);
+      res.status(201).json({ success: true, file });
+    } catch (err) {
+      if (err instanceof UploadError) {
+        return res.status(err.statusCode).json({ success: false, error: err.message });
+      }
+      console.error('Error uploading file:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to upload file' });
+    }
+  }
+);
+
+// Download a lead's uploaded file under its original name
+app.get('/api/leads/:id/files/:fileId', requireAdmin,
+  [param('id').isInt({ min: 1 }).toInt(), param('fileId').isInt({ min: 1 })],
+  async (req, res) => {
+    if (!validationResult(req).isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Lead and file IDs must be positive integers' });
+    }
+
+    try {
+      const stored = await getLeadFile(req.params.fileId);
+      if (!stored || stored.file.lead_id !== req.params.id) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      res.type(UPLOAD_FORMATS[stored.file.format].contentType);
+      res.download(stored.filePath, stored.file.original_name, (err) => {
+        if (err && !res.headersSent) {
+          console.error('Error sending file:', err.message);
+          res.status(404).json({ error: 'File not found' });
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching file:', err.message);
+      res.status(500).json({ error: 'Failed to fetch file' });
+    }
+  }
+);
+
+// The database schema proposed for a lead's analyzed spreadsheets: tables,
+// relationships, repeated column groups, column mapping and DDL
+app.get('/api/leads/:id/schema', requireAdmin, async (req, res) => {
+  try {
+    const lead = await get('SELECT id FROM leads WHERE id = ?', [req.params.id]);
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    const schema = await leadSchema(lead.id);
+    if (!schema) {
+      return res.status(404).json({ error: 'Lead has no analyzed spreadsheets' });
+    }
+    res.json({ success: true, schema });
+  } catch (err) {
+    console.error('Error inferring schema:', err.message);
+    res.status(500).json({ error: 'Failed to infer schema' });
+  }
 });
 
+// Merge another lead (source_id) into this one, moving its submissions and history
+app.post('/api/leads/:id/merge', requireAdmin,
+  [
+    param('id').isInt({ min: 1 }).toInt().withMessage('Lead ID must be a positive integer'),
+    body('source_id').isInt({ min: 1 }).toInt().withMessage('Source lead ID must be a positive integer')
+      .custom((sourceId, { req }) => sourceId !== req.params.id).withMessage('A lead cannot be merged into itself')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const lead = await mergeLeads(req.params.id, req.body.source_id, req.admin.username);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      const submissions = await getSubmissions(lead.id);
+      res.json({ success: true, lead, submissions, merged_id: req.body.source_id });
+    } catch (err) {
+      console.error('Error merging leads:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to merge leads' });
+    }
+  }
+);
+
+// Move a lead to another pipeline stage
+app.patch('/api/leads/:id/status', requireAdmin,
+  [
+    param('id').isInt({ min: 1 }).withMessage('Lead ID must be a positive integer'),
+    body('status').isIn(LEAD_STATUSES).withMessage(`Status must be one of: ${LEAD_STATUSES.join(', ')}`),
+    body('note').optional().trim().isLength({ max: 2000 }).withMessage('Note must be 2000 characters or fewer')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await updateLeadStatus(req.params.id, req.body.status, {
+        changedBy: req.admin.username,
+        note: req.body.note
+      });
+      if (!result) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      res.json({ success: true, lead: result.lead, history: result.history });
+    } catch (err) {
+      console.error('Error updating lead status:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to update lead status' });
+    }
+  }
+);
+
+// Release a lead from quarantine (or quarantine it by hand)
+app.patch('/api/leads/:id/quarantine', requireAdmin,
+  [
+    param('id').isInt({ min: 1 }).withMessage('Lead ID must be a positive integer'),
+    body('quarantined').isBoolean({ strict: true }).withMessage('Quarantined must be true or false'),
+    body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason must be 200 characters or fewer')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const lead = await setQuarantine(req.params.id, req.body.quarantined, req.body.reason);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      res.json({ success: true, lead });
+    } catch (err) {
+      console.error('Error updating quarantine:', err.message);
+      res.status(500).json({ success: false, error: 'Failed to update quarantine' });
+    }
+  }
+);
+
+// Get the status history of a lead
+app.get('/api/leads/:id/history', requireAdmin, async (req, res) => {
+  try {
+    const lead = await get('SELECT id, status FROM leads WHERE id = ?', [req.params.id]);
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    const history = await getStatusHistory(lead.id);
+    res.json({ success: true, status: lead.status, history });
+  } catch (err) {
+    console.error('Error fetching lead history:', err.message);
+    res.status(500).json({ error: 'Failed to fetch lead history' });
+  }
+});
+
+// Lead analytics over a date range: counts per day, week or month, stage
+// conversion, time to a booked call, breakdowns and a comparison with the
+// previous period. Quarantined spam is left out.
+app.get('/api/stats', requireAdmin,
+  [
+    query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('From must be a date (YYYY-MM-DD)'),
+    query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('To must be a date (YYYY-MM-DD)'),
+    query('interval').optional().isIn(STATS_INTERVALS).withMessage(`Interval must be one of: ${STATS_INTERVALS.join(', ')}`),
+    query('form_type').optional().trim().notEmpty().withMessage('Form type cannot be empty'),
+    query('compare').optional().isBoolean().withMessage('Compare must be true or false').toBoolean(),
+    query('top').optional().isInt({ min: 1, max: 100 }).withMessage('Top must be between 1 and 100').toInt(),
+    query('touch').optional().isIn(ATTRIBUTION_TOUCHES).withMessage(`Touch must be one of: ${ATTRIBUTION_TOUCHES.join(', ')}`)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const range = resolveRange(req.query);
+    if (range.days < 1) {
+      return res.status(400).json({ success: false, error: 'From must be on or before to' });
+    }
+    if (range.days > MAX_RANGE_DAYS) {
+      return res.status(400).json({ success: false, error: `Date range must be ${MAX_RANGE_DAYS} days or fewer` });
+    }
+
+    try {
+      const stats = await getStats(req.query);
+      res.json({ success: true, stats });
+    } catch (err) {
+      console.error('Error fetching stats:', err.message);
+      res.status(500).json({ error: 'Failed to fetch statistics' });
+    }
+  }
+);
+
+// Admin dashboard
+app.use('/admin', express.static(path.join(__dirname, 'admin')));
+
 // Serve landing page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Serve mockup framework page
+// Mockup framework demo, rendered from the framework's example spec
 app.get('/mockup', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'mockup', 'index.html'));
+  try {
+    const spec = JSON.parse(fs.readFileSync(path.join(FRAMEWORK_DIR, 'spec.json'), 'utf8'));
+    res.type('html').send(renderMockupPage(spec, { assetBase: '/m/assets/' }));
+  } catch (err) {
+    console.error('Error rendering mockup demo:', err.message);
+    res.status(500).json({ error: 'Failed to render mockup' });
+  }
 });
 
 // Error handling middleware
@@ -165,24 +572,67 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Access at: http://localhost:${PORT}`);
-});
+// Check the schema before accepting requests. Pending migrations stop the
+// server unless AUTO_MIGRATE=true, in which case they are applied first.
+async function checkSchema() {
+  const pending = await getPendingMigrations();
+  if (pending.length === 0) {
+    return;
+  }
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  db.close((err) => {
-    if (err) {
-      console.error('Error closing database:', err.message);
-    } else {
-      console.log('Database connection closed');
-    }
-    process.exit(0);
+  if (process.env.AUTO_MIGRATE === 'true') {
+    await migrateUp();
+    pending.forEach(migration => console.log(`Applied migration ${migration.file}`));
+    return;
+  }
+
+  throw new Error(
+    `Database schema is behind by ${pending.length} migration(s): ` +
+    `${pending.map(migration => migration.file).join(', ')}. ` +
+    'Run "npm run migrate:up" or start with AUTO_MIGRATE=true.'
+  );
+}
+
+// Booking links are checked up front so a bad BOOKING_RULES stops the deploy
+function checkBookingConfig() {
+  const { defaultUrl, rules } = loadBookingConfig();
+  if (!defaultUrl) {
+    console.warn('CALENDLY_URL is not set; leads not matched by BOOKING_RULES get no booking link');
+  }
+  if (rules.length > 0) {
+    console.log(`Loaded ${rules.length} booking rule(s)`);
+  }
+}
+
+// Start server
+checkSchema()
+  .then(() => checkBookingConfig())
+  .then(() => startWorker())
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`Access at: http://localhost:${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error('Refusing to start:', err.message);
+    process.exit(1);
   });
-});
+
+// Graceful shutdown: let the job in flight finish and save open live mockup
+// sessions, then close the database
+function shutdown() {
+  drain()
+    .then(() => endAllSessions())
+    .then(() => close())
+    .then(() => console.log('Database connection closed'))
+    .catch(err => console.error('Error closing database:', err.message))
+    .finally(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 module.exports = app;
 
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+// lib/db opens DB_PATH when it is first required, so the environment is set
+// before anything is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendly-webhook-test-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+process.env.CALENDLY_WEBHOOK_SECRET = 'calendly-secret';
+
+const { run, get, close } = require('../lib/db');
+const { migrateUp } = require('../lib/migrations');
+const { verifyCalendlySignature, signCalendlyPayload } = require('../lib/scheduling');
+const webhookRoutes = require('../routes/webhooks');
+
+const SECRET = process.env.CALENDLY_WEBHOOK_SECRET;
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'calendly');
+
+// A recorded payload as the exact body Calendly would send
+function fixture(name, email) {
+  const payload = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+  if (email) {
+    payload.payload.email = email;
+  }
+  return JSON.stringify(payload);
+}
+
+// Mounted as in server.js, ahead of any JSON parser
+const app = express();
+app.use('/api/webhooks', webhookRoutes);
+
+function postWebhook(body, signature) {
+  const req = request(app).post('/api/webhooks/calendly').set('Content-Type', 'application/json');
+  return (signature ? req.set('Calendly-Webhook-Signature', signature) : req).send(body);
+}
+
+beforeAll(async () => {
+  await migrateUp();
+});
+
+afterAll(async () => {
+  await close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('verifyCalendlySignature', () => {
+  const body = fixture('invitee.created');
+  const now = Date.parse('2026-03-02T15:04:12Z');
+
+  test('accepts a t=,v1= signature over the raw body', () => {
+    expect(verifyCalendlySignature(body, signCalendlyPayload(body, SECRET, now), SECRET, now)).toBe(true);
+  });
+
+  test('refuses a tampered body', () => {
+    const signature = signCalendlyPayload(body, SECRET, now);
+    const tampered = body.replace('jordan@example.com', 'mallory@example.com');
+    expect(verifyCalendlySignature(tampered, signature, SECRET, now)).toBe(false);
+  });
+
+  test('refuses a tampered signature or timestamp', () => {
+    const signature = signCalendlyPayload(body, SECRET, now);
+    const [timestamp, v1] = signature.split(',');
+    const flipped = v1.slice(0, -1) + (v1.endsWith('0') ? '1' : '0');
+    expect(verifyCalendlySignature(body, `${timestamp},${flipped}`, SECRET, now)).toBe(false);
+    expect(verifyCalendlySignature(body, `t=${Math.floor(now / 1000) - 1},${v1}`, SECRET, now)).toBe(false);
+  });
+
+  test('refuses a signature made with another secret', () => {
+    expect(verifyCalendlySignature(body, signCalendlyPayload(body, 'other-secret', now), SECRET, now)).toBe(false);
+  });
+
+  test('refuses an expired signature', () => {
+    const signedAt = now - 6 * 60 * 1000;
+    expect(verifyCalendlySignature(body, signCalendlyPayload(body, SECRET, signedAt), SECRET, now)).toBe(false);
+  });
+
+  test('refuses a missing or malformed header', () => {
+    expect(verifyCalendlySignature(body, undefined, SECRET, now)).toBe(false);
+    expect(verifyCalendlySignature(body, 'v1=abc', SECRET, now)).toBe(false);
+    expect(verifyCalendlySignature(body, 'garbage', SECRET, now)).toBe(false);
+  });
+});
+
+describe('POST /api/webhooks/calendly', () => {
+  let leadId;
+
+  beforeAll(async () => {
+    ({ lastID: leadId } = await run(
+      "INSERT INTO leads (name, email, email_normalized) VALUES ('Jordan Example', 'Jordan.Example@Gmail.com', 'jordanexample@gmail.com')"
+    ));
+  });
+
+  test('records a signed booking on the lead with the invitee email', async () => {
+    const body = fixture('invitee.created', 'jordan.example+calendly@gmail.com');
+    const res = await postWebhook(body, signCalendlyPayload(body, SECRET));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, status: 'scheduled', matched: true, lead_id: leadId });
+
+    const booking = await get('SELECT * FROM lead_bookings WHERE lead_id = ?', [leadId]);
+    expect(booking).toMatchObject({ status: 'scheduled', invitee_email: 'jordanexample@gmail.com' });
+    const lead = await get('SELECT * FROM leads WHERE id = ?', [leadId]);
+    expect(lead.call_status).toBe('scheduled');
+    expect(lead.call_scheduled_at).toBe(booking.scheduled_at);
+  });
+
+  test('records a cancellation of the same booking', async () => {
+    const body = fixture('invitee.canceled', 'jordan.example@gmail.com');
+    const res = await postWebhook(body, signCalendlyPayload(body, SECRET));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'canceled', lead_id: leadId });
+    const lead = await get('SELECT * FROM leads WHERE id = ?', [leadId]);
+    expect(lead.call_status).toBe('canceled');
+  });
+
+  test('answers 401 to a tampered body and records nothing', async () => {
+    const body = fixture('invitee.created', 'someone@example.com');
+    const signature = signCalendlyPayload(body, SECRET);
+    const res = await postWebhook(body.replace('someone@', 'mallory@'), signature);
+
+    expect(res.status).toBe(401);
+    const { count } = await get("SELECT COUNT(*) AS count FROM lead_bookings WHERE invitee_email LIKE 'mallory@%'");
+    expect(count).toBe(0);
+  });
+
+  test('answers 401 to an expired signature', async () => {
+    const body = fixture('invitee.created');
+    const res = await postWebhook(body, signCalendlyPayload(body, SECRET, Date.now() - 10 * 60 * 1000));
+    expect(res.status).toBe(401);
+  });
+
+  test('answers 401 without a signature', async () => {
+    const res = await postWebhook(fixture('invitee.created'));
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// lib/db opens DB_PATH when it is first required, and the queue reads its
+// timings then, so the environment is set before anything is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-test-'));
+process.env.DB_PATH = path.join(tmpDir, 'test.db');
+process.env.JOB_POLL_INTERVAL_MS = '20';
+process.env.JOB_RETRY_BASE_MS = '20';
+process.env.NOTIFY_MAX_ATTEMPTS = '3';
+delete process.env.SMTP_HOST;
+delete process.env.NOTIFY_CHANNELS;
+
+const { run, get, all, close } = require('../lib/db');
+const { migrateUp } = require('../lib/migrations');
+const { startWorker, drain } = require('../lib/queue');
+const jobs = require('../lib/jobs');
+
+// Local stand-in for the webhook and Slack endpoints. Each path answers with
+// the statuses queued for it, then 200.
+const received = [];
+const statuses = {};
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+    const status = (statuses[req.url] || []).shift() || 200;
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(status === 200 ? 'ok' : 'unavailable');
+  });
+});
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting for the queue');
+}
+
+function deliveriesFor(leadId) {
+  return all('SELECT * FROM notification_deliveries WHERE lead_id = ? ORDER BY channel', [leadId]);
+}
+
+function settled(deliveries) {
+  return deliveries.length === 2 && deliveries.every(delivery => delivery.status !== 'pending');
+}
+
+async function captureTestLead(email) {
+  const { lastID } = await run(
+    "INSERT INTO leads (name, email, email_normalized, company) VALUES ('Jordan Example', ?, ?, 'Acme')",
+    [email, email]
+  );
+  return lastID;
+}
+
+beforeAll(async () => {
+  await migrateUp();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.NOTIFY_WEBHOOK_URL = `${base}/webhook`;
+  process.env.NOTIFY_WEBHOOK_SECRET = 'webhook-secret';
+  process.env.SLACK_WEBHOOK_URL = `${base}/slack`;
+  await startWorker();
+});
+
+afterAll(async () => {
+  await drain();
+  await close();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  received.length = 0;
+  Object.keys(statuses).forEach((key) => {
+    delete statuses[key];
+  });
+});
+
+test('delivers a captured lead on the webhook and Slack channels', async () => {
+  const leadId = await captureTestLead('first@example.com');
+  await jobs.leadCaptured(leadId);
+
+  const deliveries = await waitFor(async () => {
+    const rows = await deliveriesFor(leadId);
+    return settled(rows) && rows;
+  });
+
+  expect(deliveries.map(delivery => [delivery.channel, delivery.status, delivery.attempts])).toEqual([
+    ['slack', 'sent', 1],
+    ['webhook', 'sent', 1]
+  ]);
+
+  const webhook = received.find(request => request.path === '/webhook');
+  expect(webhook.body).toMatchObject({ event: 'lead.captured', lead: { id: leadId, email: 'first@example.com' } });
+  expect(webhook.headers['x-signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+
+  const slack = received.find(request => request.path === '/slack');
+  expect(slack.body.text).toContain('first@example.com');
+});
+
+test('retries a failed delivery without re-sending on the channel that succeeded', async () => {
+  statuses['/webhook'] = [503];
+  const leadId = await captureTestLead('retry@example.com');
+  await jobs.leadCaptured(leadId);
+
+  const deliveries = await waitFor(async () => {
+    const rows = await deliveriesFor(leadId);
+    return settled(rows) && rows;
+  });
+
+  const webhook = deliveries.find(delivery => delivery.channel === 'webhook');
+  expect(webhook).toMatchObject({ status: 'sent', attempts: 2, last_error: null });
+  expect(received.filter(request => request.path === '/webhook')).toHaveLength(2);
+  expect(received.filter(request => request.path === '/slack')).toHaveLength(1);
+});
+
+test('marks a delivery failed once its attempts are used up', async () => {
+  statuses['/slack'] = [500, 500, 500];
+  const logError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const leadId = await captureTestLead('failing@example.com');
+  await jobs.leadCaptured(leadId);
+
+  const deliveries = await waitFor(async () => {
+    const rows = await deliveriesFor(leadId);
+    return settled(rows) && rows;
+  });
+
+  const slack = deliveries.find(delivery => delivery.channel === 'slack');
+  expect(slack).toMatchObject({ status: 'failed', attempts: 3 });
+  expect(slack.last_error).toContain('Webhook responded 500');
+  expect(received.filter(request => request.path === '/slack')).toHaveLength(3);
+
+  const job = await get(
+    "SELECT * FROM jobs WHERE type = 'notification.deliver' AND payload LIKE ?",
+    [`%"delivery_id":${slack.id},%`]
+  );
+  expect(job).toMatchObject({ status: 'dead', attempts: 3 });
+  expect(logError).toHaveBeenCalledWith(expect.stringContaining('moved to dead letter'), expect.any(String));
+  logError.mockRestore();
+});